@@ -423,9 +423,16 @@ function clearOutput() {
   document.getElementById('claude-response').style.display = 'none';
 }
 
+// ===============================
+// Streaming helpers: renderMarkdown / readChatStream in js/chatStream.js (load before this file)
+// ===============================
+
 // ===============================
 // Main chat handler - ENHANCED mit Performance-Tracking
 // ===============================
+// Server-Session für Folgefragen
+let chatSessionId = null;
+
 document.getElementById("send").addEventListener("click", async () => {
   const btn = document.getElementById("send");
   const promptSelect = document.getElementById("prompt").value;
@@ -450,19 +457,47 @@ document.getElementById("send").addEventListener("click", async () => {
   try {
     const res = await fetch("/api/chat", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", "Accept": "text/event-stream" },
       body: JSON.stringify({
         message: finalMessage,
+        stream: true,
+        sessionId: chatSessionId,
         user: { id: "frontend-user", name: "Manufacturing Operator", interface: "web" }
       })
     });
 
-    const data = await res.json();
+    const responseEl = document.getElementById("claude-text");
+    let data = null;
+
+    if ((res.headers.get("Content-Type") || "").includes("text/event-stream")) {
+      // Antwort progressiv rendern
+      let streamed = "";
+      responseEl.innerHTML = "";
+      document.getElementById("claude-response").style.display = "block";
+
+      await readChatStream(res, (evt) => {
+        if (evt.type === "delta") {
+          streamed += evt.delta;
+          responseEl.innerHTML = renderMarkdown(streamed);
+        } else if (evt.type === "done") {
+          data = evt;
+        } else if (evt.type === "error") {
+          throw new Error(evt.error);
+        }
+      });
+
+      if (!data) throw new Error("Stream ended unexpectedly");
+    } else {
+      data = await res.json();
+    }
+
+    if (data.sessionId) chatSessionId = data.sessionId;
+
     const endTime = performance.now();
     const processingTime = Math.round(endTime - startTime);
 
     // Response anzeigen
-    document.getElementById("claude-text").innerText = data.response;
+    responseEl.innerHTML = renderMarkdown(data.response || data.error || "");
     document.getElementById("claude-response").style.display = "block";
 
     // Performance-Tracking
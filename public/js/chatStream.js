@@ -0,0 +1,45 @@
+// ===============================
+// Chat helpers shared by index.html and app.js:
+// HTML escaping, markdown rendering, SSE frames of /api/chat
+// ===============================
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Agent-Antworten sind Fremdtext: erst escapen, dann die Markdown-Auszeichnung umsetzen
+function renderMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/^### (.*$)/gim, '<h3>$1</h3>')
+    .replace(/^## (.*$)/gim, '<h2>$1</h2>')
+    .replace(/^# (.*$)/gim, '<h1>$1</h1>')
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/^[-*] (.*$)/gim, '&bull; $1')
+    .replace(/\n/g, '<br>');
+}
+
+// Liest SSE-Frames aus einer fetch-Response und ruft onEvent pro Frame auf
+async function readChatStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      const line = frame.split("\n").find(l => l.startsWith("data: "));
+      if (line) onEvent(JSON.parse(line.slice(6)));
+    }
+  }
+}
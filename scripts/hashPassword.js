@@ -0,0 +1,69 @@
+// scripts/hashPassword.js
+// Usage: node scripts/hashPassword.js <password>
+//        Prints a passwordHash value for src/config/users.json
+//
+//        node scripts/hashPassword.js --add <username> --roles QA,Admin [--name "QA Lead"] [--email qa@example.com] [--file <users file>]
+//        Seeds (or updates) an account at deploy time. The password is read from
+//        USER_PASSWORD or, if unset, from the first line of stdin, so it stays
+//        out of the shell history:
+//
+//   printf '%s\n' "$QA_LEAD_PASSWORD" | node scripts/hashPassword.js --add qa.lead --roles QA --name "QA Lead"
+import fs from "fs";
+import path from "path";
+import { LocalUserStore } from "../src/auth/LocalUserStore.js";
+
+const args = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function readStdinLine() {
+  let input = "";
+  for await (const chunk of process.stdin) {
+    input += chunk;
+    if (input.includes("\n")) break;
+  }
+  return input.split(/\r?\n/)[0];
+}
+
+async function addUser(username) {
+  const roles = (option("roles") || "").split(",").map(role => role.trim()).filter(Boolean);
+  if (!roles.length) {
+    console.error("--roles is required, e.g. --roles QA or --roles QA,Admin");
+    process.exit(1);
+  }
+  const password = process.env.USER_PASSWORD ?? await readStdinLine();
+  if (!password) {
+    console.error("No password: set USER_PASSWORD or pipe it on stdin");
+    process.exit(1);
+  }
+
+  const usersFile = path.resolve(option("file") || process.env.USERS_FILE || "src/config/users.json");
+  const store = fs.existsSync(usersFile) ? JSON.parse(fs.readFileSync(usersFile, "utf8")) : {};
+  const users = store.users || [];
+  const existing = users.find(user => user.username === username);
+  const user = {
+    ...existing,
+    username,
+    name: option("name") || existing?.name || username,
+    ...(option("email") || existing?.email ? { email: option("email") || existing.email } : {}),
+    roles,
+    passwordHash: LocalUserStore.hashPassword(password)
+  };
+
+  fs.writeFileSync(usersFile, JSON.stringify({ ...store, users: existing ? users.map(item => (item === existing ? user : item)) : [...users, user] }, null, 2) + "\n");
+  console.log(`${existing ? "Updated" : "Added"} ${username} (${roles.join(", ")}) in ${usersFile}`);
+}
+
+const username = option("add");
+if (username) {
+  await addUser(username);
+} else if (args[0] && !args[0].startsWith("--")) {
+  console.log(LocalUserStore.hashPassword(args[0]));
+} else {
+  console.error("Usage: node scripts/hashPassword.js <password>");
+  console.error("       node scripts/hashPassword.js --add <username> --roles <role,...> [--name <name>] [--email <email>] [--file <users file>]");
+  process.exit(1);
+}
@@ -0,0 +1,52 @@
+// scripts/mockIdp.js
+// Usage: node scripts/mockIdp.js
+// Local OpenID Connect stand-in for development and manual testing.
+// Serves discovery + JWKS and issues RS256 ID tokens on request.
+//
+//   OIDC_ISSUER=http://localhost:4400 OIDC_AUDIENCE=pharma-agent-system npm start
+//   curl -X POST localhost:4400/token -H 'Content-Type: application/json' \
+//        -d '{"sub":"jdoe","name":"Jane Doe","roles":["QA"]}'
+//   curl -X POST localhost:4000/api/auth/login -H 'Content-Type: application/json' \
+//        -d '{"strategy":"oidc","idToken":"<id_token>"}'
+import crypto from "crypto";
+import express from "express";
+import { signJwt } from "../src/auth/jwt.js";
+
+const port = parseInt(process.env.MOCK_IDP_PORT) || 4400;
+const issuer = `http://localhost:${port}`;
+const audience = process.env.OIDC_AUDIENCE || "pharma-agent-system";
+const keyId = `mock-${Date.now()}`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: keyId, use: "sig", alg: "RS256" };
+
+const app = express();
+app.use(express.json());
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    jwks_uri: `${issuer}/jwks`,
+    token_endpoint: `${issuer}/token`,
+    id_token_signing_alg_values_supported: ["RS256"]
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// Issues a token for whatever identity is posted - never expose this beyond localhost
+app.post("/token", (req, res) => {
+  const { sub = "mock-user", name = "Mock User", email = null, roles = ["Operations"], expiresIn = 3600 } = req.body || {};
+  const idToken = signJwt(
+    { iss: issuer, aud: audience, sub, name, email, email_verified: !!email, roles },
+    privateKey,
+    { algorithm: "RS256", keyId, expiresInSeconds: expiresIn }
+  );
+  res.json({ id_token: idToken, token_type: "Bearer", expires_in: expiresIn });
+});
+
+app.listen(port, "127.0.0.1", () => {
+  console.log(`Mock IdP running at ${issuer} (audience: ${audience})`);
+});
@@ -0,0 +1,82 @@
+// scripts/mockNotificationSinks.js
+// Usage: node scripts/mockNotificationSinks.js
+// Local stand-ins for the notification channels, for development and manual testing.
+// Prints every mail and webhook call it receives.
+//
+//   SMTP_HOST=localhost SMTP_PORT=2525 \
+//   NOTIFY_WEBHOOK_URL=http://localhost:4500/webhook \
+//   TEAMS_WEBHOOK_URL=http://localhost:4500/teams SLACK_WEBHOOK_URL=http://localhost:4500/slack npm start
+//   curl -X POST localhost:4000/api/notifications/channels/email/test -H 'Content-Type: application/json' \
+//        -d '{"to":["ops@example.com"]}'
+//
+// MOCK_WEBHOOK_FAIL=3 answers the first 3 webhook calls with 503 (retry testing).
+import net from "net";
+import express from "express";
+
+const smtpPort = parseInt(process.env.MOCK_SMTP_PORT) || 2525;
+const webhookPort = parseInt(process.env.MOCK_WEBHOOK_PORT) || 4500;
+let failuresLeft = parseInt(process.env.MOCK_WEBHOOK_FAIL) || 0;
+
+// Accepts any mail, no TLS and no authentication - never expose this beyond localhost
+net.createServer(socket => {
+  let inData = false;
+  let message = [];
+  const envelope = { from: null, to: [] };
+  const reply = line => socket.write(`${line}\r\n`);
+  let buffer = "";
+
+  reply("220 mock-smtp ready");
+  socket.on("data", chunk => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          const [headers, ...body] = message.join("\r\n").split("\r\n\r\n");
+          const text = /base64/i.test(headers) ? Buffer.from(body.join("").replace(/\s/g, ""), "base64").toString("utf8") : body.join("\r\n");
+          console.log(`\n📧 MAIL from ${envelope.from} to ${envelope.to.join(", ")}\n${headers}\n\n${text}`);
+          message = [];
+          envelope.to = [];
+          reply("250 OK queued");
+        } else {
+          message.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "EHLO" || command === "HELO") reply("250-mock-smtp\r\n250-AUTH PLAIN\r\n250 8BITMIME");
+      else if (command === "AUTH") reply("235 Authentication successful");
+      else if (command === "MAIL") { envelope.from = line.slice(10).replace(/[<>]/g, ""); reply("250 OK"); }
+      else if (command === "RCPT") { envelope.to.push(line.slice(8).replace(/[<>]/g, "")); reply("250 OK"); }
+      else if (command === "DATA") { inData = true; reply("354 End data with <CR><LF>.<CR><LF>"); }
+      else if (command === "QUIT") { reply("221 Bye"); socket.end(); }
+      else reply("250 OK");
+    }
+  });
+  socket.on("error", () => {});
+}).listen(smtpPort, "127.0.0.1", () => {
+  console.log(`Mock SMTP server running at localhost:${smtpPort}`);
+});
+
+const app = express();
+app.use(express.json());
+
+app.post("/:hook", (req, res) => {
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    console.log(`\n🪝 ${req.params.hook}: answering 503 (${failuresLeft} failures left)`);
+    return res.status(503).json({ error: "mock failure" });
+  }
+  const signature = req.headers["x-notification-signature"];
+  console.log(`\n🪝 ${req.params.hook}${signature ? ` (${signature})` : ""}\n${JSON.stringify(req.body, null, 2)}`);
+  res.json({ ok: true });
+});
+
+app.listen(webhookPort, "127.0.0.1", () => {
+  console.log(`Mock webhook server running at http://localhost:${webhookPort}/<hook>`);
+});
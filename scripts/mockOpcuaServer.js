@@ -0,0 +1,103 @@
+// scripts/mockOpcuaServer.js
+// Usage: node scripts/mockOpcuaServer.js
+// Local OPC UA server that simulates packaging lines, for development and manual testing
+// of the `opcua` data source (nodes as in src/config/opcua_lines.yaml).
+//
+//   OPCUA_ENDPOINT_URL=opc.tcp://localhost:4840/UA/Line npm start
+//   curl localhost:4000/api/data/stats        # oee_connection.sources.OPCUADataSource
+//
+// MOCK_OPCUA_LINES=LINE-04,LINE-05 simulates several lines (ns=1;s=<line>.<Tag>).
+// State codes: 0 idle, 1 running, 2 stopped, 3 error; times in seconds, pressure in mbar.
+import { OPCUAServer, Variant, DataType } from "node-opcua";
+
+const port = parseInt(process.env.MOCK_OPCUA_PORT) || 4840;
+const intervalMs = parseInt(process.env.MOCK_OPCUA_INTERVAL_MS) || 5000;
+const lines = (process.env.MOCK_OPCUA_LINES || "LINE-04").split(",");
+
+const STATES = [{ code: 1, weight: 0.8 }, { code: 0, weight: 0.08 }, { code: 2, weight: 0.08 }, { code: 3, weight: 0.04 }];
+const pickState = () => {
+  let roll = Math.random();
+  return STATES.find(state => (roll -= state.weight) < 0)?.code ?? 1;
+};
+
+const server = new OPCUAServer({
+  port,
+  resourcePath: "/UA/Line",
+  allowAnonymous: true,
+  buildInfo: { productName: "MockPackagingLine", buildNumber: "1" }
+});
+await server.initialize();
+
+const addressSpace = server.engine.addressSpace;
+const namespace = addressSpace.getOwnNamespace();
+const simulated = new Map();
+
+for (const [index, line] of lines.entries()) {
+  const data = {
+    state: 1,
+    batch: 500 + index,
+    cycles: 0,
+    plannedTime: 0,
+    operatingTime: 0,
+    goodCount: 0,
+    rejectCount: 0,
+    temperature: 22,
+    pressure: 1013
+  };
+  simulated.set(line, data);
+
+  const device = namespace.addObject({ organizedBy: addressSpace.rootFolder.objects, browseName: line });
+  const tags = [
+    ["State", DataType.Int32, () => data.state],
+    ["BatchId", DataType.String, () => `BATCH-${data.batch}`],
+    ["PlannedTime", DataType.Double, () => data.plannedTime],
+    ["OperatingTime", DataType.Double, () => data.operatingTime],
+    ["GoodCount", DataType.UInt32, () => data.goodCount],
+    ["RejectCount", DataType.UInt32, () => data.rejectCount],
+    ["Temperature", DataType.Double, () => data.temperature],
+    ["Pressure", DataType.Double, () => data.pressure]
+  ];
+  for (const [name, dataType, read] of tags) {
+    namespace.addVariable({
+      componentOf: device,
+      nodeId: `s=${line}.${name}`,
+      browseName: name,
+      dataType,
+      value: { get: () => new Variant({ dataType, value: read() }) }
+    });
+  }
+}
+
+// one production tick per interval, like the MQTT OEE simulator
+setInterval(() => {
+  const seconds = intervalMs / 1000;
+  for (const [line, data] of simulated) {
+    data.state = pickState();
+    data.plannedTime += seconds;
+    data.cycles++;
+    if (data.state === 1) {
+      data.operatingTime += seconds;
+      const produced = Math.floor(Math.random() * 3) + 1;
+      const rejects = Math.random() < 0.1 ? 1 : 0;
+      data.goodCount += produced - rejects;
+      data.rejectCount += rejects;
+    }
+    data.temperature = 20 + Math.random() * 5;
+    data.pressure = 1000 + Math.random() * 100;
+
+    if (data.cycles >= 20 + Math.floor(Math.random() * 10)) {
+      console.log(`🔄 ${line} starting new batch`);
+      Object.assign(data, { batch: data.batch + 1, cycles: 0, plannedTime: 0, operatingTime: 0, goodCount: 0, rejectCount: 0 });
+    }
+  }
+}, intervalMs);
+
+await server.start();
+console.log(`🏭 Mock OPC UA server on ${server.getEndpointUrl()} simulating ${lines.join(", ")}`);
+
+const shutdown = async () => {
+  await server.shutdown(1000);
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
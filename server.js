@@ -20,9 +20,31 @@ import { EventBusManager } from './src/eventBus/EventBusManager.js';
 import { AgentManager } from './src/agents/AgentManager.js';
 import { DataManager } from './src/data/DataManager.js';
 import { AuditLogger } from './src/audit/AuditLogger.js';
+import { SignatureManager } from './src/audit/SignatureManager.js';
+import { LocalUserStore } from './src/auth/LocalUserStore.js';
+import { AccessControl } from './src/auth/AccessControl.js';
+import { AuthService } from './src/auth/AuthService.js';
+import { LocalStrategy } from './src/auth/strategies/LocalStrategy.js';
+import { OIDCStrategy } from './src/auth/strategies/OIDCStrategy.js';
+import { ApiKeyStrategy } from './src/auth/strategies/ApiKeyStrategy.js';
 import { A2AManager } from './src/a2a/A2AManager.js';
 import { integrateMCPServer } from './src/mcp/MCPServer.js';
 import { OEESimulator } from './src/simulator/OEESimulator.js';
+import { createStateStore } from './src/store/index.js';
+import { WorkflowDefinitions } from './src/workflows/WorkflowDefinitions.js';
+import { WorkflowEngine } from './src/workflows/WorkflowEngine.js';
+import { ApprovalManager } from './src/workflows/ApprovalManager.js';
+import { ReleaseDecisionEngine } from './src/release/ReleaseDecisionEngine.js';
+import { RuleRepository } from './src/release/RuleRepository.js';
+import { FiniteCapacityScheduler } from './src/planning/FiniteCapacityScheduler.js';
+import { MaterialAvailabilityService } from './src/planning/MaterialAvailabilityService.js';
+import { ScenarioSimulator } from './src/planning/ScenarioSimulator.js';
+import { ManufacturingAgent } from './src/services/BaseAgent.js';
+import { OEECalculationEngine } from './src/oee/OEECalculationEngine.js';
+import { ShiftCalendar } from './src/oee/ShiftCalendar.js';
+import { OEEReportService } from './src/oee/OEEReportService.js';
+import { OEEAlertDetector } from './src/oee/OEEAlertDetector.js';
+import { NotificationService } from './src/notifications/NotificationService.js';
 
 // Enhancements
 import {
@@ -37,8 +59,21 @@ import { createChatRoutes } from './src/api/routes/chat.routes.js';
 import { createAuditRoutes } from './src/api/routes/audit.routes.js';
 import { createDataRoutes } from './src/api/routes/data.routes.js';
 import { createOEERoutes } from './src/api/routes/oeeRoutes.js';
+import { createOEEReportRoutes } from './src/api/routes/oeeReports.routes.js';
+import { createOEEAlertRoutes } from './src/api/routes/oeeAlerts.routes.js';
+import { createOEEMappingRoutes } from './src/api/routes/oeeMappings.routes.js';
 import { createHealthRoutes } from './src/api/routes/health.routes.js';
 import { createAgentRoutes } from './src/api/routes/agentInvoke.routes.js';
+import { createSignatureRoutes } from './src/api/routes/signature.routes.js';
+import { createAuthRoutes } from './src/api/routes/auth.routes.js';
+import { createSystemRoutes } from './src/api/routes/system.routes.js';
+import { createWorkflowRoutes } from './src/api/routes/workflow.routes.js';
+import { createApprovalRoutes } from './src/api/routes/approval.routes.js';
+import { createReleaseRoutes } from './src/api/routes/release.routes.js';
+import { createPlanningRoutes } from './src/api/routes/planning.routes.js';
+import { createMaterialRoutes } from './src/api/routes/materials.routes.js';
+import { createScenarioRoutes } from './src/api/routes/scenario.routes.js';
+import { createNotificationRoutes } from './src/api/routes/notification.routes.js';
 
 // ------------------------------------------------------------------------
 // ENV + APP INIT
@@ -88,14 +123,97 @@ const agentManager = new AgentManager(dataManager, eventBusManager, auditLogger,
 eventBusManager.setAgentManager?.(agentManager);
 auditLogger.eventBusManager = eventBusManager;
 
+// Durable runtime state: workflows, A2A requests, MCP contexts, event history
+const stateStore = await createStateStore();
+eventBusManager.setStateStore(stateStore);
+a2aManager?.setStateStore(stateStore);
+agentManager.setStateStore(stateStore);
+
+// Authentication: local users, OIDC, API keys -> sessions / JWTs
+const userStore = new LocalUserStore();
+const accessControl = new AccessControl({ auditLogger, eventBusManager });
+const authService = new AuthService({ auditLogger, eventBusManager });
+authService.registerStrategy(new LocalStrategy({ userStore }));
+authService.registerStrategy(new ApiKeyStrategy({ envKeys: accessControl.apiKeys, auditLogger }));
+const oidcStrategy = new OIDCStrategy();
+if (oidcStrategy.isConfigured()) {
+  authService.registerStrategy(oidcStrategy);
+}
+accessControl.setAuthService(authService);
+
+// Role-based access control for all /api routes (src/config/roles.yaml)
+agentManager.setAccessControl(accessControl);
+app.use('/api', accessControl.middleware());
+
+// Deterministic release verdicts (versioned TRIC/RMSL rules, QA, compliance)
+const ruleRepository = new RuleRepository({ auditLogger, eventBusManager });
+ruleRepository.load();
+const releaseEngine = new ReleaseDecisionEngine({ dataManager, ruleRepository, auditLogger });
+
+// Finite-capacity scheduling (src/config/production_lines.yaml, OEE history)
+const scheduler = new FiniteCapacityScheduler({ dataManager, auditLogger });
+scheduler.loadConfig();
+
+// OEE from raw counters: six big losses, minor stops, per line/shift/order/product
+// Shift calendars (breaks, weekends, holidays) separate planned from unplanned downtime
+const shiftCalendar = new ShiftCalendar();
+shiftCalendar.loadConfig();
+const oeeEngine = new OEECalculationEngine({ dataManager, shiftCalendar });
+oeeEngine.loadConfig();
+const oeeReports = new OEEReportService({ oeeEngine, shiftCalendar });
+agentManager.setOEEEngine(oeeEngine, oeeReports);
+
+// Streaming alerts on the realtime OEE feed (thresholds, drift, state changes, minor stops)
+const oeeAlertDetector = new OEEAlertDetector({ oeeEngine, eventBusManager, stateStore, auditLogger });
+oeeAlertDetector.loadConfig();
+
+// BOM explosion, FEFO availability and persistent material reservations
+const materialService = new MaterialAvailabilityService({ dataManager, stateStore, auditLogger, eventBusManager });
+
+// Event-driven manufacturing agent: consumes material/shortage, batch and quality events
+const manufacturingAgent = new ManufacturingAgent('manufacturingAgent', eventBusManager, null);
+await manufacturingAgent.initialize();
+
+// What-if scenarios recomputed on a copy of the data (schedule, materials, OEE, release)
+const scenarioSimulator = new ScenarioSimulator({ dataManager, scheduler, materialService, releaseEngine, stateStore, auditLogger });
+
 // MCP Server Integration
-await integrateMCPServer(app, {
+const mcpServer = await integrateMCPServer(app, {
   eventBus: eventBusManager,
   dataManager,
   auditLogger,
   agentManager,
+  accessControl,
+  stateStore,
+  releaseEngine,
+  scheduler,
+  materialService,
+});
+agentManager.setToolRegistry(mcpServer.toolRegistry);
+
+// Electronic signatures (21 CFR Part 11)
+const signatureManager = new SignatureManager({ auditLogger, userStore, eventBusManager });
+agentManager.setSignatureManager(signatureManager);
+
+// Declarative workflows (config/workflows/*.yaml, hot-reloaded)
+const workflowDefinitions = new WorkflowDefinitions({ eventBusManager });
+workflowDefinitions.load();
+workflowDefinitions.watch();
+const approvalManager = new ApprovalManager({ stateStore, accessControl, auditLogger, eventBusManager });
+const workflowEngine = new WorkflowEngine({
+  a2aManager,
+  definitions: workflowDefinitions,
+  stateStore,
+  approvalManager,
+  auditLogger,
+  eventBusManager,
 });
 
+// Notifications: subscription rules on all events -> inbox, e-mail, webhooks
+const notificationService = new NotificationService({ eventBusManager, auditLogger, stateStore, userStore, accessControl });
+notificationService.loadConfig();
+notificationService.start();
+
 // ------------------------------------------------------------------------
 // SYSTEM INIT
 // ------------------------------------------------------------------------
@@ -106,6 +224,7 @@ async function initializeSystem() {
     await dataManager.loadDataSourceConfig();
     await dataManager.loadAllData();
     await dataManager.loadOEEHistory();
+    oeeAlertDetector.attach(dataManager);
 
     if (!agentManager.loadAgents()) {
       logger.error('Failed to load agents');
@@ -122,6 +241,16 @@ async function initializeSystem() {
 }
 await initializeSystem();
 
+// Runs waiting for an approval (or paused) before the restart keep waiting
+workflowEngine.continueWaitingRuns();
+
+// Interrupted workflows wait for /api/system/state unless resumed automatically
+if (process.env.WORKFLOW_RESUME_ON_BOOT === 'true' && agentManager.productionWorkflow) {
+  agentManager.productionWorkflow.resumeInterruptedWorkflows().then(results => {
+    if (results.length) logger.info(`♻️ Resumed ${results.length} interrupted workflow(s)`);
+  });
+}
+
 // ------------------------------------------------------------------------
 // ENHANCEMENTS (AgentTypes + WhatIf)
 // ------------------------------------------------------------------------
@@ -131,7 +260,7 @@ try {
   const agentEnhancer = enhanceServerWithAgentTypes(app, agentManager);
   
   // Load WhatIf enhancement and store the analyzer
-  const whatIfResult = enhanceServerWithWhatIf(app, agentManager, agentEnhancer);
+  const whatIfResult = enhanceServerWithWhatIf(app, agentManager, agentEnhancer, { scenarioSimulator });
   app.locals.whatIfAnalyzer = whatIfResult?.whatIfAnalyzer || whatIfResult;
   
   // Store in app.locals for routes to access
@@ -158,6 +287,9 @@ if (process.env.ENABLE_OEE_SIMULATOR === 'true') {
       MQTT_TOPIC_BASE: process.env.MQTT_TOPIC_BASE,
       OEE_LINES: process.env.OEE_LINES,
       OEE_INTERVAL_MS: process.env.OEE_INTERVAL_MS,
+      OEE_PAYLOAD_FORMAT: process.env.OEE_PAYLOAD_FORMAT,
+      SPARKPLUG_GROUP_ID: process.env.SPARKPLUG_GROUP_ID,
+      SPARKPLUG_EDGE_NODE: process.env.SPARKPLUG_EDGE_NODE,
     });
     await oeeSimulator.start();
     logger.info('✅ OEE Simulator started');
@@ -176,9 +308,29 @@ if (process.env.ENABLE_OEE_SIMULATOR === 'true') {
 app.use('/api/chat', createChatRoutes(agentManager, auditLogger, eventBusManager));
 app.use('/api/audit', createAuditRoutes(auditLogger));
 app.use('/api/data', createDataRoutes(dataManager, eventBusManager));
-app.use('/api/oee', createOEERoutes(dataManager, eventBusManager));
+app.use('/api/oee/reports', createOEEReportRoutes(oeeReports, shiftCalendar));
+app.use('/api/oee/alerts', createOEEAlertRoutes(oeeAlertDetector));
+app.use('/api/oee/mappings', createOEEMappingRoutes(dataManager));
+app.use('/api/oee', createOEERoutes(dataManager, eventBusManager, oeeEngine));
 app.use('/api/health', createHealthRoutes(agentManager, dataManager, eventBusManager));
 app.use('/api/agents', createAgentRoutes(agentManager));
+app.use('/api/signatures', createSignatureRoutes(signatureManager));
+app.use('/api/auth', createAuthRoutes(authService, accessControl));
+app.use('/api/system', createSystemRoutes({
+  stateStore,
+  agentManager,
+  a2aManager,
+  contextManager: mcpServer.contextManager,
+  eventBusManager,
+  workflowEngine,
+}));
+app.use('/api/workflows', createWorkflowRoutes(workflowEngine));
+app.use('/api/approvals', createApprovalRoutes(approvalManager));
+app.use('/api/release', createReleaseRoutes(releaseEngine));
+app.use('/api/planning', createPlanningRoutes(scheduler));
+app.use('/api/materials', createMaterialRoutes(materialService));
+app.use('/api/scenarios', createScenarioRoutes(scenarioSimulator));
+app.use('/api/notifications', createNotificationRoutes(notificationService, accessControl));
 
 // Root-level Routes
 app.get('/templates', (req, res) => {
@@ -214,9 +366,29 @@ app.get('/agents.yaml', (req, res) => {
 
 const activeSSEConnections = new Set();
 
-app.get('/events', (req, res) => {
+// Event types forwarded to /events ("*" matches any text, e.g. agent/response.delta);
+// per-user events are filtered by AccessControl.canSeeEvent()
+const SSE_EVENT_TYPES = [
+  'agent/response.*',
+  'oee/*',
+  'system/*',
+  'approval/requested',
+  'approval/escalated',
+  'approval/decided',
+  'material/shortage',
+  'alerts/oee',
+  'notification/created',
+  'mqtt/*'
+];
+const SSE_EVENT_PATTERNS = SSE_EVENT_TYPES.map(pattern =>
+  new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+);
+
+// Same identity and role check as /api (permission api:events:read)
+app.get('/events', accessControl.middleware(), (req, res) => {
   const clientIp = req.ip || req.connection.remoteAddress;
-  logger.info(`SSE connection established from ${clientIp}`);
+  const user = req.user;
+  logger.info(`SSE connection established from ${clientIp} (${user.id})`);
 
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -246,45 +418,31 @@ app.get('/events', (req, res) => {
     }
   }, 30000);
 
-  // Forward system events to client
-  const eventHandler = (eventData) => {
+  // Forward system events the caller may see; patterns are matched on every emitted event,
+  // since the EventEmitter only knows literal event names
+  const forward = (eventType, eventData) => {
     try {
-      if (!res.writableEnded) {
-        res.write(`data: ${JSON.stringify({
-          type: 'system_event',
-          data: eventData,
-          timestamp: new Date().toISOString()
-        })}\n\n`);
-      }
+      if (res.writableEnded || !SSE_EVENT_PATTERNS.some(pattern => pattern.test(eventType))) return;
+      if (!accessControl.canSeeEvent(user, eventType, eventData)) return;
+      res.write(`data: ${JSON.stringify({
+        type: 'system_event',
+        eventType,
+        data: eventData,
+        timestamp: new Date().toISOString()
+      })}\n\n`);
     } catch (error) {
       logger.error(`Failed to send SSE event: ${error.message}`);
     }
   };
 
-  // Subscribe to events
-  if (eventBusManager && typeof eventBusManager.subscribe === 'function') {
-    eventBusManager.subscribe('agent/*', eventHandler);
-    eventBusManager.subscribe('oee/*', eventHandler);
-    eventBusManager.subscribe('system/*', eventHandler);
-  }
-
-// MQTT Messages (If needed)
-
-eventBusManager.subscribe('mqtt/*', eventHandler);  // ← Alle MQTT Messages
+  eventBusManager.onAny(forward);
 
   // Cleanup on disconnect
   req.on('close', () => {
     clearInterval(heartbeatInterval);
     activeSSEConnections.delete(res);
-    
-    if (eventBusManager) {
-      if (typeof eventBusManager.unsubscribe === 'function') {
-        eventBusManager.unsubscribe('agent/*', eventHandler);
-        eventBusManager.unsubscribe('oee/*', eventHandler);
-        eventBusManager.unsubscribe('system/*', eventHandler);
-      }
-    }
-    
+    eventBusManager.offAny(forward);
+
     logger.info(`SSE connection closed from ${clientIp}`);
   });
 });
@@ -343,6 +501,13 @@ function gracefulShutdown(signal) {
   if (dataManager && typeof dataManager.cleanup === 'function') {
     dataManager.cleanup();
   }
+
+  // Running workflows stay in the state store and are recovered on next boot
+  workflowDefinitions.close();
+  approvalManager.close();
+  notificationService.close();
+  eventBusManager.flushOEEHistory();
+  stateStore.close();
   
   logger.info('Shutdown complete');
   process.exit(0);
@@ -363,8 +528,21 @@ app.listen(PORT, HOST, () => {
   logger.info('  /api/audit');
   logger.info('  /api/data');
   logger.info('  /api/oee');
+  logger.info('  /api/oee/reports');
+  logger.info('  /api/oee/alerts');
+  logger.info('  /api/oee/mappings');
   logger.info('  /api/health');
   logger.info('  /api/agents');
+  logger.info('  /api/signatures');
+  logger.info('  /api/auth');
+  logger.info('  /api/system/state');
+  logger.info('  /api/workflows');
+  logger.info('  /api/approvals');
+  logger.info('  /api/release');
+  logger.info('  /api/planning');
+  logger.info('  /api/materials');
+  logger.info('  /api/scenarios');
+  logger.info('  /api/notifications');
   logger.info('  /templates');
   logger.info('  /events (SSE)');
   logger.info('  /api/version');
@@ -7,7 +7,7 @@
  * Provides request/response pattern for synchronous agent workflows
  * 
  * Developer: Markus Schmeckenbecher
- * Version: 1.0.0 - Phase 1 A2A Implementation
+ * Version: 1.1.0 - Durable pending requests
  * 
  * Features:
  * - Direct agent-to-agent communication
@@ -16,6 +16,8 @@
  * - Integration with existing EventBus
  * - Audit logging for all A2A operations
  * - Graceful error handling and fallbacks
+ * - Pending requests written to the StateStore ("a2a_requests");
+ *   requests still open after a restart are reported as interrupted
  * ========================================================================
  */
 
@@ -40,6 +42,7 @@ export class A2AManager extends EventEmitter {
     
     this.pendingRequests = new Map();
     this.registeredAgents = new Map();
+    this.stateStore = null;
     this.requestTimeout = 30000; // 30 seconds default timeout
     
     console.log("A2A Manager initialized (Phase 1)");
@@ -50,6 +53,52 @@ export class A2AManager extends EventEmitter {
     }, 60000); // Cleanup every minute
   }
 
+  /**
+   * Attach State Store
+   * Requests persisted by the previous process cannot be answered any
+   * more (their callers are gone) - they are audited as interrupted
+   */
+  setStateStore(stateStore) {
+    this.stateStore = stateStore;
+
+    const interrupted = stateStore.list('a2a_requests').map(request => {
+      stateStore.delete('a2a_requests', request.requestId);
+      this.auditLogger.log('a2a_request_interrupted', {
+        requestId: request.requestId,
+        targetAgentId: request.targetAgentId,
+        action: request.action,
+        startedAt: new Date(request.startTime).toISOString()
+      });
+      return {
+        requestId: request.requestId,
+        targetAgentId: request.targetAgentId,
+        action: request.action,
+        workflowId: request.workflowId || null,
+        startedAt: new Date(request.startTime).toISOString()
+      };
+    });
+
+    stateStore.recordRecovery('a2aRequests', { interrupted });
+    if (interrupted.length > 0) {
+      console.warn(`${interrupted.length} A2A request(s) interrupted by restart`);
+    }
+  }
+
+  persistRequest(request) {
+    if (!this.stateStore) return;
+    try {
+      const { requestId, targetAgentId, action, data, startTime, timeout, workflowId } = request;
+      this.stateStore.put('a2a_requests', requestId, { requestId, targetAgentId, action, data, startTime, timeout, workflowId });
+    } catch (error) {
+      console.warn(`Could not persist A2A request ${request.requestId}: ${error.message}`);
+    }
+  }
+
+  forgetRequest(requestId) {
+    this.pendingRequests.delete(requestId);
+    this.stateStore?.delete('a2a_requests', requestId);
+  }
+
   /**
    * Register Agent with A2A System
    * Associates agent ID with available capabilities/services
@@ -108,18 +157,19 @@ export class A2AManager extends EventEmitter {
     const responsePromise = new Promise((resolve, reject) => {
       // Setup timeout
       const timeoutHandle = setTimeout(() => {
-        this.pendingRequests.delete(requestId);
+        this.forgetRequest(requestId);
         reject(new Error(`A2A timeout: ${targetAgentId}.${action} (${timeout}ms)`));
       }, timeout);
 
       // Store pending request
-      this.pendingRequests.set(requestId, {
+      const pendingRequest = {
         requestId,
         targetAgentId,
         action,
         data,
         startTime,
         timeout,
+        workflowId: options.workflowId || null,
         timeoutHandle,
         resolve: (response) => {
           clearTimeout(timeoutHandle);
@@ -129,7 +179,9 @@ export class A2AManager extends EventEmitter {
           clearTimeout(timeoutHandle);
           reject(error);
         }
-      });
+      };
+      this.pendingRequests.set(requestId, pendingRequest);
+      this.persistRequest(pendingRequest);
     });
 
     try {
@@ -171,7 +223,7 @@ export class A2AManager extends EventEmitter {
       const responseTime = Date.now() - startTime;
       
       // Cleanup pending request
-      this.pendingRequests.delete(requestId);
+      this.forgetRequest(requestId);
       
       // Audit logging
       this.auditLogger.log('a2a_request_failed', {
@@ -200,7 +252,7 @@ export class A2AManager extends EventEmitter {
     }
 
     // Remove from pending requests
-    this.pendingRequests.delete(requestId);
+    this.forgetRequest(requestId);
 
     try {
       if (success) {
@@ -346,7 +398,7 @@ export class A2AManager extends EventEmitter {
         request.reject(new Error(`Request orphaned after ${elapsed}ms`));
         
         // Remove from pending
-        this.pendingRequests.delete(requestId);
+        this.forgetRequest(requestId);
         cleanedCount++;
       }
     });
@@ -372,6 +424,7 @@ export class A2AManager extends EventEmitter {
     this.pendingRequests.forEach((request, requestId) => {
       clearTimeout(request.timeoutHandle);
       request.reject(new Error('A2A Manager shutting down'));
+      this.stateStore?.delete('a2a_requests', requestId);
     });
     
     this.pendingRequests.clear();
@@ -15,12 +15,32 @@
 import fs from "fs";
 import path from "path";
 import yaml from "js-yaml";
-import Anthropic from "@anthropic-ai/sdk";
-import { ChatAnthropic } from "@langchain/anthropic";
-import { Ollama } from "@langchain/community/llms/ollama"; 
+import { LLMProviderRegistry } from '../llm/LLMProviderRegistry.js';
 import { RateLimiter } from '../utils/RateLimiter.js';
+import { SessionManager } from '../sessions/SessionManager.js';
+import { AgentRouter } from './AgentRouter.js';
+import { AgentToolRunner } from './AgentToolRunner.js';
 import logger from '../utils/logger.js';
 
+// Role of runs without a caller (event-driven, A2A, what-if fan-out): read-only tools, see roles.yaml
+export const SYSTEM_ROLE = 'System';
+
+const GENERIC_PROMPT_TEMPLATE = `You are a pharmaceutical manufacturing AI assistant.
+
+CRITICAL CONSTRAINT: You may ONLY use the data provided below.
+
+User Query: {userMessage}
+
+Available System Data:
+{data}
+
+Instructions:
+- Answer ONLY based on the provided data
+- If information is missing, state "Not available in system data"
+- Focus on pharmaceutical manufacturing context
+
+Current Time: {timestamp}`;
+
 export class AgentManager {
   constructor(dataManager, eventBusManager, auditLogger, a2aManager = null) {
     this.dataManager = dataManager;
@@ -39,25 +59,23 @@ export class AgentManager {
     this.totalApiCalls = 0;
     this.eventChainsActive = new Set();
     
+    this.llmRegistry = new LLMProviderRegistry();
     this.llmProvider = process.env.LLM_PROVIDER?.toLowerCase() || 'anthropic';
     this.activeLLM = null;
-    this.llm = null;
-    this.anthropic = null;
-    this.picoLLM = null;
-    
-    this.claudeApiKey = process.env.CLAUDE_API_KEY || null;
-    this.claudeModel = process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219";
-    this.useLangChain = process.env.USE_LANGCHAIN === 'true' || false;
-    
-    this.ollamaModel = process.env.OLLAMA_MODEL || 'tinyllama:1.1b';
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    
-    this.picoLLMAccessKey = process.env.PICOVOICE_ACCESS_KEY || null;
-    this.picoLLMModelPath = process.env.PICOLLM_MODEL_PATH || './models/llama-2-7b-chat.pv';
-    this.picoLLMTemperature = parseFloat(process.env.PICOLLM_TEMPERATURE) || 0.1;
-    this.picoLLMMaxTokens = parseInt(process.env.PICOLLM_MAX_TOKENS) || 512;
     
     this.initializeLLM();
+
+    this.router = new AgentRouter({ getLLM: () => this.activeLLM });
+    this.toolRunner = null;
+    this.signatureManager = null;
+    this.stateStore = null;
+    this.accessControl = null;
+    this.oeeEngine = null;
+    this.oeeReports = null;
+
+    this.sessionManager = new SessionManager({
+      summarizer: (turns, previousSummary) => this.summarizeTurns(turns, previousSummary)
+    });
     
     logger.info(`AgentManager v2.0.0 initialized with rate limit: ${maxCallsPerMinute} calls/minute`);
     logger.info(`Active LLM Provider: ${this.llmProvider.toUpperCase()}`);
@@ -71,6 +89,114 @@ export class AgentManager {
     logger.info('OEE Integration enabled');
   }
 
+  /**
+   * Enable tool calling through the MCP tool registry
+   */
+  setToolRegistry(toolRegistry) {
+    this.toolRunner = new AgentToolRunner({
+      toolRegistry,
+      auditLogger: this.auditLogger,
+      eventBusManager: this.eventBusManager
+    });
+    logger.info('Agent tool calling enabled (MCP tools)');
+  }
+
+  /**
+   * Enforce agent rolesAllowed for callers that pass options.user
+   */
+  setAccessControl(accessControl) {
+    this.accessControl = accessControl;
+  }
+
+  /**
+   * Route release decisions and flagged agent output to e-signature
+   */
+  setSignatureManager(signatureManager) {
+    this.signatureManager = signatureManager;
+    if (this.productionWorkflow) {
+      this.productionWorkflow.signatureManager = signatureManager;
+    }
+    logger.info('Electronic signatures enabled');
+  }
+
+  /**
+   * Durable workflow state; recovers interrupted workflows on attach
+   */
+  setStateStore(stateStore) {
+    this.stateStore = stateStore;
+    if (this.productionWorkflow) {
+      this.productionWorkflow.setStateStore(stateStore);
+    }
+  }
+
+  /**
+   * Computed OEE (availability, performance, quality, losses) for agent
+   * prompts instead of raw counter snapshots; reports add the shift
+   * handover (data source "oee_shift_handover")
+   */
+  setOEEEngine(oeeEngine, oeeReports = null) {
+    this.oeeEngine = oeeEngine;
+    this.oeeReports = oeeReports;
+  }
+
+  /**
+   * Whether an answer is a record that needs e-signatures
+   * `signature.when` limits it to answers that used one of `tools` (e.g. a
+   * release verdict) or to questions with one of `keywords`; without `when`
+   * every answer of the agent is signed.
+   */
+  needsSignature(agent, userMessage, toolCalls = []) {
+    if (!agent?.signature?.required) return false;
+    const { when } = agent.signature;
+    if (!when) return true;
+
+    const usedTool = (when.tools || []).some(tool => toolCalls.some(call => call.tool === tool && call.success));
+    // keywords match word starts: "release" also matches "releases", "released"
+    const words = String(userMessage || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    const asked = (when.keywords || []).some(keyword => words.some(word => word.startsWith(String(keyword).toLowerCase())));
+    return usedTool || asked;
+  }
+
+  /**
+   * Open a signature request for an agent recommendation
+   * Only for agents with `signature.required: true` in their YAML, and
+   * only for answers matching `signature.when` (see needsSignature).
+   * @param {Array} toolCalls - Tool calls of the answer (AgentToolRunner summaries)
+   * @returns {Object|null} Signature request summary
+   */
+  requestAgentSignature(agent, userMessage, responseText, requestedBy = 'chat_user', toolCalls = []) {
+    if (!this.signatureManager || !this.needsSignature(agent, userMessage, toolCalls)) return null;
+
+    const request = this.signatureManager.createRequest({
+      recordType: agent.signature.recordType || 'agent_recommendation',
+      recordId: `${agent.id}-${Date.now()}`,
+      summary: `${agent.name || agent.id}: ${String(userMessage).substring(0, 80)}`,
+      record: {
+        agentId: agent.id,
+        request: userMessage,
+        recommendation: responseText,
+        generatedAt: new Date().toISOString()
+      },
+      requiredMeanings: agent.signature.meanings || ['reviewed', 'approved'],
+      requestedBy
+    });
+    return this.signatureManager.describeRequest(request);
+  }
+
+  /**
+   * MCP tools exposed to an agent for the caller's role
+   * Agent YAML `tools:` lists tool names (or "all"); AGENT_TOOL_CALLING=true
+   * exposes all permitted tools to agents without a list.
+   */
+  getToolsForAgent(agent, userRole = SYSTEM_ROLE) {
+    if (!this.toolRunner) return [];
+
+    const allowList = agent.tools ?? (process.env.AGENT_TOOL_CALLING === 'true' ? 'all' : null);
+    if (!allowList) return [];
+
+    return this.toolRunner.getTools(allowList, userRole);
+  }
+
   async initializePlatform() {
     logger.info('Initializing platform engine...');
     
@@ -96,79 +222,28 @@ export class AgentManager {
   }
 
   initializeLLM() {
-    if (this.llmProvider === 'picollm') {
-      try {
-        const PicoLLM = require('@picovoice/picollm-node');
-        if (!this.picoLLMAccessKey) throw new Error('PICOVOICE_ACCESS_KEY not configured');
-        if (!fs.existsSync(this.picoLLMModelPath)) throw new Error(`Model not found: ${this.picoLLMModelPath}`);
-        
-        this.picoLLM = new PicoLLM(this.picoLLMAccessKey, this.picoLLMModelPath, {
-          temperature: this.picoLLMTemperature,
-          maxTokens: this.picoLLMMaxTokens,
-          topP: parseFloat(process.env.PICOLLM_TOP_P) || 0.9,
-          repeatPenalty: parseFloat(process.env.PICOLLM_REPEAT_PENALTY) || 1.1
-        });
-        
-        this.activeLLM = this.picoLLM;
-        logger.info(`picoLLM configured: ${this.picoLLMModelPath}`);
-        return;
-      } catch (error) {
-        logger.error(`picoLLM failed: ${error.message}`);
-        this.llmProvider = 'ollama';
-      }
+    this.activeLLM = this.llmRegistry.resolveDefault(this.llmProvider);
+    if (this.activeLLM) {
+      this.llmProvider = this.activeLLM.getName();
     }
+  }
 
-    if (this.llmProvider === 'ollama') {
-      if (this.ollamaUrl && this.ollamaModel) {
-        try {
-          this.llm = new Ollama({
-            baseUrl: this.ollamaUrl,
-            model: this.ollamaModel,
-            temperature: 0.1,
-            numCtx: 2048,
-            requestTimeout: 60000,
-            topP: 0.9,
-          });
-          this.activeLLM = this.llm;
-          logger.info(`Ollama configured: ${this.ollamaModel}`);
-          return;
-        } catch (error) {
-          logger.error(`Ollama failed: ${error.message}`);
-          this.llmProvider = 'anthropic';
-        }
-      } else {
-        this.llmProvider = 'anthropic';
-      }
-    }
+  /**
+   * Resolve the LLM provider for an agent (agent YAML `llm` block or default)
+   */
+  getLLMForAgent(agent) {
+    return this.llmRegistry.getProviderForAgent(agent, this.activeLLM);
+  }
 
-    if (this.llmProvider === 'anthropic') {
-      if (this.claudeApiKey) {
-        try {
-          if (this.useLangChain) {
-            this.llm = new ChatAnthropic({
-              apiKey: this.claudeApiKey,
-              model: this.claudeModel,
-              temperature: 0.1,
-              maxTokens: 1000
-            });
-            this.activeLLM = this.llm;
-            logger.info(`Claude via LangChain: ${this.claudeModel}`);
-          } else {
-            this.anthropic = new Anthropic({ apiKey: this.claudeApiKey });
-            this.activeLLM = this.anthropic;
-            logger.info(`Claude Direct SDK: ${this.claudeModel}`);
-          }
-          return;
-        } catch (error) {
-          logger.error(`Claude failed: ${error.message}`);
-        }
-      } else {
-        logger.error("No CLAUDE_API_KEY configured");
-      }
+  /**
+   * Generate a completion with the agent's provider
+   */
+  async generate(agent, prompt, options = {}) {
+    const provider = this.getLLMForAgent(agent);
+    if (!provider) {
+      throw new Error('No active LLM client configured');
     }
-
-    logger.error("No active LLM configured");
-    this.activeLLM = null;
+    return provider.generate(prompt, { agentId: agent?.id, ...options });
   }
 
   loadAgents(dir = "config") {
@@ -266,7 +341,7 @@ export class AgentManager {
       } else {
         baseData.oee = {
           status: "available",
-          data: oeeData,
+          data: this.oeeEngine ? oeeData.map(snapshot => this.oeeEngine.snapshotMetrics(snapshot)) : oeeData,
           timestamp: new Date().toISOString()
         };
       }
@@ -287,12 +362,20 @@ export class AgentManager {
     for (const source of agent.dataSource || []) {
       if (source === "oee_hot") {
         resolved.oee_hot = await this.dataManager.getCachedData("oee_hot", true);
+        if (this.oeeEngine && Array.isArray(resolved.oee_hot)) {
+          resolved.oee_hot = resolved.oee_hot.map(snapshot => this.oeeEngine.snapshotMetrics(snapshot));
+        }
       }
       if (source.includes("orders")) {
         resolved.orders = await this.dataManager.getCachedData("orders", false);
       }
       if (source.includes("oee_history")) {
-        resolved.oee_history = await this.dataManager.getCachedData("oee_history", false);
+        resolved.oee_history = this.oeeEngine
+          ? await this.oeeEngine.agentSummary()
+          : await this.dataManager.getCachedData("oee_history", false);
+      }
+      if (source === "oee_shift_handover" && this.oeeReports) {
+        resolved.oee_shift_handover = await this.oeeReports.shiftHandover();
       }
       if (source.includes("batches")) {
         resolved.batches = await this.dataManager.getCachedData("batches", false);
@@ -327,7 +410,10 @@ export class AgentManager {
   setupA2AWorkflows() {
     try {
       import('../workflows/ProductionWorkflow.js').then(({ ProductionWorkflow }) => {
-        this.productionWorkflow = new ProductionWorkflow(this.a2aManager);
+        this.productionWorkflow = new ProductionWorkflow(this.a2aManager, {
+          signatureManager: this.signatureManager,
+          stateStore: this.stateStore
+        });
         logger.info('ProductionWorkflow loaded');
       }).catch(error => {
         logger.warn(`ProductionWorkflow unavailable: ${error.message}`);
@@ -382,38 +468,22 @@ export class AgentManager {
   }
 
   async processAgentA2A(agent, action, data) {
-    if (!this.activeLLM) {
+    if (!this.getLLMForAgent(agent)) {
       throw new Error("No active LLM for A2A");
     }
 
     const resolvedData = await this.resolveAgentData(agent);
     const enrichedData = await this.enrichAgentDataWithOEE(agent, resolvedData);
 
-    let prompt = agent.a2aPrompts?.[action] || `${agent.promptTemplate}\n\nA2A Action: ${action}`;
-    prompt = prompt.replace('{timestamp}', new Date().toISOString())
-                   .replace('{action}', action)
-                   .replace('{data}', JSON.stringify(enrichedData, null, 2));
+    const promptTemplate = agent.a2aPrompts?.[action] || `${agent.promptTemplate}\n\nA2A Action: ${action}`;
+    const prompt = promptTemplate
+      .replace('{timestamp}', new Date().toISOString())
+      .replace('{action}', action)
+      .replace('{data}', JSON.stringify(enrichedData, null, 2));
 
-    let responseText;
-    
-    if (this.llmProvider === 'picollm' && this.picoLLM) {
-      responseText = await this.picoLLM.generate(prompt);
-    } else if (this.llmProvider === 'ollama') {
-      const response = await this.llm.invoke(prompt);
-      responseText = response.content || response;
-    } else if (this.llmProvider === 'anthropic') {
-      if (this.useLangChain) {
-        const response = await this.llm.invoke(prompt);
-        responseText = response.content || response;
-      } else {
-        const response = await this.anthropic.messages.create({
-          model: this.claudeModel,
-          max_tokens: 800,
-          messages: [{ role: "user", content: prompt }],
-        });
-        responseText = response.content[0].text;
-      }
-    }
+    // request data changes per workflow run (durations, prior results) - the order identifies it
+    const promptKey = `A2A ${action}${data?.orderId ? ` ${data.orderId}` : ''}`;
+    const responseText = await this.generate(agent, prompt, { maxTokens: 800, promptKey, promptTemplate });
     
     let structuredResult;
     try {
@@ -436,17 +506,39 @@ export class AgentManager {
     };
   }
 
+  /**
+   * Best lexical match (no LLM, no clarification handling)
+   */
   findAgent(message) {
     if (!message || typeof message !== "string") return null;
 
-    const lowerMsg = message.toLowerCase();
+    const [top] = this.router.rank(this.agents, message);
+    return top && top.score >= this.router.minScore ? top.agent : null;
+  }
+
+  /**
+   * Scored routing decision for a chat message, recorded in the audit log
+   * @returns {Promise<Object>} See AgentRouter.route()
+   */
+  async routeMessage(message, options = {}) {
+    if (!message || typeof message !== "string") {
+      return { agent: null, agentId: null, confidence: 0, method: 'lexical', needsClarification: false, clarification: null, ranked: [] };
+    }
+
+    const decision = await this.router.route(this.agents, message, options);
 
-    return this.agents.find((a) => {
-      if (Array.isArray(a.trigger)) {
-        return a.trigger.some(t => t.toLowerCase() === lowerMsg || lowerMsg.includes(t.toLowerCase()));
-      }
-      return a.trigger.toLowerCase() === lowerMsg || lowerMsg.includes(a.trigger.toLowerCase());
+    logger.info(`Routing: ${decision.agentId || (decision.needsClarification ? 'clarification' : 'generic')} ` +
+      `(confidence ${decision.confidence}, ${decision.method})`);
+
+    this.auditLogger.logRoutingDecision?.(message, {
+      selected: decision.agentId,
+      confidence: decision.confidence,
+      method: decision.method,
+      needsClarification: decision.needsClarification,
+      candidates: decision.ranked.slice(0, 3)
     });
+
+    return decision;
   }
 
   replacePlaceholders(template, data) {
@@ -454,25 +546,44 @@ export class AgentManager {
 
     for (const [key, value] of Object.entries(data)) {
       const regex = new RegExp(`\\{data.${key}\\}`, "g");
-      output = output.replace(regex, Array.isArray(value) ? JSON.stringify(value, null, 2) : String(value));
+      output = output.replace(regex, value !== null && typeof value === "object" ? JSON.stringify(value, null, 2) : String(value));
     }
 
     output = output.replace("{data}", JSON.stringify(data, null, 2));
     return output;
   }
 
-  async processAgent(agent, userMessage, isAutoTriggered = false) {
+  /**
+   * Run an agent against a user message
+   * Pass options.onDelta to stream the answer; each chunk is also published
+   * as an `agent/response.delta` event for the /events stream.
+   * Pass options.sessionId to include prior chat turns and record this one.
+   * Agents with tools run a tool-calling loop as options.user (or
+   * options.userRole / userId), runs without a caller as SYSTEM_ROLE;
+   * options.onToolCalls receives the calls made; their answer arrives as one delta.
+   */
+  async processAgent(agent, userMessage, isAutoTriggered = false, options = {}) {
+    // Event-driven and A2A calls run without a user; user calls must pass rolesAllowed
+    if (options.user && this.accessControl) {
+      this.accessControl.authorizeAgent(options.user, agent, { agentId: agent.id, source: options.source || 'agent' });
+    }
+    // a session id of another user must not expose or extend that conversation
+    if (options.sessionId && options.user) {
+      this.sessionManager.assertOwner(options.sessionId, SessionManager.ownerOf(options.user));
+    }
+
     if (!this.rateLimiter.canMakeCall(agent.id)) {
       const status = this.rateLimiter.getStatus();
       return `Rate limit exceeded. ${status.callsInWindow}/${status.maxCalls} calls used.`;
     }
 
-    if (!this.activeLLM) {
+    const provider = this.getLLMForAgent(agent);
+    if (!provider) {
       return "No active LLM client configured.";
     }
 
     this.totalApiCalls++;
-    logger.info(`API Call #${this.totalApiCalls} - Agent: ${agent.id} (LLM: ${this.llmProvider.toUpperCase()})`);
+    logger.info(`API Call #${this.totalApiCalls} - Agent: ${agent.id} (LLM: ${provider.getName().toUpperCase()})`);
 
     const baseData = this.dataManager.getMockDataForAgent(agent);
     const enrichedData = await this.enrichAgentDataWithOEE(agent, baseData);
@@ -489,30 +600,42 @@ export class AgentManager {
     }
 
     try {
-      let responseText;
+      // promptKey: the request without the live data and time in the prompt (replay fixtures)
+      const generateOptions = {
+        agentId: agent.id,
+        maxTokens: 2000,
+        promptKey: safeUserMessage,
+        promptTemplate,
+        ...this.getSessionContext(options.sessionId)
+      };
+      const userRole = options.user?.roles || options.userRole || SYSTEM_ROLE;
+      const tools = provider.supportsTools() ? this.getToolsForAgent(agent, userRole) : [];
 
-      if (this.llmProvider === 'picollm' && this.picoLLM) {
-        responseText = await this.picoLLM.generate(prompt);
-      } else if (this.llmProvider === 'ollama') {
-        if (!this.llm) throw new Error('Ollama LLM not initialized');
-        const response = await this.llm.invoke(prompt);
-        responseText = response.content || response;
-      } else if (this.llmProvider === 'anthropic') {
-        if (this.useLangChain) {
-          if (!this.llm) throw new Error('LangChain Anthropic not initialized');
-          const response = await this.llm.invoke(prompt);
-          responseText = response.content || response;
-        } else {
-          if (!this.anthropic) throw new Error('Anthropic SDK not initialized');
-          const response = await this.anthropic.messages.create({
-            model: this.claudeModel,
-            max_tokens: 2000,
-            messages: [{ role: "user", content: prompt }],
-          });
-          responseText = response.content[0].text;
+      let responseText;
+      if (tools.length) {
+        const result = await this.toolRunner.run({
+          provider,
+          prompt,
+          tools,
+          generateOptions,
+          agentId: agent.id,
+          userRole,
+          userId: options.user?.id || options.userId || 'system'
+        });
+        responseText = result.text;
+        options.onToolCalls?.(result.toolCalls);
+        // the tool loop answers at once: one delta, same events as a streamed answer
+        if (options.onDelta) {
+          await this.relayDeltas([responseText], agent.id, options);
         }
+      } else if (options.onDelta) {
+        responseText = await this.streamCompletion(provider, prompt, generateOptions, options);
       } else {
-        throw new Error(`Unknown LLM provider: ${this.llmProvider}`);
+        responseText = await provider.generate(prompt, generateOptions);
+      }
+
+      if (options.sessionId) {
+        await this.sessionManager.addExchange(options.sessionId, safeUserMessage, responseText, agent.id, this.sessionOwnerOf(options));
       }
 
       if (this.auditLogger.logAgentExecution) {
@@ -531,6 +654,87 @@ export class AgentManager {
     }
   }
 
+  /**
+   * Prior turns of a chat session as generate() options
+   */
+  getSessionContext(sessionId) {
+    if (!sessionId) return {};
+    return this.sessionManager.getContext(sessionId);
+  }
+
+  /**
+   * Owner of the chat session of a call; undefined for internal calls without a user
+   */
+  sessionOwnerOf(options = {}) {
+    return options.user ? SessionManager.ownerOf(options.user) : undefined;
+  }
+
+  /**
+   * Condense older session turns so follow-ups stay within the token budget
+   */
+  async summarizeTurns(turns, previousSummary) {
+    if (!this.activeLLM) return null;
+
+    const transcript = turns
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`)
+      .join('\n\n');
+
+    const prompt = `Summarize this pharmaceutical manufacturing chat for later follow-up questions.
+Keep order numbers, line ids, batch ids, materials, figures and decisions. Max 8 bullet points.
+${previousSummary ? `\nEarlier summary:\n${previousSummary}\n` : ''}
+Conversation:
+${transcript}`;
+
+    return this.activeLLM.generate(prompt, { agentId: 'session-summary', maxTokens: 300 });
+  }
+
+  /**
+   * Stream a completion, forwarding deltas to the caller and the event bus
+   * @returns {Promise<string>} Full response text
+   */
+  async streamCompletion(provider, prompt, generateOptions, options = {}) {
+    return this.relayDeltas(provider.stream(prompt, generateOptions), generateOptions.agentId, options);
+  }
+
+  /**
+   * Forward text chunks as agent/response.delta events and to onDelta
+   * @param {AsyncIterable<string>|Iterable<string>} chunks
+   * @returns {Promise<string>} Full response text
+   */
+  async relayDeltas(chunks, agentId, { onDelta, streamId, user } = {}) {
+    // /events delivers the deltas to this user only
+    const userId = SessionManager.ownerOf(user);
+    const id = streamId || `stream-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let responseText = '';
+    let index = 0;
+
+    for await (const delta of chunks) {
+      if (!delta) continue;
+      responseText += delta;
+
+      this.eventBusManager?.emit?.('agent/response.delta', {
+        streamId: id,
+        agentId,
+        userId,
+        index: index++,
+        delta,
+        timestamp: new Date().toISOString()
+      });
+      onDelta?.(delta);
+    }
+
+    this.eventBusManager?.emit?.('agent/response.completed', {
+      streamId: id,
+      agentId,
+      userId,
+      chunks: index,
+      length: responseText.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return responseText;
+  }
+
   async publishEventsWithControl(agent, userMessage, responseText) {
     logger.info(`Events DISABLED - Using A2A workflows for: ${agent.id}`);
     
@@ -570,7 +774,9 @@ export class AgentManager {
     const oeeStats = {
       oeeIntegrationEnabled: this.oeeIntegrationEnabled,
       oeeEnabledAgents: this.agents.filter(a => a.oeeEnabled).length,
-      llmProvider: this.llmProvider.toUpperCase()
+      llmProvider: this.llmProvider.toUpperCase(),
+      llmProviders: this.llmRegistry.getStatus(),
+      chatSessions: this.sessionManager.getStats()
     };
 
     return {
@@ -616,54 +822,35 @@ export class AgentManager {
     }
   }
 
-  async processGenericQuery(userMessage) {
+  async processGenericQuery(userMessage, options = {}) {
     if (!this.activeLLM) {
       return "No LLM client configured for generic queries.";
     }
+    if (options.sessionId && options.user) {
+      this.sessionManager.assertOwner(options.sessionId, SessionManager.ownerOf(options.user));
+    }
 
     try {
       const correlatedData = await this.dataManager.getCorrelatedData();
 
-      const constrainedPrompt = `You are a pharmaceutical manufacturing AI assistant.
-
-CRITICAL CONSTRAINT: You may ONLY use the data provided below.
-
-User Query: ${userMessage}
-
-Available System Data:
-${JSON.stringify(correlatedData, null, 2)}
-
-Instructions:
-- Answer ONLY based on the provided data
-- If information is missing, state "Not available in system data"
-- Focus on pharmaceutical manufacturing context
-
-Current Time: ${new Date().toISOString()}`;
-
-      let responseText;
+      const constrainedPrompt = GENERIC_PROMPT_TEMPLATE
+        .replace('{userMessage}', () => userMessage)
+        .replace('{data}', () => JSON.stringify(correlatedData, null, 2))
+        .replace('{timestamp}', () => new Date().toISOString());
+
+      const generateOptions = {
+        agentId: 'generic',
+        maxTokens: 600,
+        promptKey: userMessage,
+        promptTemplate: GENERIC_PROMPT_TEMPLATE,
+        ...this.getSessionContext(options.sessionId)
+      };
+      const responseText = options.onDelta
+        ? await this.streamCompletion(this.activeLLM, constrainedPrompt, generateOptions, options)
+        : await this.activeLLM.generate(constrainedPrompt, generateOptions);
 
-      if (this.llmProvider === 'picollm' && this.picoLLM) {
-        responseText = await this.picoLLM.generate(constrainedPrompt);
-      } else if (this.llmProvider === 'ollama') {
-        if (!this.llm) throw new Error('Ollama LLM not initialized');
-        const response = await this.llm.invoke(constrainedPrompt);
-        responseText = response.content || response;
-      } else if (this.llmProvider === 'anthropic') {
-        if (this.useLangChain) {
-          if (!this.llm) throw new Error('LangChain Anthropic not initialized');
-          const response = await this.llm.invoke(constrainedPrompt);
-          responseText = response.content || response;
-        } else {
-          if (!this.anthropic) throw new Error('Anthropic SDK not initialized');
-          const response = await this.anthropic.messages.create({
-            model: this.claudeModel,
-            max_tokens: 600,
-            messages: [{ role: "user", content: constrainedPrompt }],
-          });
-          responseText = response.content[0].text;
-        }
-      } else {
-        throw new Error(`Unknown LLM provider: ${this.llmProvider}`);
+      if (options.sessionId) {
+        await this.sessionManager.addExchange(options.sessionId, userMessage, responseText, 'generic', this.sessionOwnerOf(options));
       }
 
       this.totalApiCalls++;
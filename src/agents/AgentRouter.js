@@ -0,0 +1,254 @@
+/**
+ * ========================================================================
+ * AGENT ROUTER - SCORED AGENT SELECTION
+ * ========================================================================
+ *
+ * Replaces first-substring-wins trigger matching. Every agent is scored
+ * on its triggers, keywords and description (plus an optional LLM
+ * classification) and the ranked list decides which agent answers.
+ *
+ * Scoring (0..1 per signal):
+ * - trigger:     exact match = 1, contained phrase weighted by specificity
+ *                (multi-word triggers beat single words like "oee")
+ * - keywords:    share of agent keywords found in the message (keywords
+ *                that repeat a trigger are not counted twice)
+ * - description: overlap between message terms and the description
+ * - llm:         classifier score (only when ROUTER_USE_LLM=true)
+ * - session:     prior for the agent that answered the previous turn of
+ *                the chat session, so follow-ups ("and what about
+ *                LINE-02?") stay with it unless another agent clearly fits
+ *
+ * When the top two agents are within ROUTER_CLARIFY_MARGIN the router
+ * asks the user to clarify instead of guessing.
+ *
+ * Environment defaults:
+ *  - ROUTER_USE_LLM          (default: false)
+ *  - ROUTER_MIN_SCORE        (default: 0.15, below -> generic query)
+ *  - ROUTER_CLARIFY_MARGIN   (default: 0.12)
+ *  - ROUTER_SESSION_PRIOR    (default: 0.25, added to the previous agent's score)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import logger from '../utils/logger.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'is', 'are',
+  'was', 'be', 'it', 'this', 'that', 'what', 'which', 'how', 'show', 'me', 'please', 'can', 'you',
+  'we', 'our', 'my', 'do', 'does', 'give', 'about', 'all', 'any', 'from', 'should', 'i', 'provide',
+  'including', 'per'
+]);
+
+const LEXICAL_WEIGHTS = { trigger: 0.4, keywords: 0.4, description: 0.2 };
+const LLM_WEIGHT = 0.5;
+
+export class AgentRouter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getLLM - () => LLMProvider used for classification
+   */
+  constructor(options = {}) {
+    this.getLLM = options.getLLM || (() => null);
+    this.useLLM = options.useLLM ?? process.env.ROUTER_USE_LLM === 'true';
+    this.minScore = options.minScore ?? (parseFloat(process.env.ROUTER_MIN_SCORE) || 0.15);
+    this.clarifyMargin = options.clarifyMargin ?? (parseFloat(process.env.ROUTER_CLARIFY_MARGIN) || 0.12);
+    this.sessionPrior = options.sessionPrior ?? (parseFloat(process.env.ROUTER_SESSION_PRIOR) || 0.25);
+  }
+
+  /**
+   * Lowercase, split on non-alphanumerics, drop stopwords, naive plural stem
+   */
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9äöüß-]+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      .map(token => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token));
+  }
+
+  static containsPhrase(messageTokens, phraseTokens) {
+    if (!phraseTokens.length || phraseTokens.length > messageTokens.length) return false;
+    for (let i = 0; i <= messageTokens.length - phraseTokens.length; i++) {
+      if (phraseTokens.every((token, j) => messageTokens[i + j] === token)) return true;
+    }
+    return false;
+  }
+
+  scoreTrigger(agent, message, messageTokens) {
+    const triggers = Array.isArray(agent.trigger) ? agent.trigger : [agent.trigger].filter(Boolean);
+    const lowerMsg = message.toLowerCase().trim();
+    let best = 0;
+
+    for (const trigger of triggers) {
+      const lowerTrigger = String(trigger).toLowerCase().trim();
+      if (lowerTrigger === lowerMsg) return 1;
+
+      const triggerTokens = AgentRouter.tokenize(lowerTrigger);
+      if (AgentRouter.containsPhrase(messageTokens, triggerTokens)) {
+        best = Math.max(best, 0.4 + 0.55 * Math.min(1, triggerTokens.length / 3));
+      } else if (triggerTokens.length) {
+        const overlap = triggerTokens.filter(token => messageTokens.includes(token)).length;
+        best = Math.max(best, 0.3 * (overlap / triggerTokens.length));
+      }
+    }
+    return best;
+  }
+
+  scoreKeywords(agent, messageTokens) {
+    const triggers = new Set((Array.isArray(agent.trigger) ? agent.trigger : [agent.trigger])
+      .map(trigger => AgentRouter.tokenize(trigger).join(' ')));
+    const keywords = (agent.keywords || []).filter(keyword => !triggers.has(AgentRouter.tokenize(keyword).join(' ')));
+    if (!keywords.length) return 0;
+
+    const matches = keywords.filter(keyword =>
+      AgentRouter.containsPhrase(messageTokens, AgentRouter.tokenize(keyword))
+    ).length;
+    return Math.min(1, matches / 2);
+  }
+
+  scoreDescription(agent, messageTokens) {
+    const descriptionTokens = new Set(AgentRouter.tokenize(`${agent.name || ''} ${agent.description || ''}`));
+    const overlap = new Set(messageTokens.filter(token => descriptionTokens.has(token))).size;
+    return Math.min(1, overlap / 3);
+  }
+
+  /**
+   * Lexical ranking of all agents, best first
+   * @returns {Array<{agent, agentId, score, signals}>}
+   */
+  rank(agents, message) {
+    const messageTokens = AgentRouter.tokenize(message);
+
+    return agents
+      .map(agent => {
+        const signals = {
+          trigger: this.scoreTrigger(agent, message, messageTokens),
+          keywords: this.scoreKeywords(agent, messageTokens),
+          description: this.scoreDescription(agent, messageTokens)
+        };
+        const score = signals.trigger === 1 ? 1 : Object.entries(LEXICAL_WEIGHTS)
+          .reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+
+        return { agent, agentId: agent.id, score: round(score), signals: roundAll(signals) };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Ask the LLM to score each agent for the message
+   * @returns {Promise<Object|null>} agentId -> 0..1, null on failure
+   */
+  async classifyWithLLM(agents, message) {
+    const llm = this.getLLM();
+    if (!llm) return null;
+
+    const catalog = agents
+      .map(agent => `- ${agent.id}: ${agent.description || agent.name || ''}`)
+      .join('\n');
+
+    const prompt = `Route a pharmaceutical manufacturing request to the best agent.
+
+Agents:
+${catalog}
+
+Request: "${message}"
+
+Reply with JSON only, mapping every agent id to a relevance score between 0 and 1.
+Example: {"oeeAgent": 0.8, "qualityAgent": 0.1}`;
+
+    try {
+      const text = await llm.generate(prompt, { agentId: 'router', maxTokens: 200, temperature: 0 });
+      const match = String(text).match(/\{[\s\S]*\}/);
+      if (!match) return null;
+
+      const parsed = JSON.parse(match[0]);
+      const scores = {};
+      agents.forEach(agent => {
+        const value = parseFloat(parsed[agent.id]);
+        scores[agent.id] = Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+      });
+      return scores;
+    } catch (error) {
+      logger.warn(`LLM routing failed, using lexical scores: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Full routing decision
+   * @param {Object} options - { useLLM, previousAgentId } (previousAgentId: agent of the session's last turn)
+   * @returns {Promise<Object>} { agent, agentId, confidence, method, needsClarification, clarification, ranked }
+   */
+  async route(agents, message, options = {}) {
+    let ranked = this.rank(agents, message);
+    let method = 'lexical';
+
+    const exactMatch = ranked[0]?.signals.trigger === 1;
+    if ((options.useLLM ?? this.useLLM) && !exactMatch && agents.length > 1) {
+      const llmScores = await this.classifyWithLLM(agents, message);
+      if (llmScores) {
+        method = 'hybrid';
+        ranked = ranked
+          .map(entry => ({
+            ...entry,
+            score: round((1 - LLM_WEIGHT) * entry.score + LLM_WEIGHT * llmScores[entry.agentId]),
+            signals: { ...entry.signals, llm: round(llmScores[entry.agentId]) }
+          }))
+          .sort((a, b) => b.score - a.score);
+      }
+    }
+
+    // follow-ups stay with the session's last agent unless another one clearly fits
+    const previous = !exactMatch && options.previousAgentId && ranked.find(entry => entry.agentId === options.previousAgentId);
+    if (previous && this.sessionPrior > 0) {
+      ranked = ranked
+        .map(entry => (entry === previous
+          ? { ...entry, score: round(Math.min(1, entry.score + this.sessionPrior)), signals: { ...entry.signals, session: round(this.sessionPrior) } }
+          : entry))
+        .sort((a, b) => b.score - a.score);
+    }
+
+    const [top, second] = ranked;
+    const matched = !!top && top.score >= this.minScore;
+    const needsClarification = matched && !exactMatch && !!second &&
+      second.score >= this.minScore && top.score - second.score < this.clarifyMargin;
+
+    const decision = {
+      agent: matched && !needsClarification ? top.agent : null,
+      agentId: matched && !needsClarification ? top.agentId : null,
+      confidence: matched ? top.score : 0,
+      method,
+      needsClarification,
+      clarification: null,
+      ranked: ranked.map(({ agentId, score, signals }) => ({ agentId, score, signals }))
+    };
+
+    if (needsClarification) {
+      const tied = ranked.filter(entry => top.score - entry.score < this.clarifyMargin);
+      decision.clarification = {
+        options: tied.map(entry => entry.agentId),
+        message: this.buildClarificationMessage(tied)
+      };
+    }
+
+    return decision;
+  }
+
+  buildClarificationMessage(candidates) {
+    const lines = candidates.map(({ agent }) => `- **${agent.name || agent.id}**: ${agent.description || ''}`);
+    return `Your request matches several agents equally well:\n\n${lines.join('\n')}\n\n` +
+      'Please clarify which area you mean, for example by naming the agent or adding more detail.';
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function roundAll(signals) {
+  return Object.fromEntries(Object.entries(signals).map(([key, value]) => [key, round(value)]));
+}
+
+export default AgentRouter;
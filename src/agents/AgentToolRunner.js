@@ -0,0 +1,130 @@
+/**
+ * ========================================================================
+ * AGENT TOOL RUNNER - LLM TOOL-CALLING LOOP
+ * ========================================================================
+ *
+ * Lets an agent call MCP tools while it answers. The registered tools'
+ * inputSchema is passed to the provider's native tool-use API; every
+ * requested call is executed through MCPToolRegistry.executeTool() with
+ * the caller's role, and the results are fed back until the model
+ * returns a final answer.
+ *
+ * Features:
+ * - Provider-neutral message format (see LLMProvider.generateWithTools)
+ * - Only tools offered to the model for this run are executed; other
+ *   names (hallucinated or injected) get an error result
+ * - Role permissions and rate limits enforced by MCPToolRegistry
+ * - Every tool call recorded in the audit trail
+ * - Iteration cap; the last turn is forced to answer without tools
+ *
+ * Environment defaults:
+ *  - AGENT_TOOL_MAX_ITERATIONS     (default: 5)
+ *  - AGENT_TOOL_RESULT_MAX_CHARS   (default: 8000)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import logger from '../utils/logger.js';
+
+export class AgentToolRunner {
+  constructor({ toolRegistry, auditLogger, eventBusManager }) {
+    this.toolRegistry = toolRegistry;
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+    this.maxIterations = parseInt(process.env.AGENT_TOOL_MAX_ITERATIONS) || 5;
+    this.maxResultChars = parseInt(process.env.AGENT_TOOL_RESULT_MAX_CHARS) || 8000;
+  }
+
+  /**
+   * Tools the role may use, optionally narrowed to an agent's `tools` list
+   * @param {string[]|string|undefined} allowList - Tool names, or "all"
+   */
+  getTools(allowList, userRole) {
+    const permitted = this.toolRegistry.listTools(userRole);
+    const tools = allowList === 'all'
+      ? permitted
+      : permitted.filter(tool => Array.isArray(allowList) && allowList.includes(tool.name));
+
+    return tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+
+  /**
+   * Run the tool loop until the model answers without tool calls
+   * @returns {Promise<{text: string, toolCalls: Array, iterations: number}>}
+   */
+  async run({ provider, prompt, tools, generateOptions = {}, agentId, userRole, userId }) {
+    const messages = provider.buildMessages(prompt, generateOptions);
+    const toolCalls = [];
+    const offered = new Set(tools.map(tool => tool.name));
+
+    for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+      const isLast = iteration === this.maxIterations;
+      const result = await provider.generateWithTools(messages, tools, {
+        ...generateOptions,
+        ...(isLast && { toolChoice: 'none' })
+      });
+
+      if (!result.toolCalls.length || isLast) {
+        logger.info(`Agent ${agentId} answered after ${iteration} turn(s), ${toolCalls.length} tool call(s)`);
+        return { text: result.text, toolCalls, iterations: iteration };
+      }
+
+      messages.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+
+      for (const call of result.toolCalls) {
+        const record = await this.executeCall(call, { agentId, userRole, userId, iteration, offered });
+        toolCalls.push(record.summary);
+        messages.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: record.content,
+          isError: !record.summary.success
+        });
+      }
+    }
+  }
+
+  /**
+   * @param {Set<string>} offered - Tool names passed to the provider (agent
+   *   `tools` list narrowed to the role); anything else is refused
+   */
+  async executeCall(call, { agentId, userRole, userId, iteration, offered }) {
+    const startTime = Date.now();
+    let content;
+    let error = null;
+
+    try {
+      if (!offered.has(call.name)) {
+        throw new Error(`Tool ${call.name} is not available to agent ${agentId}`);
+      }
+      const execution = await this.toolRegistry.executeTool(call.name, call.input || {}, userRole, userId);
+      content = JSON.stringify(execution.result ?? null);
+      if (content.length > this.maxResultChars) {
+        content = `${content.substring(0, this.maxResultChars)}... [truncated]`;
+      }
+    } catch (err) {
+      error = err.message;
+      content = `Error: ${err.message}`;
+      logger.warn(`Tool ${call.name} failed for agent ${agentId}: ${err.message}`);
+    }
+
+    const summary = {
+      tool: call.name,
+      input: call.input,
+      success: !error,
+      error,
+      executionTime: Date.now() - startTime,
+      iteration
+    };
+
+    this.auditLogger?.logToolUsage?.(call.name, { agentId, userId, userRole, ...summary });
+    this.eventBusManager?.emit?.('agent/tool_call', { agentId, ...summary, timestamp: new Date().toISOString() });
+
+    return { content, summary };
+  }
+}
+
+export default AgentToolRunner;
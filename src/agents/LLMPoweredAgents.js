@@ -53,9 +53,15 @@ export class WhatIfAnalyzer {
     this.agentManager = agentManager;
     this.agentEnhancer = agentEnhancer;
     this.platformEngine = null;
+    this.scenarioSimulator = null;
     logger.info('What-If Analyzer initialized');
   }
 
+  setScenarioSimulator(scenarioSimulator) {
+    this.scenarioSimulator = scenarioSimulator;
+    logger.info('What-If Analyzer linked to Scenario Simulator');
+  }
+
   setPlatformEngine(platformEngine) {
     this.platformEngine = platformEngine;
     logger.info('What-If Analyzer linked to Platform Engine');
@@ -255,6 +261,103 @@ createWhatIfPromptWithData(message, agentType, enrichedData) {
 
 }
 
+  // ======================================================================
+  // SIMULATED SCENARIOS - NARRATIVE ON TOP OF COMPUTED KPIS
+  // ======================================================================
+
+  /**
+   * Narrate a simulated scenario; the narrative must cite the KPI ids it uses.
+   * A narrative that fails the citation check is flagged: `flagged` and
+   * `warning` are set and the failure is audited.
+   * @param {Object} scenario - Saved scenario with result (ScenarioSimulator)
+   * @param {Object} options - { user } caller; the narrator runs with their roles
+   */
+  async narrateScenario(scenario, message = '', { user = null } = {}) {
+    const narratorId = this.platformEngine?.getBehaviorSetting('whatIfAnalysis.narratorAgent', 'productionPlanningAgent') || 'productionPlanningAgent';
+    const agent = this.agentManager.agents.find(a => a.id === narratorId) || this.agentManager.agents[0];
+    if (!agent) throw new Error('No agent available for the scenario narrative');
+
+    logger.info(`What-If narrative for scenario ${scenario.id} by ${agent.id}`);
+    const narrative = await this.agentManager.processAgent(agent, this.createScenarioPrompt(scenario, message), false, {
+      ...(user && { user }),
+      source: 'whatif'
+    });
+    const citations = this.checkCitations(narrative, scenario.result.kpis);
+    let warning = null;
+    if (!citations.passed) {
+      warning = citations.unknown.length
+        ? `Unverified narrative: it cites figures that were not simulated (${citations.unknown.join(', ')}). Use the KPI table.`
+        : 'Unverified narrative: it cites none of the simulated KPIs. Use the KPI table.';
+      logger.warn(`What-If narrative for ${scenario.id} failed the citation check: ${JSON.stringify(citations)}`);
+      this.agentManager.auditLogger?.appendAudit?.({
+        type: 'scenario_narrative_flagged',
+        scenarioId: scenario.id,
+        narrator: agent.id,
+        unknown: citations.unknown,
+        userId: user?.id || 'system'
+      });
+    }
+
+    return {
+      scenarioId: scenario.id,
+      narrator: agent.id,
+      narrative,
+      flagged: !citations.passed,
+      warning,
+      citations,
+      kpis: scenario.result.kpis,
+      orders: scenario.result.orders
+    };
+  }
+
+  createScenarioPrompt(scenario, message) {
+    const rows = scenario.result.kpis
+      .map(kpi => `| ${kpi.id} | ${kpi.label} | ${kpi.before ?? '-'} | ${kpi.after ?? '-'} | ${kpi.delta ?? '-'} | ${kpi.unit} | ${kpi.impact} |`)
+      .join('\n');
+    const orders = scenario.result.orders
+      .map(order => `- ${order.orderId}: end ${order.endBefore} -> ${order.endAfter} (${order.endShiftHours ?? '-'} h), late ${order.lateBefore} -> ${order.lateAfter}, ` +
+        `shortage ${order.shortBefore} -> ${order.shortAfter}, release ${order.releaseBefore ?? '-'} -> ${order.releaseAfter ?? '-'}`)
+      .join('\n');
+
+    return `WHAT-IF SCENARIO (SIMULATED): ${scenario.name}
+${scenario.description || ''}
+${message ? `Question: ${message}\n` : ''}
+Changes: ${JSON.stringify(scenario.changes)}
+Simulation start: ${scenario.startAt}
+
+The figures below were computed by the scheduler, material availability,
+OEE projection and release engine. They are the only figures you may use.
+
+| KPI id | KPI | Before | After | Delta | Unit | Impact |
+|--------|-----|--------|-------|-------|------|--------|
+${rows}
+
+Affected orders:
+${orders || '- none'}
+
+INSTRUCTIONS:
+- Explain the impact of the scenario and recommend actions.
+- Cite every figure with its KPI id in square brackets, e.g. "3 orders late [schedule.late_orders]".
+- Do not compute, estimate or invent figures that are not in the table.`;
+  }
+
+  /**
+   * KPI ids cited as [kpi.id]; passes with at least one citation and no unknown id
+   */
+  checkCitations(narrative, kpis) {
+    const known = new Set(kpis.map(kpi => kpi.id));
+    const cited = [...new Set([...String(narrative || '').matchAll(/\[([a-z]+(?:\.[\w-]+)+)\]/gi)].map(match => match[1]))];
+    const unknown = cited.filter(id => !known.has(id));
+    const changed = kpis.filter(kpi => kpi.impact !== 'none').map(kpi => kpi.id);
+
+    return {
+      passed: cited.length > 0 && unknown.length === 0,
+      cited: cited.filter(id => known.has(id)),
+      unknown,
+      uncitedChanges: changed.filter(id => !cited.includes(id))
+    };
+  }
+
   synthesizeAnalyses(message, scenario, analyses) {
     logger.debug('Synthesizing analyses from multiple agents');
     
@@ -316,7 +419,7 @@ export function enhanceServerWithAgentTypes(app, agentManager) {
   return enhancer;
 }
 
-export function enhanceServerWithWhatIf(app, agentManager, agentEnhancer) {
+export function enhanceServerWithWhatIf(app, agentManager, agentEnhancer, { scenarioSimulator = null } = {}) {
   logger.info('Installing What-If analysis capabilities...');
   
   const whatIfAnalyzer = new WhatIfAnalyzer(agentManager, agentEnhancer);
@@ -325,11 +428,35 @@ export function enhanceServerWithWhatIf(app, agentManager, agentEnhancer) {
     whatIfAnalyzer.setPlatformEngine(agentManager.platformEngine);
   }
 
+  if (scenarioSimulator) {
+    whatIfAnalyzer.setScenarioSimulator(scenarioSimulator);
+  }
+
   app.post('/api/chat/whatif', async (req, res) => {
     const startTime = Date.now();
     
     try {
-      const { message } = req.body;
+      const { message, scenarioId, scenario } = req.body;
+
+      // Simulated scenario: computed KPIs first, the narrative cites them
+      if (scenarioId || scenario) {
+        if (!whatIfAnalyzer.scenarioSimulator) {
+          return res.status(503).json({ error: 'Scenario simulation not available' });
+        }
+        const simulated = scenarioId
+          ? whatIfAnalyzer.scenarioSimulator.get(scenarioId)
+          : await whatIfAnalyzer.scenarioSimulator.create({ name: message || 'What-if', ...scenario }, { userId: req.user?.id || 'anonymous' });
+        const result = await whatIfAnalyzer.narrateScenario(simulated, message, { user: req.user });
+
+        return res.json({
+          success: true,
+          // a flagged narrative is shown behind its warning, never on its own
+          response: result.flagged ? `> ⚠️ ${result.warning}\n\n${result.narrative}` : result.narrative,
+          ...result,
+          duration: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        });
+      }
       
       if (!message) {
         return res.status(400).json({ error: 'Message is required' });
@@ -351,7 +478,7 @@ res.json({
       const duration = Date.now() - startTime;
       logger.error(`What-If API error: ${error.message}`);
       
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         error: error.message,
         duration
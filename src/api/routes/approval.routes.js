@@ -0,0 +1,50 @@
+// src/api/routes/approval.routes.js
+import express from "express";
+
+export function createApprovalRoutes(approvalManager) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/approvals?status=open|pending|escalated|approved|rejected|expired|withdrawn|all - Freigaben
+  router.get("/", (req, res) => {
+    const approvals = approvalManager.list(req.query.status || "open");
+    res.json({ count: approvals.length, approvals });
+  });
+
+  // GET /api/approvals/:approvalId - Einzelne Freigabe
+  router.get("/:approvalId", (req, res) => {
+    try {
+      res.json(approvalManager.describe(approvalManager.getOrThrow(req.params.approvalId)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/approvals/:approvalId/approve - Freigeben (Rolle laut Workflow-Schritt)
+  // Body: { comment }
+  router.post("/:approvalId/approve", (req, res) => {
+    try {
+      const approval = approvalManager.decide(req.params.approvalId, { decision: "approved", comment: req.body?.comment, user: req.user });
+      res.json(approvalManager.describe(approval));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/approvals/:approvalId/reject - Ablehnen, Kommentar erforderlich
+  // Body: { comment }
+  router.post("/:approvalId/reject", (req, res) => {
+    try {
+      const approval = approvalManager.decide(req.params.approvalId, { decision: "rejected", comment: req.body?.comment, user: req.user });
+      res.json(approvalManager.describe(approval));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createApprovalRoutes;
@@ -25,6 +25,39 @@ export function createAuditRoutes(auditLogger) {
     }
   });
 
+  // GET /api/audit/verify - Hash-Chain prüfen, erster Bruch wird gemeldet
+  router.get("/verify", (req, res) => {
+    try {
+      const result = auditLogger.verifyChain();
+      res.status(result.valid ? 200 : 409).json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // GET /api/audit/checkpoints - Signierte Checkpoints
+  router.get("/checkpoints", (req, res) => {
+    try {
+      const checkpoints = auditLogger.getCheckpoints();
+      res.json({ count: checkpoints.length, checkpoints });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // POST /api/audit/checkpoint - Checkpoint manuell setzen
+  router.post("/checkpoint", (req, res) => {
+    try {
+      const checkpoint = auditLogger.createCheckpoint("manual");
+      if (!checkpoint) {
+        return res.status(409).json({ error: "Audit log is empty" });
+      }
+      res.status(201).json({ checkpoint });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // GET /api/audit/chat-history - Chat-Verlauf aus Audit Logs
   router.get("/chat-history", (req, res) => {
     try {
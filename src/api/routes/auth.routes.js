@@ -0,0 +1,114 @@
+// src/api/routes/auth.routes.js
+import express from "express";
+import { SESSION_COOKIE } from "../../auth/AuthService.js";
+
+export function createAuthRoutes(authService, accessControl) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  const manageKeys = accessControl.requirePermission("auth:apikeys:manage");
+  const manageSessions = accessControl.requirePermission("auth:sessions:manage");
+
+  // GET /api/auth/strategies - Verfügbare Anmeldeverfahren
+  router.get("/strategies", (req, res) => {
+    res.json({ strategies: authService.listStrategies() });
+  });
+
+  // POST /api/auth/login - Anmeldung, liefert JWT und setzt Session-Cookie
+  // Body: { strategy: "local", username, password } | { strategy: "oidc", idToken }
+  router.post("/login", async (req, res) => {
+    try {
+      const { strategy = "local", ...credentials } = req.body || {};
+      const session = await authService.login(strategy, credentials, { ip: req.ip });
+
+      res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: "strict",
+        secure: process.env.NODE_ENV === "production",
+        maxAge: Date.parse(session.expiresAt) - Date.now()
+      });
+      res.json(session);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/auth/logout - Session widerrufen
+  router.post("/logout", (req, res) => {
+    const loggedOut = req.user?.sessionId ? authService.logout(req.user.sessionId) : false;
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: loggedOut });
+  });
+
+  // GET /api/auth/me - Aktuelle Identität und effektive Rollen
+  router.get("/me", (req, res) => {
+    const user = req.user || accessControl.anonymousIdentity();
+    res.json({
+      user,
+      effectiveRoles: accessControl.resolveRoles(user),
+      permissions: accessControl.getPermissions(user)
+    });
+  });
+
+  // GET /api/auth/roles - Rollendefinitionen (roles.yaml)
+  router.get("/roles", (req, res) => {
+    res.json({ roles: accessControl.describeRoles() });
+  });
+
+  // GET /api/auth/sessions - Aktive Sessions
+  router.get("/sessions", manageSessions, (req, res) => {
+    const sessions = authService.listSessions();
+    res.json({ count: sessions.length, sessions });
+  });
+
+  // DELETE /api/auth/sessions/:sessionId - Session beenden
+  router.delete("/sessions/:sessionId", manageSessions, (req, res) => {
+    const deleted = authService.logout(req.params.sessionId);
+    if (!deleted) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json({ success: true });
+  });
+
+  // GET /api/auth/api-keys - API Keys (ohne Schlüssel)
+  router.get("/api-keys", manageKeys, (req, res) => {
+    res.json({ keys: authService.getStrategy("api_key")?.listKeys() || [] });
+  });
+
+  // POST /api/auth/api-keys - Neuen Key ausstellen; der Schlüssel wird nur hier angezeigt
+  // Body: { name, roles: ["Operations"], expiresInDays }
+  router.post("/api-keys", manageKeys, (req, res) => {
+    try {
+      const { name, roles, expiresInDays } = req.body || {};
+      const unknown = (Array.isArray(roles) ? roles : []).filter(role => !accessControl.resolveRoles(role).length);
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown roles: ${unknown.join(", ")}` });
+      }
+
+      const issued = authService.getStrategy("api_key").createKey({
+        name,
+        roles,
+        expiresInDays: parseInt(expiresInDays) || undefined,
+        createdBy: req.user.id
+      });
+      res.status(201).json(issued);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // DELETE /api/auth/api-keys/:id - Key widerrufen
+  router.delete("/api-keys/:id", manageKeys, (req, res) => {
+    try {
+      res.json({ key: authService.getStrategy("api_key").revokeKey(req.params.id, req.user.id) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createAuthRoutes;
@@ -1,6 +1,20 @@
 import express from "express";
 
 import logger from '../../utils/logger.js';
+import { SessionManager } from '../../sessions/SessionManager.js';
+
+/**
+ * Streaming is requested via { stream: true } or an SSE Accept header
+ */
+function wantsStream(req) {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+function writeSSE(res, payload) {
+  if (!res.writableEnded) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+}
 
 export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
   const router = express.Router();
@@ -8,9 +22,14 @@ export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
   /**
    * POST /api/chat
    * Main agent execution endpoint
+   * Pass sessionId to continue a conversation; a new session is created
+   * otherwise and its id returned with the response.
+   * With streaming enabled the answer is sent as SSE frames:
+   * meta -> delta* -> done (or error)
    */
   router.post('/', async (req, res) => {
     const startTime = Date.now();
+    const stream = wantsStream(req);
     
     try {
       const { message } = req.body;
@@ -22,25 +41,78 @@ export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
         });
       }
 
+      // sessions of other users are reported as not found (404)
+      const session = agentManager.sessionManager.getOrCreateSession(
+        req.body.sessionId,
+        { user: req.user?.id || null },
+        SessionManager.ownerOf(req.user)
+      );
+      const sessionId = session.id;
+
       logger.info(`Chat request: "${message.substring(0, 100)}..."`);
 
-      // Find matching agent
-      const agent = agentManager.findAgent(message);
+      // Score all agents and pick the best match
+      // follow-ups lean towards the agent of the previous turn
+      const routingDecision = await agentManager.routeMessage(message, {
+        previousAgentId: agentManager.sessionManager.getLastAgentId(sessionId),
+        ...(typeof req.body.useLLMRouting === 'boolean' && { useLLM: req.body.useLLMRouting })
+      });
+      const agent = routingDecision.agent;
+      const routing = {
+        selected: routingDecision.agentId,
+        confidence: routingDecision.confidence,
+        method: routingDecision.method,
+        needsClarification: routingDecision.needsClarification,
+        clarificationOptions: routingDecision.clarification?.options || [],
+        candidates: routingDecision.ranked.slice(0, 3)
+      };
 
       let response;
-      let agentUsed = null;
-      let oeeEnabled = false;
+      let signatureRequest = null;
+      let toolCalls = [];
+      let agentUsed = agent?.id || null;
+      let oeeEnabled = agent?.oeeEnabled || false;
+      const runOptions = {
+        sessionId,
+        user: req.user,
+        source: 'chat',
+        onToolCalls: (calls) => { toolCalls = calls; }
+      };
+
+      // rolesAllowed of the routed agent - checked before any stream is opened
+      if (agent && req.user) {
+        agentManager.accessControl?.authorizeAgent(req.user, agent, { agentId: agent.id, source: 'chat' });
+      }
+
+      if (stream) {
+        runOptions.streamId = `chat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        runOptions.onDelta = (delta) => writeSSE(res, { type: 'delta', delta });
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        writeSSE(res, { type: 'meta', streamId: runOptions.streamId, sessionId, agentUsed, oeeEnabled, routing });
+      }
 
-      if (agent) {
+      if (routingDecision.needsClarification) {
+        // Top candidates too close - ask instead of guessing
+        logger.info(`Routing ambiguous: ${routing.clarificationOptions.join(', ')}`);
+        response = routingDecision.clarification.message;
+        runOptions.onDelta?.(response);
+        await agentManager.sessionManager.addExchange(sessionId, message, response, null, SessionManager.ownerOf(req.user));
+      } else if (agent) {
         // Agent found - use it
-        agentUsed = agent.id;
-        oeeEnabled = agent.oeeEnabled || false;
-        
         logger.info(`Agent matched: ${agent.id} (OEE: ${oeeEnabled})`);
         
         // Execute agent
-        response = await agentManager.processAgent(agent, message, false);
+        response = await agentManager.processAgent(agent, message, false, runOptions);
         console.log('🔍 DEBUG - Response from processAgent:', typeof response, response?.substring?.(0, 100));
+
+        // Release and recommendation answers of signature-bound agents need reviewed/approved e-signatures
+        signatureRequest = agentManager.requestAgentSignature(agent, message, response, req.user?.id || 'chat_user', toolCalls);
         
         // Publish events if configured
         if (agent.events && agent.events.publishes && Array.isArray(agent.events.publishes)) {
@@ -55,7 +127,7 @@ export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
       } else {
         // No agent found - use generic query
         logger.info(`No specific agent found - using generic LLM`);
-        response = await agentManager.processGenericQuery(message);
+        response = await agentManager.processGenericQuery(message, runOptions);
       }
 
       const duration = Date.now() - startTime;
@@ -65,12 +137,31 @@ export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
         auditLogger.logAgentExecution(agentUsed || 'generic', message, response);
       }
 
+      if (stream) {
+        writeSSE(res, {
+          type: 'done',
+          response,
+          sessionId,
+          agentUsed,
+          oeeEnabled,
+          routing,
+          signatureRequest,
+          eventChainTriggered: agent?.events?.publishes || [],
+          duration,
+          timestamp: new Date().toISOString()
+        });
+        return res.end();
+      }
+
       // Return response with metadata
       return res.json({
         success: true,
         response: response,
+        sessionId,
         agentUsed,
         oeeEnabled,
+        routing,
+        signatureRequest,
         eventChainTriggered: agent?.events?.publishes || [],
         duration,
         timestamp: new Date().toISOString()
@@ -81,7 +172,12 @@ export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
       
       logger.error(`Chat error: ${error.message}`, { stack: error.stack });
 
-      return res.status(500).json({
+      if (res.headersSent) {
+        writeSSE(res, { type: 'error', error: error.message, duration });
+        return res.end();
+      }
+
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: error.message,
         duration,
@@ -90,6 +186,63 @@ export function createChatRoutes(agentManager, auditLogger, eventBusManager) {
     }
   });
 
+  /**
+   * GET /api/chat/sessions
+   * List the caller's active chat sessions
+   */
+  router.get('/sessions', (req, res) => {
+    const sessions = agentManager.sessionManager.listSessions(SessionManager.ownerOf(req.user));
+    res.json({
+      success: true,
+      sessions,
+      count: sessions.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * POST /api/chat/sessions
+   * Start an empty session explicitly
+   */
+  router.post('/sessions', (req, res) => {
+    const session = agentManager.sessionManager.createSession(null, req.body?.metadata || {}, SessionManager.ownerOf(req.user));
+    res.status(201).json({
+      success: true,
+      session: agentManager.sessionManager.describeSession(session),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /api/chat/sessions/:sessionId
+   * Session details including turns and summary
+   */
+  router.get('/sessions/:sessionId', (req, res) => {
+    const session = agentManager.sessionManager.getSession(req.params.sessionId, SessionManager.ownerOf(req.user));
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({
+      success: true,
+      session: agentManager.sessionManager.describeSession(session, true),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * DELETE /api/chat/sessions/:sessionId
+   */
+  router.delete('/sessions/:sessionId', (req, res) => {
+    if (!agentManager.sessionManager.deleteSession(req.params.sessionId, SessionManager.ownerOf(req.user))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({
+      success: true,
+      sessionId: req.params.sessionId,
+      timestamp: new Date().toISOString()
+    });
+  });
+
   /**
    * POST /api/chat/whatif
    * What-If scenario analysis
@@ -0,0 +1,75 @@
+// src/api/routes/materials.routes.js
+import express from "express";
+
+export function createMaterialRoutes(materialService) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/materials/bom/:material?quantity=1000 - Stücklistenauflösung
+  router.get("/bom/:material", async (req, res) => {
+    try {
+      res.json(await materialService.explodeBom(req.params.material, Number(req.query.quantity)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/materials/availability?orderId=ORD-1007 - Verfügbarkeit (FEFO) eines Auftrags
+  // (alternativ ?material=FG-008&quantity=800&needDate=2025-10-15)
+  router.get("/availability", async (req, res) => {
+    try {
+      const { orderId, material, needDate } = req.query;
+      const quantity = req.query.quantity !== undefined ? Number(req.query.quantity) : undefined;
+      res.json(await materialService.checkAvailability({ orderId, material, quantity, needDate }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/materials/reservations?orderId=&status=active - Reservierungen
+  router.get("/reservations", (req, res) => {
+    try {
+      res.json(materialService.listReservations({ orderId: req.query.orderId, status: req.query.status }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/materials/reservations/:reservationId - Einzelne Reservierung
+  router.get("/reservations/:reservationId", (req, res) => {
+    try {
+      res.json(materialService.getReservation(req.params.reservationId));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/materials/reservations - Material für einen Auftrag reservieren
+  // Body: { orderId, allowPartial }
+  router.post("/reservations", async (req, res) => {
+    try {
+      const { orderId, allowPartial } = req.body || {};
+      res.status(201).json(await materialService.reserve({ orderId, allowPartial: allowPartial === true }, { userId: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // DELETE /api/materials/reservations/:reservationId - Reservierung freigeben
+  router.delete("/reservations/:reservationId", (req, res) => {
+    try {
+      res.json(materialService.releaseReservation(req.params.reservationId, {
+        userId: req.user?.id || "anonymous",
+        reason: req.body?.reason || req.query.reason || null
+      }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createMaterialRoutes;
@@ -0,0 +1,63 @@
+// src/api/routes/notification.routes.js
+import express from "express";
+
+export function createNotificationRoutes(notificationService, accessControl) {
+  const router = express.Router();
+  const testChannels = accessControl.requirePermission("notifications:channels:test");
+  // rules and deliveries name the recipients (users, roles, addresses) of everyone
+  const administer = accessControl.requirePermission("notifications:admin");
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  const currentUser = req => req.user || accessControl.anonymousIdentity();
+
+  // GET /api/notifications/inbox?unread=true&limit=50 - In-App-Benachrichtigungen des Benutzers
+  router.get("/inbox", (req, res) => {
+    try {
+      const { limit } = req.query;
+      res.json(notificationService.inbox(currentUser(req), { unread: req.query.unread === "true", limit }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/notifications/inbox/:notificationId/read - Als gelesen markieren
+  router.post("/inbox/:notificationId/read", (req, res) => {
+    try {
+      res.json(notificationService.markRead(req.params.notificationId, currentUser(req)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/notifications/subscriptions - Abonnement-Regeln (notifications:admin)
+  router.get("/subscriptions", administer, (req, res) => {
+    res.json({ subscriptions: notificationService.subscriptions });
+  });
+
+  // GET /api/notifications/channels - Kanäle mit Rate-Limit, Ruhezeiten und Retry
+  router.get("/channels", (req, res) => {
+    res.json({ channels: notificationService.describeChannels() });
+  });
+
+  // GET /api/notifications/deliveries?status=sent|held|retrying|failed|dropped|skipped&channel=&limit= - Zustellungen (notifications:admin)
+  router.get("/deliveries", administer, (req, res) => {
+    const { status, channel, limit } = req.query;
+    res.json(notificationService.listDeliveries({ status, channel, limit }));
+  });
+
+  // POST /api/notifications/channels/:channel/test - Testnachricht sofort senden
+  // Body: { to: ["someone@example.com"] } (nur E-Mail)
+  router.post("/channels/:channel/test", testChannels, async (req, res) => {
+    try {
+      res.json(await notificationService.testChannel(req.params.channel, { user: currentUser(req), to: req.body?.to || [] }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createNotificationRoutes;
@@ -0,0 +1,45 @@
+// src/api/routes/oeeAlerts.routes.js
+import express from "express";
+
+export function createOEEAlertRoutes(oeeAlertDetector) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/oee/alerts?status=open|acknowledged&active=true&line=LINE-01&severity=&type=&limit= - OEE-Alarme
+  router.get("/", (req, res) => {
+    try {
+      const { status, line, severity, type, limit } = req.query;
+      const active = req.query.active === undefined ? undefined : req.query.active === "true";
+      res.json({ ...oeeAlertDetector.list({ status, active, line, severity, type, limit }), timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/oee/alerts/:alertId - Einzelner Alarm
+  router.get("/:alertId", (req, res) => {
+    try {
+      res.json(oeeAlertDetector.get(req.params.alertId));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/oee/alerts/:alertId/acknowledge - Alarm quittieren { note }
+  router.post("/:alertId/acknowledge", (req, res) => {
+    try {
+      res.json(oeeAlertDetector.acknowledge(req.params.alertId, {
+        userId: req.user?.id || "anonymous",
+        note: req.body?.note || null
+      }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createOEEAlertRoutes;
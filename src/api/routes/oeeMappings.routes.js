@@ -0,0 +1,76 @@
+// src/api/routes/oeeMappings.routes.js
+import express from "express";
+import { AppError } from "../../utils/errorHandler.js";
+
+export function createOEEMappingRoutes(dataManager) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // the OEE source is created when the data source config is loaded
+  const mapperOf = () => {
+    const mapper = dataManager.getOEETopicMapper();
+    if (!mapper) throw new AppError("No realtime OEE data source configured", 503);
+    return mapper;
+  };
+
+  // GET /api/oee/mappings - Aktive Topic-Mappings, Subscriptions, Statistik
+  router.get("/", (req, res) => {
+    try {
+      res.json({ ...mapperOf().describe(), timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/oee/mappings/dead-letters?topic=&reason=&limit= - Nicht zugeordnete Nachrichten
+  router.get("/dead-letters", (req, res) => {
+    try {
+      const mapper = mapperOf();
+      const { topic, reason, limit } = req.query;
+      res.json({
+        deadLetters: mapper.listDeadLetters({ topic, reason, limit }),
+        total: mapper.deadLetters.length,
+        byReason: mapper.stats.byReason,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // DELETE /api/oee/mappings/dead-letters - Dead-Letter-Ansicht leeren
+  router.delete("/dead-letters", (req, res) => {
+    try {
+      res.json({ cleared: mapperOf().clearDeadLetters() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/oee/mappings/reload - Mapping-Datei neu laden (Verbindung bleibt bestehen)
+  router.post("/reload", (req, res) => {
+    try {
+      res.json(mapperOf().reload());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/oee/mappings/test - Nachricht probeweise zuordnen { topic, payload, mappingId }
+  router.post("/test", (req, res) => {
+    try {
+      const { topic, payload, mappingId } = req.body || {};
+      if (!topic || payload === undefined) throw new AppError("topic and payload are required", 400);
+      const message = typeof payload === "string" ? payload : JSON.stringify(payload);
+      res.json(mapperOf().map(topic, message, { mappingId, dryRun: true }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createOEEMappingRoutes;
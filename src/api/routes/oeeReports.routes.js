@@ -0,0 +1,62 @@
+// src/api/routes/oeeReports.routes.js
+import express from "express";
+
+export function createOEEReportRoutes(oeeReports, shiftCalendar) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/oee/reports?period=shift|day|week|month&plantId=PLANT-01&lineId=&from=&to= - OEE je Periode und Linie
+  router.get("/", async (req, res) => {
+    try {
+      const { period, plantId, lineId, from, to } = req.query;
+      res.json(await oeeReports.periodReport({ period, plantId, lineId, from, to }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/oee/reports/handover?plantId=PLANT-01&lineId=&at=2025-10-15T14:00:00Z - Schichtübergabe (letzte abgeschlossene Schicht)
+  router.get("/handover", async (req, res) => {
+    try {
+      const { plantId, lineId, at } = req.query;
+      res.json(await oeeReports.shiftHandover({ plantId, lineId, at }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/oee/reports/calendar?lineId=LINE-03&from=&to= - Geplante Schichten mit Pausen
+  router.get("/calendar", (req, res) => {
+    try {
+      const { lineId } = req.query;
+      if (!lineId) return res.json({ plants: shiftCalendar.getPlants() });
+      if (!shiftCalendar.hasLine(lineId)) return res.status(404).json({ error: `Line ${lineId} has no shift calendar` });
+
+      const from = req.query.from ? Date.parse(req.query.from) : Date.now();
+      const to = req.query.to ? Date.parse(req.query.to) : from + 7 * 24 * 60 * 60 * 1000;
+      if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: "Invalid from/to" });
+
+      const iso = time => new Date(time).toISOString();
+      res.json({
+        lineId,
+        plant: shiftCalendar.plantOf(lineId),
+        shifts: shiftCalendar.shifts(lineId, from, to).map(shift => ({
+          date: shift.date,
+          shift: shift.shift,
+          start: iso(shift.start),
+          end: iso(shift.end),
+          plannedMinutes: shift.plannedMinutes,
+          breaks: shift.breaks.map(pause => ({ name: pause.name, start: iso(pause.start), end: iso(pause.end) }))
+        }))
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createOEEReportRoutes;
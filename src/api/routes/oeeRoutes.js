@@ -1,8 +1,23 @@
 import express from "express";
 
-export function createOEERoutes(dataManager, eventBusManager) {
+export function createOEERoutes(dataManager, eventBusManager, oeeEngine = null) {
   const router = express.Router();
 
+  const sendComputed = async (res, compute) => {
+    if (!oeeEngine) {
+      return res.status(503).json({ success: false, error: "OEE calculation engine not available", timestamp: new Date().toISOString() });
+    }
+    try {
+      res.json({ success: true, ...(await compute()) });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
   /**
    * GET /api/oee - OEE Dashboard Data
    */
@@ -197,6 +212,31 @@ export function createOEERoutes(dataManager, eventBusManager) {
     });
   });
 
+  /**
+   * GET /api/oee/computed?groupBy=line|shift|order|product&lineId=LINE-01&from=&to=
+   * OEE aus Rohzählern je Linie, Schicht, Auftrag oder Produkt
+   */
+  router.get("/computed", (req, res) => {
+    const { groupBy, lineId, from, to } = req.query;
+    sendComputed(res, () => oeeEngine.compute({ groupBy, lineId, from, to }));
+  });
+
+  /**
+   * GET /api/oee/losses?lineId=LINE-01&from=&to= - Verlustbaum (Six Big Losses)
+   */
+  router.get("/losses", (req, res) => {
+    const { lineId, from, to } = req.query;
+    sendComputed(res, () => oeeEngine.lossTree({ lineId, from, to }));
+  });
+
+  /**
+   * GET /api/oee/stops?lineId=LINE-01&kind=minor|long&limit=100 - Erkannte Stillstände und Kurzstopps
+   */
+  router.get("/stops", (req, res) => {
+    const { lineId, from, to, kind, limit } = req.query;
+    sendComputed(res, () => oeeEngine.stops({ lineId, from, to, kind, limit }));
+  });
+
   return router;
 }
 
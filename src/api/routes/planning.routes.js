@@ -0,0 +1,55 @@
+// src/api/routes/planning.routes.js
+import express from "express";
+
+export function createPlanningRoutes(scheduler) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  const optionsOf = req => ({
+    startAt: req.query.startAt,
+    orderIds: req.query.orders ? String(req.query.orders).split(",").map(id => id.trim()).filter(Boolean) : null,
+    keepAssignments: req.query.keepAssignments === "true",
+    userId: req.user?.id || "anonymous"
+  });
+
+  // GET /api/planning/lines - Linien mit Kapazität, OEE und effektiver Rate
+  router.get("/lines", async (req, res) => {
+    try {
+      res.json(await scheduler.getLineRates());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/planning/schedule?startAt=2025-10-06T06:00:00Z&orders=ORD-1000,ORD-1001&keepAssignments=true - Plan berechnen (Gantt)
+  router.get("/schedule", async (req, res) => {
+    try {
+      res.json(await scheduler.schedule(optionsOf(req)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/planning/schedule/late?startAt=... - Verspätete Aufträge
+  router.get("/schedule/late", async (req, res) => {
+    try {
+      const plan = await scheduler.schedule(optionsOf(req));
+      res.json({ planId: plan.planId, horizonStart: plan.horizonStart, lateOrders: plan.lateOrders, unscheduled: plan.unscheduled });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/planning/schedule/last - Zuletzt berechneter Plan
+  router.get("/schedule/last", (req, res) => {
+    const plan = scheduler.getLastPlan();
+    if (!plan) return res.status(404).json({ error: "No plan computed yet" });
+    res.json(plan);
+  });
+
+  return router;
+}
+
+export default createPlanningRoutes;
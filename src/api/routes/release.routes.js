@@ -0,0 +1,116 @@
+// src/api/routes/release.routes.js
+import express from "express";
+
+export function createReleaseRoutes(releaseEngine) {
+  const router = express.Router();
+  const rules = releaseEngine.ruleRepository;
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  const changeOf = req => ({
+    reason: req.body?.reason || req.query.reason,
+    changedBy: req.user?.id || "anonymous"
+  });
+
+  // GET /api/release/evaluate?orderId=ORD-1002&batchId=BATCH-003&asOf=2025-10-01 - Freigabeentscheid
+  // (alternativ ?material=FG-123&market=EU&batchId=...)
+  router.get("/evaluate", async (req, res) => {
+    try {
+      const { orderId, material, market, batchId, asOf } = req.query;
+      res.json(await releaseEngine.evaluate({ orderId, material, market, batchId, asOf }, { userId: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/release/orders/:orderId?batchId=...&asOf=... - Freigabeentscheid für einen Auftrag
+  router.get("/orders/:orderId", async (req, res) => {
+    try {
+      res.json(await releaseEngine.evaluate(
+        { orderId: req.params.orderId, batchId: req.query.batchId, asOf: req.query.asOf },
+        { userId: req.user?.id || "anonymous" }
+      ));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/release/rules?material=&market=&type=&asOf=2025-10-01|&version=3 - Regeln (aktuell, zum Stichtag, zur Version)
+  router.get("/rules", (req, res) => {
+    try {
+      const { material, market, type, asOf } = req.query;
+      const version = req.query.version !== undefined ? parseInt(req.query.version) : undefined;
+      res.json(rules.list({ material, market, type, asOf, version }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/release/rules - Regel anlegen
+  // Body: { material, market, type, approved, thresholds, effectiveFrom, effectiveTo, description, reason }
+  router.post("/rules", (req, res) => {
+    try {
+      res.status(201).json(rules.create(req.body || {}, changeOf(req)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/release/rules/:ruleId - Einzelne Regel
+  router.get("/rules/:ruleId", (req, res) => {
+    try {
+      res.json(rules.getOrThrow(req.params.ruleId));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // PUT /api/release/rules/:ruleId - Regel ändern
+  // Body: { ...geänderte Felder, version (optional, optimistische Sperre), reason }
+  router.put("/rules/:ruleId", (req, res) => {
+    try {
+      const { reason, ...changes } = req.body || {};
+      res.json(rules.update(req.params.ruleId, changes, changeOf(req)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // DELETE /api/release/rules/:ruleId - Regel löschen (Body oder ?reason=)
+  router.delete("/rules/:ruleId", (req, res) => {
+    try {
+      res.json({ deleted: rules.delete(req.params.ruleId, changeOf(req)), version: rules.version });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/release/rules/:ruleId/history - Änderungen einer Regel mit Feld-Diffs
+  router.get("/rules/:ruleId/history", (req, res) => {
+    res.json({ ruleId: req.params.ruleId, history: rules.getHistory({ ruleId: req.params.ruleId, limit: parseInt(req.query.limit) || 50 }) });
+  });
+
+  // GET /api/release/rule-versions?limit=50 - Versionshistorie des Regelwerks
+  router.get("/rule-versions", (req, res) => {
+    res.json({ version: rules.version, history: rules.getHistory({ limit: parseInt(req.query.limit) || 50 }) });
+  });
+
+  // GET /api/release/rule-versions/diff?from=1&to=4 - Unterschiede zwischen zwei Versionen
+  router.get("/rule-versions/diff", (req, res) => {
+    try {
+      const from = parseInt(req.query.from);
+      const to = req.query.to !== undefined ? parseInt(req.query.to) : rules.version;
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: "from and to must be version numbers" });
+      }
+      res.json(rules.diffVersions(from, to));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createReleaseRoutes;
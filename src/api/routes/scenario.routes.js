@@ -0,0 +1,65 @@
+// src/api/routes/scenario.routes.js
+import express from "express";
+
+export function createScenarioRoutes(scenarioSimulator) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/scenarios - Gespeicherte Szenarien
+  router.get("/", (req, res) => {
+    res.json(scenarioSimulator.list());
+  });
+
+  // GET /api/scenarios/compare?ids=scn-1,scn-2 - KPIs nebeneinander
+  router.get("/compare", (req, res) => {
+    try {
+      const ids = String(req.query.ids || "").split(",").map(id => id.trim()).filter(Boolean);
+      res.json(scenarioSimulator.compare(ids));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/scenarios - Szenario simulieren und speichern
+  // Body: { name, description, startAt, changes: [{ type: "line_down", line, hours }, ...] }
+  router.post("/", async (req, res) => {
+    try {
+      res.status(201).json(await scenarioSimulator.create(req.body || {}, { userId: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/scenarios/:scenarioId - Szenario mit KPIs (vorher/nachher)
+  router.get("/:scenarioId", (req, res) => {
+    try {
+      res.json(scenarioSimulator.get(req.params.scenarioId));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/scenarios/:scenarioId/rerun - Mit aktuellen Daten neu simulieren
+  router.post("/:scenarioId/rerun", async (req, res) => {
+    try {
+      res.json(await scenarioSimulator.rerun(req.params.scenarioId, { userId: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // DELETE /api/scenarios/:scenarioId - Szenario löschen
+  router.delete("/:scenarioId", (req, res) => {
+    try {
+      res.json(scenarioSimulator.delete(req.params.scenarioId, { userId: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createScenarioRoutes;
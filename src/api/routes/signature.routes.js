@@ -0,0 +1,71 @@
+// src/api/routes/signature.routes.js
+import express from "express";
+
+export function createSignatureRoutes(signatureManager) {
+  const router = express.Router();
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/signatures?status=pending|completed|rejected|all - Signaturanforderungen
+  router.get("/", (req, res) => {
+    try {
+      const requests = signatureManager.listRequests(req.query.status || "pending");
+      res.json({ count: requests.length, requests });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/signatures/:requestId - Anforderung inkl. signiertem Datensatz
+  router.get("/:requestId", (req, res) => {
+    try {
+      const request = signatureManager.getRequest(req.params.requestId);
+      if (!request) {
+        return res.status(404).json({ error: "Signature request not found" });
+      }
+      res.json({ ...signatureManager.describeRequest(request), record: request.record });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/signatures/:requestId/sign - Signieren als angemeldeter Benutzer, Passwort erneut eingeben
+  // Body: { password, meaning: "authored"|"reviewed"|"approved", comment }
+  router.post("/:requestId/sign", (req, res) => {
+    try {
+      const { password, meaning, comment } = req.body || {};
+      const manifest = signatureManager.sign(req.params.requestId, { user: req.user, password, meaning, comment });
+      const request = signatureManager.describeRequest(signatureManager.getRequest(req.params.requestId));
+      res.status(201).json({ manifest, request });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/signatures/:requestId/reject - Signatur verweigern (Freigabedatensätze nur Freigaberollen)
+  // Body: { password, reason }
+  router.post("/:requestId/reject", (req, res) => {
+    try {
+      const { password, reason } = req.body || {};
+      const request = signatureManager.reject(req.params.requestId, { user: req.user, password, reason });
+      res.json({ request });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/signatures/:requestId/verify - Datensatz- und Manifest-Hashes prüfen
+  router.get("/:requestId/verify", (req, res) => {
+    try {
+      const result = signatureManager.verifyRequest(req.params.requestId);
+      res.status(result.valid ? 200 : 409).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createSignatureRoutes;
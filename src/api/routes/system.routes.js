@@ -0,0 +1,63 @@
+// src/api/routes/system.routes.js
+import express from "express";
+import logger from "../../utils/logger.js";
+
+export function createSystemRoutes({ stateStore, agentManager, a2aManager = null, contextManager = null, eventBusManager = null, workflowEngine = null }) {
+  const router = express.Router();
+
+  const findInterrupted = (req, res) => {
+    const workflow = agentManager.productionWorkflow?.activeWorkflows.get(req.params.workflowId);
+    if (!workflow) {
+      res.status(404).json({ error: "Workflow not found" });
+      return null;
+    }
+    if (workflow.status !== "interrupted") {
+      res.status(409).json({ error: `Workflow is ${workflow.status}, not interrupted` });
+      return null;
+    }
+    return workflow;
+  };
+
+  // GET /api/system/state - Speicher-Backend, beim Start wiederhergestellter Zustand, aktueller Zustand
+  router.get("/state", (req, res) => {
+    res.json({
+      store: stateStore.describe(),
+      recovered: stateStore.getRecoveryReport(),
+      current: {
+        workflows: agentManager.productionWorkflow?.getActiveWorkflows() || [],
+        workflowRuns: workflowEngine?.getStats().byStatus || {},
+        pendingA2ARequests: a2aManager?.pendingRequests.size ?? 0,
+        mcpContexts: contextManager?.contexts.size ?? 0,
+        oeeEventHistory: eventBusManager?.oeeEventHistory.length ?? 0
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // POST /api/system/state/workflows/:workflowId/resume - Unterbrochenen Workflow fortsetzen
+  router.post("/state/workflows/:workflowId/resume", (req, res) => {
+    const workflow = findInterrupted(req, res);
+    if (!workflow) return;
+
+    // Runs in the background; A2A steps can take up to the request timeout each
+    agentManager.productionWorkflow.resumeWorkflow(workflow.id).catch(error => {
+      logger.error(`Resume of workflow ${workflow.id} failed: ${error.message}`);
+    });
+    res.status(202).json({ workflowId: workflow.id, status: workflow.status, resumeCount: workflow.resumeCount });
+  });
+
+  // POST /api/system/state/workflows/:workflowId/cancel - Unterbrochenen Workflow verwerfen
+  // Body: { reason }
+  router.post("/state/workflows/:workflowId/cancel", (req, res) => {
+    const workflow = findInterrupted(req, res);
+    if (!workflow) return;
+
+    const reason = req.body?.reason || `Discarded after restart by ${req.user?.id || "unknown"}`;
+    agentManager.productionWorkflow.cancelWorkflow(workflow.id, reason);
+    res.json({ workflowId: workflow.id, status: "cancelled", reason });
+  });
+
+  return router;
+}
+
+export default createSystemRoutes;
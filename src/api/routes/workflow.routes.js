@@ -0,0 +1,99 @@
+// src/api/routes/workflow.routes.js
+import express from "express";
+
+export function createWorkflowRoutes(workflowEngine) {
+  const router = express.Router();
+  const definitions = workflowEngine.definitions;
+
+  const sendError = (res, error) =>
+    res.status(error.statusCode || 500).json({ error: error.message });
+
+  // GET /api/workflows/definitions - Geladene Workflow-Definitionen (YAML)
+  router.get("/definitions", (req, res) => {
+    res.json({ definitions: definitions.list(), errors: definitions.getErrors() });
+  });
+
+  // GET /api/workflows/definitions/:workflowId - Einzelne Definition mit Schrittstruktur
+  router.get("/definitions/:workflowId", (req, res) => {
+    try {
+      res.json(definitions.describe(definitions.getOrThrow(req.params.workflowId)));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/workflows/definitions/reload - Definitionen neu laden (zusätzlich zum Datei-Watcher)
+  router.post("/definitions/reload", (req, res) => {
+    res.json(definitions.reload());
+  });
+
+  // GET /api/workflows/runs?status=running&workflowId=order_analysis&limit=50 - Workflow-Läufe
+  router.get("/runs", (req, res) => {
+    const runs = workflowEngine.listRuns({
+      status: req.query.status || null,
+      workflowId: req.query.workflowId || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ count: runs.length, runs, stats: workflowEngine.getStats() });
+  });
+
+  // POST /api/workflows/runs - Lauf starten
+  // Body: { workflowId, input: {...} }; ?wait=true antwortet erst nach Abschluss
+  router.post("/runs", async (req, res) => {
+    try {
+      const { workflowId, input = {} } = req.body || {};
+      const run = workflowEngine.startRun(workflowId, input, { startedBy: req.user?.id || "anonymous" });
+
+      if (req.query.wait === "true") {
+        return res.json(await workflowEngine.waitForRun(run.runId));
+      }
+      res.status(202).json(run);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // GET /api/workflows/runs/:runId - Lauf mit Schritt-Zeiten und Ergebnissen
+  router.get("/runs/:runId", (req, res) => {
+    try {
+      res.json(workflowEngine.describeRun(workflowEngine.getRunOrThrow(req.params.runId), true));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/workflows/runs/:runId/cancel - Lauf abbrechen (Kompensation läuft)
+  // Body: { reason }
+  router.post("/runs/:runId/cancel", (req, res) => {
+    try {
+      res.json(workflowEngine.cancelRun(req.params.runId, {
+        reason: req.body?.reason,
+        cancelledBy: req.user?.id || "anonymous"
+      }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/workflows/runs/:runId/pause - Vor dem nächsten Schritt anhalten
+  router.post("/runs/:runId/pause", (req, res) => {
+    try {
+      res.json(workflowEngine.pauseRun(req.params.runId, { pausedBy: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/workflows/runs/:runId/resume - Angehaltenen oder unterbrochenen Lauf fortsetzen
+  router.post("/runs/:runId/resume", (req, res) => {
+    try {
+      res.json(workflowEngine.resumeRun(req.params.runId, { resumedBy: req.user?.id || "anonymous" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createWorkflowRoutes;
@@ -7,64 +7,173 @@
  * Maintains complete audit log for regulatory compliance
  * 
  * Developer: Markus Schmeckenbecher
- * Version: 1.2.1
+ * Version: 1.3.0
  * 
  * Features:
  * - GMP-compliant audit trail
- * - Tamper-proof logging
+ * - Tamper-evident hash chain (21 CFR Part 11)
+ * - Append-only JSONL storage, rolled into archive segments
+ * - Signed periodic checkpoints (HMAC-SHA256)
  * - Real-time event streaming
- * - JSON-based log format for analysis
+ *
+ * Every entry carries seq, prevHash and hash, where
+ * hash = sha256(canonical JSON of the entry without hash). Editing,
+ * deleting or reordering any line breaks the chain at that point.
+ * Checkpoints anchor the chain head in a separate file and are signed
+ * with AUDIT_SIGNING_KEY, so a fully recomputed chain is detected too.
+ *
+ * Environment defaults:
+ *  - AUDIT_LOG_PATH               (default: audit_log.jsonl)
+ *  - AUDIT_CHECKPOINT_INTERVAL    (default: 100 entries)
+ *  - AUDIT_SIGNING_KEY            (checkpoints are unsigned without it)
  * ========================================================================
  */
 
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { canonicalize, hashCanonical } from "../utils/canonicalJson.js";
+
+const GENESIS_HASH = "0".repeat(64);
+
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return hashCanonical(content);
+}
 
 export class AuditLogger {
-  constructor(eventBusManager = null) {
+  constructor(eventBusManager = null, options = {}) {
     this.eventBusManager = eventBusManager;
-    this.auditLogPath = path.join(process.cwd(), "audit_log.json");
-    
-    console.log("📋 AuditLogger initialized");
+    this.auditLogPath = path.resolve(options.auditLogPath || process.env.AUDIT_LOG_PATH || "audit_log.jsonl");
+
+    const base = this.auditLogPath.replace(/\.jsonl$/, "");
+    this.manifestPath = `${base}.manifest.json`;
+    this.checkpointPath = `${base}.checkpoints.jsonl`;
+    this.legacyLogPath = path.join(path.dirname(this.auditLogPath), "audit_log.json");
+
+    this.checkpointInterval = options.checkpointInterval || parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL) || 100;
+    this.signingKey = options.signingKey ?? process.env.AUDIT_SIGNING_KEY ?? null;
+
+    this.loadChainState();
+    this.migrateLegacyLog();
+
+    if (!this.signingKey) {
+      console.warn("⚠️ AUDIT_SIGNING_KEY not set - audit checkpoints are unsigned");
+    }
+    console.log(`📋 AuditLogger initialized (hash chain at seq ${this.lastSeq})`);
   }
 
   /**
-   * Append Audit Entry
-   * Adds entry to audit log with timestamp and event emission
+   * Restore chain head (last seq + hash) from the current segment,
+   * or from the last archived segment if the current one is empty
    */
-  appendAudit(entry) {
-    let log = [];
-    
-    // Load existing log
-    if (fs.existsSync(this.auditLogPath)) {
-      try {
-        log = JSON.parse(fs.readFileSync(this.auditLogPath, "utf8"));
-      } catch (error) {
-        console.error("❌ Error reading audit log:", error);
-        log = [];
+  loadChainState() {
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.entriesSinceCheckpoint = 0;
+
+    const manifest = this.readManifest();
+    const lastSegment = manifest.segments[manifest.segments.length - 1];
+    if (lastSegment) {
+      this.lastSeq = lastSegment.lastSeq;
+      this.lastHash = lastSegment.lastHash;
+    }
+
+    const entries = this.readSegment(this.auditLogPath);
+    const last = entries[entries.length - 1];
+    if (last) {
+      this.lastSeq = last.seq;
+      this.lastHash = last.hash;
+    }
+
+    const lastCheckpoint = this.getCheckpoints().pop();
+    this.entriesSinceCheckpoint = this.lastSeq - (lastCheckpoint?.seq || 0);
+  }
+
+  /**
+   * Import entries from the pre-chain audit_log.json once
+   */
+  migrateLegacyLog() {
+    if (this.lastSeq > 0 || !fs.existsSync(this.legacyLogPath)) return;
+
+    try {
+      const legacy = JSON.parse(fs.readFileSync(this.legacyLogPath, "utf8"));
+      if (!Array.isArray(legacy)) return;
+
+      legacy.forEach(entry => this.appendAudit({ ...entry, migratedFrom: "audit_log.json" }, { silent: true }));
+      fs.renameSync(this.legacyLogPath, `${this.legacyLogPath}.migrated`);
+      console.log(`📦 Migrated ${legacy.length} legacy audit entries into hash chain`);
+    } catch (error) {
+      console.error("❌ Error migrating legacy audit log:", error);
+    }
+  }
+
+  readManifest() {
+    try {
+      if (fs.existsSync(this.manifestPath)) {
+        return JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
       }
+    } catch (error) {
+      console.error("❌ Error reading audit manifest:", error);
     }
+    return { segments: [] };
+  }
 
-    // Ensure timestamp for GMP compliance
-    entry.timestamp = entry.timestamp || new Date().toISOString();
-    entry.auditId = this.generateAuditId();
+  /**
+   * Parse a JSONL segment; unparsable lines are kept as markers for verify()
+   */
+  readSegment(filePath, { raw = false } = {}) {
+    if (!fs.existsSync(filePath)) return [];
+
+    return fs.readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return raw ? { __unparsable: true, line: index + 1 } : null;
+        }
+      })
+      .filter(Boolean);
+  }
 
-    // Add entry to log
-    log.push(entry);
+  /**
+   * Append Audit Entry
+   * Chains the entry to the previous one and appends a single JSONL line
+   */
+  appendAudit(entry, { silent = false } = {}) {
+    const chained = {
+      ...entry,
+      seq: this.lastSeq + 1,
+      auditId: entry.auditId || this.generateAuditId(),
+      // Ensure timestamp for GMP compliance
+      timestamp: entry.timestamp || new Date().toISOString(),
+      prevHash: this.lastHash
+    };
+    chained.hash = hashEntry(chained);
 
-    // Write to file
     try {
-      fs.writeFileSync(this.auditLogPath, JSON.stringify(log, null, 2));
+      fs.appendFileSync(this.auditLogPath, JSON.stringify(chained) + "\n");
     } catch (error) {
       console.error("❌ Error writing audit log:", error);
+      return null;
+    }
+
+    this.lastSeq = chained.seq;
+    this.lastHash = chained.hash;
+    this.entriesSinceCheckpoint++;
+
+    if (this.entriesSinceCheckpoint >= this.checkpointInterval) {
+      this.createCheckpoint("interval");
     }
 
     // Emit to event bus for real-time monitoring
-    if (this.eventBusManager) {
-      this.eventBusManager.emit("event", { type: "audit", ...entry });
+    if (this.eventBusManager && !silent) {
+      this.eventBusManager.emit("event", { type: "audit", ...chained });
     }
 
-    return entry.auditId;
+    return chained.auditId;
   }
 
   /**
@@ -78,7 +187,7 @@ export class AuditLogger {
 
   /**
    * Get Audit Log
-   * Returns complete audit trail or filtered entries
+   * Returns the current segment or filtered entries
    */
   getAuditLog(filter = null, limit = null) {
     if (!fs.existsSync(this.auditLogPath)) {
@@ -86,7 +195,7 @@ export class AuditLogger {
     }
 
     try {
-      let log = JSON.parse(fs.readFileSync(this.auditLogPath, "utf8"));
+      let log = this.readSegment(this.auditLogPath);
 
       // Apply filter if provided
       if (filter) {
@@ -155,6 +264,30 @@ export class AuditLogger {
     });
   }
 
+  /**
+   * Generic Log Entry
+   * log(type, data) as used by the MCP and A2A components
+   */
+  log(type, data = {}) {
+    return this.appendAudit({
+      type,
+      ...data,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Log Routing Decision
+   * Which agent was chosen for a message and how the candidates scored
+   */
+  logRoutingDecision(message, routing) {
+    return this.appendAudit({
+      type: "routing",
+      message,
+      ...routing,
+    });
+  }
+
   /**
    * Log Agent Event
    */
@@ -306,16 +439,30 @@ getEntries(limit = 100) {
 
   /**
    * Clear Audit Log
-   * WARNING: Use with caution - for development only
+   * WARNING: Use with caution - for development only.
+   * Removes all segments, the manifest and checkpoints and restarts the chain.
    */
   clearAuditLog() {
     try {
-      if (fs.existsSync(this.auditLogPath)) {
-        fs.unlinkSync(this.auditLogPath);
-        console.log("🗑️ Audit log cleared");
-        return true;
-      }
-      return false;
+      const manifest = this.readManifest();
+      const files = [
+        this.auditLogPath,
+        this.manifestPath,
+        this.checkpointPath,
+        ...manifest.segments.map(segment => path.join(path.dirname(this.auditLogPath), segment.file))
+      ];
+
+      let cleared = false;
+      files.forEach(file => {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+          cleared = true;
+        }
+      });
+
+      this.loadChainState();
+      if (cleared) console.log("🗑️ Audit log cleared");
+      return cleared;
     } catch (error) {
       console.error("❌ Error clearing audit log:", error);
       return false;
@@ -324,7 +471,8 @@ getEntries(limit = 100) {
 
   /**
    * Archive Audit Log
-   * Creates backup of current log and starts new one
+   * Rolls the current segment into an archive file. The next entry links
+   * to the archived head, so the chain continues across segments.
    */
   archiveAuditLog() {
     try {
@@ -332,21 +480,40 @@ getEntries(limit = 100) {
         return false;
       }
 
+      const entries = this.readSegment(this.auditLogPath);
+      if (entries.length === 0) {
+        return false;
+      }
+
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const archivePath = path.join(
         path.dirname(this.auditLogPath),
-        `audit_log_${timestamp}.json`
+        `${path.basename(this.auditLogPath, ".jsonl")}_${timestamp}.jsonl`
       );
 
-      fs.copyFileSync(this.auditLogPath, archivePath);
-      fs.unlinkSync(this.auditLogPath);
+      // Anchor the head before rolling, under the name the segment is archived as
+      this.createCheckpoint("archive", path.basename(archivePath));
+
+      fs.renameSync(this.auditLogPath, archivePath);
+
+      const manifest = this.readManifest();
+      manifest.segments.push({
+        file: path.basename(archivePath),
+        firstSeq: entries[0].seq,
+        lastSeq: entries[entries.length - 1].seq,
+        firstPrevHash: entries[0].prevHash,
+        lastHash: entries[entries.length - 1].hash,
+        entries: entries.length,
+        archivedAt: new Date().toISOString()
+      });
+      fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
 
       console.log(`📦 Audit log archived to: ${archivePath}`);
       
       this.appendAudit({
         type: "system",
         event: "audit_log_archived",
-        details: { archivePath },
+        details: { archivePath, lastSeq: this.lastSeq, lastHash: this.lastHash },
       });
 
       return archivePath;
@@ -355,6 +522,149 @@ getEntries(limit = 100) {
       return false;
     }
   }
+
+  // ------------------------------------------------------------------------
+  // Hash chain verification & checkpoints
+  // ------------------------------------------------------------------------
+
+  signCheckpoint(checkpoint) {
+    if (!this.signingKey) return null;
+    const { signature, ...content } = checkpoint;
+    return crypto.createHmac("sha256", this.signingKey).update(canonicalize(content)).digest("hex");
+  }
+
+  /**
+   * Anchor the current chain head in the checkpoint file.
+   * segmentIndex is the position of the segment in the chain and stays
+   * valid after archiving; verifyChain() resolves it to the archive file.
+   */
+  createCheckpoint(reason = "manual", segment = path.basename(this.auditLogPath)) {
+    if (this.lastSeq === 0) return null;
+
+    const checkpoint = {
+      seq: this.lastSeq,
+      hash: this.lastHash,
+      segment,
+      segmentIndex: this.readManifest().segments.length,
+      reason,
+      createdAt: new Date().toISOString(),
+      algorithm: this.signingKey ? "HMAC-SHA256" : "none"
+    };
+    checkpoint.signature = this.signCheckpoint(checkpoint);
+
+    try {
+      fs.appendFileSync(this.checkpointPath, JSON.stringify(checkpoint) + "\n");
+      this.entriesSinceCheckpoint = 0;
+      return checkpoint;
+    } catch (error) {
+      console.error("❌ Error writing audit checkpoint:", error);
+      return null;
+    }
+  }
+
+  getCheckpoints() {
+    return this.readSegment(this.checkpointPath);
+  }
+
+  /**
+   * Verify Hash Chain
+   * Walks all archived segments and the current one in order and reports
+   * the first broken link, then checks every checkpoint against the chain.
+   */
+  verifyChain() {
+    const dir = path.dirname(this.auditLogPath);
+    const manifest = this.readManifest();
+    const segments = [
+      ...manifest.segments.map(segment => segment.file),
+      path.basename(this.auditLogPath)
+    ];
+
+    const hashesBySeq = new Map();
+    const segmentsBySeq = new Map();
+    let expectedSeq = 1;
+    let expectedPrevHash = GENESIS_HASH;
+    let entriesChecked = 0;
+    let firstBrokenLink = null;
+
+    for (const segment of segments) {
+      const filePath = path.join(dir, segment);
+      if (!fs.existsSync(filePath)) {
+        if (segment !== path.basename(this.auditLogPath)) {
+          firstBrokenLink = { segment, seq: expectedSeq, reason: "segment_missing" };
+          break;
+        }
+        continue;
+      }
+
+      const entries = this.readSegment(filePath, { raw: true });
+      for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+        const link = { segment, line: index + 1, seq: entry.seq ?? null, auditId: entry.auditId ?? null };
+
+        let reason = null;
+        if (entry.__unparsable) reason = "unparsable_entry";
+        else if (entry.seq !== expectedSeq) reason = `sequence_gap (expected ${expectedSeq})`;
+        else if (entry.prevHash !== expectedPrevHash) reason = "prev_hash_mismatch";
+        else if (hashEntry(entry) !== entry.hash) reason = "hash_mismatch";
+
+        if (reason) {
+          firstBrokenLink = { ...link, reason };
+          break;
+        }
+
+        hashesBySeq.set(entry.seq, entry.hash);
+        segmentsBySeq.set(entry.seq, segment);
+        expectedSeq++;
+        expectedPrevHash = entry.hash;
+        entriesChecked++;
+      }
+
+      if (firstBrokenLink) break;
+    }
+
+    const head = { seq: expectedSeq - 1, hash: expectedPrevHash };
+
+    const checkpoints = this.getCheckpoints().map(checkpoint => {
+      // With a signing key configured, an unsigned checkpoint is a forged one
+      const signatureValid = this.signingKey
+        ? !!checkpoint.signature && checkpoint.signature === this.signCheckpoint(checkpoint)
+        : null;
+      const chainHash = hashesBySeq.get(checkpoint.seq);
+      return {
+        seq: checkpoint.seq,
+        segment: segmentsBySeq.get(checkpoint.seq)
+          ?? segments[checkpoint.segmentIndex]
+          ?? checkpoint.segment
+          ?? null,
+        createdAt: checkpoint.createdAt,
+        reason: checkpoint.reason,
+        signed: !!checkpoint.signature,
+        signatureValid,
+        matchesChain: chainHash === undefined ? null : chainHash === checkpoint.hash
+      };
+    });
+
+    const invalidCheckpoints = checkpoints.filter(checkpoint =>
+      checkpoint.signatureValid === false || checkpoint.matchesChain === false
+    );
+    // A checkpoint beyond the verified head means entries were removed
+    const truncated = !firstBrokenLink && checkpoints.some(checkpoint => checkpoint.seq > head.seq);
+
+    return {
+      valid: !firstBrokenLink && invalidCheckpoints.length === 0 && !truncated,
+      entriesChecked,
+      head,
+      segments: segments.length,
+      firstBrokenLink,
+      truncated,
+      checkpoints: {
+        total: checkpoints.length,
+        invalid: invalidCheckpoints,
+        lastCheckpoint: checkpoints[checkpoints.length - 1] || null
+      },
+      verifiedAt: new Date().toISOString()
+    };
+  }
 }
 
 export default AuditLogger;
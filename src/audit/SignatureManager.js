@@ -0,0 +1,349 @@
+/**
+ * ========================================================================
+ * SIGNATURE MANAGER - 21 CFR PART 11 ELECTRONIC SIGNATURES
+ * ========================================================================
+ *
+ * Turns release decisions and agent recommendations into records that
+ * must be signed by identified people before they count.
+ *
+ * Flow:
+ * 1. createRequest() snapshots the record and stores its SHA-256 hash
+ * 2. sign() re-authenticates the signed-in user with their password,
+ *    checks the meaning (authored / reviewed / approved) and role, and
+ *    verifies the record still matches its hash
+ * 3. A signature manifest (signer, meaning, time, record hash) is hashed
+ *    and written to the hash-chained audit trail
+ *
+ * Controls:
+ * - Meanings are signed in the requested order
+ * - One person signs at most one meaning per record
+ * - The signer is the authenticated user of the request; signing needs
+ *   a local account (LocalUserStore) for the password check
+ * - "approved", and rejecting a release record, require one of
+ *   SIGNATURE_APPROVER_ROLES
+ * - Accounts lock after repeated failed re-authentication
+ *
+ * Environment defaults:
+ *  - SIGNATURE_REQUESTS_PATH   (default: signature_requests.json)
+ *  - SIGNATURE_APPROVER_ROLES  (default: QA,Admin)
+ *  - SIGNATURE_MAX_FAILURES    (default: 3 within 15 minutes)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import { hashCanonical } from "../utils/canonicalJson.js";
+import { AccountLockout } from "../auth/AccountLockout.js";
+import logger from "../utils/logger.js";
+
+export const SIGNATURE_MEANINGS = ["authored", "reviewed", "approved"];
+// Records whose rejection stops a release; only approvers may reject them
+export const RELEASE_RECORD_TYPES = ["batch_release"];
+
+export class SignatureManager {
+  constructor({ auditLogger, userStore, eventBusManager = null, options = {} }) {
+    this.auditLogger = auditLogger;
+    this.userStore = userStore;
+    this.eventBusManager = eventBusManager;
+
+    this.requestsPath = path.resolve(
+      options.requestsPath || process.env.SIGNATURE_REQUESTS_PATH || "signature_requests.json"
+    );
+    this.approverRoles = (options.approverRoles || process.env.SIGNATURE_APPROVER_ROLES || "QA,Admin")
+      .split(",").map(role => role.trim()).filter(Boolean);
+    this.lockout = new AccountLockout({
+      auditLogger,
+      eventBusManager,
+      options: { maxFailures: options.maxFailures || parseInt(process.env.SIGNATURE_MAX_FAILURES) || 3 }
+    });
+
+    this.requests = new Map();
+    this.load();
+
+    logger.info(`✍️ SignatureManager initialized (${this.getPendingRequests().length} pending)`);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.requestsPath)) {
+        const requests = JSON.parse(fs.readFileSync(this.requestsPath, "utf8"));
+        this.requests = new Map(requests.map(request => [request.requestId, request]));
+      }
+    } catch (error) {
+      logger.error(`Failed to load signature requests: ${error.message}`);
+    }
+  }
+
+  persist() {
+    try {
+      fs.writeFileSync(this.requestsPath, JSON.stringify([...this.requests.values()], null, 2));
+    } catch (error) {
+      logger.error(`Failed to persist signature requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a signature request for a record
+   * An identical pending record (same type, id and hash) is not requested twice.
+   * @param {Object} params
+   * @param {string} params.recordType - e.g. "batch_release", "agent_recommendation"
+   * @param {string} params.recordId - Business id (order, workflow, ...)
+   * @param {Object} params.record - Snapshot that is signed
+   * @param {string[]} params.requiredMeanings - Ordered meanings, default reviewed + approved
+   */
+  createRequest({ recordType, recordId, record, requiredMeanings = ["reviewed", "approved"], requestedBy = "system", summary = null }) {
+    const invalid = requiredMeanings.filter(meaning => !SIGNATURE_MEANINGS.includes(meaning));
+    if (invalid.length) {
+      throw new AppError(`Unknown signature meaning: ${invalid.join(", ")}`, 400);
+    }
+
+    const recordHash = hashCanonical(record);
+    const existing = [...this.requests.values()].find(request =>
+      request.status === "pending" && request.recordType === recordType &&
+      request.recordId === recordId && request.recordHash === recordHash
+    );
+    if (existing) return existing;
+
+    const request = {
+      requestId: `SIG-${uuidv4()}`,
+      recordType,
+      recordId,
+      summary,
+      record,
+      recordHash,
+      requiredMeanings,
+      signatures: [],
+      status: "pending",
+      requestedBy,
+      createdAt: new Date().toISOString()
+    };
+
+    this.requests.set(request.requestId, request);
+    this.persist();
+
+    this.auditLogger.appendAudit({
+      type: "e_signature_requested",
+      requestId: request.requestId,
+      recordType,
+      recordId,
+      recordHash,
+      requiredMeanings,
+      requestedBy
+    });
+    this.eventBusManager?.emit?.("signature/requested", this.describeRequest(request));
+
+    logger.info(`✍️ Signature requested: ${recordType} ${recordId} (${request.requestId})`);
+    return request;
+  }
+
+  getRequest(requestId) {
+    return this.requests.get(requestId) || null;
+  }
+
+  getPendingRequests() {
+    return [...this.requests.values()].filter(request => request.status === "pending");
+  }
+
+  listRequests(status = "pending") {
+    return [...this.requests.values()]
+      .filter(request => !status || status === "all" || request.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(request => this.describeRequest(request));
+  }
+
+  describeRequest(request) {
+    const signed = request.signatures.map(signature => signature.meaning);
+    return {
+      requestId: request.requestId,
+      recordType: request.recordType,
+      recordId: request.recordId,
+      summary: request.summary,
+      recordHash: request.recordHash,
+      status: request.status,
+      requiredMeanings: request.requiredMeanings,
+      nextMeaning: request.status === "pending"
+        ? request.requiredMeanings.find(meaning => !signed.includes(meaning)) || null
+        : null,
+      signatures: request.signatures.map(({ signatureId, meaning, signer, signedAt, comment, manifestHash }) =>
+        ({ signatureId, meaning, signer, signedAt, comment, manifestHash })),
+      requestedBy: request.requestedBy,
+      createdAt: request.createdAt,
+      completedAt: request.completedAt || null,
+      rejection: request.rejection || null
+    };
+  }
+
+  /**
+   * Re-authenticate the authenticated user for this signing act
+   * @param {Object} user - Identity of the request (req.user)
+   */
+  reauthenticate(user, password, requestId) {
+    if (!user || user.authMethod === "anonymous") {
+      throw new AppError("Authentication required to sign", 401);
+    }
+    if (!password) {
+      throw new AppError("Password is required to sign", 400);
+    }
+    const username = user.username || user.id;
+    if (!this.userStore.getUser(username)) {
+      throw new AppError(`Electronic signatures need a local account with a password (${username})`, 403);
+    }
+    if (this.lockout.isLocked(username)) {
+      throw new AppError("Account temporarily locked after failed signature attempts", 423);
+    }
+
+    const signer = this.userStore.verifyCredentials(username, password);
+    if (!signer || signer.id !== user.id) {
+      this.auditLogger.appendAudit({
+        type: "e_signature_failed",
+        requestId,
+        username,
+        reason: "authentication_failed"
+      });
+      this.lockout.recordFailure(username, { source: "e_signature", requestId });
+      throw new AppError("Re-authentication failed", 401);
+    }
+
+    this.lockout.reset(username);
+    return signer;
+  }
+
+  getPendingRequestOrThrow(requestId) {
+    const request = this.getRequest(requestId);
+    if (!request) throw new AppError(`Signature request not found: ${requestId}`, 404);
+    if (request.status !== "pending") {
+      throw new AppError(`Signature request is ${request.status}`, 409);
+    }
+    if (hashCanonical(request.record) !== request.recordHash) {
+      throw new AppError("Record no longer matches its hash - signing refused", 409);
+    }
+    return request;
+  }
+
+  /**
+   * Apply an electronic signature
+   * @param {Object} params - { user: authenticated identity, password, meaning, comment }
+   * @returns {Object} Signature manifest
+   */
+  sign(requestId, { user: identity, password, meaning, comment = null }) {
+    const request = this.getPendingRequestOrThrow(requestId);
+    const user = this.reauthenticate(identity, password, requestId);
+
+    const signedMeanings = request.signatures.map(signature => signature.meaning);
+    const nextMeaning = request.requiredMeanings.find(required => !signedMeanings.includes(required));
+
+    if (!request.requiredMeanings.includes(meaning)) {
+      throw new AppError(`Meaning "${meaning}" is not required for this record`, 400);
+    }
+    if (meaning !== nextMeaning) {
+      throw new AppError(`Next signature must be "${nextMeaning}"`, 409);
+    }
+    if (request.signatures.some(signature => signature.signer.userId === user.id)) {
+      throw new AppError("The same person cannot sign a record twice", 409);
+    }
+    if (meaning === "approved" && !user.roles.some(role => this.approverRoles.includes(role))) {
+      throw new AppError(`Approval requires one of the roles: ${this.approverRoles.join(", ")}`, 403);
+    }
+
+    const manifest = {
+      signatureId: `ESIG-${uuidv4()}`,
+      requestId,
+      recordType: request.recordType,
+      recordId: request.recordId,
+      recordHash: request.recordHash,
+      signer: { userId: user.id, username: user.username, name: user.name },
+      meaning,
+      comment,
+      signedAt: new Date().toISOString()
+    };
+    manifest.manifestHash = hashCanonical(manifest);
+    manifest.auditId = this.auditLogger.appendAudit({ type: "e_signature", ...manifest });
+
+    request.signatures.push(manifest);
+
+    if (request.signatures.length === request.requiredMeanings.length) {
+      request.status = "completed";
+      request.completedAt = manifest.signedAt;
+      this.auditLogger.appendAudit({
+        type: "e_signature_completed",
+        requestId,
+        recordType: request.recordType,
+        recordId: request.recordId,
+        recordHash: request.recordHash,
+        signatureIds: request.signatures.map(signature => signature.signatureId)
+      });
+      this.eventBusManager?.emit?.("signature/completed", this.describeRequest(request));
+    }
+
+    this.persist();
+    logger.info(`✍️ ${request.recordType} ${request.recordId} ${meaning} by ${user.username}`);
+    return manifest;
+  }
+
+  /**
+   * Refuse to sign; closes the request
+   * @param {Object} params - { user: authenticated identity, password, reason }
+   */
+  reject(requestId, { user: identity, password, reason }) {
+    if (!reason) throw new AppError("A reason is required to reject", 400);
+
+    const request = this.getPendingRequestOrThrow(requestId);
+    const user = this.reauthenticate(identity, password, requestId);
+    if (RELEASE_RECORD_TYPES.includes(request.recordType) && !user.roles.some(role => this.approverRoles.includes(role))) {
+      throw new AppError(`Rejecting a ${request.recordType} requires one of the roles: ${this.approverRoles.join(", ")}`, 403);
+    }
+
+    request.status = "rejected";
+    request.rejection = {
+      userId: user.id,
+      name: user.name,
+      reason,
+      rejectedAt: new Date().toISOString()
+    };
+
+    this.auditLogger.appendAudit({
+      type: "e_signature_rejected",
+      requestId,
+      recordType: request.recordType,
+      recordId: request.recordId,
+      recordHash: request.recordHash,
+      ...request.rejection
+    });
+    this.eventBusManager?.emit?.("signature/rejected", this.describeRequest(request));
+
+    this.persist();
+    return this.describeRequest(request);
+  }
+
+  /**
+   * Check that the record and every manifest still match their hashes
+   */
+  verifyRequest(requestId) {
+    const request = this.getRequest(requestId);
+    if (!request) throw new AppError(`Signature request not found: ${requestId}`, 404);
+
+    const recordIntact = hashCanonical(request.record) === request.recordHash;
+    const signatures = request.signatures.map(({ auditId, manifestHash, ...manifest }) => ({
+      signatureId: manifest.signatureId,
+      meaning: manifest.meaning,
+      boundToRecord: manifest.recordHash === request.recordHash,
+      manifestIntact: hashCanonical(manifest) === manifestHash,
+      auditId
+    }));
+
+    return {
+      requestId,
+      valid: recordIntact && signatures.every(signature => signature.boundToRecord && signature.manifestIntact),
+      recordIntact,
+      signatures,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+}
+
+export default SignatureManager;
@@ -0,0 +1,286 @@
+/**
+ * ========================================================================
+ * ACCESS CONTROL - UNIFIED ROLE-BASED ACCESS
+ * ========================================================================
+ *
+ * One identity and role model for REST routes, MCP tool/resource calls
+ * and agent invocation. Roles, inheritance, aliases, API keys and the
+ * anonymous identity are defined in src/config/roles.yaml.
+ *
+ * Identity: { id, name, roles: [...], authMethod }
+ *
+ * Checks:
+ * - REST:   api:<area>:read|write (GET/HEAD = read)
+ * - MCP:    tool:<name>, resource:<uri>
+ * - Agents: agent:<agentId> plus the agent's YAML rolesAllowed
+ *
+ * Identities come from AuthService (sessions, OIDC, API keys) when one
+ * is attached, otherwise from the static API keys in roles.yaml.
+ *
+ * Every denial is written to the audit trail as "access_denied".
+ * canSeeEvent() filters the shared /events stream per caller.
+ *
+ * Environment defaults:
+ *  - ROLES_FILE            (default: src/config/roles.yaml)
+ *  - RBAC_ANONYMOUS_ROLES  (default: anonymous.roles from roles.yaml)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+export class AccessControl {
+  constructor({ auditLogger = null, eventBusManager = null, rolesFile = process.env.ROLES_FILE || "src/config/roles.yaml" } = {}) {
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+    this.rolesFile = path.resolve(rolesFile);
+
+    this.roles = {};
+    this.aliases = {};
+    this.apiKeys = {};
+    this.anonymousRoles = [];
+    this.publicPaths = [];
+    this.patternCache = new Map();
+    this.authService = null;
+
+    this.load();
+  }
+
+  setAuthService(authService) {
+    this.authService = authService;
+  }
+
+  load() {
+    try {
+      const config = yaml.load(fs.readFileSync(this.rolesFile, "utf8")) || {};
+      this.roles = config.roles || {};
+      this.aliases = config.aliases || {};
+      this.apiKeys = config.apiKeys || {};
+      this.publicPaths = config.publicPaths || [];
+      this.anonymousRoles = process.env.RBAC_ANONYMOUS_ROLES !== undefined
+        ? process.env.RBAC_ANONYMOUS_ROLES.split(",").map(role => role.trim()).filter(Boolean)
+        : config.anonymous?.roles || [];
+
+      logger.info(`🔐 Loaded ${Object.keys(this.roles).length} roles (anonymous: ${this.anonymousRoles.join(", ") || "denied"})`);
+    } catch (error) {
+      // Fail closed: no roles means every check is denied
+      logger.error(`Failed to load role definitions: ${error.message}`);
+    }
+  }
+
+  // ======================================================================
+  // ROLES & PERMISSIONS
+  // ======================================================================
+
+  /**
+   * Role names of an identity, a role array or a single role
+   */
+  static rolesOf(subject) {
+    if (!subject) return [];
+    if (typeof subject === "string") return [subject];
+    if (Array.isArray(subject)) return subject;
+    return subject.roles || (subject.role ? [subject.role] : []);
+  }
+
+  /**
+   * Effective roles: aliases resolved, inherited roles added
+   */
+  resolveRoles(subject) {
+    const resolved = new Set();
+    const visit = (role) => {
+      const name = this.aliases[role] || role;
+      if (resolved.has(name) || !this.roles[name]) return;
+      resolved.add(name);
+      (this.roles[name].inherits || []).forEach(visit);
+    };
+    AccessControl.rolesOf(subject).forEach(visit);
+    return [...resolved];
+  }
+
+  getPermissions(subject) {
+    return this.resolveRoles(subject).flatMap(role => this.roles[role].permissions || []);
+  }
+
+  matches(pattern, permission) {
+    if (!this.patternCache.has(pattern)) {
+      const escaped = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+      this.patternCache.set(pattern, new RegExp(`^${escaped.join(".*")}$`));
+    }
+    return this.patternCache.get(pattern).test(permission);
+  }
+
+  can(subject, permission) {
+    return this.getPermissions(subject).some(pattern => this.matches(pattern, permission));
+  }
+
+  isSuperuser(subject) {
+    return this.getPermissions(subject).includes("*");
+  }
+
+  /**
+   * can() that audits the denial
+   */
+  check(subject, permission, context = {}) {
+    const allowed = this.can(subject, permission);
+    if (!allowed) this.recordDenial(subject, permission, context);
+    return allowed;
+  }
+
+  /**
+   * Agent access: agent:<id> permission and a role from the agent's rolesAllowed
+   */
+  canInvokeAgent(subject, agent) {
+    if (!this.can(subject, `agent:${agent.id}`)) return false;
+    if (this.isSuperuser(subject)) return true;
+
+    const allowed = agent.rolesAllowed || [];
+    if (!allowed.length) return true;
+
+    const roles = this.resolveRoles(subject);
+    return allowed.some(role => roles.includes(this.aliases[role] || role));
+  }
+
+  /**
+   * Throw 403 (and audit) when the caller may not invoke the agent
+   */
+  authorizeAgent(subject, agent, context = {}) {
+    if (this.canInvokeAgent(subject, agent)) return;
+
+    this.recordDenial(subject, `agent:${agent.id}`, { ...context, rolesAllowed: agent.rolesAllowed || [] });
+    throw new AppError(`Access denied: agent ${agent.name || agent.id} requires one of the roles ${(agent.rolesAllowed || []).join(", ")}`, 403);
+  }
+
+  recordDenial(subject, permission, context = {}) {
+    const denial = {
+      type: "access_denied",
+      userId: subject?.id || "unknown",
+      roles: AccessControl.rolesOf(subject),
+      authMethod: subject?.authMethod || null,
+      permission,
+      ...context
+    };
+
+    logger.warn(`🚫 Access denied: ${denial.userId} [${denial.roles.join(", ")}] -> ${permission}`);
+    this.auditLogger?.appendAudit?.(denial);
+    this.eventBusManager?.emit?.("security/access_denied", { ...denial, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Whether an event on a shared stream (/events) may reach the identity:
+   * agent responses only their requester, approvals their approver roles,
+   * notifications their recipients (user id or effective role)
+   */
+  canSeeEvent(subject, eventType, data = {}) {
+    if (this.isSuperuser(subject)) return true;
+
+    const roles = this.resolveRoles(subject);
+    if (eventType.startsWith("agent/response.")) {
+      return !!data.userId && data.userId === subject?.id;
+    }
+    if (eventType.startsWith("approval/")) {
+      return (data.allowedRoles || []).some(role => roles.includes(this.aliases[role] || role));
+    }
+    if (eventType === "notification/created") {
+      const addresses = new Set([subject?.id, ...roles]);
+      return (data.recipients || []).some(recipient => addresses.has(recipient));
+    }
+    return true;
+  }
+
+  // ======================================================================
+  // IDENTITY
+  // ======================================================================
+
+  anonymousIdentity() {
+    return { id: "anonymous", name: "Anonymous", roles: [...this.anonymousRoles], authMethod: "anonymous" };
+  }
+
+  /**
+   * Identity from request credentials, null if credentials are invalid
+   */
+  async resolveIdentity(req) {
+    if (this.authService) {
+      const identity = await this.authService.authenticateRequest(req);
+      return identity === undefined ? this.anonymousIdentity() : identity;
+    }
+
+    const key = (req.headers["x-api-key"] || "").trim();
+    if (!key) return this.anonymousIdentity();
+
+    for (const [envName, roles] of Object.entries(this.apiKeys)) {
+      if (process.env[envName] && key === process.env[envName]) {
+        return { id: `apikey:${envName}`, name: envName, roles: [...roles], authMethod: "api_key" };
+      }
+    }
+    return null;
+  }
+
+  isPublicPath(requestPath) {
+    return this.publicPaths.some(publicPath => requestPath === publicPath || requestPath.startsWith(`${publicPath}/`));
+  }
+
+  /**
+   * Express middleware for /api: sets req.user and checks api:<area>:<action>
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const fullPath = `${req.baseUrl}${req.path}`;
+      let identity = null;
+      try {
+        identity = await this.resolveIdentity(req);
+      } catch (error) {
+        logger.warn(`Authentication error: ${error.message}`);
+      }
+
+      if (!identity) {
+        this.recordDenial({ id: "unknown", roles: [] }, "authenticate", { path: fullPath, method: req.method, reason: "invalid_credentials" });
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      req.user = identity;
+
+      if (this.isPublicPath(fullPath)) return next();
+
+      const area = req.path.split("/").filter(Boolean)[0] || "root";
+      const action = ["GET", "HEAD", "OPTIONS"].includes(req.method) ? "read" : "write";
+      const permission = `api:${area}:${action}`;
+
+      if (!this.check(identity, permission, { path: fullPath, method: req.method })) {
+        return res.status(identity.authMethod === "anonymous" ? 401 : 403).json({
+          error: identity.authMethod === "anonymous" ? "Authentication required" : "Access denied",
+          permission
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Route-level guard for routers: requirePermission("auth:apikeys:manage")
+   */
+  requirePermission(permission) {
+    return (req, res, next) => {
+      const identity = req.user || this.anonymousIdentity();
+      if (!this.check(identity, permission, { path: `${req.baseUrl}${req.path}`, method: req.method })) {
+        return res.status(403).json({ error: "Access denied", permission });
+      }
+      next();
+    };
+  }
+
+  describeRoles() {
+    return Object.entries(this.roles).map(([name, role]) => ({
+      name,
+      description: role.description || "",
+      inherits: role.inherits || [],
+      permissions: this.getPermissions(name)
+    }));
+  }
+}
+
+export default AccessControl;
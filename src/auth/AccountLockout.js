@@ -0,0 +1,85 @@
+/**
+ * ========================================================================
+ * ACCOUNT LOCKOUT - FAILED PASSWORD ATTEMPTS PER USER
+ * ========================================================================
+ *
+ * Shared by every place that checks a password (login, e-signature
+ * re-authentication). An account is locked while it has maxFailures
+ * failed attempts within the window; a successful attempt resets it.
+ * The moment an account locks is written to the audit trail as
+ * "account_locked" and emitted as security/account_locked.
+ *
+ * Environment defaults:
+ *  - AUTH_MAX_FAILURES          (default: 3)
+ *  - AUTH_LOCKOUT_MINUTES       (default: 15)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import logger from "../utils/logger.js";
+
+export class AccountLockout {
+  constructor({ auditLogger = null, eventBusManager = null, options = {} } = {}) {
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+    this.maxFailures = options.maxFailures || parseInt(process.env.AUTH_MAX_FAILURES) || 3;
+    this.windowMs = (options.lockoutMinutes || parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+    this.failedAttempts = new Map();
+  }
+
+  failuresOf(username, now = Date.now()) {
+    const failures = (this.failedAttempts.get(username) || []).filter(time => now - time < this.windowMs);
+    if (failures.length) this.failedAttempts.set(username, failures);
+    else this.failedAttempts.delete(username);
+    return failures;
+  }
+
+  isLocked(username) {
+    return this.failuresOf(username).length >= this.maxFailures;
+  }
+
+  /**
+   * ISO time the lock ends, null if the account is not locked
+   */
+  lockedUntil(username) {
+    const failures = this.failuresOf(username);
+    if (failures.length < this.maxFailures) return null;
+    return new Date(failures[failures.length - this.maxFailures] + this.windowMs).toISOString();
+  }
+
+  /**
+   * Count a failed attempt; audits the lock when this attempt triggers it
+   * @param {Object} context - { source: "login" | "e_signature", ip, requestId, ... }
+   * @returns {boolean} Whether the account is locked now
+   */
+  recordFailure(username, context = {}) {
+    if (!username) return false;
+
+    const failures = this.failuresOf(username);
+    failures.push(Date.now());
+    this.failedAttempts.set(username, failures);
+
+    if (failures.length !== this.maxFailures) return failures.length > this.maxFailures;
+
+    const lock = {
+      type: "account_locked",
+      username,
+      failures: failures.length,
+      lockedUntil: this.lockedUntil(username),
+      ...context
+    };
+    logger.warn(`🔒 Account ${username} locked until ${lock.lockedUntil} (${failures.length} failed attempts)`);
+    this.auditLogger?.appendAudit?.(lock);
+    this.eventBusManager?.emit?.("security/account_locked", { ...lock, timestamp: new Date().toISOString() });
+    return true;
+  }
+
+  reset(username) {
+    this.failedAttempts.delete(username);
+  }
+}
+
+export default AccountLockout;
@@ -0,0 +1,255 @@
+/**
+ * ========================================================================
+ * AUTH SERVICE - PLUGGABLE AUTHENTICATION, SESSIONS AND JWTS
+ * ========================================================================
+ *
+ * Strategies (each: { name, authenticate(credentials) -> identity|null }):
+ * - local    username/password from LocalUserStore
+ * - oidc     ID tokens from any OpenID Connect issuer (JWKS verified)
+ * - api_key  scoped, expiring API keys
+ *
+ * A successful login creates a server-side session and an HS256 JWT
+ * bound to it (claim "sid"). The token is accepted as Bearer token or
+ * session cookie by every /api router; logout revokes the session.
+ *
+ * Failed password logins count per user in AccountLockout; a locked
+ * account is refused with 423 before the strategy runs.
+ *
+ * Request credentials, in order:
+ *   Authorization: Bearer <session JWT | OIDC token>
+ *   Cookie: pharma_session=<session JWT>
+ *   x-api-key: <key>
+ *
+ * Environment defaults:
+ *  - AUTH_JWT_SECRET          (default: random per process - tokens end on restart)
+ *  - AUTH_ISSUER              (default: pharma-agent-system)
+ *  - AUTH_TOKEN_TTL_MINUTES   (default: 480)
+ *  - AUTH_MAX_SESSIONS        (default: 1000)
+ *  - AUTH_MAX_FAILURES        (default: 3 failed logins within AUTH_LOCKOUT_MINUTES)
+ *  - AUTH_LOCKOUT_MINUTES     (default: 15)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { signJwt, verifyJwt, decodeJwt } from "./jwt.js";
+import { AccountLockout } from "./AccountLockout.js";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+export const SESSION_COOKIE = "pharma_session";
+
+export class AuthService {
+  constructor({ auditLogger = null, eventBusManager = null, options = {} } = {}) {
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+
+    this.issuer = options.issuer || process.env.AUTH_ISSUER || "pharma-agent-system";
+    this.tokenTtlSeconds = (options.tokenTtlMinutes || parseInt(process.env.AUTH_TOKEN_TTL_MINUTES) || 480) * 60;
+    this.maxSessions = options.maxSessions || parseInt(process.env.AUTH_MAX_SESSIONS) || 1000;
+    this.secret = options.secret || process.env.AUTH_JWT_SECRET;
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString("hex");
+      logger.warn("⚠️ AUTH_JWT_SECRET not set - session tokens are invalidated on restart");
+    }
+
+    this.lockout = new AccountLockout({ auditLogger, eventBusManager, options });
+    this.strategies = new Map();
+    this.sessions = new Map();
+  }
+
+  registerStrategy(strategy) {
+    this.strategies.set(strategy.name, strategy);
+    logger.info(`🔐 Auth strategy registered: ${strategy.name}`);
+  }
+
+  getStrategy(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  listStrategies() {
+    return [...this.strategies.values()]
+      .filter(strategy => strategy.isConfigured?.() ?? true)
+      .map(strategy => strategy.name);
+  }
+
+  // ======================================================================
+  // LOGIN & SESSIONS
+  // ======================================================================
+
+  /**
+   * Authenticate with a strategy and open a session
+   * @returns {Promise<{token, expiresAt, sessionId, user}>}
+   */
+  async login(strategyName, credentials = {}, context = {}) {
+    const strategy = this.getStrategy(strategyName);
+    if (!strategy || !(strategy.isConfigured?.() ?? true)) {
+      throw new AppError(`Unknown authentication strategy: ${strategyName}`, 400);
+    }
+
+    // Password logins are locked per user name; token strategies have no guessable secret
+    const username = credentials.username || null;
+    if (username && this.lockout.isLocked(username)) {
+      this.auditLogger?.appendAudit?.({
+        type: "auth_login_failed",
+        strategy: strategyName,
+        username,
+        ip: context.ip || null,
+        reason: "account_locked"
+      });
+      throw new AppError("Account temporarily locked after failed login attempts", 423);
+    }
+
+    const identity = await strategy.authenticate(credentials);
+    if (!identity) {
+      this.auditLogger?.appendAudit?.({
+        type: "auth_login_failed",
+        strategy: strategyName,
+        username,
+        ip: context.ip || null
+      });
+      this.lockout.recordFailure(username, { source: "login", strategy: strategyName, ip: context.ip || null });
+      throw new AppError("Authentication failed", 401);
+    }
+    if (username) this.lockout.reset(username);
+
+    const session = this.createSession(identity, context);
+    this.auditLogger?.appendAudit?.({
+      type: "auth_login",
+      strategy: strategyName,
+      userId: identity.id,
+      roles: identity.roles,
+      sessionId: session.sessionId,
+      ip: context.ip || null
+    });
+    this.eventBusManager?.emit?.("auth/login", { userId: identity.id, strategy: strategyName, timestamp: new Date().toISOString() });
+
+    return session;
+  }
+
+  createSession(identity, context = {}) {
+    this.cleanupExpired();
+    if (this.sessions.size >= this.maxSessions) {
+      const oldest = [...this.sessions.values()].sort((a, b) => a.createdAt - b.createdAt)[0];
+      this.sessions.delete(oldest.sessionId);
+    }
+
+    const sessionId = uuidv4();
+    const now = Date.now();
+    const session = {
+      sessionId,
+      identity,
+      createdAt: now,
+      expiresAt: now + this.tokenTtlSeconds * 1000,
+      lastSeenAt: now,
+      ip: context.ip || null
+    };
+    this.sessions.set(sessionId, session);
+
+    const token = signJwt({
+      iss: this.issuer,
+      sub: identity.id,
+      sid: sessionId,
+      name: identity.name,
+      roles: identity.roles,
+      amr: [identity.authMethod]
+    }, this.secret, { expiresInSeconds: this.tokenTtlSeconds });
+
+    return {
+      token,
+      tokenType: "Bearer",
+      sessionId,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      user: identity
+    };
+  }
+
+  /**
+   * Verify a session JWT; the session must still exist (not logged out)
+   * @returns {Promise<Object|null>} Identity with sessionId
+   */
+  async verifySessionToken(token) {
+    try {
+      const payload = await verifyJwt(token, { secret: this.secret, issuer: this.issuer, clockToleranceSeconds: 0 });
+      const session = this.sessions.get(payload.sid);
+      if (!session || session.expiresAt < Date.now()) return null;
+
+      session.lastSeenAt = Date.now();
+      return { ...session.identity, sessionId: session.sessionId };
+    } catch {
+      return null;
+    }
+  }
+
+  logout(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    this.sessions.delete(sessionId);
+    this.auditLogger?.appendAudit?.({ type: "auth_logout", userId: session.identity.id, sessionId });
+    return true;
+  }
+
+  cleanupExpired() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(sessionId);
+    }
+  }
+
+  listSessions() {
+    this.cleanupExpired();
+    return [...this.sessions.values()].map(({ sessionId, identity, createdAt, expiresAt, lastSeenAt }) => ({
+      sessionId,
+      userId: identity.id,
+      authMethod: identity.authMethod,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+      lastSeenAt: new Date(lastSeenAt).toISOString()
+    }));
+  }
+
+  // ======================================================================
+  // REQUEST AUTHENTICATION
+  // ======================================================================
+
+  static readCookie(req, name) {
+    const header = req.headers.cookie || "";
+    const match = header.split(";").map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+  }
+
+  /**
+   * Identity for a request
+   * @returns {Promise<Object|null|undefined>} identity, null = invalid credentials, undefined = none sent
+   */
+  async authenticateRequest(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1];
+    if (bearer) {
+      let issuer = null;
+      try {
+        issuer = decodeJwt(bearer).payload.iss;
+      } catch {
+        return null;
+      }
+
+      if (issuer === this.issuer) return this.verifySessionToken(bearer);
+      return (await this.getStrategy("oidc")?.authenticate({ idToken: bearer })) || null;
+    }
+
+    // A stale browser cookie counts as no credentials rather than a failed login
+    const cookieToken = AuthService.readCookie(req, SESSION_COOKIE);
+    const cookieIdentity = cookieToken && await this.verifySessionToken(cookieToken);
+    if (cookieIdentity) return cookieIdentity;
+
+    const apiKey = (req.headers["x-api-key"] || "").trim();
+    if (apiKey) return (await this.getStrategy("api_key")?.authenticate({ apiKey })) || null;
+
+    return undefined;
+  }
+}
+
+export default AuthService;
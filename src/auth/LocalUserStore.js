@@ -0,0 +1,119 @@
+/**
+ * ========================================================================
+ * LOCAL USER STORE
+ * ========================================================================
+ *
+ * File-based user accounts with scrypt password hashes. Used for
+ * password login and re-authentication when signing records electronically.
+ *
+ * Hash format: scrypt$<salt hex>$<key hex>
+ *
+ * The default store is empty; accounts are seeded at deploy time with
+ * scripts/hashPassword.js. While the file holds one of the published demo
+ * hashes (src/config/users.demo.json), password checks are refused unless
+ * AUTH_ALLOW_DEMO_USERS is set.
+ *
+ * Environment defaults:
+ *  - USERS_FILE              (default: src/config/users.json)
+ *  - AUTH_ALLOW_DEMO_USERS   (default: false)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+const KEY_LENGTH = 64;
+
+// Hashes of the demo accounts whose passwords are published in the README
+const DEMO_PASSWORD_HASHES = new Set([
+  "scrypt$88f3dfcd8d6f1a7b5b915fe838b10787$0a53e96c8bc98884bdf87bfa6500e7584564f24f581ddf1505068c5db25a2114588df84b9efcb41dd44dcc910d2a1e32d9b65f0ac43b8bb66096697c3a26f1af",
+  "scrypt$0339a05ce1ff8a619e6fa640850b4537$29176d9a2fabe7a250183926057f1fde74b91ff121786106341accdbc27d9601ff7fa1187f4b9c0c7cb9181d49503aae329add1c3c9bd6f36f74bdfc0faf9b66",
+  "scrypt$88c294ced0411e708c3d2a03bdf9f7a1$3fed24afde7d1c818052bed9c444882a409b6ece84ea8d019d9dccc92f0ac40574d113f3207398584a1a5ec30a8f48183b8c389850c5a63d720fec81b4e7d9ca",
+  "scrypt$6bb71cd68acc99e6a8f3bbc21420e0a7$9cbc9de601f02c8263a7616eada3a81bf9e1936e713877421b6a5792c684bf93093cdfbbf3ed9ba8ac5b0737245a36709ac5d9514d354181499945be5bc41e31"
+]);
+
+export class LocalUserStore {
+  constructor(usersFile = process.env.USERS_FILE || "src/config/users.json", { allowDemoUsers = process.env.AUTH_ALLOW_DEMO_USERS === "true" } = {}) {
+    this.usersFile = path.resolve(usersFile);
+    this.allowDemoUsers = allowDemoUsers;
+    this.users = new Map();
+    this.demoUsers = [];
+    this.load();
+  }
+
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const key = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString("hex");
+    return `scrypt$${salt}$${key}`;
+  }
+
+  static checkPassword(password, passwordHash) {
+    const [scheme, salt, key] = String(passwordHash || "").split("$");
+    if (scheme !== "scrypt" || !salt || !key) return false;
+
+    const expected = Buffer.from(key, "hex");
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.usersFile)) {
+        logger.warn(`User store not found: ${this.usersFile}`);
+        return;
+      }
+
+      const { users = [] } = JSON.parse(fs.readFileSync(this.usersFile, "utf8"));
+      this.users = new Map(users.map(user => [user.username, user]));
+      this.demoUsers = users.filter(user => DEMO_PASSWORD_HASHES.has(user.passwordHash)).map(user => user.username);
+      logger.info(`👤 Loaded ${this.users.size} local users`);
+      if (this.demoUsers.length) {
+        logger[this.allowDemoUsers ? "warn" : "error"](`⚠️ ${this.usersFile} contains published demo accounts (${this.demoUsers.join(", ")}) - local login ${this.allowDemoUsers ? "allowed by AUTH_ALLOW_DEMO_USERS" : "disabled until they are replaced"}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to load user store: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public user profile (never includes the password hash)
+   */
+  getUser(username) {
+    const user = this.users.get(username);
+    if (!user || user.disabled) return null;
+
+    const { passwordHash, ...profile } = user;
+    return { id: user.id || user.username, ...profile, roles: user.roles || [] };
+  }
+
+  /**
+   * Public profiles of all active users
+   */
+  listUsers() {
+    return [...this.users.keys()].map(username => this.getUser(username)).filter(Boolean);
+  }
+
+  /**
+   * Verify credentials
+   * @returns {Object|null} Public user profile, null on failure
+   * @throws {AppError} 503 while demo accounts are present and not allowed
+   */
+  verifyCredentials(username, password) {
+    if (this.demoUsers.length && !this.allowDemoUsers) {
+      throw new AppError("Local login is disabled: the user store contains the published demo accounts. Seed users with scripts/hashPassword.js or set AUTH_ALLOW_DEMO_USERS=true for a demo", 503);
+    }
+
+    const user = this.users.get(username);
+    if (!user || user.disabled || !password) return null;
+
+    return LocalUserStore.checkPassword(password, user.passwordHash) ? this.getUser(username) : null;
+  }
+}
+
+export default LocalUserStore;
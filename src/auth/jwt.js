@@ -0,0 +1,118 @@
+/**
+ * ========================================================================
+ * JWT - SIGN AND VERIFY (node:crypto, no external dependency)
+ * ========================================================================
+ *
+ * Supported algorithms: HS256 (own session tokens), RS256 and ES256
+ * (OIDC identity providers). "none" and unknown algorithms are rejected.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import crypto from "crypto";
+import { AppError } from "../utils/errorHandler.js";
+
+const ALGORITHMS = {
+  HS256: { type: "hmac", hash: "sha256" },
+  RS256: { type: "rsa", hash: "sha256" },
+  ES256: { type: "ec", hash: "sha256" }
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Sign a JWT
+ * @param {Object} payload - Claims; iat/exp are added
+ * @param {string|crypto.KeyObject} key - HMAC secret or private key
+ * @param {Object} options - { algorithm, keyId, expiresInSeconds }
+ */
+export function signJwt(payload, key, { algorithm = "HS256", keyId = null, expiresInSeconds = null } = {}) {
+  const spec = ALGORITHMS[algorithm];
+  if (!spec) throw new AppError(`Unsupported algorithm: ${algorithm}`, 500);
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: algorithm, typ: "JWT", ...(keyId && { kid: keyId }) };
+  const claims = { iat: now, ...payload, ...(expiresInSeconds && { exp: now + expiresInSeconds }) };
+
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const signature = spec.type === "hmac"
+    ? crypto.createHmac(spec.hash, key).update(signingInput).digest()
+    : crypto.sign(spec.hash, Buffer.from(signingInput), spec.type === "ec" ? { key, dsaEncoding: "ieee-p1363" } : key);
+
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Split and parse a JWT without verifying it
+ */
+export function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new AppError("Malformed token", 401);
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8")),
+      payload: JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8")),
+      signature: Buffer.from(parts[2], "base64url"),
+      signingInput: `${parts[0]}.${parts[1]}`
+    };
+  } catch {
+    throw new AppError("Malformed token", 401);
+  }
+}
+
+/**
+ * Verify signature and registered claims
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} options.secret - HMAC secret (HS256)
+ * @param {Function} options.getKey - async (header) => KeyObject (RS256/ES256)
+ * @param {string[]} options.algorithms - Accepted algorithms
+ * @param {string} options.issuer - Expected iss
+ * @param {string} options.audience - Expected aud (string or contained in array)
+ * @returns {Promise<Object>} Verified payload
+ */
+export async function verifyJwt(token, { secret, getKey, algorithms = ["HS256"], issuer, audience, clockToleranceSeconds = 60 } = {}) {
+  const { header, payload, signature, signingInput } = decodeJwt(token);
+
+  const spec = ALGORITHMS[header.alg];
+  if (!spec || !algorithms.includes(header.alg)) {
+    throw new AppError(`Algorithm not allowed: ${header.alg}`, 401);
+  }
+
+  let valid;
+  if (spec.type === "hmac") {
+    if (!secret) throw new AppError("No secret for HMAC token", 401);
+    const expected = crypto.createHmac(spec.hash, secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    const key = await getKey?.(header);
+    if (!key) throw new AppError(`No key for kid ${header.kid || "(none)"}`, 401);
+    valid = crypto.verify(
+      spec.hash,
+      Buffer.from(signingInput),
+      spec.type === "ec" ? { key, dsaEncoding: "ieee-p1363" } : key,
+      signature
+    );
+  }
+  if (!valid) throw new AppError("Invalid signature", 401);
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && now > payload.exp + clockToleranceSeconds) {
+    throw new AppError("Token expired", 401);
+  }
+  if (payload.nbf !== undefined && now + clockToleranceSeconds < payload.nbf) {
+    throw new AppError("Token not yet valid", 401);
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new AppError(`Unexpected issuer: ${payload.iss}`, 401);
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) throw new AppError("Unexpected audience", 401);
+  }
+
+  return payload;
+}
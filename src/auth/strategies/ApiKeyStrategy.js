@@ -0,0 +1,133 @@
+/**
+ * ========================================================================
+ * API KEY STRATEGY - SCOPED, EXPIRING KEYS
+ * ========================================================================
+ *
+ * Keys are issued once ("pk_<id>_<secret>"), only their SHA-256 hash is
+ * stored. Each key carries its roles and an expiry and can be revoked.
+ * Static keys from the environment (roles.yaml `apiKeys`) keep working.
+ *
+ * Environment defaults:
+ *  - API_KEYS_FILE          (default: api_keys.json)
+ *  - API_KEY_DEFAULT_DAYS   (default: 90)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AppError } from "../../utils/errorHandler.js";
+import logger from "../../utils/logger.js";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+export class ApiKeyStrategy {
+  /**
+   * @param {Object} options
+   * @param {Object} options.envKeys - { ENV_VAR_NAME: [roles] } for static keys
+   */
+  constructor(options = {}) {
+    this.name = "api_key";
+    this.keysFile = path.resolve(options.keysFile || process.env.API_KEYS_FILE || "api_keys.json");
+    this.defaultDays = options.defaultDays || parseInt(process.env.API_KEY_DEFAULT_DAYS) || 90;
+    this.envKeys = options.envKeys || {};
+    this.auditLogger = options.auditLogger || null;
+    this.keys = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.keysFile)) {
+        const keys = JSON.parse(fs.readFileSync(this.keysFile, "utf8"));
+        this.keys = new Map(keys.map(record => [record.id, record]));
+      }
+    } catch (error) {
+      logger.error(`Failed to load API keys: ${error.message}`);
+    }
+  }
+
+  persist() {
+    fs.writeFileSync(this.keysFile, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Issue a new key; the plain key is only returned here
+   * @returns {{key: string, record: Object}}
+   */
+  createKey({ name, roles, expiresInDays = this.defaultDays, createdBy = "system" }) {
+    if (!name) throw new AppError("API key name is required", 400);
+    if (!Array.isArray(roles) || !roles.length) throw new AppError("API key needs at least one role", 400);
+
+    const id = crypto.randomBytes(6).toString("hex");
+    const key = `pk_${id}_${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id,
+      name,
+      roles,
+      keyHash: hashKey(key),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    this.keys.set(id, record);
+    this.persist();
+    this.auditLogger?.appendAudit?.({ type: "api_key_created", keyId: id, name, roles, expiresAt: record.expiresAt, createdBy });
+    return { key, record: this.describeKey(record) };
+  }
+
+  revokeKey(id, revokedBy = "system") {
+    const record = this.keys.get(id);
+    if (!record) throw new AppError(`API key not found: ${id}`, 404);
+
+    record.revokedAt = new Date().toISOString();
+    this.persist();
+    this.auditLogger?.appendAudit?.({ type: "api_key_revoked", keyId: id, name: record.name, revokedBy });
+    return this.describeKey(record);
+  }
+
+  describeKey({ keyHash, ...record }) {
+    return { ...record, expired: Date.parse(record.expiresAt) < Date.now() };
+  }
+
+  listKeys() {
+    return [...this.keys.values()].map(record => this.describeKey(record));
+  }
+
+  /**
+   * @param {Object} credentials - { apiKey }
+   * @returns {Promise<Object|null>} Identity, null on failure
+   */
+  async authenticate({ apiKey } = {}) {
+    if (!apiKey) return null;
+
+    const match = /^pk_([0-9a-f]{12})_/.exec(apiKey);
+    if (match) {
+      const record = this.keys.get(match[1]);
+      if (!record || record.revokedAt || Date.parse(record.expiresAt) < Date.now()) return null;
+
+      const expected = Buffer.from(record.keyHash, "hex");
+      if (!crypto.timingSafeEqual(expected, Buffer.from(hashKey(apiKey), "hex"))) return null;
+
+      record.lastUsedAt = new Date().toISOString();
+      return { id: `apikey:${record.id}`, name: record.name, roles: [...record.roles], authMethod: this.name };
+    }
+
+    for (const [envName, roles] of Object.entries(this.envKeys)) {
+      const envKey = Buffer.from(process.env[envName] || "");
+      const given = Buffer.from(apiKey);
+      if (envKey.length && envKey.length === given.length && crypto.timingSafeEqual(envKey, given)) {
+        return { id: `apikey:${envName}`, name: envName, roles: [...roles], authMethod: this.name };
+      }
+    }
+    return null;
+  }
+}
+
+export default ApiKeyStrategy;
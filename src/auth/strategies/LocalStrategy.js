@@ -0,0 +1,37 @@
+/**
+ * ========================================================================
+ * LOCAL STRATEGY - USERNAME / PASSWORD
+ * ========================================================================
+ *
+ * Authenticates against LocalUserStore (scrypt hashes in users.json).
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+export class LocalStrategy {
+  constructor({ userStore }) {
+    this.name = "local";
+    this.userStore = userStore;
+  }
+
+  /**
+   * @param {Object} credentials - { username, password }
+   * @returns {Promise<Object|null>} Identity, null on failure
+   */
+  async authenticate({ username, password } = {}) {
+    const user = this.userStore.verifyCredentials(username, password);
+    if (!user) return null;
+
+    return {
+      id: user.id,
+      name: user.name || user.username,
+      username: user.username,
+      roles: user.roles,
+      authMethod: this.name
+    };
+  }
+}
+
+export default LocalStrategy;
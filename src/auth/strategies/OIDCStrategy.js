@@ -0,0 +1,136 @@
+/**
+ * ========================================================================
+ * OIDC STRATEGY - GENERIC OPENID CONNECT
+ * ========================================================================
+ *
+ * Verifies ID tokens (or JWT access tokens) from any OpenID Connect
+ * issuer. The JWKS location comes from OIDC_JWKS_URI or the issuer's
+ * discovery document; keys are cached and refreshed on unknown kid.
+ *
+ * Roles are read from the OIDC_ROLES_CLAIM claim (array, or space /
+ * comma separated string). IdP group names can be mapped to roles with
+ * `aliases` in src/config/roles.yaml.
+ *
+ * Environment defaults:
+ *  - OIDC_ISSUER          (required to enable, e.g. http://localhost:4400)
+ *  - OIDC_AUDIENCE        (client id; audience is not checked if unset)
+ *  - OIDC_JWKS_URI        (default: from <issuer>/.well-known/openid-configuration)
+ *  - OIDC_ROLES_CLAIM     (default: roles)
+ *  - OIDC_DEFAULT_ROLES   (default: none - tokens without roles get no access)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import crypto from "crypto";
+import { verifyJwt } from "../jwt.js";
+import logger from "../../utils/logger.js";
+
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+
+export class OIDCStrategy {
+  constructor(options = {}) {
+    this.name = options.name || "oidc";
+    this.issuer = (options.issuer || process.env.OIDC_ISSUER || "").replace(/\/$/, "");
+    this.audience = options.audience || process.env.OIDC_AUDIENCE || null;
+    this.jwksUri = options.jwksUri || process.env.OIDC_JWKS_URI || null;
+    this.rolesClaim = options.rolesClaim || process.env.OIDC_ROLES_CLAIM || "roles";
+    this.defaultRoles = options.defaultRoles ||
+      (process.env.OIDC_DEFAULT_ROLES || "").split(",").map(role => role.trim()).filter(Boolean);
+    this.algorithms = options.algorithms || ["RS256", "ES256"];
+
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+  }
+
+  isConfigured() {
+    return !!this.issuer;
+  }
+
+  async resolveJwksUri() {
+    if (this.jwksUri) return this.jwksUri;
+
+    const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+    if (!response.ok) throw new Error(`OIDC discovery failed: HTTP ${response.status}`);
+
+    const config = await response.json();
+    if (!config.jwks_uri) throw new Error("OIDC discovery document has no jwks_uri");
+    this.jwksUri = config.jwks_uri;
+    return this.jwksUri;
+  }
+
+  async refreshKeys() {
+    const response = await fetch(await this.resolveJwksUri());
+    if (!response.ok) throw new Error(`JWKS fetch failed: HTTP ${response.status}`);
+
+    const { keys = [] } = await response.json();
+    this.keys = new Map(keys
+      .filter(jwk => !jwk.use || jwk.use === "sig")
+      .map(jwk => [jwk.kid || "default", crypto.createPublicKey({ key: jwk, format: "jwk" })]));
+    this.keysFetchedAt = Date.now();
+    logger.info(`🔑 Loaded ${this.keys.size} signing keys from ${this.jwksUri}`);
+  }
+
+  /**
+   * Signing key for a token header; refetches once for unknown kids (key rotation)
+   */
+  async getKey(header) {
+    const kid = header.kid || "default";
+    const age = Date.now() - this.keysFetchedAt;
+    const unknownKid = !this.keys.has(kid) && age > JWKS_MIN_REFRESH_MS;
+
+    if (unknownKid || age > JWKS_CACHE_MS) {
+      try {
+        await this.refreshKeys();
+      } catch (error) {
+        // Keep using cached keys while the IdP is unreachable
+        if (!this.keys.has(kid)) throw error;
+        logger.warn(`JWKS refresh failed, using cached keys: ${error.message}`);
+      }
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  async verifyToken(token) {
+    return verifyJwt(token, {
+      getKey: (header) => this.getKey(header),
+      algorithms: this.algorithms,
+      issuer: this.issuer,
+      audience: this.audience
+    });
+  }
+
+  rolesFromClaims(claims) {
+    const value = claims[this.rolesClaim];
+    const roles = Array.isArray(value)
+      ? value
+      : String(value || "").split(/[\s,]+/).filter(Boolean);
+    return roles.length ? roles : [...this.defaultRoles];
+  }
+
+  /**
+   * @param {Object} credentials - { idToken }
+   * @returns {Promise<Object|null>} Identity, null on failure
+   */
+  async authenticate({ idToken } = {}) {
+    if (!this.isConfigured() || !idToken) return null;
+
+    try {
+      const claims = await this.verifyToken(idToken);
+      return {
+        id: `${this.name}:${claims.sub}`,
+        name: claims.name || claims.preferred_username || claims.email || claims.sub,
+        email: claims.email || null,
+        roles: this.rolesFromClaims(claims),
+        authMethod: this.name
+      };
+    } catch (error) {
+      logger.warn(`OIDC token rejected: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default OIDCStrategy;
@@ -267,14 +267,15 @@ async getAllAvailableData() {
   // ------------------------------------------------------------------------
 async getRealtimeOEEData() {
     try {
-      const source = this.dataSources.get("oee");
-      if (!source) {
+      const sources = this.getRealtimeOEESources();
+      if (!sources.length) {
         logger.warn("⚠️ No OEE data source configured");
         return [];
       }
 
-      const data = await source.fetchData();
-      return Array.isArray(data) ? data : [];
+      // MQTT and OPC UA lines in one list
+      const data = await Promise.all(sources.map((source) => source.fetchData()));
+      return data.flatMap((lines) => (Array.isArray(lines) ? lines : []));
     } catch (err) {
       logger.error(`❌ Failed to get realtime OEE data: ${err.message}`);
       return [];
@@ -443,13 +444,48 @@ async getRealtimeOEEData() {
     return "unknown";
   }
 
+  /**
+   * Register a listener on all realtime OEE sources
+   * @returns {number} Number of sources the listener was attached to
+   */
+  onRealtimeOEE(listener) {
+    const sources = this.getRealtimeOEESources();
+    sources.forEach((source) => source.onUpdate(listener));
+    return sources.length;
+  }
+
+  /**
+   * Realtime OEE sources (MQTT, OPC UA): the ones publishing line updates
+   */
+  getRealtimeOEESources() {
+    return [...new Set(this.dataSources.values())].filter((source) => typeof source.onUpdate === "function");
+  }
+
+  /**
+   * MQTT topic mapper of the realtime OEE source (null without one)
+   */
+  getOEETopicMapper() {
+    return this.dataSources.get("oee")?.mapper || null;
+  }
+
   /**
    * Get OEE connection status
    */
   getOEEConnectionStatus() {
-    const oeeSource = this.dataSources.get("oee");
-    if (oeeSource && oeeSource.getConnectionStatus) {
-      return oeeSource.getConnectionStatus();
+    const sources = this.getRealtimeOEESources().filter((source) => source.getConnectionStatus);
+    if (sources.length === 1) {
+      return sources[0].getConnectionStatus();
+    }
+    if (sources.length > 1) {
+      // MQTT status on top (existing clients), every source under `sources`
+      const statuses = Object.fromEntries(sources.map((source) => [source.getName(), source.getConnectionStatus()]));
+      const all = Object.values(statuses);
+      return {
+        ...all[0],
+        connected: all.some((status) => status.connected),
+        dataPoints: all.reduce((sum, status) => sum + (status.dataPoints || 0), 0),
+        sources: statuses,
+      };
     }
     return {
       connected: false,
@@ -0,0 +1,165 @@
+/**
+ * ========================================================================
+ * CANONICAL REALTIME OEE PAYLOAD - FIELDS, UNITS, CONVERSION
+ * ========================================================================
+ *
+ * Shared by the ingest paths (MQTT topic mappings, OPC UA nodes): the
+ * canonical line payload is the one of src/simulator/OEESimulator.js.
+ * - field specs: source path or constant, unit, scale/offset, value map
+ * - units: times to counter units (counterUnitSeconds), °F/K to °C,
+ *   mbar/kPa/Pa/psi to bar, fraction to percent
+ * - finishRecord derives missing availability/quality from the counters
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+const STATUSES = ["idle", "running", "stopped", "error"];
+const FIELDS = [
+  "line", "status", "batchId", "orderId", "material", "alarms", "timestamp",
+  "counters.plannedProductionTime", "counters.operatingTime", "counters.goodCount", "counters.badCount",
+  "metrics.availability", "metrics.performance", "metrics.quality", "metrics.oee"
+];
+const NUMERIC = /^(counters|metrics|parameters)\./;
+
+// source unit -> canonical unit; times become counter units (counterUnitSeconds)
+const UNITS = {
+  ms: (value, settings) => value / 1000 / settings.counterUnitSeconds,
+  s: (value, settings) => value / settings.counterUnitSeconds,
+  min: (value, settings) => value * 60 / settings.counterUnitSeconds,
+  h: (value, settings) => value * 3600 / settings.counterUnitSeconds,
+  C: value => value,
+  F: value => (value - 32) * 5 / 9,
+  K: value => value - 273.15,
+  bar: value => value,
+  mbar: value => value / 1000,
+  kPa: value => value / 100,
+  Pa: value => value / 100000,
+  psi: value => value * 0.0689476,
+  percent: value => value,
+  fraction: value => value * 100
+};
+
+const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Read a value by path: `a.b`, `list[0]`, `metrics[name=Good Count].value`
+ */
+export function resolvePath(source, sourcePath) {
+  if (sourcePath === undefined || sourcePath === "$" || sourcePath === "") return source;
+  const tokens = [...String(sourcePath).replace(/^\$\.?/, "").matchAll(/([^.[\]]+)|\[([^\]]*)\]/g)];
+  let current = source;
+  for (const [, key, selector] of tokens) {
+    if (current === undefined || current === null) return undefined;
+    if (key !== undefined) {
+      current = current[key];
+    } else if (/^\d+$/.test(selector)) {
+      current = Array.isArray(current) ? current[Number(selector)] : undefined;
+    } else {
+      const [field, expected] = selector.split("=");
+      current = Array.isArray(current) ? current.find(item => String(item?.[field]) === expected) : undefined;
+    }
+  }
+  return current;
+}
+
+export function setPath(target, field, value) {
+  const [head, tail] = field.split(".");
+  if (tail === undefined) {
+    target[head] = value;
+  } else {
+    target[head] = { ...(target[head] || {}), [tail]: value };
+  }
+}
+
+export function mergeRecord(base, update) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(update)) {
+    result[key] = isObject(value) && isObject(base[key]) ? { ...base[key], ...value } : value;
+  }
+  return result;
+}
+
+function toTimestamp(value) {
+  if (typeof value === "number") {
+    // epoch seconds or milliseconds
+    return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`invalid timestamp "${value}"`);
+  return date.toISOString();
+}
+
+export function isKnownField(field) {
+  return FIELDS.includes(field) || /^parameters\.\w+$/.test(field || "");
+}
+
+/**
+ * Normalize a field spec (`"a.b"` or { path, unit, scale, offset, map,
+ * default, ... }); `problem(message)` collects validation errors
+ */
+export function compileFieldSpec(field, spec, problem) {
+  const compiled = typeof spec === "string" ? { path: spec } : { ...(spec || {}) };
+  compiled.field = field;
+  if (!isKnownField(field)) problem(`unknown field ${field}`);
+  if (compiled.unit && !UNITS[compiled.unit]) problem(`${field}: unknown unit ${compiled.unit}`);
+  if (compiled.unit && !NUMERIC.test(field || "")) problem(`${field}: units only apply to counters, metrics and parameters`);
+  if (compiled.map && !isObject(compiled.map)) problem(`${field}: map must be an object`);
+  return compiled;
+}
+
+/**
+ * Convert a raw source value to the canonical field value; undefined
+ * when there is no value and no default
+ */
+export function convertValue(spec, raw, settings = {}) {
+  let value = raw === undefined || raw === null ? spec.default : raw;
+  if (value === undefined || value === null) return undefined;
+  if (spec.map) value = spec.map[String(value)] ?? value;
+
+  if (NUMERIC.test(spec.field)) {
+    value = Number(value);
+    if (!Number.isFinite(value)) throw new Error(`${spec.field}: "${raw}" is not a number`);
+    value = value * (spec.scale ?? 1) + (spec.offset ?? 0);
+    if (spec.unit) value = UNITS[spec.unit](value, { counterUnitSeconds: 1, ...settings });
+    return value;
+  }
+  if (spec.field === "status") {
+    const status = String(value).toLowerCase();
+    if (!STATUSES.includes(status)) throw new Error(`status "${value}" is not one of ${STATUSES.join(", ")}`);
+    return status;
+  }
+  if (spec.field === "timestamp") return toTimestamp(value);
+  if (spec.field === "alarms") return [].concat(value).filter(alarm => alarm !== "");
+  return String(value);
+}
+
+/**
+ * Validate the merged record and derive missing metrics from the counters
+ */
+export function finishRecord(record) {
+  const counters = record.counters || {};
+  const hasCounters = Object.keys(counters).length > 0;
+  if (!hasCounters && !isObject(record.metrics)) {
+    throw new Error("no counters or metrics mapped");
+  }
+  for (const [field, value] of Object.entries(counters)) {
+    if (typeof value !== "number" || value < 0) throw new Error(`counters.${field} must be a non-negative number`);
+  }
+
+  const metrics = { ...(record.metrics || {}) };
+  if (metrics.availability === undefined && counters.plannedProductionTime > 0 && counters.operatingTime !== undefined) {
+    metrics.availability = round(Math.min(counters.operatingTime, counters.plannedProductionTime) / counters.plannedProductionTime * 100);
+  }
+  const total = (counters.goodCount || 0) + (counters.badCount || 0);
+  if (metrics.quality === undefined && total > 0 && counters.goodCount !== undefined) {
+    metrics.quality = round(counters.goodCount / total * 100);
+  }
+  if (metrics.oee === undefined && [metrics.availability, metrics.performance, metrics.quality].every(Number.isFinite)) {
+    metrics.oee = round(metrics.availability * metrics.performance * metrics.quality / 10000);
+  }
+
+  return { ...record, metrics };
+}
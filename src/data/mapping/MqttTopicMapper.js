@@ -0,0 +1,504 @@
+/**
+ * ========================================================================
+ * MQTT TOPIC MAPPER - TOPIC TREES AND PAYLOAD SHAPES TO CANONICAL OEE
+ * ========================================================================
+ *
+ * Maps MQTT messages of real lines onto the canonical realtime OEE
+ * structure of the simulator (`line`, `status`, `batchId`, `counters`,
+ * `metrics`, `parameters`, `alarms`, `timestamp`), configured in
+ * src/config/mqtt_mappings.yaml:
+ * - topic patterns with named levels (`site1/{line}/tags/{tag}`)
+ * - json: nested fields by path, incl. name/value lists (`metrics[name=Good]`)
+ * - flat: one tag value per topic, merged per line until `publishOn`
+ * - sparkplug: Sparkplug B, one device per line; births/deaths set the
+ *   line `online`, aliases and sequence numbers are tracked per node
+ * - unit conversion (time -> counter units, °F -> °C, psi -> bar, ...)
+ *
+ * Messages that match no mapping or fail validation go to a bounded
+ * dead-letter buffer. The file is hot-reloaded; an invalid file keeps
+ * the previous mappings, the MQTT connection is never touched here.
+ *
+ * Environment defaults:
+ *  - MQTT_MAPPINGS_CONFIG      (default: src/config/mqtt_mappings.yaml)
+ *  - MQTT_MAPPINGS_HOT_RELOAD  (default: true)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { AppError } from "../../utils/errorHandler.js";
+import logger from "../../utils/logger.js";
+import { resolvePath, isKnownField, compileFieldSpec, convertValue, setPath, mergeRecord, finishRecord } from "./CanonicalOEE.js";
+import { NAMESPACE, SparkplugTracker, decodePayload, parseTopic } from "./SparkplugB.js";
+
+const FORMATS = ["json", "flat", "sparkplug"];
+
+const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Compile `plc/{line}/status` into the subscription (`plc/+/status`) and a
+ * matcher returning the named levels
+ */
+export function compileTopic(pattern, topicBase) {
+  const levels = pattern.replace(/\{topicBase\}/g, topicBase).split("/");
+  const names = [];
+  let regex = "";
+  levels.forEach((level, index) => {
+    const separator = index === 0 ? "" : "/";
+    const named = level.match(/^\{(\w+)\}$/);
+    if (level === "#") {
+      if (index !== levels.length - 1) throw new Error(`"#" must be the last level of ${pattern}`);
+      regex += index === 0 ? ".*" : "(?:/.*)?";
+    } else if (level === "+") {
+      regex += `${separator}[^/]+`;
+    } else if (named) {
+      names.push(named[1]);
+      regex += `${separator}([^/]+)`;
+    } else if (/[+#{}]/.test(level)) {
+      throw new Error(`invalid topic level "${level}" in ${pattern}`);
+    } else {
+      regex += separator + escapeRegex(level);
+    }
+  });
+
+  const matcher = new RegExp(`^${regex}$`);
+  return {
+    subscription: levels.map(level => (/^\{\w+\}$/.test(level) ? "+" : level)).join("/"),
+    match(topic) {
+      const found = topic.match(matcher);
+      return found ? Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(found[i + 1])])) : null;
+    }
+  };
+}
+
+export class MqttTopicMapper {
+  constructor({
+    configPath = process.env.MQTT_MAPPINGS_CONFIG || "src/config/mqtt_mappings.yaml",
+    topicBase = process.env.MQTT_TOPIC_BASE || "plc",
+    hotReload = process.env.MQTT_MAPPINGS_HOT_RELOAD !== "false"
+  } = {}) {
+    this.configPath = configPath;
+    this.topicBase = topicBase;
+    this.hotReload = hotReload;
+    this.settings = null;
+    this.mappings = [];
+    this.lines = new Map();      // line -> merged canonical record (flat tags arrive one by one)
+    this.sparkplug = new SparkplugTracker();
+    this.deadLetters = [];
+    this.stats = { mapped: 0, deadLettered: 0, byReason: {} };
+    this.loadedAt = null;
+    this.lastError = null;
+    this.listeners = [];         // called with { added, removed } subscriptions after a reload
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Built-in mapping for the simulator layout, used without a config file
+   */
+  defaultConfig() {
+    return { mappings: [{ id: "simulator", topic: "{topicBase}/{line}/status", format: "json", passthrough: true }] };
+  }
+
+  load() {
+    let raw;
+    if (fs.existsSync(this.configPath)) {
+      try {
+        raw = yaml.load(fs.readFileSync(this.configPath, "utf8")) || {};
+      } catch (error) {
+        throw new AppError(`Invalid MQTT mappings: ${error.message}`, 400);
+      }
+    } else {
+      logger.warn(`⚠️ MQTT mappings not found (${this.configPath}), using simulator layout`);
+      raw = this.defaultConfig();
+    }
+    return this.apply(raw);
+  }
+
+  apply(raw) {
+    const { settings, mappings } = this.compile(raw);
+    this.settings = settings;
+    this.mappings = mappings;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    logger.info(`🗺️ MQTT mappings: ${mappings.filter(m => m.enabled).length} active of ${mappings.length} (${this.subscriptions().join(", ")})`);
+    return mappings.length;
+  }
+
+  /**
+   * Validate and compile the raw config; throws with all problems at once
+   */
+  compile(raw) {
+    const errors = [];
+    const settings = {
+      counterUnitSeconds: raw.counterUnitSeconds || 1,
+      deadLetterSize: raw.deadLetter?.size || 200,
+      payloadBytes: raw.deadLetter?.payloadBytes || 2048,
+      lineAliases: raw.lines || {}
+    };
+    if (!Array.isArray(raw.mappings) || !raw.mappings.length) {
+      throw new AppError("Invalid MQTT mappings: `mappings` must be a non-empty list", 400);
+    }
+
+    const ids = new Set();
+    const mappings = raw.mappings.map((entry, index) => {
+      const where = `mappings[${index}]${entry?.id ? ` (${entry.id})` : ""}`;
+      const problem = message => errors.push(`${where}: ${message}`);
+      if (!isObject(entry)) return problem("must be an object");
+      if (!entry.id) problem("id is required");
+      if (ids.has(entry.id)) problem(`duplicate id ${entry.id}`);
+      ids.add(entry.id);
+
+      const format = entry.format || "json";
+      if (!FORMATS.includes(format)) problem(`format must be one of ${FORMATS.join(", ")}`);
+
+      let topic = null;
+      try {
+        if (!entry.topic) throw new Error("topic is required");
+        topic = compileTopic(String(entry.topic), this.topicBase);
+      } catch (error) {
+        problem(error.message);
+      }
+
+      const fields = {};
+      for (const [field, spec] of Object.entries(entry.fields || {})) {
+        fields[field] = compileFieldSpec(field, spec, problem);
+      }
+      const tags = {};
+      for (const [tag, spec] of Object.entries(entry.tags || {})) {
+        if (!isObject(spec) && typeof spec !== "string") {
+          problem(`tag ${tag}: expected a field name or { field, ... }`);
+          continue;
+        }
+        const target = typeof spec === "string" ? spec : spec.field;
+        tags[tag] = compileFieldSpec(target, typeof spec === "string" ? {} : spec, message => problem(`tag ${tag}: ${message}`));
+      }
+
+      if (["flat", "sparkplug"].includes(format) && !Object.keys(tags).length) problem(`${format} mappings need \`tags\``);
+      if (format === "sparkplug" && !String(entry.topic || "").startsWith(`${NAMESPACE}/`)) problem(`sparkplug topics start with ${NAMESPACE}/`);
+      if (format === "json" && !entry.passthrough && !Object.keys(fields).length && !Object.keys(tags).length) {
+        problem("json mappings need `fields`, `tags` or `passthrough: true`");
+      }
+      const hasLine = entry.passthrough || format === "sparkplug" || fields.line || /\{line\}/.test(entry.topic || "") || entry.line;
+      if (!hasLine) problem("no line: use a {line} topic level, a `line` field or `line: <id>`");
+      for (const field of [].concat(entry.publishOn || [])) {
+        if (!isKnownField(field)) problem(`publishOn: unknown field ${field}`);
+      }
+
+      return {
+        id: entry.id,
+        description: entry.description || null,
+        enabled: entry.enabled !== false,
+        pattern: entry.topic,
+        topic,
+        format,
+        passthrough: !!entry.passthrough,
+        line: entry.line || null,
+        fields,
+        tags,
+        tagFrom: entry.tagFrom || "tag",
+        tagsPath: entry.tagsPath || "metrics",
+        valuePath: entry.value || "value",
+        publishOn: entry.publishOn ? [].concat(entry.publishOn) : null,
+        ignoreUnknownTags: !!entry.ignoreUnknownTags,
+        requestRebirth: entry.requestRebirth !== false
+      };
+    });
+
+    if (errors.length) {
+      throw new AppError(`Invalid MQTT mappings: ${errors.join("; ")}`, 400);
+    }
+    return { settings, mappings };
+  }
+
+  /**
+   * Subscriptions of the active mappings (deduplicated)
+   */
+  subscriptions() {
+    return [...new Set(this.mappings.filter(m => m.enabled && m.topic).map(m => m.topic.subscription))];
+  }
+
+  /**
+   * Map one MQTT message
+   * @returns {{ mappingId, records, reason }} `reason` set when the message
+   *   belongs in the dead-letter buffer; no records and no reason means
+   *   a flat tag was stored but not yet published
+   */
+  map(topic, message, { mappingId = null, dryRun = false } = {}) {
+    const candidates = mappingId
+      ? this.mappings.filter(m => m.id === mappingId)
+      : this.mappings.filter(m => m.enabled);
+    let mapping = null;
+    let captures = null;
+    for (const candidate of candidates) {
+      captures = candidate.topic?.match(topic);
+      if (captures) {
+        mapping = candidate;
+        break;
+      }
+    }
+    if (!mapping) return { mappingId: null, records: [], reason: "no mapping for topic" };
+    if (mapping.format === "sparkplug") return this.mapSparkplug(mapping, topic, message, dryRun);
+
+    try {
+      const payload = this.decode(mapping, message);
+      const update = mapping.passthrough && isObject(payload) ? { ...payload } : {};
+      const touched = new Set();
+      const apply = (spec, raw) => {
+        const value = convertValue(spec, raw, this.settings);
+        if (value === undefined) return;
+        setPath(update, spec.field, value);
+        touched.add(spec.field);
+      };
+
+      for (const spec of Object.values(mapping.fields)) {
+        apply(spec, this.read(spec, payload, captures));
+      }
+      if (Object.keys(mapping.tags).length) {
+        const entries = mapping.format === "flat"
+          ? [{ name: captures[mapping.tagFrom], value: isObject(payload) ? resolvePath(payload, mapping.valuePath) : payload }]
+          : (resolvePath(payload, mapping.tagsPath) || []).map(item => ({ name: item?.name, value: item?.value }));
+        for (const { name, value } of entries) {
+          const spec = mapping.tags[name];
+          if (spec) {
+            apply(spec, spec.path ? resolvePath(value, spec.path) : value);
+          } else if (!mapping.ignoreUnknownTags && mapping.format === "flat") {
+            return { mappingId: mapping.id, records: [], reason: `unmapped tag ${name}` };
+          }
+        }
+      }
+      if (mapping.passthrough) Object.keys(update).forEach(field => touched.add(field));
+
+      const rawLine = update.line ?? captures.line ?? mapping.line;
+      if (!rawLine) return { mappingId: mapping.id, records: [], reason: "no line in topic or payload" };
+      const line = this.settings.lineAliases[rawLine] || String(rawLine);
+      update.line = line;
+      if (!touched.size) return { mappingId: mapping.id, records: [], reason: "no mapped fields in payload" };
+      // without a source timestamp the message is as old as its receipt, not as the merged line
+      if (!update.timestamp) update.timestamp = new Date().toISOString();
+
+      const record = mergeRecord(this.lines.get(line) || {}, update);
+      if (!dryRun) this.lines.set(line, record);
+      const publish = !mapping.publishOn || mapping.publishOn.some(field => touched.has(field) || touched.has(field.split(".")[0]));
+      // a dry run shows the merged line also when it would not be published yet
+      if (!publish && !dryRun) return { mappingId: mapping.id, records: [], reason: null };
+
+      const canonical = finishRecord(record);
+      if (!dryRun) this.stats.mapped++;
+      return { mappingId: mapping.id, records: [canonical], reason: null, ...(dryRun && { published: publish }) };
+    } catch (error) {
+      return { mappingId: mapping.id, records: [], reason: error.message };
+    }
+  }
+
+  /**
+   * Sparkplug B: one record per device (line) of the message; births and
+   * deaths only change `online`. `rebirth` names the node to ask for a
+   * rebirth (data before birth, sequence gap)
+   */
+  mapSparkplug(mapping, topic, message, dryRun) {
+    const info = parseTopic(topic);
+    if (!info) return { mappingId: mapping.id, records: [], reason: "not a Sparkplug B topic" };
+    // commands and host state are not line data
+    if (["NCMD", "DCMD", "STATE"].includes(info.messageType)) return { mappingId: mapping.id, records: [], reason: null };
+
+    let payload;
+    try {
+      payload = decodePayload(Buffer.isBuffer(message) ? message : Buffer.from(message));
+    } catch (error) {
+      return { mappingId: mapping.id, records: [], reason: `invalid Sparkplug B payload: ${error.message}` };
+    }
+
+    const result = this.sparkplug.apply(info, payload, { dryRun });
+    const rebirth = result.rebirth && mapping.requestRebirth ? { groupId: info.groupId, edgeNodeId: info.edgeNodeId } : null;
+    if (result.problem) return { mappingId: mapping.id, records: [], reason: result.problem, rebirth };
+    if (result.warning) logger.warn(`⚠️ Sparkplug ${result.warning}`);
+
+    // an NDEATH is usually the Will, its timestamp is from the connect
+    const timestamp = new Date(info.messageType === "NDEATH" ? Date.now() : payload.timestamp || Date.now()).toISOString();
+    const records = [];
+    try {
+      for (const deviceId of result.devices) {
+        const line = this.settings.lineAliases[deviceId] || deviceId;
+        const update = { line, online: result.online, timestamp };
+        for (const metric of result.metrics) {
+          const spec = mapping.tags[metric.name];
+          if (!spec) continue;
+          const value = convertValue(spec, spec.path ? resolvePath(metric.value, spec.path) : metric.value, this.settings);
+          if (value !== undefined) setPath(update, spec.field, value);
+        }
+
+        const record = mergeRecord(this.lines.get(line) || {}, update);
+        if (!dryRun) this.lines.set(line, record);
+        // a line without data yet is only in the node/device state
+        if (record.counters || record.metrics) records.push(finishRecord(record));
+      }
+    } catch (error) {
+      return { mappingId: mapping.id, records: [], reason: error.message, rebirth };
+    }
+    if (!dryRun) this.stats.mapped += records.length;
+    return { mappingId: mapping.id, records, reason: null, rebirth, event: info.messageType };
+  }
+
+  decode(mapping, message) {
+    const text = Buffer.isBuffer(message) ? message.toString() : typeof message === "string" ? message : null;
+    if (text === null) return message; // already decoded (e.g. dry run with an object)
+    const trimmed = text.trim();
+    if (mapping.format === "json") {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        throw new Error("invalid JSON");
+      }
+    }
+    if (/^[[{"]/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        throw new Error("invalid JSON");
+      }
+    }
+    if (trimmed === "true" || trimmed === "false") return trimmed === "true";
+    return trimmed !== "" && !isNaN(Number(trimmed)) ? Number(trimmed) : trimmed;
+  }
+
+  read(spec, payload, captures) {
+    if (spec.value !== undefined) return spec.value;
+    if (spec.topic) return captures[spec.topic];
+    return resolvePath(payload, spec.path);
+  }
+
+  deadLetter(topic, message, reason, mappingId = null) {
+    let text = Buffer.isBuffer(message) ? message.toString() : typeof message === "string" ? message : JSON.stringify(message);
+    // binary payloads (Sparkplug B protobuf) are kept as base64
+    if (Buffer.isBuffer(message) && /[\x00-\x08\x0E-\x1F\uFFFD]/.test(text)) text = `base64:${message.toString("base64")}`;
+    const limit = this.settings?.payloadBytes || 2048;
+    this.deadLetters.push({
+      topic,
+      reason,
+      mappingId,
+      payload: text.length > limit ? `${text.slice(0, limit)}…` : text,
+      bytes: text.length,
+      receivedAt: new Date().toISOString()
+    });
+    const size = this.settings?.deadLetterSize || 200;
+    if (this.deadLetters.length > size) this.deadLetters.splice(0, this.deadLetters.length - size);
+
+    // count by reason without the variable parts (values, tag names)
+    const group = reason.replace(/"[^"]*"/g, "…").replace(/^unmapped tag .*/, "unmapped tag");
+    this.stats.deadLettered++;
+    this.stats.byReason[group] = (this.stats.byReason[group] || 0) + 1;
+    logger.debug(`📭 MQTT dead letter on ${topic}: ${reason}`);
+  }
+
+  listDeadLetters({ topic, reason, limit = 100 } = {}) {
+    return this.deadLetters
+      .filter(entry => !topic || entry.topic.includes(topic))
+      .filter(entry => !reason || entry.reason.includes(reason))
+      .slice(-Math.max(1, Number(limit) || 100))
+      .reverse();
+  }
+
+  clearDeadLetters() {
+    const cleared = this.deadLetters.length;
+    this.deadLetters = [];
+    return cleared;
+  }
+
+  describe() {
+    return {
+      configPath: this.configPath,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      hotReload: this.hotReload,
+      counterUnitSeconds: this.settings?.counterUnitSeconds,
+      subscriptions: this.subscriptions(),
+      mappings: this.mappings.map(mapping => ({
+        id: mapping.id,
+        description: mapping.description,
+        enabled: mapping.enabled,
+        topic: mapping.pattern,
+        subscription: mapping.topic?.subscription,
+        format: mapping.format,
+        passthrough: mapping.passthrough,
+        fields: Object.keys(mapping.fields),
+        tags: Object.keys(mapping.tags),
+        publishOn: mapping.publishOn
+      })),
+      lines: [...this.lines.keys()],
+      sparkplug: this.sparkplug.describe(),
+      stats: { ...this.stats, deadLetters: this.deadLetters.length }
+    };
+  }
+
+  /**
+   * Called with { added, removed } subscriptions after a successful reload
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  reload() {
+    const before = this.subscriptions();
+    try {
+      this.load();
+    } catch (error) {
+      this.lastError = { message: error.message, at: new Date().toISOString() };
+      logger.error(`❌ MQTT mappings not reloaded, keeping previous: ${error.message}`);
+      throw error;
+    }
+
+    const after = this.subscriptions();
+    const change = {
+      added: after.filter(topic => !before.includes(topic)),
+      removed: before.filter(topic => !after.includes(topic))
+    };
+    for (const listener of this.listeners) {
+      try {
+        listener(change);
+      } catch (error) {
+        logger.error(`❌ MQTT mapping listener failed: ${error.message}`);
+      }
+    }
+    return { mappings: this.mappings.length, subscriptions: after, ...change };
+  }
+
+  /**
+   * Reload on file changes (debounced; editors write files in several steps)
+   */
+  watch() {
+    const dir = path.dirname(this.configPath);
+    if (!this.hotReload || this.watcher || !fs.existsSync(dir)) return;
+
+    try {
+      this.watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename && filename !== path.basename(this.configPath)) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          try {
+            this.reload();
+          } catch {
+            // logged in reload(), previous mappings stay active
+          }
+        }, 300);
+      });
+      this.watcher.unref?.();
+      logger.info(`👀 Watching ${this.configPath} for MQTT mapping changes`);
+    } catch (error) {
+      logger.warn(`MQTT mapping hot reload unavailable: ${error.message}`);
+    }
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+export default MqttTopicMapper;
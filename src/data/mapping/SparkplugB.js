@@ -0,0 +1,271 @@
+/**
+ * ========================================================================
+ * SPARKPLUG B - TOPICS, PAYLOAD CODEC, NODE AND DEVICE LIFECYCLE
+ * ========================================================================
+ *
+ * The part of Eclipse Sparkplug B used by the OEE simulator and the MQTT
+ * ingest path:
+ * - topics  spBv1.0/<group>/<NBIRTH|NDEATH|DBIRTH|DDATA|...>/<edge node>[/<device>]
+ * - payload protobuf (timestamp, seq, metrics with name/alias/datatype/value);
+ *   metadata, properties, data sets and templates are not decoded
+ * - SparkplugTracker: node and device birth/death, bdSeq of the node
+ *   session, sequence numbers 0-255 and metric aliases from the births
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import protobuf from "protobufjs";
+
+export const NAMESPACE = "spBv1.0";
+export const MESSAGE_TYPES = ["NBIRTH", "NDEATH", "DBIRTH", "DDEATH", "NDATA", "DDATA", "NCMD", "DCMD", "STATE"];
+export const REBIRTH_METRIC = "Node Control/Rebirth";
+
+export const DataType = {
+  Int8: 1, Int16: 2, Int32: 3, Int64: 4, UInt8: 5, UInt16: 6, UInt32: 7, UInt64: 8,
+  Float: 9, Double: 10, Boolean: 11, String: 12, DateTime: 13, Text: 14, UUID: 15, Bytes: 17
+};
+
+const PROTO = `
+syntax = "proto2";
+package org.eclipse.tahu.protobuf;
+
+message Payload {
+  message Metric {
+    optional string name = 1;
+    optional uint64 alias = 2;
+    optional uint64 timestamp = 3;
+    optional uint32 datatype = 4;
+    optional bool is_historical = 5;
+    optional bool is_transient = 6;
+    optional bool is_null = 7;
+    oneof value {
+      uint32 int_value = 10;
+      uint64 long_value = 11;
+      float float_value = 12;
+      double double_value = 13;
+      bool boolean_value = 14;
+      string string_value = 15;
+      bytes bytes_value = 16;
+    }
+  }
+  optional uint64 timestamp = 1;
+  repeated Metric metrics = 2;
+  optional uint64 seq = 3;
+  optional string uuid = 4;
+  optional bytes body = 5;
+}
+`;
+
+const Payload = protobuf.parse(PROTO, { keepCase: true }).root.lookupType("org.eclipse.tahu.protobuf.Payload");
+
+function valueField(datatype) {
+  if ([DataType.Int8, DataType.Int16, DataType.Int32, DataType.UInt8, DataType.UInt16, DataType.UInt32].includes(datatype)) return "int_value";
+  if ([DataType.Int64, DataType.UInt64, DataType.DateTime].includes(datatype)) return "long_value";
+  if (datatype === DataType.Float) return "float_value";
+  if (datatype === DataType.Double) return "double_value";
+  if (datatype === DataType.Boolean) return "boolean_value";
+  if (datatype === DataType.Bytes) return "bytes_value";
+  return "string_value";
+}
+
+// signed integers travel as their unsigned two's complement
+function signed(datatype, value) {
+  if (datatype === DataType.Int8) return (value << 24) >> 24;
+  if (datatype === DataType.Int16) return (value << 16) >> 16;
+  if (datatype === DataType.Int32) return value | 0;
+  return value;
+}
+
+/**
+ * @param {Object} payload - { timestamp, seq, metrics: [{ name, alias, datatype, value, timestamp }] }
+ * @returns {Buffer}
+ */
+export function encodePayload({ timestamp = Date.now(), seq, metrics = [] }) {
+  const message = {
+    timestamp,
+    metrics: metrics.map(metric => {
+      const encoded = { datatype: metric.datatype };
+      if (metric.name !== undefined) encoded.name = metric.name;
+      if (metric.alias !== undefined) encoded.alias = metric.alias;
+      if (metric.timestamp !== undefined) encoded.timestamp = metric.timestamp;
+      if (metric.value === null || metric.value === undefined) {
+        encoded.is_null = true;
+      } else {
+        const field = valueField(metric.datatype);
+        encoded[field] = field === "int_value" && metric.value < 0 ? metric.value >>> 0 : metric.value;
+      }
+      return encoded;
+    })
+  };
+  if (seq !== undefined) message.seq = seq;
+  return Buffer.from(Payload.encode(Payload.fromObject(message)).finish());
+}
+
+/**
+ * @returns {{ timestamp, seq, metrics: [{ name, alias, datatype, value, timestamp }] }}
+ */
+export function decodePayload(buffer) {
+  const decoded = Payload.toObject(Payload.decode(buffer), { longs: Number, bytes: Buffer, oneofs: true });
+  return {
+    timestamp: decoded.timestamp ?? null,
+    seq: decoded.seq ?? null,
+    metrics: (decoded.metrics || []).map(metric => ({
+      name: metric.name ?? null,
+      alias: metric.alias ?? null,
+      datatype: metric.datatype ?? null,
+      timestamp: metric.timestamp ?? null,
+      value: metric.is_null || !metric.value ? null : signed(metric.datatype, metric[metric.value])
+    }))
+  };
+}
+
+export function topicOf(groupId, messageType, edgeNodeId, deviceId = null) {
+  return [NAMESPACE, groupId, messageType, edgeNodeId, deviceId].filter(Boolean).join("/");
+}
+
+/**
+ * @returns {{ groupId, messageType, edgeNodeId, deviceId }|null} null for non-Sparkplug topics
+ */
+export function parseTopic(topic) {
+  const [namespace, groupId, messageType, edgeNodeId, deviceId, ...rest] = topic.split("/");
+  if (namespace !== NAMESPACE) return null;
+  if (groupId === "STATE") return { groupId: null, messageType: "STATE", edgeNodeId: null, deviceId: null };
+  if (!MESSAGE_TYPES.includes(messageType) || !edgeNodeId || rest.length) return null;
+  if (messageType.startsWith("D") !== !!deviceId) return null;
+  return { groupId, messageType, edgeNodeId, deviceId: deviceId || null };
+}
+
+/**
+ * Node and device state of the edge nodes seen on the broker
+ */
+export class SparkplugTracker {
+  constructor() {
+    this.nodes = new Map(); // "<group>/<edge node>" -> node state
+  }
+
+  /**
+   * Apply one NBIRTH/NDEATH/DBIRTH/DDATA/DDEATH/NDATA message
+   * @returns {{ devices, online, metrics, problem, rebirth, warning }}
+   *   devices: device IDs whose line state changed or got data;
+   *   problem: message cannot be used (dead letter);
+   *   rebirth: the host should request a rebirth of the node
+   */
+  apply({ groupId, messageType, edgeNodeId, deviceId }, payload, { dryRun = false } = {}) {
+    const key = `${groupId}/${edgeNodeId}`;
+    const at = new Date(messageType === "NDEATH" ? Date.now() : payload.timestamp || Date.now()).toISOString();
+    const known = this.nodes.get(key);
+    const result = { devices: [], online: true, metrics: [], problem: null, rebirth: false, warning: null };
+
+    if (messageType === "NBIRTH") {
+      const node = {
+        groupId,
+        edgeNodeId,
+        online: true,
+        bdSeq: payload.metrics.find(metric => metric.name === "bdSeq")?.value ?? null,
+        seq: payload.seq ?? 0,
+        seqErrors: known?.seqErrors || 0,
+        birthAt: at,
+        deathAt: known?.deathAt || null,
+        aliases: this.aliasesOf(payload.metrics),
+        devices: known?.devices || new Map()
+      };
+      if (!dryRun) {
+        // devices are born again after a node birth
+        for (const device of node.devices.values()) device.online = false;
+        this.nodes.set(key, node);
+      }
+      result.devices = [...node.devices.keys()];
+      result.online = false;
+      return result;
+    }
+
+    if (messageType === "NDEATH") {
+      const bdSeq = payload.metrics.find(metric => metric.name === "bdSeq")?.value ?? null;
+      if (!known) return { ...result, problem: "NDEATH of an unknown node" };
+      if (known.bdSeq !== null && bdSeq !== null && bdSeq !== known.bdSeq) {
+        // Will of an older session, the node is already born again
+        return { ...result, problem: `stale NDEATH (bdSeq ${bdSeq}, current ${known.bdSeq})` };
+      }
+      result.devices = [...known.devices.entries()].filter(([, device]) => device.online).map(([id]) => id);
+      result.online = false;
+      if (!dryRun) {
+        known.online = false;
+        known.deathAt = at;
+        for (const device of known.devices.values()) {
+          device.online = false;
+          device.deathAt = at;
+        }
+      }
+      return result;
+    }
+
+    if (!known?.online) return { ...result, problem: `${messageType} before NBIRTH`, rebirth: true };
+
+    const expected = (known.seq + 1) % 256;
+    if (payload.seq !== null && payload.seq !== expected) {
+      result.warning = `sequence gap on ${key}: expected ${expected}, got ${payload.seq}`;
+      result.rebirth = true;
+      if (!dryRun) known.seqErrors++;
+    }
+    if (!dryRun && payload.seq !== null) known.seq = payload.seq;
+
+    if (messageType === "NDATA") {
+      if (!dryRun) this.aliasesOf(payload.metrics, known.aliases);
+      return result;
+    }
+
+    const device = known.devices.get(deviceId);
+    if (messageType === "DBIRTH") {
+      const born = { online: true, aliases: this.aliasesOf(payload.metrics), birthAt: at, deathAt: device?.deathAt || null };
+      if (!dryRun) known.devices.set(deviceId, born);
+      return { ...result, devices: [deviceId], metrics: this.resolve(payload.metrics, born.aliases) };
+    }
+    if (!device?.online) return { ...result, problem: `${messageType} before DBIRTH`, rebirth: true };
+
+    if (messageType === "DDEATH") {
+      if (!dryRun) {
+        device.online = false;
+        device.deathAt = at;
+      }
+      return { ...result, devices: [deviceId], online: false };
+    }
+    return { ...result, devices: [deviceId], metrics: this.resolve(payload.metrics, device.aliases) };
+  }
+
+  aliasesOf(metrics, aliases = new Map()) {
+    for (const metric of metrics) {
+      if (metric.name && metric.alias !== null) aliases.set(metric.alias, metric.name);
+    }
+    return aliases;
+  }
+
+  // data messages may carry only the alias of a metric
+  resolve(metrics, aliases) {
+    return metrics
+      .map(metric => ({ ...metric, name: metric.name || aliases.get(metric.alias) || null }))
+      .filter(metric => metric.name);
+  }
+
+  describe() {
+    return [...this.nodes.values()].map(node => ({
+      groupId: node.groupId,
+      edgeNodeId: node.edgeNodeId,
+      online: node.online,
+      bdSeq: node.bdSeq,
+      seq: node.seq,
+      seqErrors: node.seqErrors,
+      birthAt: node.birthAt,
+      deathAt: node.deathAt,
+      devices: [...node.devices.entries()].map(([deviceId, device]) => ({
+        deviceId,
+        online: device.online,
+        birthAt: device.birthAt,
+        deathAt: device.deathAt
+      }))
+    }));
+  }
+}
+
+export default SparkplugTracker;
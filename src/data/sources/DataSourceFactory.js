@@ -8,7 +8,8 @@
  * - MockDataSource
  * - SAPDataSource
  * - RestAPIDataSource
- * - OEEDataSource
+ * - OEEDataSource (MQTT)
+ * - OPCUADataSource
  *
  * Author: Markus Schmeckenbecher
  * Version: 1.0
@@ -19,11 +20,12 @@ import MockDataSource from "./MockDataSource.js";
 import SAPDataSource from "./SAPDataSource.js";
 import RestAPIDataSource from "./RestAPIDataSource.js";
 import OEEDataSource from "./OEEDataSource.js";
+import OPCUADataSource from "./OPCUADataSource.js";
 
 class DataSourceFactory {
   /**
    * Create a data source instance based on type
-   * @param {string} type - Type of data source (mock, sap, rest, oee)
+   * @param {string} type - Type of data source (mock, sap, rest, oee, opcua)
    * @param {Object} config - Configuration object for the data source
    * @returns {DataSource} Configured data source instance
    * @throws {Error} If data source type is unknown
@@ -38,6 +40,8 @@ class DataSourceFactory {
         return new RestAPIDataSource(config);
       case "oee":
         return new OEEDataSource(config);
+      case "opcua":
+        return new OPCUADataSource(config);
       default:
         throw new Error(`Unknown data source type: ${type}`);
     }
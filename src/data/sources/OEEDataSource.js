@@ -5,7 +5,12 @@
  *
  * Real-time OEE monitoring via MQTT.
  * - Connects to MQTT broker
- * - Subscribes to `<topicBase>/+/status`
+ * - Subscribes to the topics of src/config/mqtt_mappings.yaml (default
+ *   `<topicBase>/+/status`) and maps them to the canonical OEE payload
+ * - Unmapped/invalid messages go to the mapper's dead-letter view
+ * - Mapping changes re-subscribe on the open connection
+ * - Sparkplug B: asks edge nodes for a rebirth when data arrives before
+ *   the birth (e.g. after our restart) or a sequence number is missing
  * - Stores latest OEE metrics per line in memory
  * - Provides hot (real-time) data for DataManager
  * - Includes reconnection with exponential backoff
@@ -18,26 +23,54 @@
 import mqtt from "mqtt";
 import logger from "../../utils/logger.js";
 import DataSource from "./DataSource.js";
+import MqttTopicMapper from "../mapping/MqttTopicMapper.js";
+import { DataType, REBIRTH_METRIC, encodePayload, topicOf } from "../mapping/SparkplugB.js";
+
+const REBIRTH_INTERVAL_MS = 30_000; // per edge node
 
 class OEEDataSource extends DataSource {
   constructor(config = {}) {
     super();
-    this.brokerUrl = config.brokerUrl || process.env.MQTT_BROKER_URL;
-    this.topicBase = config.topicBase || process.env.MQTT_TOPIC_BASE || "plc";
+    this.brokerUrl = this.resolveEnvironmentVariable(config.brokerUrl) || process.env.MQTT_BROKER_URL;
+    this.topicBase = this.resolveEnvironmentVariable(config.topicBase) || process.env.MQTT_TOPIC_BASE || "plc";
     this.client = null;
     this.data = new Map(); // line -> last OEE payload
+    this.listeners = [];   // called with every accepted payload
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 5000; // ms
     this.isConnecting = false;
+    this.rebirthRequests = new Map(); // "<group>/<edge node>" -> last request (ms)
+
+    this.mapper = new MqttTopicMapper({ configPath: config.mappingsConfig, topicBase: this.topicBase });
+    try {
+      this.mapper.load();
+    } catch (error) {
+      logger.error(`❌ ${error.message} - using simulator layout`);
+      this.mapper.lastError = { message: error.message, at: new Date().toISOString() };
+      this.mapper.apply(this.mapper.defaultConfig());
+    }
+    this.mapper.onChange(change => this.updateSubscriptions(change));
 
     if (this.brokerUrl) {
       this.connect();
+      this.mapper.watch();
     } else {
       logger.warn("⚠️ MQTT_BROKER_URL not configured, OEE integration disabled");
     }
   }
 
+  /**
+   * Resolve `${VAR}` / `${VAR:default}` from data-sources.yaml
+   */
+  resolveEnvironmentVariable(value) {
+    if (typeof value === "string" && value.startsWith("${") && value.endsWith("}")) {
+      const [varName, defaultValue] = value.slice(2, -1).split(":");
+      return process.env[varName] || defaultValue || undefined;
+    }
+    return value;
+  }
+
   /**
    * Establish MQTT connection and subscribe
    */
@@ -67,57 +100,10 @@ class OEEDataSource extends DataSource {
       this.reconnectAttempts = 0;
       this.isConnecting = false;
 
-      const topic = `${this.topicBase}/+/status`;
-      this.client.subscribe(topic, (err) => {
-        if (err) {
-          logger.error(`❌ MQTT subscription failed: ${err.message}`);
-        } else {
-          logger.info(`📡 Subscribed to ${topic}`);
-        }
-      });
+      this.subscribe(this.mapper.subscriptions());
     });
 
-    this.client.on("message", (topic, message) => {
-      try {
-        const msgStr = message.toString();
-        if (!msgStr.startsWith("{") && !msgStr.startsWith("[")) {
-          logger.warn(`⚠️ Ignored non-JSON MQTT message on ${topic}`);
-          return;
-        }
-
-        const payload = JSON.parse(msgStr);
-
-        if (payload && payload.line && payload.metrics) {
-          const dataAge = payload.timestamp
-            ? Date.now() - new Date(payload.timestamp).getTime()
-            : 0;
-
-          if (dataAge < 300_000) {
-            const enrichedPayload = {
-              ...payload,
-              receivedAt: new Date().toISOString(),
-              dataAge: Math.round(dataAge / 1000),
-            };
-            this.data.set(payload.line, enrichedPayload);
-            logger.debug(
-              `📥 OEE updated [${payload.line}] (age ${Math.round(
-                dataAge / 1000
-              )}s, lines: ${this.data.size})`
-            );
-          } else {
-            logger.warn(
-              `⚠️ OEE data too old for ${payload.line}: ${Math.round(
-                dataAge / 1000
-              )}s`
-            );
-          }
-        } else {
-          logger.warn(`⚠️ Invalid OEE payload on ${topic}`);
-        }
-      } catch (err) {
-        logger.error(`❌ MQTT parse failed on ${topic}: ${err.message}`);
-      }
-    });
+    this.client.on("message", (topic, message) => this.handleMessage(topic, message));
 
     this.client.on("error", (err) => {
       logger.error(`❌ OEE MQTT error: ${err.message}`);
@@ -141,6 +127,92 @@ class OEEDataSource extends DataSource {
     });
   }
 
+  subscribe(topics) {
+    if (!topics.length) return;
+    this.client.subscribe(topics, (err) => {
+      if (err) {
+        logger.error(`❌ MQTT subscription failed: ${err.message}`);
+      } else {
+        logger.info(`📡 Subscribed to ${topics.join(", ")}`);
+      }
+    });
+  }
+
+  /**
+   * Apply a mapping reload on the open connection (no reconnect); when
+   * offline the new topics are subscribed on the next connect
+   */
+  updateSubscriptions({ added, removed }) {
+    if (!this.client?.connected) return;
+    if (removed.length) {
+      this.client.unsubscribe(removed, (err) => {
+        if (err) {
+          logger.error(`❌ MQTT unsubscribe failed: ${err.message}`);
+        } else {
+          logger.info(`📴 Unsubscribed from ${removed.join(", ")}`);
+        }
+      });
+    }
+    this.subscribe(added);
+  }
+
+  /**
+   * Map an MQTT message and store the resulting line payload(s)
+   */
+  handleMessage(topic, message) {
+    const { mappingId, records, reason, rebirth } = this.mapper.map(topic, message);
+    if (rebirth) this.requestRebirth(rebirth);
+    if (reason) {
+      this.mapper.deadLetter(topic, message, reason, mappingId);
+      return;
+    }
+
+    for (const payload of records) {
+      const dataAge = payload.timestamp
+        ? Date.now() - new Date(payload.timestamp).getTime()
+        : 0;
+
+      if (dataAge >= 300_000) {
+        logger.warn(`⚠️ OEE data too old for ${payload.line}: ${Math.round(dataAge / 1000)}s`);
+        this.mapper.deadLetter(topic, message, "data too old", mappingId);
+        continue;
+      }
+
+      const enrichedPayload = {
+        ...payload,
+        receivedAt: new Date().toISOString(),
+        dataAge: Math.round(dataAge / 1000),
+      };
+      this.data.set(payload.line, enrichedPayload);
+      this.notifyListeners(enrichedPayload);
+      logger.debug(
+        `📥 OEE updated [${payload.line}] via ${mappingId} (age ${Math.round(
+          dataAge / 1000
+        )}s, lines: ${this.data.size})`
+      );
+    }
+  }
+
+  /**
+   * Sparkplug B node command `Node Control/Rebirth`; the node answers with
+   * NBIRTH and DBIRTH for all its devices (lines)
+   */
+  requestRebirth({ groupId, edgeNodeId }) {
+    const key = `${groupId}/${edgeNodeId}`;
+    const last = this.rebirthRequests.get(key) || 0;
+    if (!this.client?.connected || Date.now() - last < REBIRTH_INTERVAL_MS) return;
+
+    this.rebirthRequests.set(key, Date.now());
+    const payload = encodePayload({ metrics: [{ name: REBIRTH_METRIC, datatype: DataType.Boolean, value: true }] });
+    this.client.publish(topicOf(groupId, "NCMD", edgeNodeId), payload, { qos: 0 }, (err) => {
+      if (err) {
+        logger.error(`❌ Sparkplug rebirth request for ${key} failed: ${err.message}`);
+      } else {
+        logger.info(`🔁 Sparkplug rebirth requested from ${key}`);
+      }
+    });
+  }
+
   /**
    * Exponential backoff reconnect
    */
@@ -185,12 +257,32 @@ class OEEDataSource extends DataSource {
     throw new Error("OEEDataSource is read-only");
   }
 
+  /**
+   * Register a listener for accepted OEE payloads (e.g. alert detection)
+   */
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  notifyListeners(payload) {
+    for (const listener of this.listeners) {
+      try {
+        listener(payload);
+      } catch (error) {
+        logger.error(`❌ OEE listener failed [${payload.line}]: ${error.message}`);
+      }
+    }
+  }
+
   getConnectionStatus() {
     return {
       connected: this.client?.connected || false,
       reconnectAttempts: this.reconnectAttempts,
       dataPoints: this.data.size,
       brokerUrl: this.brokerUrl,
+      subscriptions: this.mapper.subscriptions(),
+      deadLetters: this.mapper.deadLetters.length,
+      sparkplugNodes: this.mapper.sparkplug.describe(),
     };
   }
 
@@ -200,6 +292,7 @@ class OEEDataSource extends DataSource {
       this.client.end(true);
       this.client = null;
     }
+    this.mapper.close();
     this.data.clear();
     this.isConnecting = false;
   }
@@ -0,0 +1,322 @@
+/**
+ * ========================================================================
+ * OEE OPC UA DATA SOURCE
+ * ========================================================================
+ *
+ * Real-time OEE monitoring for lines that expose OPC UA instead of MQTT.
+ * - Connects to the OPC UA server (node-opcua, reconnects with backoff
+ *   and restores the subscription)
+ * - Monitors the node IDs per line from src/config/opcua_lines.yaml
+ * - Converts values (units, state codes) into the canonical OEE payload
+ *   of the MQTT source and publishes changed lines every publish interval
+ * - Provides hot (real-time) data for DataManager
+ *
+ * Environment defaults:
+ *  - OPCUA_ENDPOINT_URL        (e.g. opc.tcp://localhost:4840/UA/Line)
+ *  - OPCUA_LINES_CONFIG        (default: src/config/opcua_lines.yaml)
+ *  - OPCUA_SECURITY_MODE       None | Sign | SignAndEncrypt (default: None)
+ *  - OPCUA_SECURITY_POLICY     None | Basic256Sha256 | ... (default: None)
+ *  - OPCUA_USER, OPCUA_PASSWORD (default: anonymous)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import logger from "../../utils/logger.js";
+import DataSource from "./DataSource.js";
+import { resolvePath, compileFieldSpec, convertValue, setPath, finishRecord } from "../mapping/CanonicalOEE.js";
+
+const NODE_ID = /^(ns=\d+;)?[isgb]=.+$/;
+
+class OPCUADataSource extends DataSource {
+  constructor(config = {}) {
+    super();
+    this.endpointUrl = this.resolveEnvironmentVariable(config.endpointUrl) || process.env.OPCUA_ENDPOINT_URL;
+    this.configPath = config.linesConfig || process.env.OPCUA_LINES_CONFIG || "src/config/opcua_lines.yaml";
+    this.securityMode = config.securityMode || process.env.OPCUA_SECURITY_MODE || "None";
+    this.securityPolicy = config.securityPolicy || process.env.OPCUA_SECURITY_POLICY || "None";
+    this.client = null;
+    this.session = null;
+    this.subscription = null;
+    this.connected = false;
+    this.data = new Map();       // line -> last OEE payload
+    this.lines = new Map();      // line -> { record, dirty, timestamp } from the node values
+    this.listeners = [];         // called with every published payload
+    this.nodeErrors = new Map(); // nodeId -> last problem (bad status, unknown node)
+    this.monitoredItems = 0;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 10;
+    this.lastError = null;
+    this.configErrors = [];
+    this.publishTimer = null;
+
+    this.settings = this.loadConfig();
+
+    if (this.endpointUrl) {
+      this.connect();
+    } else {
+      logger.warn("⚠️ OPCUA_ENDPOINT_URL not configured, OPC UA OEE integration disabled");
+    }
+  }
+
+  /**
+   * Resolve `${VAR}` / `${VAR:default}` from data-sources.yaml
+   */
+  resolveEnvironmentVariable(value) {
+    if (typeof value === "string" && value.startsWith("${") && value.endsWith("}")) {
+      const [varName, defaultValue] = value.slice(2, -1).split(":");
+      return process.env[varName] || defaultValue || undefined;
+    }
+    return value;
+  }
+
+  /**
+   * Read and validate the node configuration; invalid nodes are skipped
+   * and reported in the connection status
+   */
+  loadConfig() {
+    const errors = [];
+    const lines = new Map();
+    let raw = {};
+    try {
+      raw = fs.existsSync(this.configPath) ? yaml.load(fs.readFileSync(this.configPath, "utf8")) || {} : {};
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    for (const [line, lineConfig] of Object.entries(raw.lines || {})) {
+      const specs = [];
+      for (const [field, spec] of Object.entries(lineConfig?.nodes || {})) {
+        const problems = [];
+        const compiled = compileFieldSpec(field, typeof spec === "string" ? { nodeId: spec } : spec, message => problems.push(message));
+        if (!NODE_ID.test(compiled.nodeId || "")) problems.push(`${field}: invalid nodeId "${compiled.nodeId}"`);
+        if (problems.length) {
+          errors.push(...problems.map(message => `${line}: ${message}`));
+        } else {
+          specs.push(compiled);
+        }
+      }
+      if (specs.length) lines.set(line, specs);
+    }
+    this.configErrors = errors;
+    if (errors.length) logger.error(`❌ OPC UA line config ${this.configPath}: ${errors.join("; ")}`);
+    if (!lines.size) logger.warn(`⚠️ No OPC UA lines configured in ${this.configPath}`);
+
+    return {
+      counterUnitSeconds: raw.counterUnitSeconds || 1,
+      samplingIntervalMs: raw.samplingIntervalMs || 1000,
+      publishIntervalMs: raw.publishIntervalMs || 5000,
+      lines
+    };
+  }
+
+  /**
+   * Connect, open a session and monitor all configured nodes
+   */
+  async connect() {
+    let opcua;
+    try {
+      opcua = await import("node-opcua");
+    } catch (error) {
+      this.lastError = `node-opcua not available: ${error.message}`;
+      logger.error(`❌ ${this.lastError}`);
+      return;
+    }
+    const { OPCUAClient, MessageSecurityMode, SecurityPolicy, UserTokenType } = opcua;
+
+    this.client = OPCUAClient.create({
+      applicationName: "PharmaAgentFramework",
+      connectionStrategy: { initialDelay: 5000, maxDelay: 60_000, maxRetry: this.maxReconnectAttempts },
+      securityMode: MessageSecurityMode[this.securityMode],
+      securityPolicy: SecurityPolicy[this.securityPolicy],
+      endpointMustExist: false,
+      keepSessionAlive: true
+    });
+
+    this.client.on("backoff", (retry, delay) => {
+      this.reconnectAttempts = retry + 1;
+      logger.info(`⏳ OPC UA reconnect attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
+    });
+    this.client.on("connection_lost", () => {
+      this.connected = false;
+      logger.warn("⚠️ OPC UA connection lost");
+    });
+    this.client.on("connection_reestablished", () => {
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      logger.info(`✅ OPC UA reconnected: ${this.endpointUrl}`);
+    });
+
+    try {
+      await this.client.connect(this.endpointUrl);
+      const identity = process.env.OPCUA_USER
+        ? { type: UserTokenType.UserName, userName: process.env.OPCUA_USER, password: process.env.OPCUA_PASSWORD }
+        : { type: UserTokenType.Anonymous };
+      this.session = await this.client.createSession(identity);
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.lastError = null;
+      logger.info(`✅ OEE OPC UA connected: ${this.endpointUrl}`);
+
+      this.subscribe(opcua);
+      this.publishTimer = setInterval(() => this.publish(), this.settings.publishIntervalMs);
+      this.publishTimer.unref?.();
+    } catch (error) {
+      this.connected = false;
+      this.lastError = error.message;
+      logger.error(`❌ OPC UA connection failed (${this.endpointUrl}): ${error.message}`);
+    }
+  }
+
+  subscribe({ ClientSubscription, ClientMonitoredItem, AttributeIds, TimestampsToReturn }) {
+    this.subscription = ClientSubscription.create(this.session, {
+      requestedPublishingInterval: this.settings.samplingIntervalMs,
+      requestedLifetimeCount: 100,
+      requestedMaxKeepAliveCount: 10,
+      maxNotificationsPerPublish: 100,
+      publishingEnabled: true,
+      priority: 10
+    });
+
+    for (const [line, specs] of this.settings.lines) {
+      for (const spec of specs) {
+        const item = ClientMonitoredItem.create(
+          this.subscription,
+          { nodeId: spec.nodeId, attributeId: AttributeIds.Value },
+          { samplingInterval: this.settings.samplingIntervalMs, discardOldest: true, queueSize: 1 },
+          TimestampsToReturn.Both
+        );
+        item.on("changed", dataValue => this.handleValue(line, spec, dataValue));
+        item.on("err", message => {
+          this.nodeErrors.set(spec.nodeId, String(message));
+          logger.warn(`⚠️ OPC UA node ${spec.nodeId} (${line} ${spec.field}): ${message}`);
+        });
+        this.monitoredItems++;
+      }
+    }
+    logger.info(`📡 Monitoring ${this.monitoredItems} OPC UA node(s) on ${this.settings.lines.size} line(s)`);
+  }
+
+  /**
+   * Store a changed node value in the line's record
+   */
+  handleValue(line, spec, dataValue) {
+    if (!dataValue.statusCode.isGood()) {
+      this.nodeErrors.set(spec.nodeId, dataValue.statusCode.name);
+      return;
+    }
+    try {
+      const raw = dataValue.value?.value;
+      const value = convertValue(spec, spec.path ? resolvePath(raw, spec.path) : raw, this.settings);
+      if (value === undefined) return;
+
+      const state = this.lines.get(line) || { record: { line }, dirty: false, timestamp: null };
+      setPath(state.record, spec.field, value);
+      state.dirty = true;
+      const sourceTime = dataValue.sourceTimestamp || dataValue.serverTimestamp;
+      if (sourceTime && (!state.timestamp || sourceTime > state.timestamp)) state.timestamp = sourceTime;
+      this.lines.set(line, state);
+      this.nodeErrors.delete(spec.nodeId);
+    } catch (error) {
+      this.nodeErrors.set(spec.nodeId, error.message);
+    }
+  }
+
+  /**
+   * Publish the lines that changed since the last interval
+   */
+  publish() {
+    for (const [line, state] of this.lines) {
+      if (!state.dirty) continue;
+      state.dirty = false;
+      try {
+        const timestamp = (state.timestamp || new Date()).toISOString();
+        const payload = finishRecord({ ...state.record, timestamp });
+        const dataAge = Date.now() - new Date(timestamp).getTime();
+        const enrichedPayload = {
+          ...payload,
+          source: "opcua",
+          receivedAt: new Date().toISOString(),
+          dataAge: Math.max(0, Math.round(dataAge / 1000)),
+        };
+        this.data.set(line, enrichedPayload);
+        this.notifyListeners(enrichedPayload);
+        logger.debug(`📥 OEE updated [${line}] via OPC UA (lines: ${this.data.size})`);
+      } catch (error) {
+        logger.debug(`OPC UA line ${line} not published yet: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Fetch current OEE data from memory
+   */
+  async fetchData() {
+    return Array.from(this.data.values());
+  }
+
+  async updateData() {
+    throw new Error("OPCUADataSource is read-only");
+  }
+
+  /**
+   * Register a listener for published OEE payloads (e.g. alert detection)
+   */
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  notifyListeners(payload) {
+    for (const listener of this.listeners) {
+      try {
+        listener(payload);
+      } catch (error) {
+        logger.error(`❌ OEE listener failed [${payload.line}]: ${error.message}`);
+      }
+    }
+  }
+
+  getConnectionStatus() {
+    return {
+      protocol: "opcua",
+      connected: this.connected,
+      reconnectAttempts: this.reconnectAttempts,
+      dataPoints: this.data.size,
+      endpointUrl: this.endpointUrl || "Not configured",
+      securityMode: this.securityMode,
+      lines: [...this.settings.lines.keys()],
+      monitoredItems: this.monitoredItems,
+      nodeErrors: Object.fromEntries(this.nodeErrors),
+      configErrors: this.configErrors,
+      lastError: this.lastError,
+    };
+  }
+
+  cleanup() {
+    clearInterval(this.publishTimer);
+    this.publishTimer = null;
+    if (this.client) {
+      logger.info("🧹 Closing OPC UA connection...");
+      const client = this.client;
+      const session = this.session;
+      this.client = null;
+      this.session = null;
+      this.subscription = null;
+      Promise.resolve(session?.close())
+        .catch(() => {})
+        .then(() => client.disconnect())
+        .catch(error => logger.warn(`OPC UA disconnect failed: ${error.message}`));
+    }
+    this.connected = false;
+    this.data.clear();
+  }
+
+  getName() {
+    return "OPCUADataSource";
+  }
+}
+
+export default OPCUADataSource;
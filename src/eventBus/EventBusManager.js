@@ -9,7 +9,7 @@
  * NEW: OEE Event Integration for equipment effectiveness monitoring
  * 
  * Developer: Markus Schmeckenbecher
- * Version: 1.3.1 - A2A Integration + OEE Events
+ * Version: 1.6.0 - A2A Integration + OEE Events + batched durable history + onAny/offAny
  * 
  * Features:
  * - Event publishing and subscription management
@@ -18,6 +18,11 @@
  * - Audit logging integration
  * - A2A communication support with AgentManager integration
  * - OEE event handling (oee/updated, oee/optimization_required, etc.)
+ * - OEE event history kept in the StateStore across restarts (one write
+ *   per EVENT_HISTORY_FLUSH_MS, not one per event)
+ *
+ * Environment defaults:
+ *  - EVENT_HISTORY_FLUSH_MS   (default: 2000)
  * ========================================================================
  */
 
@@ -29,10 +34,14 @@ export class EventBusManager {
     this.auditLogger = auditLogger;
     this.agentSubscriptions = new Map();
     this.agentManager = null; // Will be set by server.js for A2A support
+    this.anyListeners = [];   // onAny(): called for every emitted event
     
     // OEE Event Tracking
     this.oeeEventHistory = [];
     this.oeeSubscribers = new Set();
+    this.stateStore = null;
+    this.historyFlushMs = parseInt(process.env.EVENT_HISTORY_FLUSH_MS) || 2000;
+    this.historyFlushTimer = null;
     
     console.log("🔗 EventBusManager initialized with OEE support");
   }
@@ -46,6 +55,38 @@ export class EventBusManager {
     console.log("🔗 EventBusManager linked to AgentManager for A2A communication");
   }
 
+  /**
+   * Attach State Store and restore the OEE event history
+   */
+  setStateStore(stateStore) {
+    this.stateStore = stateStore;
+
+    const stored = stateStore.get('event_history', 'oee');
+    if (stored?.events?.length) {
+      this.oeeEventHistory = [...stored.events, ...this.oeeEventHistory].slice(-100);
+    }
+    stateStore.recordRecovery('eventHistory', { oeeEvents: this.oeeEventHistory.length });
+  }
+
+  /**
+   * Schedule a write of the OEE event history; a burst of events is
+   * written once, at most historyFlushMs after the first one
+   */
+  persistOEEHistory() {
+    if (!this.stateStore || this.historyFlushTimer) return;
+    this.historyFlushTimer = setTimeout(() => this.flushOEEHistory(), this.historyFlushMs);
+    this.historyFlushTimer.unref?.();
+  }
+
+  /**
+   * Write the OEE event history now (shutdown, clear)
+   */
+  flushOEEHistory() {
+    clearTimeout(this.historyFlushTimer);
+    this.historyFlushTimer = null;
+    this.stateStore?.put('event_history', 'oee', { events: this.oeeEventHistory });
+  }
+
   /**
    * Build Event Subscription Mappings (Enhanced with OEE Events)
    * Creates efficient lookup table for event-to-agent routing
@@ -106,6 +147,9 @@ export class EventBusManager {
     
     this.auditLogger.appendAudit(auditEvent);
     this.emit("event", auditEvent);
+
+    // Listeners registered via subscribe() (A2A handlers, SSE, notifications)
+    this.emit(eventType, data);
     
     // Find and trigger subscribing agents
     const subscribers = this.agentSubscriptions.get(eventType) || [];
@@ -193,6 +237,7 @@ export class EventBusManager {
     if (this.oeeEventHistory.length > 100) {
       this.oeeEventHistory = this.oeeEventHistory.slice(-100);
     }
+    this.persistOEEHistory();
     
     // Special handling for different OEE event types
     switch (eventType) {
@@ -243,6 +288,14 @@ export class EventBusManager {
     }
   }
 
+  /**
+   * Unsubscribe from Event
+   * Removes a listener registered via subscribe()
+   */
+  unsubscribe(eventPattern, callback) {
+    this.eventBus.removeListener(eventPattern, callback);
+  }
+
   /**
    * Subscribe to Events
    * Register event listener for real-time updates
@@ -257,6 +310,28 @@ export class EventBusManager {
    */
   emit(event, data) {
     this.eventBus.emit(event, data);
+    for (const listener of this.anyListeners) {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error(`❌ Event listener failed for ${event}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Listen to all emitted events
+   * Receives (event, data), e.g. for notification rules with wildcards
+   */
+  onAny(listener) {
+    this.anyListeners.push(listener);
+  }
+
+  /**
+   * Remove a listener registered via onAny()
+   */
+  offAny(listener) {
+    this.anyListeners = this.anyListeners.filter(registered => registered !== listener);
   }
 
   /**
@@ -367,6 +442,7 @@ export class EventBusManager {
   clearOEEHistory() {
     const clearedCount = this.oeeEventHistory.length;
     this.oeeEventHistory = [];
+    this.flushOEEHistory();
     console.log(`🧹 Cleared ${clearedCount} OEE events from history`);
     return clearedCount;
   }
@@ -0,0 +1,151 @@
+/**
+ * ========================================================================
+ * ABSTRACT LLM PROVIDER BASE CLASS
+ * ========================================================================
+ *
+ * Defines the contract every LLM backend (Claude, Ollama, picoLLM,
+ * OpenAI-compatible, ...) must implement so that AgentManager can talk
+ * to any of them through the same call.
+ *
+ * Features:
+ * - generate (required)
+ * - stream (optional, defaults to a single chunk)
+ * - buildMessages / buildPrompt (session history helpers)
+ * - supportsTools / generateWithTools (optional, native tool use)
+ * - isAvailable (required)
+ * - getName (required)
+ * - getInfo (optional)
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.0
+ * ========================================================================
+ */
+
+class LLMProvider {
+  /**
+   * @param {Object} config - Provider configuration (model, temperature, ...)
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.model = config.model || null;
+    this.temperature = config.temperature ?? 0.1;
+    this.maxTokens = config.maxTokens || 1000;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - Per-call overrides (maxTokens, temperature, model)
+   *   plus call context (agentId, promptKey - the request without volatile
+   *   context, promptTemplate - the prompt before rendering) for providers
+   *   that key on it and prior session turns (history, historySummary)
+   * @returns {Promise<string>} Response text
+   */
+  async generate(prompt, options = {}) {
+    throw new Error("generate method must be implemented");
+  }
+
+  /**
+   * Stream a completion as text deltas
+   * Default implementation yields the full response as a single chunk;
+   * providers with native streaming override this.
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - Same as generate()
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *stream(prompt, options = {}) {
+    yield await this.generate(prompt, options);
+  }
+
+  /**
+   * Whether generateWithTools() is backed by a native tool-use API
+   * @returns {boolean}
+   */
+  supportsTools() {
+    return false;
+  }
+
+  /**
+   * Run one model turn with tools available
+   * @param {Array} messages - Provider-neutral conversation:
+   *   {role: 'user'|'assistant', content, toolCalls?} and
+   *   {role: 'tool', toolCallId, name, content, isError?}
+   * @param {Array} tools - [{name, description, inputSchema}]
+   * @param {Object} options - Same as generate() plus toolChoice ('auto' | 'none')
+   * @returns {Promise<{text: string, toolCalls: Array<{id, name, input}>}>}
+   */
+  async generateWithTools(messages, tools, options = {}) {
+    throw new Error(`Tool calling not supported by provider: ${this.getName()}`);
+  }
+
+  /**
+   * Build a chat messages array from prior session turns plus the prompt
+   * @param {string} prompt - Current prompt
+   * @param {Object} options - history: [{role, content}], historySummary: string
+   * @returns {Array<{role: string, content: string}>}
+   */
+  buildMessages(prompt, options = {}) {
+    const messages = (options.history || []).map(({ role, content }) => ({ role, content }));
+    messages.push({ role: "user", content: prompt });
+
+    if (options.historySummary) {
+      messages[0] = {
+        ...messages[0],
+        content: `Summary of the earlier conversation:\n${options.historySummary}\n\n${messages[0].content}`
+      };
+    }
+    return messages;
+  }
+
+  /**
+   * Flatten prior session turns into a single prompt
+   * For completion-style backends without a messages API.
+   * @returns {string} Prompt unchanged when there is no history
+   */
+  buildPrompt(prompt, options = {}) {
+    const history = options.history || [];
+    if (!history.length && !options.historySummary) return prompt;
+
+    const lines = [];
+    if (options.historySummary) {
+      lines.push(`Summary of the earlier conversation:\n${options.historySummary}`, "");
+    }
+    if (history.length) {
+      lines.push("Previous conversation:");
+      history.forEach(turn => lines.push(`${turn.role === "assistant" ? "Assistant" : "User"}: ${turn.content}`));
+      lines.push("");
+    }
+    lines.push(prompt);
+    return lines.join("\n");
+  }
+
+  /**
+   * Whether the provider is configured and ready to serve requests
+   * @returns {boolean}
+   */
+  isAvailable() {
+    throw new Error("isAvailable method must be implemented");
+  }
+
+  /**
+   * Get the name of this provider implementation
+   * @returns {string} Provider name as used in LLM_PROVIDER / agent YAML
+   */
+  getName() {
+    throw new Error("getName method must be implemented");
+  }
+
+  /**
+   * Describe the provider for status endpoints
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      provider: this.getName(),
+      model: this.model,
+      available: this.isAvailable()
+    };
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,160 @@
+/**
+ * ========================================================================
+ * LLM PROVIDER REGISTRY
+ * ========================================================================
+ *
+ * Maps provider names to LLMProvider classes and hands out configured
+ * instances. New backends are added with register() - AgentManager only
+ * ever calls provider.generate(prompt, options).
+ *
+ * Provider selection:
+ * - Global default from LLM_PROVIDER (with picollm -> ollama -> anthropic
+ *   fallback when the preferred backend is not available)
+ * - Per agent via the optional `llm` block in the agent YAML:
+ *
+ *     llm:
+ *       provider: ollama
+ *       model: llama3
+ *       temperature: 0.2
+ *       maxTokens: 1500
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.0
+ * ========================================================================
+ */
+
+import logger from "../utils/logger.js";
+import AnthropicProvider from "./providers/AnthropicProvider.js";
+import OllamaProvider from "./providers/OllamaProvider.js";
+import PicoLLMProvider from "./providers/PicoLLMProvider.js";
+import OpenAICompatibleProvider from "./providers/OpenAICompatibleProvider.js";
+import ReplayProvider from "./providers/ReplayProvider.js";
+
+const FALLBACK_CHAIN = {
+  picollm: "ollama",
+  ollama: "anthropic",
+};
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providerTypes = new Map(); // name -> LLMProvider class
+    this.instances = new Map();     // cache key -> LLMProvider instance
+
+    this.register("anthropic", AnthropicProvider);
+    this.register("ollama", OllamaProvider);
+    this.register("picollm", PicoLLMProvider);
+    this.register("openai", OpenAICompatibleProvider);
+    this.register("replay", ReplayProvider);
+  }
+
+  /**
+   * Register a provider class under a name
+   * @param {string} name - Name used in LLM_PROVIDER / agent YAML
+   * @param {Function} ProviderClass - Subclass of LLMProvider, constructed
+   *   with (config, registry) so wrapping providers can delegate
+   */
+  register(name, ProviderClass) {
+    this.providerTypes.set(name.toLowerCase(), ProviderClass);
+  }
+
+  has(name) {
+    return !!name && this.providerTypes.has(name.toLowerCase());
+  }
+
+  getRegisteredTypes() {
+    return Array.from(this.providerTypes.keys());
+  }
+
+  /**
+   * Get (or lazily create) a provider instance
+   * @param {string} name - Provider name
+   * @param {Object} config - Provider configuration (model, temperature, ...)
+   * @returns {LLMProvider}
+   * @throws {Error} If the provider name is unknown
+   */
+  getProvider(name, config = {}) {
+    const type = (name || "").toLowerCase();
+    const ProviderClass = this.providerTypes.get(type);
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    const cacheKey = `${type}:${JSON.stringify(config)}`;
+    if (!this.instances.has(cacheKey)) {
+      this.instances.set(cacheKey, new ProviderClass(config, this));
+    }
+    return this.instances.get(cacheKey);
+  }
+
+  /**
+   * Resolve the global default provider, walking the fallback chain
+   * @param {string} preferred - Value of LLM_PROVIDER
+   * @returns {LLMProvider|null} First available provider or null
+   * @throws {Error} If replay is requested without fixtures
+   */
+  resolveDefault(preferred = "anthropic") {
+    let name = preferred.toLowerCase();
+    const tried = new Set();
+
+    // replay has no fallback: a missing fixture directory stops the start
+    if (name === "replay") {
+      const provider = this.getProvider(name);
+      provider.assertReady();
+      return provider;
+    }
+
+    while (name && !tried.has(name)) {
+      tried.add(name);
+      try {
+        const provider = this.getProvider(name);
+        if (provider.isAvailable()) {
+          return provider;
+        }
+      } catch (error) {
+        logger.error(`LLM provider ${name} failed: ${error.message}`);
+      }
+      name = FALLBACK_CHAIN[name];
+    }
+
+    logger.error("No active LLM configured");
+    return null;
+  }
+
+  /**
+   * Resolve the provider for an agent
+   * Uses the agent's `llm` block if present, otherwise the default.
+   * @param {Object} agent - Agent configuration
+   * @param {LLMProvider|null} defaultProvider - Global default
+   * @returns {LLMProvider|null}
+   */
+  getProviderForAgent(agent, defaultProvider) {
+    const llmConfig = agent?.llm;
+    if (!llmConfig || (!llmConfig.provider && !llmConfig.model)) {
+      return defaultProvider;
+    }
+
+    const { provider, ...config } = llmConfig;
+    const name = provider || defaultProvider?.getName();
+
+    try {
+      const agentProvider = this.getProvider(name, config);
+      if (agentProvider.isAvailable()) {
+        return agentProvider;
+      }
+      logger.warn(`LLM provider ${name} for ${agent.id} not available - using default`);
+    } catch (error) {
+      logger.warn(`LLM provider for ${agent.id} invalid (${error.message}) - using default`);
+    }
+    return defaultProvider;
+  }
+
+  getStatus() {
+    return {
+      registered: this.getRegisteredTypes(),
+      instances: Array.from(this.instances.values()).map(p => p.getInfo())
+    };
+  }
+}
+
+export { LLMProviderRegistry };
+export default LLMProviderRegistry;
@@ -0,0 +1,169 @@
+/**
+ * ========================================================================
+ * ANTHROPIC (CLAUDE) LLM PROVIDER
+ * ========================================================================
+ *
+ * Claude via the Anthropic SDK, or via LangChain when USE_LANGCHAIN=true.
+ *
+ * Environment defaults:
+ *  - CLAUDE_API_KEY
+ *  - CLAUDE_MODEL   (default: claude-3-7-sonnet-20250219)
+ *  - USE_LANGCHAIN  (default: false)
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.0
+ * ========================================================================
+ */
+
+import Anthropic from "@anthropic-ai/sdk";
+import { ChatAnthropic } from "@langchain/anthropic";
+import logger from "../../utils/logger.js";
+import LLMProvider from "../LLMProvider.js";
+
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = config.apiKey || process.env.CLAUDE_API_KEY || null;
+    this.model = config.model || process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20250219";
+    this.useLangChain = config.useLangChain ?? process.env.USE_LANGCHAIN === "true";
+    this.client = null;
+    this.llm = null;
+
+    if (!this.apiKey) {
+      logger.error("No CLAUDE_API_KEY configured");
+      return;
+    }
+
+    if (this.useLangChain) {
+      this.llm = new ChatAnthropic({
+        apiKey: this.apiKey,
+        model: this.model,
+        temperature: this.temperature,
+        maxTokens: this.maxTokens
+      });
+      logger.info(`Claude via LangChain: ${this.model}`);
+    } else {
+      this.client = new Anthropic({ apiKey: this.apiKey });
+      logger.info(`Claude Direct SDK: ${this.model}`);
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    if (this.useLangChain) {
+      if (!this.llm) throw new Error("LangChain Anthropic not initialized");
+      const response = await this.llm.invoke(this.toLangChainMessages(prompt, options));
+      return response.content || response;
+    }
+
+    if (!this.client) throw new Error("Anthropic SDK not initialized");
+    const response = await this.client.messages.create({
+      model: options.model || this.model,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? this.temperature,
+      messages: this.buildMessages(prompt, options),
+    });
+    return response.content[0].text;
+  }
+
+  async *stream(prompt, options = {}) {
+    if (this.useLangChain) {
+      if (!this.llm) throw new Error("LangChain Anthropic not initialized");
+      for await (const chunk of await this.llm.stream(this.toLangChainMessages(prompt, options))) {
+        if (typeof chunk.content === "string") yield chunk.content;
+      }
+      return;
+    }
+
+    if (!this.client) throw new Error("Anthropic SDK not initialized");
+    const stream = await this.client.messages.create({
+      model: options.model || this.model,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? this.temperature,
+      messages: this.buildMessages(prompt, options),
+      stream: true,
+    });
+
+    for await (const event of stream) {
+      if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+        yield event.delta.text;
+      }
+    }
+  }
+
+  async generateWithTools(messages, tools, options = {}) {
+    if (!this.client) throw new Error("Anthropic SDK not initialized");
+    const response = await this.client.messages.create({
+      model: options.model || this.model,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? this.temperature,
+      messages: this.toAnthropicMessages(messages),
+      tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema })),
+      ...(options.toolChoice === "none" && { tool_choice: { type: "none" } }),
+    });
+
+    return {
+      text: response.content.filter(block => block.type === "text").map(block => block.text).join(""),
+      toolCalls: response.content
+        .filter(block => block.type === "tool_use")
+        .map(block => ({ id: block.id, name: block.name, input: block.input })),
+    };
+  }
+
+  /**
+   * Tool results go back as tool_result blocks in a single user message
+   */
+  toAnthropicMessages(messages) {
+    const result = [];
+
+    for (const message of messages) {
+      if (message.role === "tool") {
+        const block = {
+          type: "tool_result",
+          tool_use_id: message.toolCallId,
+          content: message.content,
+          ...(message.isError && { is_error: true }),
+        };
+        const last = result[result.length - 1];
+        if (last?.role === "user" && Array.isArray(last.content)) {
+          last.content.push(block);
+        } else {
+          result.push({ role: "user", content: [block] });
+        }
+      } else if (message.role === "assistant" && message.toolCalls?.length) {
+        result.push({
+          role: "assistant",
+          content: [
+            ...(message.content ? [{ type: "text", text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: "tool_use", id: call.id, name: call.name, input: call.input })),
+          ],
+        });
+      } else {
+        result.push({ role: message.role, content: message.content });
+      }
+    }
+    return result;
+  }
+
+  toLangChainMessages(prompt, options) {
+    return this.buildMessages(prompt, options)
+      .map(({ role, content }) => [role === "assistant" ? "ai" : "human", content]);
+  }
+
+  isAvailable() {
+    return !!(this.client || this.llm);
+  }
+
+  supportsTools() {
+    return !!this.client;
+  }
+
+  getName() {
+    return "anthropic";
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), langChain: this.useLangChain };
+  }
+}
+
+export default AnthropicProvider;
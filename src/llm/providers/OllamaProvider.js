@@ -0,0 +1,66 @@
+/**
+ * ========================================================================
+ * OLLAMA LLM PROVIDER
+ * ========================================================================
+ *
+ * Local models served by Ollama (via LangChain community integration).
+ *
+ * Environment defaults:
+ *  - OLLAMA_URL   (default: http://localhost:11434)
+ *  - OLLAMA_MODEL (default: tinyllama:1.1b)
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.0
+ * ========================================================================
+ */
+
+import { Ollama } from "@langchain/community/llms/ollama";
+import logger from "../../utils/logger.js";
+import LLMProvider from "../LLMProvider.js";
+
+class OllamaProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = config.baseUrl || process.env.OLLAMA_URL || "http://localhost:11434";
+    this.model = config.model || process.env.OLLAMA_MODEL || "tinyllama:1.1b";
+    this.llm = null;
+
+    if (!this.baseUrl || !this.model) {
+      logger.warn("Ollama URL or model not configured");
+      return;
+    }
+
+    this.llm = new Ollama({
+      baseUrl: this.baseUrl,
+      model: this.model,
+      temperature: this.temperature,
+      numCtx: config.numCtx || 2048,
+      requestTimeout: config.requestTimeout || 60000,
+      topP: config.topP || 0.9,
+    });
+    logger.info(`Ollama configured: ${this.model}`);
+  }
+
+  async generate(prompt, options = {}) {
+    if (!this.llm) throw new Error("Ollama LLM not initialized");
+    const response = await this.llm.invoke(this.buildPrompt(prompt, options));
+    return response.content || response;
+  }
+
+  async *stream(prompt, options = {}) {
+    if (!this.llm) throw new Error("Ollama LLM not initialized");
+    for await (const chunk of await this.llm.stream(this.buildPrompt(prompt, options))) {
+      yield typeof chunk === "string" ? chunk : chunk?.content ?? "";
+    }
+  }
+
+  isAvailable() {
+    return !!this.llm;
+  }
+
+  getName() {
+    return "ollama";
+  }
+}
+
+export default OllamaProvider;
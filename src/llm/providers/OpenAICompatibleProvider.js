@@ -0,0 +1,151 @@
+/**
+ * ========================================================================
+ * OPENAI-COMPATIBLE LLM PROVIDER
+ * ========================================================================
+ *
+ * Any Chat Completions API that speaks the OpenAI wire format:
+ * OpenAI, Azure OpenAI, vLLM, LM Studio, LocalAI, ...
+ *
+ * Environment defaults:
+ *  - OPENAI_BASE_URL  (default: https://api.openai.com/v1)
+ *  - OPENAI_API_KEY
+ *  - OPENAI_MODEL     (default: gpt-4o-mini)
+ *  - OPENAI_API_VERSION (Azure only, adds ?api-version=...)
+ *
+ * Azure: set baseUrl to .../openai/deployments/<deployment> and
+ * authHeader to "api-key".
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.0
+ * ========================================================================
+ */
+
+import logger from "../../utils/logger.js";
+import LLMProvider from "../LLMProvider.js";
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+    this.model = config.model || process.env.OPENAI_MODEL || "gpt-4o-mini";
+    this.apiVersion = config.apiVersion || process.env.OPENAI_API_VERSION || null;
+    this.authHeader = config.authHeader || "authorization";
+    this.timeoutMs = config.timeoutMs || 60000;
+
+    if (!this.apiKey) {
+      logger.warn(`OpenAI-compatible provider has no API key (${this.baseUrl})`);
+    } else {
+      logger.info(`OpenAI-compatible provider configured: ${this.model} @ ${this.baseUrl}`);
+    }
+  }
+
+  buildHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.authHeader === "api-key") {
+      headers["api-key"] = this.apiKey;
+    } else {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async chatCompletion(body) {
+    if (!this.apiKey) throw new Error("OpenAI-compatible provider not configured");
+
+    const url = `${this.baseUrl}/chat/completions${this.apiVersion ? `?api-version=${this.apiVersion}` : ""}`;
+    const res = await fetch(url, {
+      method: "POST",
+      headers: this.buildHeaders(),
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!res.ok) {
+      throw new Error(`OpenAI-compatible API returned ${res.status}`);
+    }
+
+    const json = await res.json();
+    return json?.choices?.[0]?.message || {};
+  }
+
+  async generate(prompt, options = {}) {
+    const message = await this.chatCompletion({
+      model: options.model || this.model,
+      messages: this.buildMessages(prompt, options),
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens
+    });
+    return message.content ?? "";
+  }
+
+  async generateWithTools(messages, tools, options = {}) {
+    const message = await this.chatCompletion({
+      model: options.model || this.model,
+      messages: this.toOpenAIMessages(messages),
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens,
+      tools: tools.map(tool => ({
+        type: "function",
+        function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+      })),
+      tool_choice: options.toolChoice || "auto"
+    });
+
+    return {
+      text: message.content || "",
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        input: parseArguments(call.function?.arguments)
+      }))
+    };
+  }
+
+  toOpenAIMessages(messages) {
+    return messages.map(message => {
+      if (message.role === "tool") {
+        return { role: "tool", tool_call_id: message.toolCallId, content: message.content };
+      }
+      if (message.role === "assistant" && message.toolCalls?.length) {
+        return {
+          role: "assistant",
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: "function",
+            function: { name: call.name, arguments: JSON.stringify(call.input || {}) }
+          }))
+        };
+      }
+      return { role: message.role, content: message.content };
+    });
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  supportsTools() {
+    return !!this.apiKey;
+  }
+
+  getName() {
+    return "openai";
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), baseUrl: this.baseUrl };
+  }
+}
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+export default OpenAICompatibleProvider;
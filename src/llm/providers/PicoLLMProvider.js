@@ -0,0 +1,70 @@
+/**
+ * ========================================================================
+ * PICOLLM LLM PROVIDER
+ * ========================================================================
+ *
+ * On-device inference with Picovoice picoLLM model files.
+ *
+ * Environment defaults:
+ *  - PICOVOICE_ACCESS_KEY
+ *  - PICOLLM_MODEL_PATH     (default: ./models/llama-2-7b-chat.pv)
+ *  - PICOLLM_TEMPERATURE    (default: 0.1)
+ *  - PICOLLM_MAX_TOKENS     (default: 512)
+ *  - PICOLLM_TOP_P          (default: 0.9)
+ *  - PICOLLM_REPEAT_PENALTY (default: 1.1)
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import { createRequire } from "module";
+import logger from "../../utils/logger.js";
+import LLMProvider from "../LLMProvider.js";
+
+const require = createRequire(import.meta.url);
+
+class PicoLLMProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.accessKey = config.accessKey || process.env.PICOVOICE_ACCESS_KEY || null;
+    this.model = config.model || process.env.PICOLLM_MODEL_PATH || "./models/llama-2-7b-chat.pv";
+    this.temperature = config.temperature ?? (parseFloat(process.env.PICOLLM_TEMPERATURE) || 0.1);
+    this.maxTokens = config.maxTokens || parseInt(process.env.PICOLLM_MAX_TOKENS) || 512;
+    this.picoLLM = null;
+
+    try {
+      if (!this.accessKey) throw new Error("PICOVOICE_ACCESS_KEY not configured");
+      if (!fs.existsSync(this.model)) throw new Error(`Model not found: ${this.model}`);
+
+      const PicoLLM = require("@picovoice/picollm-node");
+      this.picoLLM = new PicoLLM(this.accessKey, this.model, {
+        temperature: this.temperature,
+        maxTokens: this.maxTokens,
+        topP: parseFloat(process.env.PICOLLM_TOP_P) || 0.9,
+        repeatPenalty: parseFloat(process.env.PICOLLM_REPEAT_PENALTY) || 1.1
+      });
+      logger.info(`picoLLM configured: ${this.model}`);
+    } catch (error) {
+      logger.error(`picoLLM failed: ${error.message}`);
+      this.picoLLM = null;
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    if (!this.picoLLM) throw new Error("picoLLM not initialized");
+    const result = await this.picoLLM.generate(this.buildPrompt(prompt, options));
+    return typeof result === "string" ? result : result?.completion ?? "";
+  }
+
+  isAvailable() {
+    return !!this.picoLLM;
+  }
+
+  getName() {
+    return "picollm";
+  }
+}
+
+export default PicoLLMProvider;
@@ -0,0 +1,182 @@
+/**
+ * ========================================================================
+ * REPLAY LLM PROVIDER (OFFLINE / DETERMINISTIC)
+ * ========================================================================
+ *
+ * Serves recorded prompt -> response pairs from a fixture directory so
+ * agents, A2A calls and workflows run without network or model files
+ * (CI, demos, air-gapped shop-floor laptops).
+ *
+ * Fixture layout:
+ *   <fixturesDir>/<agentId>/<promptHash>.json
+ *   <fixturesDir>/<agentId>/default.json   (optional catch-all)
+ *
+ * The hash covers options.promptKey (the request without live OEE, mock
+ * data and the time, set by AgentManager) or else the prompt, with ISO
+ * timestamps masked. options.promptTemplate (the unrendered template) is
+ * hashed along with the key, so editing a template invalidates its
+ * fixtures. Session history is part of the hash, so follow-up questions
+ * get their own fixtures.
+ *
+ * Modes (REPLAY_MODE):
+ *  - replay: serve fixtures only, fail on a miss (default); the fixture
+ *            directory must exist (assertReady)
+ *  - record: always call the real provider and (over)write the fixture
+ *  - auto:   serve the fixture if present, otherwise record it
+ *
+ * Environment defaults:
+ *  - REPLAY_FIXTURES_DIR     (default: mock-data/llm-replay)
+ *  - REPLAY_MODE             (default: replay)
+ *  - REPLAY_RECORD_PROVIDER  (default: anthropic)
+ *
+ * Author: Markus Schmeckenbecher
+ * Version: 1.1
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import logger from "../../utils/logger.js";
+import LLMProvider from "../LLMProvider.js";
+
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g;
+
+class ReplayProvider extends LLMProvider {
+  constructor(config = {}, registry = null) {
+    super(config);
+    this.fixturesDir = path.resolve(
+      config.fixturesDir || process.env.REPLAY_FIXTURES_DIR || "mock-data/llm-replay"
+    );
+    this.mode = (config.mode || process.env.REPLAY_MODE || "replay").toLowerCase();
+    this.recordProviderName = config.recordProvider || process.env.REPLAY_RECORD_PROVIDER || "anthropic";
+    this.registry = registry;
+    this.model = config.model || "replay";
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+
+    logger.info(`Replay LLM configured: ${this.fixturesDir} (mode: ${this.mode})`);
+  }
+
+  /**
+   * Normalize prompt (and template) and compute a stable short hash
+   */
+  static hashPrompt(prompt, template = null) {
+    const normalize = text => String(text).replace(ISO_TIMESTAMP, "<timestamp>").replace(/\s+/g, " ").trim();
+    const hash = crypto.createHash("sha256");
+    if (template !== null) {
+      hash.update(`template ${ReplayProvider.hashTemplate(template)}\n`);
+    }
+    return hash.update(normalize(prompt)).digest("hex").substring(0, 16);
+  }
+
+  static hashTemplate(template) {
+    return crypto.createHash("sha256").update(String(template)).digest("hex").substring(0, 16);
+  }
+
+  getFixturePath(agentId, promptHash) {
+    return path.join(this.fixturesDir, agentId || "generic", `${promptHash}.json`);
+  }
+
+  readFixture(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      logger.error(`Invalid replay fixture ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  lookup(agentId, promptHash) {
+    return this.readFixture(this.getFixturePath(agentId, promptHash))
+      || this.readFixture(this.getFixturePath(agentId, "default"));
+  }
+
+  getRecordProvider() {
+    if (!this.registry) {
+      throw new Error("Replay record mode requires a provider registry");
+    }
+    const provider = this.registry.getProvider(this.recordProviderName);
+    if (!provider.isAvailable()) {
+      throw new Error(`Replay record provider not available: ${this.recordProviderName}`);
+    }
+    return provider;
+  }
+
+  async record(agentId, promptHash, prompt, options) {
+    const provider = this.getRecordProvider();
+    const response = await provider.generate(prompt, options);
+
+    const filePath = this.getFixturePath(agentId, promptHash);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      agentId: agentId || "generic",
+      promptHash,
+      promptKey: options.promptKey ?? null,
+      promptTemplateHash: options.promptTemplate != null ? ReplayProvider.hashTemplate(options.promptTemplate) : null,
+      prompt,
+      response,
+      provider: provider.getName(),
+      model: provider.model,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+
+    this.stats.recorded++;
+    logger.info(`📼 Recorded replay fixture: ${filePath}`);
+    return response;
+  }
+
+  async generate(prompt, options = {}) {
+    const agentId = options.agentId || "generic";
+    const promptHash = ReplayProvider.hashPrompt(this.buildPrompt(options.promptKey ?? prompt, options), options.promptTemplate ?? null);
+
+    if (this.mode === "record") {
+      return this.record(agentId, promptHash, prompt, options);
+    }
+
+    const fixture = this.lookup(agentId, promptHash);
+    if (fixture) {
+      this.stats.hits++;
+      logger.debug(`📼 Replay hit: ${agentId}/${promptHash}`);
+      return fixture.response;
+    }
+
+    this.stats.misses++;
+    if (this.mode === "auto") {
+      return this.record(agentId, promptHash, prompt, options);
+    }
+
+    throw new Error(`No replay fixture for ${agentId}/${promptHash}`);
+  }
+
+  isAvailable() {
+    return this.mode !== "replay" || fs.existsSync(this.fixturesDir);
+  }
+
+  /**
+   * Replay was asked for explicitly - running without fixtures (or
+   * silently on another provider) would hide a broken CI setup
+   * @throws {Error} If the fixture directory is missing in replay mode
+   */
+  assertReady() {
+    if (!this.isAvailable()) {
+      throw new Error(`Replay fixtures not found: ${this.fixturesDir} (REPLAY_MODE=${this.mode})`);
+    }
+  }
+
+  getName() {
+    return "replay";
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      fixturesDir: this.fixturesDir,
+      mode: this.mode,
+      recordProvider: this.mode === "replay" ? null : this.recordProviderName,
+      stats: this.stats
+    };
+  }
+}
+
+export default ReplayProvider;
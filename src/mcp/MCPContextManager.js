@@ -1,6 +1,7 @@
 // MCP CONTEXT MANAGER
 // ===================
 // Manages context sharing between pharmaceutical agents
+// Contexts survive restarts when a StateStore is attached ("mcp_contexts")
 // File: src/mcp/MCPContextManager.js
 
 import { v4 as uuidv4 } from 'uuid';
@@ -18,6 +19,9 @@ export class MCPContextManager {
         // Agent subscriptions
         this.agentSubscriptions = new Map();
         this.contextNotifications = new Map();
+
+        // Durable storage (optional)
+        this.stateStore = null;
         
         // Configuration
         this.config = {
@@ -135,6 +139,53 @@ export class MCPContextManager {
         }, this.config.cleanupInterval);
     }
 
+    // DURABLE STATE
+    // =============
+
+    setStateStore(stateStore) {
+        this.stateStore = stateStore;
+
+        const now = Date.now();
+        let restored = 0;
+        let expired = 0;
+
+        for (const record of stateStore.list('mcp_contexts')) {
+            if (now > record.context.expiresAt) {
+                stateStore.delete('mcp_contexts', record.context.id);
+                expired++;
+                continue;
+            }
+
+            this.contexts.set(record.context.id, record.context);
+            this.contextAccess.set(record.context.id, new Map(Object.entries(record.access || {})));
+            this.contextHistory.set(record.context.id, record.history || []);
+            restored++;
+        }
+
+        stateStore.recordRecovery('mcpContexts', { restored, expired });
+        if (restored > 0) {
+            console.log(`♻️ Restored ${restored} MCP context(s)`);
+        }
+    }
+
+    persistContext(contextId) {
+        const context = this.contexts.get(contextId);
+        if (!this.stateStore || !context) return;
+
+        this.stateStore.put('mcp_contexts', contextId, {
+            context,
+            access: Object.fromEntries(this.contextAccess.get(contextId) || []),
+            history: this.contextHistory.get(contextId) || []
+        });
+    }
+
+    removeContext(contextId) {
+        this.contexts.delete(contextId);
+        this.contextAccess.delete(contextId);
+        this.contextHistory.delete(contextId);
+        this.stateStore?.delete('mcp_contexts', contextId);
+    }
+
     // CONTEXT CREATION & MANAGEMENT
     // ==============================
 
@@ -192,6 +243,7 @@ export class MCPContextManager {
                 agent: sourceAgent,
                 version: 1
             }]);
+            this.persistContext(contextId);
 
             // Notify target agents
             if (targetAgents.length > 0) {
@@ -252,6 +304,7 @@ export class MCPContextManager {
             newTargets,
             accessLevel
         });
+        this.persistContext(contextId);
 
         // Notify new agents
         if (notification && newTargets.length > 0) {
@@ -296,6 +349,7 @@ export class MCPContextManager {
             newVersion: context.version,
             changedFields: Object.keys(newData)
         });
+        this.persistContext(contextId);
 
         // Notify target agents
         await this.notifyAgents(contextId, 'context_updated', context.targetAgents);
@@ -342,6 +396,7 @@ export class MCPContextManager {
 
         // Record history
         this.addContextHistory(contextId, 'accessed', requestingAgent);
+        this.persistContext(contextId);
 
         return {
             id: context.id,
@@ -369,9 +424,7 @@ export class MCPContextManager {
         await this.notifyAgents(contextId, 'context_deleted', context.targetAgents);
 
         // Clean up
-        this.contexts.delete(contextId);
-        this.contextAccess.delete(contextId);
-        this.contextHistory.delete(contextId);
+        this.removeContext(contextId);
 
         // Audit log
         this.auditLogger.log('mcp_context_deleted', {
@@ -515,9 +568,7 @@ export class MCPContextManager {
 
         for (const [contextId, context] of this.contexts) {
             if (now > context.expiresAt) {
-                this.contexts.delete(contextId);
-                this.contextAccess.delete(contextId);
-                this.contextHistory.delete(contextId);
+                this.removeContext(contextId);
                 cleanedCount++;
             }
         }
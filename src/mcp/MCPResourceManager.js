@@ -208,6 +208,11 @@ export class MCPResourceManager {
         };
     }
 
+    // Use the shared role model (src/config/roles.yaml) instead of rolePermissions
+    setAccessControl(accessControl) {
+        this.accessControl = accessControl;
+    }
+
     setupCachePolicy() {
         this.cachePolicies = {
             'production': { ttl: 2 * 60 * 1000, maxSize: 100 },
@@ -237,7 +242,10 @@ export class MCPResourceManager {
         try {
             const resource = this.resources.get(uri);
             if (!resource) throw new Error(`Resource not found: ${uri}`);
-            if (!this.checkResourcePermission(uri, userRole)) {
+            const permitted = this.accessControl
+                ? this.accessControl.check(userRole, `resource:${uri}`, { userId, source: 'mcp_resource' })
+                : this.checkResourcePermission(uri, userRole);
+            if (!permitted) {
                 throw new Error(`Permission denied for resource: ${uri}`);
             }
 
@@ -381,6 +389,9 @@ export class MCPResourceManager {
     // PERMISSION CHECKS
     // ========================================================================
     checkResourcePermission(uri, userRole) {
+        if (this.accessControl) {
+            return this.accessControl.can(userRole, `resource:${uri}`);
+        }
         if (userRole === 'admin') return true;
         const rolePerms = this.rolePermissions[userRole] || [];
         return rolePerms.includes(uri) || rolePerms.includes('*');
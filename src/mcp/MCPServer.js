@@ -29,6 +29,9 @@ export class PharmaMCPServer extends EventEmitter {
         this.dataManager = dataManager;
         this.auditLogger = auditLogger;
         this.agentManager = agentManager;
+        this.releaseEngine = null; // set by integrateMCPServer
+        this.scheduler = null; // set by integrateMCPServer
+        this.materialService = null; // set by integrateMCPServer
         
         // MCP Server Instance
         this.server = new Server(
@@ -212,10 +215,10 @@ export class PharmaMCPServer extends EventEmitter {
     
     setupToolExecutionIntegration() {
         // Override tool execution in registry to use our implementations
-        this.toolRegistry.executeToolLogic = async (toolName, args) => {
+        this.toolRegistry.executeToolLogic = async (toolName, args, caller = {}) => {
             switch (toolName) {
                 case 'execute_agent':
-                    return await this.executeAgent(args.agentName, args.parameters || {});
+                    return await this.executeAgent(args.agentName, args.parameters || {}, caller);
                     
                 case 'query_production_data':
                     return await this.queryProductionData(args.dataSource, args.filters);
@@ -236,7 +239,13 @@ export class PharmaMCPServer extends EventEmitter {
                     return await this.assessQuality(args.batchId, args.testResults);
                     
                 case 'manage_inventory':
-                    return await this.manageInventory(args.action, args);
+                    return await this.manageInventory(args.action, args, caller);
+
+                case 'evaluate_release':
+                    return await this.evaluateRelease(args, caller);
+
+                case 'schedule_production':
+                    return await this.scheduleProduction(args, caller);
                     
                 default:
                     throw new Error(`Unknown tool: ${toolName}`);
@@ -247,10 +256,11 @@ export class PharmaMCPServer extends EventEmitter {
     // PHARMACEUTICAL TOOL IMPLEMENTATIONS
     // ====================================
     
-    async executeAgent(agentName, parameters = {}) {
+    async executeAgent(agentName, parameters = {}, caller = {}) {
         try {
             // Validate agent exists
-            if (!this.agentManager.agents || !this.agentManager.agents[agentName]) {
+            const agent = (this.agentManager.agents || []).find(a => a.id === agentName);
+            if (!agent) {
                 throw new Error(`Agent not found: ${agentName}`);
             }
 
@@ -261,8 +271,15 @@ export class PharmaMCPServer extends EventEmitter {
                 parameters
             };
 
-            // Execute agent through existing agent manager
-            const result = await this.agentManager.executeAgent(agentName, context);
+            // Execute agent with the caller's roles (rolesAllowed is enforced by AgentManager)
+            const message = parameters.message || `MCP request: ${JSON.stringify(parameters)}`;
+            const result = await this.agentManager.processAgent(agent, message, false, {
+                user: {
+                    id: caller.userId || 'mcp',
+                    roles: [].concat(caller.userRole || []),
+                    authMethod: 'mcp'
+                }
+            });
             
             // Emit execution event
             this.eventBus.emit('mcp/agent_executed', {
@@ -292,10 +309,25 @@ export class PharmaMCPServer extends EventEmitter {
         }
     }
 
+    async evaluateRelease(args, caller = {}) {
+        if (!this.releaseEngine) {
+            throw new Error('Release decision engine not available');
+        }
+        return await this.releaseEngine.evaluate(args, { userId: caller.userId || 'mcp' });
+    }
+
+    async scheduleProduction({ detail = 'summary', ...options } = {}, caller = {}) {
+        if (!this.scheduler) {
+            throw new Error('Production scheduler not available');
+        }
+        const plan = await this.scheduler.schedule({ ...options, userId: caller.userId || 'mcp' });
+        return detail === 'full' ? plan : this.scheduler.summarize(plan);
+    }
+
     async queryProductionData(dataSource, filters = {}) {
         try {
             // Get data through data manager
-            const data = await this.dataManager.getData(dataSource);
+            const data = await this.dataManager.getCachedData(dataSource);
             
             if (!data) {
                 throw new Error(`Data source not found: ${dataSource}`);
@@ -506,11 +538,11 @@ export class PharmaMCPServer extends EventEmitter {
         }
     }
 
-    async manageInventory(action, args) {
+    async manageInventory(action, args, caller = {}) {
         try {
             const inventoryActions = {
                 'check_availability': () => this.checkMaterialAvailability(args),
-                'reserve_materials': () => this.reserveMaterials(args),
+                'reserve_materials': () => this.reserveMaterials(args, caller),
                 'update_stock': () => this.updateStock(args),
                 'forecast_needs': () => this.forecastNeeds(args)
             };
@@ -652,29 +684,42 @@ export class PharmaMCPServer extends EventEmitter {
         return request.meta?.userRole || 'planner';
     }
 
+    // Roles of the REST caller (set by AccessControl middleware)
+    requestRoles(req) {
+        return req.user?.roles || 'planner';
+    }
+
+    setAccessControl(accessControl) {
+        this.accessControl = accessControl;
+        this.toolRegistry.setAccessControl(accessControl);
+        this.resourceManager.setAccessControl(accessControl);
+    }
+
     extractUserId(request) {
         // In a real implementation, extract from authentication context
         return request.meta?.userId || 'system';
     }
 
-    checkMaterialAvailability(args) {
-        // Mock implementation
-        const materials = args.materialIds || [];
-        return materials.map(id => ({
-            materialId: id,
-            available: Math.random() > 0.2, // 80% availability
-            quantity: Math.floor(Math.random() * 1000),
-            unit: 'kg'
-        }));
+    async checkMaterialAvailability(args) {
+        if (!this.materialService) {
+            throw new Error('Material availability service not available');
+        }
+        // orderId: BOM explosion of the order; otherwise the listed materials as they are
+        if (args.orderId) {
+            return await this.materialService.checkAvailability({ orderId: args.orderId });
+        }
+        const requirements = Object.fromEntries((args.materialIds || []).map(id => [id, 0]));
+        return await this.materialService.checkAvailability({ requirements: { ...requirements, ...args.quantities } });
     }
 
-    reserveMaterials(args) {
-        return {
-            reservationId: `RES-${Date.now()}`,
-            materials: args.materialIds || [],
-            quantities: args.quantities || {},
-            reservedUntil: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-        };
+    async reserveMaterials(args, caller = {}) {
+        if (!this.materialService) {
+            throw new Error('Material availability service not available');
+        }
+        return await this.materialService.reserve(
+            { orderId: args.orderId, allowPartial: args.allowPartial === true },
+            { userId: caller.userId || 'mcp' }
+        );
     }
 
     // MCP SERVER API ENDPOINTS
@@ -684,12 +729,12 @@ export class PharmaMCPServer extends EventEmitter {
         return {
             // Server status and management
             'GET /api/mcp/status': () => this.getServerStatus(),
-            'GET /api/mcp/resources': () => this.resourceManager.listResources(),
-            'GET /api/mcp/tools': () => ({ tools: this.toolRegistry.listTools() }),
+            'GET /api/mcp/resources': (req) => this.resourceManager.listResources(this.requestRoles(req)),
+            'GET /api/mcp/tools': (req) => ({ tools: this.toolRegistry.listTools(this.requestRoles(req)) }),
             'GET /api/mcp/contexts': () => this.contextManager.listContexts('system'),
             
             // Tool execution via REST API
-            'POST /api/mcp/execute': (req) => this.executeToolViaAPI(req.body),
+            'POST /api/mcp/execute': (req) => this.executeToolViaAPI(req.body, req.user),
             
             // Statistics and monitoring
             'GET /api/mcp/stats': () => this.getServerStats(),
@@ -702,8 +747,11 @@ export class PharmaMCPServer extends EventEmitter {
         };
     }
 
-    async executeToolViaAPI(body) {
-        const { tool, arguments: args, userRole = 'planner', userId = 'api_user' } = body;
+    async executeToolViaAPI(body, user = null) {
+        const { tool, arguments: args } = body;
+        // Roles come from the authenticated identity, never from the request body
+        const userRole = this.requestRoles({ user });
+        const userId = user?.id || 'api_user';
         
         try {
             const result = await this.toolRegistry.executeTool(tool, args, userRole, userId);
@@ -790,13 +838,25 @@ export class PharmaMCPServer extends EventEmitter {
 // INTEGRATION FUNCTION FOR MAIN SERVER
 // =====================================
 
-export async function integrateMCPServer(app, { eventBus, dataManager, auditLogger, agentManager }) {
+export async function integrateMCPServer(app, { eventBus, dataManager, auditLogger, agentManager, accessControl = null, stateStore = null, releaseEngine = null, scheduler = null, materialService = null }) {
     const mcpServer = new PharmaMCPServer({ 
         eventBus, 
         dataManager, 
         auditLogger, 
         agentManager 
     });
+
+    if (accessControl) {
+        mcpServer.setAccessControl(accessControl);
+    }
+
+    if (stateStore) {
+        mcpServer.contextManager.setStateStore(stateStore);
+    }
+
+    mcpServer.releaseEngine = releaseEngine;
+    mcpServer.scheduler = scheduler;
+    mcpServer.materialService = materialService;
     
     // Register MCP API endpoints
     const mcpEndpoints = mcpServer.getAPIEndpoints();
@@ -809,7 +869,8 @@ export async function integrateMCPServer(app, { eventBus, dataManager, auditLogg
                 res.json({ success: true, data: result });
             } catch (error) {
                 console.error(`MCP API Error (${route}):`, error);
-                res.status(500).json({ 
+                const status = /Permission denied/.test(error.message) ? 403 : 500;
+                res.status(status).json({ 
                     success: false, 
                     error: error.message 
                 });
@@ -301,7 +301,7 @@ export class MCPToolRegistry {
         // 8. Inventory Management Tool
         this.registerTool({
             name: 'manage_inventory',
-            description: 'Manage raw material inventory',
+            description: 'Manage raw material inventory. check_availability with orderId explodes the order BOM and nets it against stock (FEFO); reserve_materials books the lots for an order.',
             category: 'inventory_management',
             inputSchema: {
                 type: 'object',
@@ -323,6 +323,10 @@ export class MCPToolRegistry {
                     orderId: {
                         type: 'string',
                         description: 'Associated order ID'
+                    },
+                    allowPartial: {
+                        type: 'boolean',
+                        description: 'reserve_materials: reserve what is available despite shortages'
                     }
                 },
                 required: ['action']
@@ -331,6 +335,74 @@ export class MCPToolRegistry {
             rateLimit: 40,
             auditRequired: true
         });
+
+        // 9. Release Decision Tool (deterministic verdict, see ReleaseDecisionEngine)
+        this.registerTool({
+            name: 'evaluate_release',
+            description: 'Deterministic batch release verdict (releasable/blocked) from TRIC rules, RMSL, QA and compliance records, with every failed rule and its source. Explain this verdict; never decide a release yourself.',
+            category: 'compliance',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    orderId: {
+                        type: 'string',
+                        description: 'Order ID (material and market are taken from the order)'
+                    },
+                    material: {
+                        type: 'string',
+                        description: 'Material number, e.g. FG-123 (without orderId)'
+                    },
+                    market: {
+                        type: 'string',
+                        description: 'Target market/country, e.g. EU, US (without orderId)'
+                    },
+                    batchId: {
+                        type: 'string',
+                        description: 'Batch ID; required when the material has several batches'
+                    },
+                    asOf: {
+                        type: 'string',
+                        description: 'Evaluate with the rules that applied on this date (YYYY-MM-DD)'
+                    }
+                }
+            },
+            permissions: ['planner', 'admin'],
+            rateLimit: 30,
+            auditRequired: true
+        });
+
+        // 10. Production Scheduling Tool (finite capacity, see FiniteCapacityScheduler)
+        this.registerTool({
+            name: 'schedule_production',
+            description: 'Finite-capacity production plan: assigns open orders to lines using line capacity, OEE-based throughput, shifts, changeovers and due dates. Returns the sequence per line and the late orders with their reason. Explain this plan; do not re-plan it yourself.',
+            category: 'production',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    startAt: {
+                        type: 'string',
+                        description: 'Plan start (ISO date/time), default now'
+                    },
+                    orderIds: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only plan these orders (default: all open orders)'
+                    },
+                    keepAssignments: {
+                        type: 'boolean',
+                        description: 'Keep orders on their currently assigned line'
+                    },
+                    detail: {
+                        type: 'string',
+                        enum: ['summary', 'full'],
+                        description: 'summary (default): sequence and late orders; full: Gantt tasks with shift segments'
+                    }
+                }
+            },
+            permissions: ['planner', 'admin'],
+            rateLimit: 20,
+            auditRequired: true
+        });
     }
 
     registerTool(toolDefinition) {
@@ -362,12 +434,20 @@ export class MCPToolRegistry {
             ],
             'admin': [
                 '*' // All tools
+            ],
+            'System': [
+                'query_production_data', 'check_compliance', 'assess_quality'
             ]
         };
 
         this.rolePermissions = rolePermissions;
     }
 
+    // Use the shared role model (src/config/roles.yaml) instead of rolePermissions
+    setAccessControl(accessControl) {
+        this.accessControl = accessControl;
+    }
+
     setupToolValidation() {
         // Input validation patterns
         this.validators = {
@@ -393,7 +473,10 @@ export class MCPToolRegistry {
             }
 
             // 2. Check permissions
-            if (!this.checkPermission(toolName, userRole)) {
+            const permitted = this.accessControl
+                ? this.accessControl.check(userRole, `tool:${toolName}`, { userId, source: 'mcp_tool' })
+                : this.checkPermission(toolName, userRole);
+            if (!permitted) {
                 throw new Error(`Permission denied for tool: ${toolName}`);
             }
 
@@ -406,7 +489,7 @@ export class MCPToolRegistry {
             this.validateToolInput(tool, args);
 
             // 5. Execute tool
-            const result = await this.executeToolLogic(toolName, args);
+            const result = await this.executeToolLogic(toolName, args, { userRole, userId });
 
             // 6. Record execution
             const executionTime = Date.now() - startTime;
@@ -451,7 +534,7 @@ export class MCPToolRegistry {
         }
     }
 
-    async executeToolLogic(toolName, args) {
+    async executeToolLogic(toolName, args, caller = {}) {
         // This method should be overridden by the main MCP server
         // to provide actual tool implementations
         throw new Error(`Tool execution not implemented: ${toolName}`);
@@ -484,6 +567,10 @@ export class MCPToolRegistry {
         const tool = this.tools.get(toolName);
         if (!tool) return false;
 
+        if (this.accessControl) {
+            return this.accessControl.can(userRole, `tool:${toolName}`);
+        }
+
         // Admin can access all tools
         if (userRole === 'admin') return true;
 
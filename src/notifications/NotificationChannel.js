@@ -0,0 +1,66 @@
+/**
+ * ========================================================================
+ * ABSTRACT NOTIFICATION CHANNEL BASE CLASS
+ * ========================================================================
+ *
+ * Contract for every delivery channel (in-app inbox, e-mail, webhooks).
+ * NotificationService only ever calls channel.send(notification,
+ * recipients); retry, rate limiting and quiet hours are handled there.
+ *
+ * Features:
+ * - send (required) - throws on failure so the service can retry;
+ *   errors with `permanent: true` are not retried
+ * - isConfigured (optional) - false skips the channel with an error
+ * - describe (optional)
+ *
+ * Channel options shared by all types (src/config/notifications.yaml):
+ *   enabled       false disables the channel
+ *   rateLimit     { maxPerWindow, windowMinutes } or false
+ *   quietHours    false ignores the quiet hours for this channel
+ *   retry         { attempts, backoffSeconds }
+ *   timeoutMs     per-send timeout for network channels
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+class NotificationChannel {
+  /**
+   * @param {string} name - Channel name from the config
+   * @param {Object} config - Channel configuration
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.type = config.type;
+    this.config = config;
+    this.enabled = config.enabled !== false;
+    this.timeoutMs = config.timeoutMs || 10000;
+  }
+
+  /**
+   * Deliver a notification
+   * @param {Object} notification - { id, eventType, title, message, severity, line, data, timestamp }
+   * @param {Object} recipients - { roles, users, emails }
+   * @returns {Promise<Object>} Delivery details (e.g. accepted recipients, HTTP status)
+   */
+  async send(notification, recipients) {
+    throw new Error("send method must be implemented");
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      enabled: this.enabled,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+export { NotificationChannel };
+export default NotificationChannel;
@@ -0,0 +1,461 @@
+/**
+ * ========================================================================
+ * NOTIFICATION SERVICE - SUBSCRIPTIONS, CHANNELS, DELIVERY
+ * ========================================================================
+ *
+ * Listens to every event on the event bus and matches it against the
+ * subscription rules (event pattern, severity, line). A match creates a
+ * notification for the subscription's roles/users and one delivery per
+ * channel.
+ *
+ * Delivery (per channel):
+ * - quiet hours: held until the quiet hours end (unless the severity
+ *   bypasses them or the channel ignores them)
+ * - rate limit: over the channel's limit the delivery is dropped; the
+ *   inbox entry is still written
+ * - retry: failed sends are retried with exponential backoff, except
+ *   permanent errors (e.g. no address, webhook answers 4xx)
+ *
+ * Every sent, failed or dropped delivery is audited
+ * ("notification_delivery"). Open deliveries (held or retrying) are kept
+ * in the StateStore and re-armed after restart.
+ *
+ * New channel types are added with registerChannelType(type, Class).
+ *
+ * Environment defaults:
+ *  - NOTIFICATIONS_CONFIG      (default: src/config/notifications.yaml)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import { RateLimiter } from "../utils/RateLimiter.js";
+import logger from "../utils/logger.js";
+import InboxChannel from "./channels/InboxChannel.js";
+import EmailChannel from "./channels/EmailChannel.js";
+import { WebhookChannel, TeamsChannel, SlackChannel } from "./channels/WebhookChannel.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const OPEN_STATES = ["pending", "held", "retrying"];
+const IGNORED_EVENTS = /^(event|notification\/.*)$/;
+const MAX_CLOSED_DELIVERIES = 500;
+
+const toMinutes = time => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+const valueAt = (data, key) => key.split(".").reduce((value, part) => value?.[part], data);
+const render = (template, data) => template.replace(/\{([\w.]+)\}/g, (match, key) => {
+  const value = valueAt(data, key);
+  return value === undefined || value === null ? "" : Array.isArray(value) ? value.join(", ") : String(value);
+});
+
+export class NotificationService {
+  constructor({ eventBusManager = null, auditLogger = null, stateStore = null, userStore = null, accessControl = null, configPath = process.env.NOTIFICATIONS_CONFIG || "src/config/notifications.yaml" } = {}) {
+    this.eventBusManager = eventBusManager;
+    this.auditLogger = auditLogger;
+    this.stateStore = stateStore;
+    this.userStore = userStore;
+    this.accessControl = accessControl;
+    this.configPath = configPath;
+
+    this.channelTypes = new Map(); // type -> NotificationChannel class
+    this.channels = new Map();     // name -> channel instance
+    this.rateLimiters = new Map(); // channel name -> RateLimiter
+    this.subscriptions = [];
+    this.defaults = {};
+    this.deliveries = new Map();
+    this.timers = new Map();
+    this.patternCache = new Map();
+
+    this.registerChannelType("inbox", InboxChannel);
+    this.registerChannelType("email", EmailChannel);
+    this.registerChannelType("webhook", WebhookChannel);
+    this.registerChannelType("teams", TeamsChannel);
+    this.registerChannelType("slack", SlackChannel);
+  }
+
+  /**
+   * Register a channel class under a type name used in the config
+   * @param {string} type - Channel type
+   * @param {Function} ChannelClass - Subclass of NotificationChannel, constructed with (name, config)
+   */
+  registerChannelType(type, ChannelClass) {
+    this.channelTypes.set(type, ChannelClass);
+  }
+
+  loadConfig() {
+    const raw = yaml.load(fs.readFileSync(this.configPath, "utf8")) || {};
+    this.defaults = {
+      retry: { attempts: 4, backoffSeconds: 30, ...raw.defaults?.retry },
+      rateLimit: raw.defaults?.rateLimit === false ? false : { maxPerWindow: 20, windowMinutes: 10, ...raw.defaults?.rateLimit },
+      quietHours: raw.defaults?.quietHours || null
+    };
+
+    this.channels.clear();
+    this.rateLimiters.clear();
+    for (const [name, config] of Object.entries(raw.channels || {})) {
+      const ChannelClass = this.channelTypes.get(config?.type);
+      if (!ChannelClass) throw new Error(`${this.configPath}: channel ${name} has unknown type ${config?.type}`);
+      const channel = new ChannelClass(name, config);
+      this.channels.set(name, channel);
+
+      const rateLimit = this.settingOf(channel, "rateLimit");
+      if (rateLimit) this.rateLimiters.set(name, new RateLimiter(rateLimit.maxPerWindow, rateLimit.windowMinutes * MINUTE));
+    }
+
+    this.subscriptions = (raw.subscriptions || []).map((subscription, index) => {
+      const unknown = (subscription.channels || []).filter(name => !this.channels.has(name));
+      if (unknown.length) throw new Error(`${this.configPath}: subscription ${subscription.id || index} uses unknown channel(s) ${unknown.join(", ")}`);
+      return { id: subscription.id || `subscription-${index + 1}`, roles: [], users: [], to: [], lines: null, minSeverity: "info", ...subscription };
+    });
+
+    const configured = [...this.channels.values()].filter(channel => channel.enabled && channel.isConfigured()).map(channel => channel.name);
+    logger.info(`🔔 Notifications: ${this.subscriptions.length} subscriptions, channels ${configured.join(", ") || "none"} configured`);
+    return this;
+  }
+
+  /**
+   * Channel setting with fallback to the defaults (false disables)
+   */
+  settingOf(channel, key) {
+    const value = channel.config[key];
+    if (value === false) return false;
+    if (value && typeof value === "object") return { ...this.defaults[key], ...value };
+    return this.defaults[key];
+  }
+
+  /**
+   * Subscribe to the event bus and re-arm open deliveries
+   */
+  start() {
+    this.eventBusManager?.onAny?.((eventType, data) => this.handleEvent(eventType, data));
+
+    if (this.stateStore) {
+      this.stateStore.list("notification_deliveries").forEach(delivery => {
+        this.deliveries.set(delivery.id, delivery);
+        if (OPEN_STATES.includes(delivery.status)) this.schedule(delivery, Date.parse(delivery.nextAttemptAt) || Date.now());
+      });
+      const open = [...this.deliveries.values()].filter(delivery => OPEN_STATES.includes(delivery.status));
+      this.stateStore.recordRecovery("notification_deliveries", { open: open.map(({ id, channel, status }) => ({ id, channel, status })) });
+      if (open.length) logger.info(`🔔 ${open.length} open notification deliveries restored`);
+    }
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  persist(delivery) {
+    this.stateStore?.put("notification_deliveries", delivery.id, delivery);
+  }
+
+  // ======================================================================
+  // MATCHING
+  // ======================================================================
+
+  matchesPattern(pattern, eventType) {
+    if (!this.patternCache.has(pattern)) {
+      const escaped = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+      this.patternCache.set(pattern, new RegExp(`^${escaped.join(".*")}$`));
+    }
+    return this.patternCache.get(pattern).test(eventType);
+  }
+
+  severityOf(data, subscription) {
+    const severity = data?.severity || subscription.severity || "info";
+    return SEVERITY_RANK[severity] === undefined ? "info" : severity;
+  }
+
+  /**
+   * Subscriptions that apply to an event
+   */
+  match(eventType, data = {}) {
+    const line = data?.line || data?.lineId || null;
+    return this.subscriptions.filter(subscription =>
+      subscription.enabled !== false
+      && (subscription.events || []).some(pattern => this.matchesPattern(pattern, eventType))
+      && SEVERITY_RANK[this.severityOf(data, subscription)] >= SEVERITY_RANK[subscription.minSeverity]
+      && (!subscription.lines?.length || subscription.lines.includes(line)));
+  }
+
+  handleEvent(eventType, data) {
+    if (IGNORED_EVENTS.test(eventType)) return;
+    for (const subscription of this.match(eventType, data)) {
+      try {
+        this.notify(subscription, eventType, data || {});
+      } catch (error) {
+        logger.error(`❌ Notification for ${eventType} (${subscription.id}) failed: ${error.message}`);
+      }
+    }
+  }
+
+  // ======================================================================
+  // NOTIFY & DELIVER
+  // ======================================================================
+
+  /**
+   * Create the notification of a subscription and start its deliveries
+   * @returns {Object} { notification, deliveries }
+   */
+  notify(subscription, eventType, data) {
+    const context = { eventType, ...data };
+    const severity = this.severityOf(data, subscription);
+    const line = data.line || data.lineId || null;
+    const notification = {
+      id: `notif-${Date.now()}-${uuidv4().slice(0, 8)}`,
+      subscriptionId: subscription.id,
+      eventType,
+      severity,
+      line,
+      title: subscription.title ? render(subscription.title, context) : `${eventType}${line ? ` ${line}` : ""}`,
+      message: subscription.message
+        ? render(subscription.message, context)
+        : data.message || data.title || data.summary || JSON.stringify(data).slice(0, 500),
+      data,
+      timestamp: new Date().toISOString()
+    };
+    const recipients = this.recipientsOf(subscription, data);
+
+    const deliveries = subscription.channels.map(channelName => {
+      const delivery = {
+        id: `dlv-${uuidv4().slice(0, 8)}`,
+        notification,
+        recipients,
+        channel: channelName,
+        status: "pending",
+        attempts: 0,
+        createdAt: notification.timestamp,
+        nextAttemptAt: null,
+        sentAt: null,
+        lastError: null,
+        result: null
+      };
+      this.deliveries.set(delivery.id, delivery);
+      this.dispatch(delivery).catch(error => logger.error(`❌ Delivery ${delivery.id} failed: ${error.message}`));
+      return delivery;
+    });
+    this.prune();
+    return { notification, deliveries };
+  }
+
+  /**
+   * Roles, users and e-mail addresses of a subscription; `rolesFrom`
+   * adds the roles named in the event (e.g. approval allowedRoles)
+   */
+  recipientsOf(subscription, data) {
+    const roles = [...new Set([...subscription.roles, ...[].concat(subscription.rolesFrom ? valueAt(data, subscription.rolesFrom) || [] : [])])];
+    const users = [...subscription.users];
+    const emails = new Set(subscription.to);
+
+    for (const user of this.userStore?.listUsers?.() || []) {
+      const addressed = users.includes(user.id) || (user.roles || []).some(role => roles.includes(role));
+      if (addressed && user.email) emails.add(user.email);
+    }
+    return { roles, users, emails: [...emails] };
+  }
+
+  async dispatch(delivery) {
+    const channel = this.channels.get(delivery.channel);
+    const { notification } = delivery;
+    if (!channel?.enabled || !channel.isConfigured()) {
+      return this.finish(delivery, "skipped", { error: `Channel ${delivery.channel} is not configured`, audit: false });
+    }
+
+    const now = Date.now();
+    const quietEnd = this.quietHoursEnd(channel, notification.severity, now);
+    if (quietEnd) {
+      delivery.status = "held";
+      delivery.nextAttemptAt = new Date(quietEnd).toISOString();
+      this.persist(delivery);
+      this.schedule(delivery, quietEnd);
+      return delivery;
+    }
+
+    if (delivery.attempts === 0 && this.rateLimiters.has(channel.name) && !this.rateLimiters.get(channel.name).canMakeCall(notification.subscriptionId)) {
+      return this.finish(delivery, "dropped", { error: `Rate limit of channel ${channel.name} reached` });
+    }
+
+    delivery.attempts++;
+    try {
+      const result = await channel.send(notification, delivery.recipients);
+      return this.finish(delivery, "sent", { result });
+    } catch (error) {
+      const retry = this.settingOf(channel, "retry");
+      if (!error.permanent && delivery.attempts < retry.attempts) {
+        const at = Date.now() + retry.backoffSeconds * 1000 * 2 ** (delivery.attempts - 1);
+        Object.assign(delivery, { status: "retrying", lastError: error.message, nextAttemptAt: new Date(at).toISOString() });
+        this.persist(delivery);
+        this.schedule(delivery, at);
+        logger.warn(`⚠️ Notification ${notification.id} via ${channel.name} failed (attempt ${delivery.attempts}/${retry.attempts}): ${error.message}`);
+        return delivery;
+      }
+      return this.finish(delivery, "failed", { error: error.message });
+    }
+  }
+
+  finish(delivery, status, { result = null, error = null, audit = true } = {}) {
+    Object.assign(delivery, {
+      status,
+      result,
+      lastError: error || delivery.lastError,
+      nextAttemptAt: null,
+      sentAt: status === "sent" ? new Date().toISOString() : null
+    });
+    this.timers.delete(delivery.id);
+    this.persist(delivery);
+
+    if (audit) {
+      this.auditLogger?.appendAudit?.({
+        type: "notification_delivery",
+        notificationId: delivery.notification.id,
+        deliveryId: delivery.id,
+        subscriptionId: delivery.notification.subscriptionId,
+        eventType: delivery.notification.eventType,
+        severity: delivery.notification.severity,
+        channel: delivery.channel,
+        status,
+        attempts: delivery.attempts,
+        recipients: delivery.recipients,
+        error
+      });
+    }
+    if (status === "sent" && this.channels.get(delivery.channel)?.type === "inbox") {
+      this.eventBusManager?.emit?.("notification/created", {
+        id: delivery.notification.id,
+        title: delivery.notification.title,
+        severity: delivery.notification.severity,
+        recipients: delivery.result?.recipients || [],
+        timestamp: delivery.notification.timestamp
+      });
+    }
+    if (status === "failed") logger.error(`❌ Notification ${delivery.notification.id} via ${delivery.channel} failed: ${error}`);
+    return delivery;
+  }
+
+  schedule(delivery, at) {
+    clearTimeout(this.timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.dispatch(delivery).catch(error => logger.error(`❌ Delivery ${delivery.id} failed: ${error.message}`));
+    }, Math.max(0, at - Date.now()));
+    timer.unref?.();
+    this.timers.set(delivery.id, timer);
+  }
+
+  /**
+   * End of the current quiet hours (ms) if the delivery has to wait, else null
+   */
+  quietHoursEnd(channel, severity, now) {
+    const quietHours = this.settingOf(channel, "quietHours");
+    if (!quietHours?.start || !quietHours?.end) return null;
+    if (quietHours.bypassSeverity && SEVERITY_RANK[severity] >= SEVERITY_RANK[quietHours.bypassSeverity]) return null;
+
+    const dayStart = Math.floor(now / DAY) * DAY;
+    const start = toMinutes(quietHours.start) * MINUTE;
+    const end = toMinutes(quietHours.end) * MINUTE;
+    const minute = now - dayStart;
+    if (start < end) return minute >= start && minute < end ? dayStart + end : null;
+    // window past midnight, e.g. 22:00-06:00
+    if (minute >= start) return dayStart + DAY + end;
+    if (minute < end) return dayStart + end;
+    return null;
+  }
+
+  /**
+   * Keep the newest MAX_CLOSED_DELIVERIES finished deliveries
+   */
+  prune() {
+    const closed = [...this.deliveries.values()]
+      .filter(delivery => !OPEN_STATES.includes(delivery.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const delivery of closed.slice(0, Math.max(0, closed.length - MAX_CLOSED_DELIVERIES))) {
+      this.deliveries.delete(delivery.id);
+      this.stateStore?.delete("notification_deliveries", delivery.id);
+    }
+  }
+
+  // ======================================================================
+  // QUERIES / INBOX / TEST
+  // ======================================================================
+
+  getInbox() {
+    const inbox = [...this.channels.values()].find(channel => channel.type === "inbox");
+    if (!inbox) throw new AppError("No inbox channel configured", 404);
+    return inbox;
+  }
+
+  /**
+   * Inbox of a user; superusers see all entries
+   */
+  inbox(user, options = {}) {
+    const roles = this.accessControl ? this.accessControl.resolveRoles(user) : user.roles || [];
+    const all = this.accessControl?.isSuperuser(user) || false;
+    return this.getInbox().list({ id: user.id, roles }, { ...options, all });
+  }
+
+  markRead(entryId, user) {
+    const roles = this.accessControl ? this.accessControl.resolveRoles(user) : user.roles || [];
+    const all = this.accessControl?.isSuperuser(user) || false;
+    return this.getInbox().markRead(entryId, { id: user.id, roles }, { all });
+  }
+
+  listDeliveries({ status, channel, limit = 100 } = {}) {
+    const deliveries = [...this.deliveries.values()]
+      .filter(delivery => (!status || delivery.status === status) && (!channel || delivery.channel === channel))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { count: deliveries.length, deliveries: deliveries.slice(0, Math.max(1, Number(limit) || 100)) };
+  }
+
+  describeChannels() {
+    return [...this.channels.values()].map(channel => ({
+      ...channel.describe(),
+      rateLimit: this.rateLimiters.get(channel.name)?.getStatus() || null,
+      quietHours: this.settingOf(channel, "quietHours") || null,
+      retry: this.settingOf(channel, "retry")
+    }));
+  }
+
+  /**
+   * Send a test notification through one channel right away (no quiet
+   * hours, rate limit or retry) - e.g. against a local stand-in server
+   */
+  async testChannel(channelName, { user, to = [] } = {}) {
+    const channel = this.channels.get(channelName);
+    if (!channel) throw new AppError(`Channel not found: ${channelName}`, 404);
+    if (!channel.isConfigured()) throw new AppError(`Channel ${channelName} is not configured`, 400);
+
+    const notification = {
+      id: `notif-${Date.now()}-${uuidv4().slice(0, 8)}`,
+      subscriptionId: "test",
+      eventType: "notification/test",
+      severity: "info",
+      line: null,
+      title: `Test notification (${channelName})`,
+      message: `Test of channel ${channelName} requested by ${user?.id || "system"}.`,
+      data: {},
+      timestamp: new Date().toISOString()
+    };
+    const recipients = { roles: [], users: [user?.id || "system"], emails: [].concat(to) };
+    const delivery = { id: `dlv-${uuidv4().slice(0, 8)}`, notification, recipients, channel: channelName, status: "pending", attempts: 1, createdAt: notification.timestamp };
+    this.deliveries.set(delivery.id, delivery);
+
+    try {
+      const result = await channel.send(notification, recipients);
+      return this.finish(delivery, "sent", { result });
+    } catch (error) {
+      this.finish(delivery, "failed", { error: error.message });
+      throw new AppError(`Test via ${channelName} failed: ${error.message}`, 502);
+    }
+  }
+}
+
+export default NotificationService;
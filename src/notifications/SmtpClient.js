@@ -0,0 +1,174 @@
+/**
+ * ========================================================================
+ * SMTP CLIENT - MINIMAL MAIL SUBMISSION
+ * ========================================================================
+ *
+ * Plain-text mail over SMTP without extra dependencies:
+ * - implicit TLS (secure: true, port 465) or STARTTLS when offered
+ * - AUTH PLAIN when user/password are set
+ * - one connection per mail (notification volume is low)
+ *
+ * The body is sent base64 encoded, so no dot-stuffing or 8BITMIME is
+ * needed. Any unexpected reply code rejects with the server's answer.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`);
+const wrap = (text, width = 76) => text.match(new RegExp(`.{1,${width}}`, "g"))?.join("\r\n") || "";
+
+export class SmtpClient {
+  /**
+   * @param {Object} options - { host, port, secure, starttls, user, password, rejectUnauthorized, timeoutMs, clientName }
+   */
+  constructor({ host, port = 25, secure = false, starttls = true, user = null, password = null, rejectUnauthorized = true, timeoutMs = 15000, clientName = os.hostname() } = {}) {
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.starttls = starttls;
+    this.user = user;
+    this.password = password;
+    this.rejectUnauthorized = rejectUnauthorized;
+    this.timeoutMs = timeoutMs;
+    this.clientName = clientName;
+  }
+
+  /**
+   * Send one plain-text mail
+   * @returns {Promise<Object>} { accepted, response }
+   */
+  async send({ from, to, subject, text }) {
+    if (!to?.length) throw new Error("No mail recipients");
+    const connection = await this.open();
+    try {
+      await connection.reply(220);
+      let capabilities = await this.ehlo(connection);
+      if (!this.secure && this.starttls && capabilities.includes("STARTTLS")) {
+        await connection.command("STARTTLS", 220);
+        await connection.upgrade({ servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+        capabilities = await this.ehlo(connection);
+      }
+      if (this.user) {
+        await connection.command(`AUTH PLAIN ${Buffer.from(`\0${this.user}\0${this.password || ""}`).toString("base64")}`, 235);
+      }
+
+      await connection.command(`MAIL FROM:<${from}>`, 250);
+      for (const recipient of to) await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      await connection.command("DATA", 354);
+      const response = await connection.command(`${this.buildMessage({ from, to, subject, text })}\r\n.`, 250);
+      await connection.command("QUIT", 221).catch(() => {});
+      return { accepted: to, response: response.text };
+    } finally {
+      connection.close();
+    }
+  }
+
+  async ehlo(connection) {
+    const { lines } = await connection.command(`EHLO ${this.clientName}`, 250);
+    return lines.map(line => line.slice(4).toUpperCase());
+  }
+
+  buildMessage({ from, to, subject, text }) {
+    const domain = String(from).split("@")[1] || "localhost";
+    return [
+      `From: ${from}`,
+      `To: ${to.join(", ")}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      wrap(Buffer.from(String(text).replace(/\r?\n/g, "\r\n")).toString("base64"))
+    ].join("\r\n");
+  }
+
+  /**
+   * Socket with a reply reader: reply(code) waits for the next complete
+   * (multi-line) reply, command(line, code) writes and waits
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      let socket;
+      let buffer = "";
+      let lines = [];
+      const replies = [];
+      const waiters = [];
+      let failure = null;
+
+      const deliver = () => {
+        while (replies.length && waiters.length) waiters.shift().resolve(replies.shift());
+      };
+      const fail = error => {
+        failure = failure || error;
+        while (waiters.length) waiters.shift().reject(failure);
+      };
+      const onData = chunk => {
+        buffer += chunk.toString("utf8");
+        let index;
+        while ((index = buffer.indexOf("\r\n")) >= 0) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          lines.push(line);
+          if (/^\d{3}(?: |$)/.test(line)) {
+            replies.push({ code: Number(line.slice(0, 3)), lines, text: lines.join("\n") });
+            lines = [];
+          }
+        }
+        deliver();
+      };
+      const attach = target => {
+        target.setTimeout(this.timeoutMs, () => target.destroy(new Error(`SMTP timeout after ${this.timeoutMs} ms`)));
+        target.on("data", onData);
+        target.on("error", fail);
+        target.on("close", () => fail(new Error("SMTP connection closed")));
+      };
+
+      const connection = {
+        reply: expected => new Promise((resolveReply, rejectReply) => {
+          if (failure) return rejectReply(failure);
+          waiters.push({
+            resolve: reply => {
+              const codes = [].concat(expected);
+              if (codes.includes(reply.code)) resolveReply(reply);
+              else rejectReply(new Error(`SMTP ${reply.code}: ${reply.text}`));
+            },
+            reject: rejectReply
+          });
+          deliver();
+        }),
+        command: (line, expected) => {
+          socket.write(`${line}\r\n`);
+          return connection.reply(expected);
+        },
+        upgrade: options => new Promise((resolveUpgrade, rejectUpgrade) => {
+          socket.removeListener("data", onData);
+          socket.removeAllListeners("close");
+          socket.removeAllListeners("error");
+          const secured = tls.connect({ socket, ...options }, () => resolveUpgrade());
+          secured.once("error", rejectUpgrade);
+          socket = secured;
+          attach(secured);
+        }),
+        close: () => socket.destroy()
+      };
+
+      const onConnect = () => resolve(connection);
+      socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized }, onConnect)
+        : net.connect({ host: this.host, port: this.port }, onConnect);
+      socket.once("error", reject);
+      attach(socket);
+    });
+  }
+}
+
+export default SmtpClient;
@@ -0,0 +1,72 @@
+/**
+ * ========================================================================
+ * E-MAIL CHANNEL (SMTP)
+ * ========================================================================
+ *
+ * Sends one plain-text mail per notification to the subscription's
+ * addresses, the channel's static `to` list and the users of the
+ * subscribed roles that have an `email` in the user store.
+ *
+ * Environment defaults:
+ *  - SMTP_HOST, SMTP_PORT (default: 25), SMTP_SECURE (true = implicit TLS)
+ *  - SMTP_USER, SMTP_PASSWORD (password env name via `passwordEnv`)
+ *  - SMTP_FROM              (default: pharma-agents@localhost)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import NotificationChannel from "../NotificationChannel.js";
+import SmtpClient from "../SmtpClient.js";
+
+class EmailChannel extends NotificationChannel {
+  constructor(name, config = {}) {
+    super(name, config);
+    this.from = config.from || process.env.SMTP_FROM || "pharma-agents@localhost";
+    this.to = config.to || [];
+    this.subjectPrefix = config.subjectPrefix ?? "[Pharma Agents]";
+    this.client = new SmtpClient({
+      host: config.host || process.env.SMTP_HOST,
+      port: config.port || parseInt(process.env.SMTP_PORT) || 25,
+      secure: config.secure ?? process.env.SMTP_SECURE === "true",
+      starttls: config.starttls !== false,
+      user: config.user || process.env.SMTP_USER || null,
+      password: process.env[config.passwordEnv || "SMTP_PASSWORD"] || null,
+      rejectUnauthorized: config.rejectUnauthorized !== false,
+      timeoutMs: this.timeoutMs
+    });
+  }
+
+  isConfigured() {
+    return !!this.client.host;
+  }
+
+  async send(notification, recipients) {
+    const to = [...new Set([...this.to, ...recipients.emails])];
+    if (!to.length) {
+      throw Object.assign(new Error("No e-mail address for the recipients"), { permanent: true });
+    }
+    const facts = [
+      `Event: ${notification.eventType}`,
+      `Severity: ${notification.severity}`,
+      notification.line ? `Line: ${notification.line}` : null,
+      `Time: ${notification.timestamp}`,
+      `Notification: ${notification.id}`
+    ].filter(Boolean);
+
+    return this.client.send({
+      from: this.from,
+      to,
+      subject: `${this.subjectPrefix ? `${this.subjectPrefix} ` : ""}${notification.title}`,
+      text: `${notification.message}\n\n${facts.join("\n")}\n`
+    });
+  }
+
+  describe() {
+    return { ...super.describe(), host: this.client.host || null, port: this.client.port, from: this.from };
+  }
+}
+
+export { EmailChannel };
+export default EmailChannel;
@@ -0,0 +1,106 @@
+/**
+ * ========================================================================
+ * IN-APP INBOX CHANNEL
+ * ========================================================================
+ *
+ * Keeps notifications in a JSON file (default: notifications.json in the
+ * working directory) for the dashboard. An entry is addressed to roles
+ * and users; users see entries for their effective roles (inheritance
+ * from roles.yaml applies). Read state is kept per user.
+ *
+ * Environment defaults:
+ *  - NOTIFICATIONS_FILE     (default: notifications.json)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJson, writeJson } from "../../utils/jsonfile.js";
+import { AppError } from "../../utils/errorHandler.js";
+import logger from "../../utils/logger.js";
+import NotificationChannel from "../NotificationChannel.js";
+
+const PRIORITY = { critical: "urgent", warning: "high", info: "normal" };
+
+class InboxChannel extends NotificationChannel {
+  constructor(name, config = {}) {
+    super(name, { rateLimit: false, quietHours: false, ...config });
+    this.file = path.resolve(config.file || process.env.NOTIFICATIONS_FILE || "notifications.json");
+    this.maxEntries = config.maxEntries || 1000;
+    this.entries = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) this.entries = readJson(this.file);
+    } catch (error) {
+      logger.error(`Failed to load notification inbox: ${error.message}`);
+    }
+  }
+
+  persist() {
+    writeJson(this.file, this.entries);
+  }
+
+  async send(notification, recipients) {
+    const entry = {
+      id: notification.id,
+      title: notification.title,
+      message: notification.message,
+      severity: notification.severity,
+      priority: PRIORITY[notification.severity] || "normal",
+      eventType: notification.eventType,
+      line: notification.line,
+      recipients: [...new Set([...recipients.roles, ...recipients.users])],
+      timestamp: notification.timestamp,
+      status: "sent",
+      readBy: []
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries = this.entries.slice(-this.maxEntries);
+    this.persist();
+    return { recipients: entry.recipients };
+  }
+
+  /**
+   * Entries addressed to a user (id or one of the effective roles)
+   * @param {Object} user - { id, roles } with effective roles
+   * @param {Object} options - { unread, limit, all } (all: superuser view)
+   */
+  list(user, { unread = false, limit = 50, all = false } = {}) {
+    const addresses = new Set([user.id, ...(user.roles || [])]);
+    const entries = this.entries
+      .filter(entry => all || (entry.recipients || []).some(recipient => addresses.has(recipient)))
+      .map(entry => ({ ...entry, read: (entry.readBy || []).includes(user.id) }))
+      .reverse();
+    const unreadCount = entries.filter(entry => !entry.read).length;
+
+    return {
+      count: entries.length,
+      unread: unreadCount,
+      notifications: (unread ? entries.filter(entry => !entry.read) : entries).slice(0, Math.max(1, Number(limit) || 50))
+    };
+  }
+
+  markRead(entryId, user, { all = false } = {}) {
+    const entry = this.entries.find(item => item.id === entryId);
+    const addresses = new Set([user.id, ...(user.roles || [])]);
+    if (!entry || (!all && !(entry.recipients || []).some(recipient => addresses.has(recipient)))) {
+      throw new AppError(`Notification not found: ${entryId}`, 404);
+    }
+    entry.readBy = [...new Set([...(entry.readBy || []), user.id])];
+    this.persist();
+    return { ...entry, read: true };
+  }
+
+  describe() {
+    return { ...super.describe(), file: this.file, entries: this.entries.length };
+  }
+}
+
+export { InboxChannel };
+export default InboxChannel;
@@ -0,0 +1,104 @@
+/**
+ * ========================================================================
+ * WEBHOOK CHANNELS - GENERIC JSON, MS TEAMS, SLACK
+ * ========================================================================
+ *
+ * POSTs the notification to an HTTP endpoint; any non-2xx answer is a
+ * failed attempt. The URL is read from `url` or the environment variable
+ * named in `urlEnv` (keeps webhook secrets out of the config).
+ *
+ * Formats:
+ * - webhook: the notification as JSON; with `secretEnv` the body is
+ *   signed (X-Notification-Signature: sha256=<HMAC of the body>)
+ * - teams:   Office 365 connector MessageCard
+ * - slack:   Slack incoming webhook message (also Mattermost, Rocket.Chat)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import crypto from "crypto";
+import NotificationChannel from "../NotificationChannel.js";
+
+const COLORS = { critical: "DC3545", warning: "FFC107", info: "17A2B8" };
+
+class WebhookChannel extends NotificationChannel {
+  constructor(name, config = {}) {
+    super(name, config);
+    this.url = config.url || (config.urlEnv ? process.env[config.urlEnv] : null) || null;
+    this.headers = config.headers || {};
+    this.secret = config.secretEnv ? process.env[config.secretEnv] || null : null;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  facts(notification) {
+    return [
+      { name: "Event", value: notification.eventType },
+      { name: "Severity", value: notification.severity },
+      notification.line ? { name: "Line", value: notification.line } : null,
+      { name: "Time", value: notification.timestamp }
+    ].filter(Boolean);
+  }
+
+  buildPayload(notification, recipients) {
+    return { ...notification, recipients: { roles: recipients.roles, users: recipients.users } };
+  }
+
+  async send(notification, recipients) {
+    const body = JSON.stringify(this.buildPayload(notification, recipients));
+    const headers = { "Content-Type": "application/json", ...this.headers };
+    if (this.secret) {
+      headers["X-Notification-Signature"] = `sha256=${crypto.createHmac("sha256", this.secret).update(body).digest("hex")}`;
+    }
+
+    const res = await fetch(this.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!res.ok) {
+      // other client errors will not change on retry (wrong URL, rejected payload)
+      const permanent = res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status);
+      throw Object.assign(new Error(`Webhook ${this.name} returned ${res.status}`), { permanent });
+    }
+    return { status: res.status };
+  }
+
+  describe() {
+    return { ...super.describe(), url: this.url ? new URL(this.url).origin : null, signed: !!this.secret };
+  }
+}
+
+class TeamsChannel extends WebhookChannel {
+  buildPayload(notification) {
+    return {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      summary: notification.title,
+      themeColor: COLORS[notification.severity] || COLORS.info,
+      title: notification.title,
+      text: notification.message,
+      sections: [{ facts: this.facts(notification) }]
+    };
+  }
+}
+
+class SlackChannel extends WebhookChannel {
+  buildPayload(notification) {
+    return {
+      text: `*${notification.title}*\n${notification.message}`,
+      attachments: [{
+        color: `#${COLORS[notification.severity] || COLORS.info}`,
+        fields: this.facts(notification).map(fact => ({ title: fact.name, value: fact.value, short: true }))
+      }]
+    };
+  }
+}
+
+export { WebhookChannel, TeamsChannel, SlackChannel };
+export default WebhookChannel;
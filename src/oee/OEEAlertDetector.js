@@ -0,0 +1,443 @@
+/**
+ * ========================================================================
+ * OEE ALERT DETECTOR - STREAMING ANOMALY AND DOWNTIME DETECTION
+ * ========================================================================
+ *
+ * Consumes the realtime OEE feed (counter snapshots per line, e.g. MQTT
+ * `plc/<line>/status`) and raises `alerts/oee` events:
+ * - threshold:    smoothed metric below the line's warning/critical level
+ * - drift:        EWMA control chart, metric drifting down from the
+ *                 line's own baseline
+ * - state_change: line switches to `error` or `stopped`
+ * - minor_stops:  too many minor stops within a time window
+ *
+ * Metrics are computed per sample from counter differences and aggregated
+ * by OEECalculationEngine (A = run/planned, P = net run/run, so minor
+ * stops are a performance loss). Repeats of the same alert within the cooldown
+ * are counted instead of emitted, also when the condition cleared and
+ * came back in between; a higher severity is emitted at once. Open
+ * alerts are reminded after the cooldown, acknowledged ones stay quiet
+ * until they clear.
+ * The cooldown uses the sample timestamps, so a replayed feed behaves
+ * like a live one. Alerts are kept in the state store and can be
+ * acknowledged; `clearedAt` is set when the condition is gone. An alert
+ * is written to the store when its state changes, not on every repeat.
+ *
+ * Environment defaults:
+ *  - OEE_ALERTS_CONFIG         (default: src/config/oee_alerts.yaml)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+const MINUTE = 60 * 1000;
+const METRICS = ["availability", "performance", "quality", "oee"];
+const STOP_STATES = ["idle", "stopped"];
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const MAX_ALERTS = 500;
+
+const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+const merge = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return result;
+};
+const round = value => Math.round(value * 100) / 100;
+
+export class OEEAlertDetector {
+  constructor({ oeeEngine, eventBusManager = null, stateStore = null, auditLogger = null, configPath = process.env.OEE_ALERTS_CONFIG || "src/config/oee_alerts.yaml" }) {
+    this.oeeEngine = oeeEngine;
+    this.eventBusManager = eventBusManager;
+    this.stateStore = stateStore;
+    this.auditLogger = auditLogger;
+    this.configPath = configPath;
+    this.config = null;
+
+    this.lines = new Map();   // line -> streaming state
+    this.alerts = new Map();  // alertId -> alert
+    this.latest = new Map();  // line|type|metric -> latest alertId
+
+    this.load();
+  }
+
+  loadConfig() {
+    const raw = yaml.load(fs.readFileSync(this.configPath, "utf8")) || {};
+    this.config = {
+      defaults: merge({
+        warmupSamples: 20,
+        thresholds: {},
+        drift: { fastAlpha: 0.05, baselineAlpha: 0.005, minSamples: 200, zWarning: 3, zCritical: 4.5, metrics: ["oee"] },
+        stateChanges: { error: "critical", stopped: "warning" },
+        minorStops: { windowMinutes: 15, maxCount: 5, severity: "warning" },
+        cooldownMinutes: 15
+      }, raw.defaults),
+      lines: raw.lines || {}
+    };
+    logger.info(`🚨 OEE alerts: ${Object.keys(this.config.lines).length} line override(s), cooldown ${this.config.defaults.cooldownMinutes} min`);
+    return this.config;
+  }
+
+  getConfig() {
+    return this.config || this.loadConfig();
+  }
+
+  settingsFor(lineId) {
+    const { defaults, lines } = this.getConfig();
+    return merge(defaults, lines[lineId]);
+  }
+
+  load() {
+    if (!this.stateStore) return;
+    const stored = this.stateStore.list("oee_alerts").sort((a, b) => a.raisedAt.localeCompare(b.raisedAt));
+    for (const alert of stored) {
+      this.alerts.set(alert.id, alert);
+      this.latest.set(alert.key, alert.id);
+    }
+    const open = stored.filter(alert => alert.status === "open");
+    this.stateStore.recordRecovery("oee_alerts", { open: open.length });
+    if (open.length) logger.info(`🚨 ${open.length} open OEE alert(s) restored`);
+  }
+
+  persist(alert) {
+    this.stateStore?.put("oee_alerts", alert.id, alert);
+  }
+
+  /**
+   * Feed the detector from the realtime OEE data sources
+   */
+  attach(dataManager) {
+    const sources = dataManager.onRealtimeOEE?.(snapshot => this.ingest(snapshot)) || 0;
+    logger.info(`🚨 OEE alert detector attached to ${sources} realtime source(s)`);
+    return sources;
+  }
+
+  // ======================================================================
+  // STREAM PROCESSING
+  // ======================================================================
+
+  /**
+   * Process one counter snapshot
+   * @returns {Array} Alerts emitted for this snapshot
+   */
+  ingest(snapshot) {
+    const time = Date.parse(snapshot?.timestamp);
+    if (!snapshot?.line || !snapshot.counters || Number.isNaN(time)) return [];
+
+    const line = snapshot.line;
+    const settings = this.settingsFor(line);
+    const state = this.lines.get(line) || { stats: {}, minorStops: [], samples: 0 };
+    if (state.time !== undefined && time <= state.time) return [];
+
+    const emitted = [];
+    const raise = alert => {
+      const result = this.raise({ line, time, ...alert }, settings);
+      if (result) emitted.push(result);
+    };
+
+    // State changes
+    const status = snapshot.status;
+    if (status !== state.status) {
+      const severity = settings.stateChanges?.[status];
+      if (severity) {
+        raise({
+          type: "state_change",
+          metric: "status",
+          severity,
+          value: status,
+          message: `${line} switched to ${status}${state.status ? ` (was ${state.status})` : ""}`,
+          details: { previous: state.status || null, batchId: snapshot.batchId, alarms: snapshot.alarms || [] }
+        });
+      } else {
+        this.clear(line, "state_change", "status", time);
+      }
+    }
+
+    // Minor stops: a stop stretch that ends shorter than microStopSeconds
+    const microStopSeconds = this.oeeEngine.getConfig().defaults.microStopSeconds;
+    if (STOP_STATES.includes(status)) {
+      if (state.stopStart === undefined) state.stopStart = state.time ?? time;
+    } else if (state.stopStart !== undefined) {
+      if ((time - state.stopStart) / 1000 < microStopSeconds) state.minorStops.push(time);
+      state.stopStart = undefined;
+    }
+    const { windowMinutes, maxCount, severity: stopSeverity } = settings.minorStops;
+    state.minorStops = state.minorStops.filter(stopTime => time - stopTime <= windowMinutes * MINUTE);
+    if (state.minorStops.length >= maxCount) {
+      raise({
+        type: "minor_stops",
+        metric: "minor_stops",
+        severity: stopSeverity,
+        value: state.minorStops.length,
+        message: `${line}: ${state.minorStops.length} minor stops within ${windowMinutes} min`,
+        details: { windowMinutes, maxCount, microStopSeconds }
+      });
+    } else {
+      this.clear(line, "minor_stops", "minor_stops", time);
+    }
+
+    // Metrics of the interval since the previous snapshot
+    const sample = this.sampleOf(state, snapshot, time);
+    if (sample) {
+      state.samples++;
+      for (const metric of METRICS) {
+        if (sample[metric] === null) continue;
+        this.evaluateMetric(line, metric, sample[metric], state, settings, time, raise);
+      }
+    }
+
+    Object.assign(state, { time, status, batchId: snapshot.batchId, counters: this.oeeEngine.countersOf(snapshot) });
+    this.lines.set(line, state);
+    return emitted;
+  }
+
+  /**
+   * A, P, Q, OEE (percent) of the counter difference to the previous
+   * snapshot, classified and aggregated by OEECalculationEngine: downtime
+   * in `error`, during startup or in a stop longer than microStopSeconds
+   * costs availability, shorter stops and downtime while running cost
+   * performance. A batch change or a falling counter starts a new count.
+   * Without completed units only availability is known; performance,
+   * quality and OEE are null and not evaluated.
+   */
+  sampleOf(state, snapshot, time) {
+    const { defaults } = this.oeeEngine.getConfig();
+    const counters = this.oeeEngine.countersOf(snapshot);
+    const reset = !state.counters
+      || state.batchId !== snapshot.batchId
+      || Object.keys(counters).some(field => counters[field] < state.counters[field]);
+    const delta = reset
+      ? counters
+      : Object.fromEntries(Object.keys(counters).map(field => [field, counters[field] - state.counters[field]]));
+    if (reset) state.batchStart = time - counters.plannedProductionTime * defaults.counterUnitSeconds * 1000;
+    if (!(delta.plannedProductionTime > 0)) return null;
+
+    const operatingTime = Math.min(delta.operatingTime, delta.plannedProductionTime);
+    const total = delta.goodCount + delta.badCount;
+    const startup = time - state.batchStart <= defaults.startupMinutes * MINUTE;
+    const calendarState = this.oeeEngine.shiftCalendar?.classify(snapshot.line, time);
+    const offShift = calendarState && !calendarState.planned ? calendarState.reason : null;
+    // The stop stretch so far; it becomes a long stop once it passes microStopSeconds
+    const stopSeconds = state.stopStart === undefined ? 0 : (time - state.stopStart) / 1000;
+
+    let downCategory = "idlingAndMinorStops";
+    if (offShift) downCategory = "plannedDowntime";
+    else if (snapshot.status === "error") downCategory = "equipmentFailure";
+    else if (startup) downCategory = "setupAndAdjustments";
+    else if (STOP_STATES.includes(snapshot.status) && stopSeconds >= defaults.microStopSeconds) downCategory = "equipmentFailure";
+
+    const metrics = this.oeeEngine.aggregate([{
+      start: time,
+      end: time,
+      plannedTime: delta.plannedProductionTime,
+      operatingTime,
+      downTime: delta.plannedProductionTime - operatingTime,
+      goodCount: delta.goodCount,
+      badCount: delta.badCount,
+      idealTime: this.oeeEngine.idealCycleTime(snapshot.line, snapshot) * total,
+      startup,
+      offShift,
+      downCategory
+    }]);
+
+    return {
+      availability: metrics.availability,
+      performance: total > 0 ? metrics.performance : null,
+      quality: total > 0 ? metrics.quality : null,
+      oee: total > 0 ? metrics.oee : null
+    };
+  }
+
+  evaluateMetric(line, metric, value, state, settings, time, raise) {
+    const { fastAlpha, baselineAlpha, minSamples, zWarning, zCritical, metrics: driftMetrics = [] } = settings.drift;
+    const stats = state.stats[metric] || { n: 0, fast: value, mean: value, variance: 0 };
+    stats.n++;
+    stats.fast += fastAlpha * (value - stats.fast);
+
+    const warm = stats.n >= settings.warmupSamples;
+    const limits = settings.thresholds?.[metric];
+    if (warm && limits) {
+      const severity = stats.fast < limits.critical ? "critical" : stats.fast < limits.warning ? "warning" : null;
+      if (severity) {
+        raise({
+          type: "threshold",
+          metric,
+          severity,
+          value: round(stats.fast),
+          threshold: limits[severity],
+          message: `${line} ${metric} ${round(stats.fast)}% below ${severity} level ${limits[severity]}%`
+        });
+      } else {
+        this.clear(line, "threshold", metric, time);
+      }
+    }
+
+    // EWMA chart: deviation of the fast level against the slow baseline,
+    // scaled by the standard deviation an EWMA of the baseline noise has
+    const spread = Math.sqrt(stats.variance) * Math.sqrt(fastAlpha / (2 - fastAlpha));
+    if (stats.n >= minSamples && driftMetrics.includes(metric) && spread > 0.01) {
+      const z = (stats.fast - stats.mean) / spread;
+      const severity = z <= -zCritical ? "critical" : z <= -zWarning ? "warning" : null;
+      if (severity) {
+        raise({
+          type: "drift",
+          metric,
+          severity,
+          value: round(stats.fast),
+          message: `${line} ${metric} drifting down: ${round(stats.fast)}% vs baseline ${round(stats.mean)}% (z ${round(z)})`,
+          details: { baseline: round(stats.mean), zScore: round(z) }
+        });
+      } else {
+        this.clear(line, "drift", metric, time);
+      }
+    }
+
+    // Plain mean/variance until the EWMA weight takes over (warm start)
+    const alpha = Math.max(baselineAlpha, 1 / stats.n);
+    const diff = value - stats.mean;
+    stats.mean += alpha * diff;
+    stats.variance = (1 - alpha) * (stats.variance + alpha * diff * diff);
+    state.stats[metric] = stats;
+  }
+
+  // ======================================================================
+  // DEDUPE / COOLDOWN
+  // ======================================================================
+
+  raise({ line, time, type, metric, severity, value, threshold = null, message, details = {} }, settings) {
+    const key = `${line}|${type}|${metric}`;
+    const now = new Date(time).toISOString();
+    const previous = this.alerts.get(this.latest.get(key));
+    const cooldown = settings.cooldownMinutes * MINUTE;
+
+    if (previous) {
+      const escalated = SEVERITY_RANK[severity] > SEVERITY_RANK[previous.severity];
+      const inCooldown = time - Date.parse(previous.lastEmittedAt) < cooldown;
+
+      // Still active, or back again within the cooldown: same alert
+      if (!previous.clearedAt || inCooldown) {
+        const reopened = !!previous.clearedAt;
+        Object.assign(previous, { value, lastSeenAt: now, clearedAt: null, occurrences: previous.occurrences + 1 });
+        if (escalated) Object.assign(previous, { severity, status: "open" });
+
+        if ((inCooldown && !escalated) || previous.status !== "open") {
+          // A plain repeat only counts; it is written with the next state change
+          if (reopened) this.persist(previous);
+          return null;
+        }
+        Object.assign(previous, { message, threshold, details, lastEmittedAt: now });
+        this.persist(previous);
+        this.emit(previous);
+        return previous;
+      }
+    }
+
+    const alert = {
+      id: `oeealert-${uuidv4().slice(0, 8)}`,
+      key,
+      line,
+      type,
+      metric,
+      severity,
+      message,
+      value,
+      threshold,
+      details,
+      status: "open",
+      occurrences: 1,
+      raisedAt: now,
+      lastSeenAt: now,
+      lastEmittedAt: now,
+      clearedAt: null,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      acknowledgeNote: null
+    };
+    this.alerts.set(alert.id, alert);
+    this.latest.set(key, alert.id);
+    this.persist(alert);
+    this.prune();
+    this.emit(alert);
+    return alert;
+  }
+
+  clear(line, type, metric, time) {
+    const alert = this.alerts.get(this.latest.get(`${line}|${type}|${metric}`));
+    if (!alert || alert.clearedAt) return;
+    alert.clearedAt = new Date(time).toISOString();
+    this.persist(alert);
+  }
+
+  emit(alert) {
+    logger.warn(`🚨 OEE alert [${alert.severity}] ${alert.message}`);
+    this.eventBusManager?.publishEvent?.("alerts/oee", alert, "oee-alert-detector")
+      ?.catch?.(error => logger.error(`OEE alert publish failed: ${error.message}`));
+  }
+
+  /**
+   * Keep the newest MAX_ALERTS; open alerts that are still active are
+   * never dropped
+   */
+  prune() {
+    if (this.alerts.size <= MAX_ALERTS) return;
+    const removable = [...this.alerts.values()]
+      .filter(alert => alert.status !== "open" || alert.clearedAt)
+      .sort((a, b) => a.raisedAt.localeCompare(b.raisedAt));
+    for (const alert of removable.slice(0, this.alerts.size - MAX_ALERTS)) {
+      this.alerts.delete(alert.id);
+      if (this.latest.get(alert.key) === alert.id) this.latest.delete(alert.key);
+      this.stateStore?.delete("oee_alerts", alert.id);
+    }
+  }
+
+  // ======================================================================
+  // QUERIES / ACKNOWLEDGEMENT
+  // ======================================================================
+
+  /**
+   * @param {Object} filter - { status: open|acknowledged, active, line, severity, type, limit }
+   */
+  list({ status, active, line, severity, type, limit = 100 } = {}) {
+    const alerts = [...this.alerts.values()]
+      .filter(alert => (!status || alert.status === status)
+        && (active === undefined || active === !alert.clearedAt)
+        && (!line || alert.line === line)
+        && (!severity || alert.severity === severity)
+        && (!type || alert.type === type))
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+    return {
+      count: alerts.length,
+      open: alerts.filter(alert => alert.status === "open").length,
+      critical: alerts.filter(alert => alert.status === "open" && alert.severity === "critical").length,
+      alerts: alerts.slice(0, Math.max(1, Number(limit) || 100))
+    };
+  }
+
+  get(alertId) {
+    const alert = this.alerts.get(alertId);
+    if (!alert) throw new AppError(`OEE alert not found: ${alertId}`, 404);
+    return alert;
+  }
+
+  acknowledge(alertId, { userId = "system", note = null } = {}) {
+    const alert = this.get(alertId);
+    if (alert.status === "acknowledged") {
+      throw new AppError(`OEE alert ${alertId} already acknowledged by ${alert.acknowledgedBy}`, 409);
+    }
+    Object.assign(alert, { status: "acknowledged", acknowledgedBy: userId, acknowledgedAt: new Date().toISOString(), acknowledgeNote: note });
+    this.persist(alert);
+    this.auditLogger?.appendAudit?.({ type: "oee_alert_acknowledged", alertId, line: alert.line, alertType: alert.type, severity: alert.severity, note, userId });
+    return alert;
+  }
+}
+
+export default OEEAlertDetector;
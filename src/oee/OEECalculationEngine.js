@@ -0,0 +1,541 @@
+/**
+ * ========================================================================
+ * OEE CALCULATION ENGINE - AVAILABILITY, PERFORMANCE, QUALITY, LOSSES
+ * ========================================================================
+ *
+ * Derives OEE from raw counter snapshots (oee_history.json, MQTT status
+ * payloads) instead of trusting pre-computed metrics:
+ * - Counters are cumulative per batch; the engine takes the difference
+ *   between consecutive snapshots of a line. A batch change or a counter
+ *   going down starts a new count.
+ * - Each interval takes the machine state of the snapshot that closes it
+ * - Idle/stopped stretches shorter than microStopSeconds are minor stops
+ *   (performance loss), longer ones and `error` are equipment failures
+ * - Downtime and rejects within startupMinutes after a batch change are
+ *   setup and startup (reduced yield) losses
+ * - With a shift calendar (ShiftCalendar), downtime in breaks, on weekends,
+ *   holidays and outside shifts is planned downtime and not part of the
+ *   planned production time; all other downtime is unplanned
+ *
+ * Six big losses, all in minutes of planned time:
+ *   availability: equipmentFailure, setupAndAdjustments
+ *   performance:  idlingAndMinorStops, reducedSpeed
+ *   quality:      processDefects, reducedYield
+ * OEE = availability x performance x quality = valuable time / planned time.
+ *
+ * Results are grouped by line, shift (shift calendar, otherwise the shifts of
+ * src/config/production_lines.yaml),
+ * order (orderId of the event or the order's currentAssignment window)
+ * or product (material of the event, batch or order).
+ *
+ * Environment defaults:
+ *  - PRODUCTION_LINES_CONFIG   (default: src/config/production_lines.yaml)
+ *  - OEE_MICROSTOP_SECONDS     (default: oee.microStopSeconds, 300)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const GROUP_BY = ["line", "shift", "order", "product"];
+const LOSSES = ["equipmentFailure", "setupAndAdjustments", "idlingAndMinorStops", "reducedSpeed", "processDefects", "reducedYield"];
+const STOP_STATES = ["idle", "stopped"];
+
+const toMinutes = time => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+const ratio = (value, base) => (base > 0 ? value / base : null);
+const pct = value => (value === null ? null : Math.round(value * 10000) / 100);
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export class OEECalculationEngine {
+  constructor({ dataManager, shiftCalendar = null, configPath = process.env.PRODUCTION_LINES_CONFIG || "src/config/production_lines.yaml" }) {
+    this.dataManager = dataManager;
+    this.shiftCalendar = shiftCalendar;
+    this.configPath = configPath;
+    this.config = null;
+  }
+
+  loadConfig() {
+    const raw = yaml.load(fs.readFileSync(this.configPath, "utf8")) || {};
+    const defaults = {
+      counterUnitSeconds: 1,
+      idealCycleTime: 1,
+      microStopSeconds: 300,
+      startupMinutes: 10,
+      maxGapSeconds: 600,
+      agentWindowHours: 24,
+      ...raw.oee
+    };
+    if (process.env.OEE_MICROSTOP_SECONDS) defaults.microStopSeconds = Number(process.env.OEE_MICROSTOP_SECONDS);
+
+    const lines = new Map(Object.entries(raw.lines || {}).map(([id, line]) => [id, {
+      id,
+      name: line.name || id,
+      idealCycleTime: line.idealCycleTime || defaults.idealCycleTime,
+      shifts: (line.shifts || []).map(shift => ({ name: shift.name, startMinute: toMinutes(shift.start), endMinute: toMinutes(shift.end) }))
+    }]));
+
+    this.config = { defaults, lines };
+    logger.info(`📐 OEE engine: ${lines.size} lines, minor stops < ${defaults.microStopSeconds}s`);
+    return this.config;
+  }
+
+  getConfig() {
+    return this.config || this.loadConfig();
+  }
+
+  // ======================================================================
+  // PUBLIC API
+  // ======================================================================
+
+  /**
+   * OEE per group from the OEE history
+   * @param {Object} options - { groupBy: line|shift|order|product, lineId, from, to }
+   */
+  async compute({ groupBy = "line", lineId, from, to } = {}) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new AppError(`groupBy must be one of ${GROUP_BY.join(", ")}`, 400);
+    }
+    const { intervals, window } = await this.prepare({ lineId, from, to });
+    const keyOf = await this.grouper(groupBy);
+
+    const groups = new Map();
+    for (const interval of intervals) {
+      const { key, ...fields } = keyOf(interval);
+      if (!groups.has(key)) groups.set(key, { key, ...fields, intervals: [] });
+      groups.get(key).intervals.push(interval);
+    }
+
+    return {
+      groupBy,
+      window,
+      plant: this.aggregate(intervals),
+      groups: [...groups.values()]
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map(({ intervals: members, ...fields }) => ({ ...fields, ...this.aggregate(members) })),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Loss tree: planned time -> run time -> net run time -> valuable time
+   */
+  async lossTree({ lineId, from, to } = {}) {
+    const { intervals, window } = await this.prepare({ lineId, from, to });
+    const result = this.aggregate(intervals);
+    const { times, losses } = result;
+    const node = ids => Object.fromEntries(ids.map(id => [id, losses[id]]));
+
+    return {
+      lineId: lineId || null,
+      window,
+      oee: result.oee,
+      plannedTime: times.plannedTime,
+      availability: { value: result.availability, lossMinutes: round(losses.equipmentFailure.minutes + losses.setupAndAdjustments.minutes), losses: node(["equipmentFailure", "setupAndAdjustments"]) },
+      runTime: times.runTime,
+      performance: { value: result.performance, lossMinutes: round(losses.idlingAndMinorStops.minutes + losses.reducedSpeed.minutes), losses: node(["idlingAndMinorStops", "reducedSpeed"]) },
+      netRunTime: times.netRunTime,
+      quality: { value: result.quality, lossMinutes: round(losses.processDefects.minutes + losses.reducedYield.minutes), losses: node(["processDefects", "reducedYield"]) },
+      valuableTime: times.valuableTime,
+      warnings: result.warnings,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Detected stops (minor and long), newest first
+   */
+  async stops({ lineId, from, to, kind, limit = 100 } = {}) {
+    const { stops, window } = await this.prepare({ lineId, from, to });
+    const selected = stops.filter(stop => !kind || stop.kind === kind);
+    return {
+      window,
+      thresholdSeconds: this.getConfig().defaults.microStopSeconds,
+      count: selected.length,
+      minor: selected.filter(stop => stop.kind === "minor").length,
+      long: selected.filter(stop => stop.kind === "long").length,
+      stops: selected.slice().reverse().slice(0, Math.max(1, Number(limit) || 100))
+    };
+  }
+
+  /**
+   * Compact summary for agent prompts (last agentWindowHours of data)
+   */
+  async agentSummary({ lineId } = {}) {
+    const { defaults } = this.getConfig();
+    const history = await this.loadHistory();
+    const newest = history.reduce((max, entry) => Math.max(max, Date.parse(entry.timestamp) || 0), 0);
+    if (!newest) return { status: "unavailable", message: "No OEE history" };
+
+    const from = new Date(newest - defaults.agentWindowHours * 60 * MINUTE).toISOString();
+    const byLine = await this.compute({ groupBy: "line", lineId, from });
+    const { stops } = await this.prepare({ lineId, from });
+    const brief = ({ availability, performance, quality, oee }) => ({ availability, performance, quality, oee });
+
+    return {
+      status: "computed",
+      window: byLine.window,
+      unit: "percent; losses in minutes",
+      plant: { ...brief(byLine.plant), topLoss: this.topLoss(byLine.plant.losses) },
+      lines: byLine.groups.map(group => ({
+        line: group.line,
+        ...brief(group),
+        topLoss: this.topLoss(group.losses),
+        losses: Object.fromEntries(LOSSES.map(id => [id, group.losses[id].minutes])),
+        minorStops: group.minorStops,
+        warnings: group.warnings
+      })),
+      longestStops: stops.filter(stop => stop.kind === "long").sort((a, b) => b.seconds - a.seconds).slice(0, 5)
+    };
+  }
+
+  /**
+   * Metrics of one cumulative snapshot (realtime MQTT payload)
+   */
+  snapshotMetrics(snapshot) {
+    if (!snapshot?.counters) return snapshot;
+    const counters = snapshot.counters;
+    const planned = counters.plannedProductionTime || 0;
+    const operating = Math.min(counters.operatingTime || 0, planned);
+    const total = (counters.goodCount || 0) + (counters.badCount || 0);
+    const idealTime = this.idealCycleTime(snapshot.line, snapshot) * total;
+
+    return {
+      line: snapshot.line,
+      status: snapshot.status,
+      batchId: snapshot.batchId,
+      availability: pct(ratio(operating, planned)),
+      performance: pct(ratio(Math.min(operating, idealTime), operating)),
+      quality: pct(ratio(counters.goodCount || 0, total)),
+      oee: pct(planned > 0 && total > 0 ? Math.min(operating, idealTime) / planned * (counters.goodCount || 0) / total : null),
+      plannedMinutes: this.minutes(planned),
+      goodCount: counters.goodCount || 0,
+      badCount: counters.badCount || 0,
+      alarms: snapshot.alarms || [],
+      timestamp: snapshot.timestamp
+    };
+  }
+
+  // ======================================================================
+  // NORMALIZATION
+  // ======================================================================
+
+  async loadHistory() {
+    const history = await this.dataManager.getCachedData("oee_history").catch(() => null);
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Intervals and stops within the window; deltas are taken on the full
+   * history so the first interval of the window is correct
+   */
+  async prepare({ lineId, from, to } = {}) {
+    const fromMs = this.parseTime(from, "from");
+    const toMs = this.parseTime(to, "to");
+    const history = (await this.loadHistory()).filter(entry => !lineId || entry.line === lineId);
+    const { intervals, stops } = this.normalize(history);
+    const inWindow = end => (fromMs === null || end > fromMs) && (toMs === null || end <= toMs);
+
+    return {
+      intervals: intervals.filter(interval => inWindow(interval.end)),
+      stops: stops.filter(stop => inWindow(Date.parse(stop.end))),
+      window: { from: fromMs === null ? null : new Date(fromMs).toISOString(), to: toMs === null ? null : new Date(toMs).toISOString() }
+    };
+  }
+
+  parseTime(value, name) {
+    if (value === undefined || value === null || value === "") return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new AppError(`Invalid ${name}: ${value}`, 400);
+    return time;
+  }
+
+  /**
+   * Counter snapshots -> intervals with deltas, loss category of the
+   * downtime and detected stops
+   */
+  normalize(events) {
+    const { defaults } = this.getConfig();
+    const byLine = new Map();
+    for (const event of events) {
+      if (!event?.line || !event.counters || Number.isNaN(Date.parse(event.timestamp))) continue;
+      if (!byLine.has(event.line)) byLine.set(event.line, []);
+      byLine.get(event.line).push(event);
+    }
+
+    const intervals = [];
+    const stops = [];
+    for (const [line, list] of byLine) {
+      list.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      let previous = null;
+      let stretch = [];
+
+      const closeStretch = () => {
+        if (!stretch.length) return;
+        const seconds = stretch.reduce((sum, interval) => sum + interval.seconds, 0);
+        const kind = seconds < defaults.microStopSeconds ? "minor" : "long";
+        for (const interval of stretch) interval.downCategory = kind === "minor" ? "idlingAndMinorStops" : "equipmentFailure";
+        stops.push({
+          line,
+          kind,
+          state: stretch[stretch.length - 1].status,
+          batchId: stretch[0].batchId,
+          start: new Date(stretch[0].start).toISOString(),
+          end: new Date(stretch[stretch.length - 1].end).toISOString(),
+          seconds: Math.round(seconds),
+          downMinutes: this.minutes(stretch.reduce((sum, interval) => sum + interval.downTime, 0))
+        });
+        stretch = [];
+      };
+
+      for (const event of list) {
+        const time = Date.parse(event.timestamp);
+        const counters = this.countersOf(event);
+        const reset = !previous
+          || previous.event.batchId !== event.batchId
+          || Object.keys(counters).some(field => counters[field] < previous.counters[field]);
+        const delta = reset
+          ? counters
+          : Object.fromEntries(Object.keys(counters).map(field => [field, counters[field] - previous.counters[field]]));
+
+        const batchStart = reset ? time - counters.plannedProductionTime * defaults.counterUnitSeconds * 1000 : previous.batchStart;
+        const seconds = Math.min(
+          reset ? counters.plannedProductionTime * defaults.counterUnitSeconds : (time - previous.time) / 1000,
+          defaults.maxGapSeconds
+        );
+        const operatingTime = Math.min(delta.operatingTime, delta.plannedProductionTime);
+        const calendarState = this.shiftCalendar?.classify(line, time);
+        const interval = {
+          line,
+          batchId: event.batchId,
+          orderId: event.orderId || null,
+          material: event.material || null,
+          status: event.status,
+          start: time - seconds * 1000,
+          end: time,
+          seconds,
+          plannedTime: delta.plannedProductionTime,
+          operatingTime,
+          downTime: delta.plannedProductionTime - operatingTime,
+          goodCount: delta.goodCount,
+          badCount: delta.badCount,
+          idealTime: this.idealCycleTime(line, event) * (delta.goodCount + delta.badCount),
+          startup: time - batchStart <= defaults.startupMinutes * MINUTE,
+          offShift: calendarState && !calendarState.planned ? calendarState.reason : null,
+          downCategory: null
+        };
+
+        if (reset || !STOP_STATES.includes(event.status) || interval.startup || interval.offShift) closeStretch();
+        if (interval.offShift) interval.downCategory = "plannedDowntime";
+        else if (event.status === "error") interval.downCategory = "equipmentFailure";
+        else if (interval.startup) interval.downCategory = "setupAndAdjustments";
+        else if (STOP_STATES.includes(event.status)) stretch.push(interval);
+        // downtime inside a running sample: stops too short to show up as state
+        else interval.downCategory = "idlingAndMinorStops";
+
+        intervals.push(interval);
+        previous = { event, time, counters, batchStart };
+      }
+      closeStretch();
+    }
+
+    return { intervals, stops: stops.sort((a, b) => a.end.localeCompare(b.end)) };
+  }
+
+  countersOf(event) {
+    const counters = event.counters || {};
+    const value = field => Math.max(0, Number(counters[field]) || 0);
+    return {
+      plannedProductionTime: value("plannedProductionTime"),
+      operatingTime: value("operatingTime"),
+      goodCount: value("goodCount"),
+      badCount: value("badCount")
+    };
+  }
+
+  idealCycleTime(lineId, event = {}) {
+    const { defaults, lines } = this.getConfig();
+    return event.counters?.idealCycleTime || event.idealCycleTime || lines.get(lineId)?.idealCycleTime || defaults.idealCycleTime;
+  }
+
+  minutes(counterUnits) {
+    return round(counterUnits * this.getConfig().defaults.counterUnitSeconds / 60);
+  }
+
+  // ======================================================================
+  // AGGREGATION
+  // ======================================================================
+
+  /**
+   * A, P, Q, OEE and the six big losses of a set of intervals
+   */
+  aggregate(intervals) {
+    const sum = field => intervals.reduce((total, interval) => total + interval[field], 0);
+    const downOf = category => intervals.reduce((total, interval) => total + (interval.downCategory === category ? interval.downTime : 0), 0);
+
+    const totalTime = sum("plannedTime");
+    const plannedDowntime = downOf("plannedDowntime");
+    const plannedTime = totalTime - plannedDowntime;
+    const operatingTime = sum("operatingTime");
+    const goodCount = sum("goodCount");
+    const badCount = sum("badCount");
+    const totalCount = goodCount + badCount;
+    const idealTime = sum("idealTime");
+    const startupRejects = intervals.reduce((total, interval) => total + (interval.startup ? interval.badCount : 0), 0);
+
+    const equipmentFailure = downOf("equipmentFailure");
+    const setupAndAdjustments = downOf("setupAndAdjustments");
+    const runTime = plannedTime - equipmentFailure - setupAndAdjustments;
+    const idlingAndMinorStops = runTime - operatingTime;
+    const reducedSpeed = Math.max(0, operatingTime - idealTime);
+    const netRunTime = operatingTime - reducedSpeed;
+    const quality = ratio(goodCount, totalCount);
+    const valuableTime = netRunTime * (quality ?? 0);
+    const rejectTime = netRunTime - valuableTime;
+    const reducedYield = badCount > 0 ? rejectTime * startupRejects / badCount : 0;
+
+    const loss = (units, extra = {}) => ({ minutes: this.minutes(units), pctOfPlanned: pct(ratio(units, plannedTime)) ?? 0, ...extra });
+    const warnings = [];
+    const rawPerformance = ratio(idealTime, runTime);
+    if (rawPerformance > 1) {
+      warnings.push(`Output above ideal rate (raw performance ${pct(rawPerformance)}%) - check idealCycleTime; performance capped at 100%`);
+    }
+    if (!plannedTime) warnings.push("No planned production time in the window");
+
+    const minorStopIntervals = intervals.filter(interval => interval.downCategory === "idlingAndMinorStops" && interval.downTime > 0);
+    const plannedByReason = {};
+    for (const interval of intervals) {
+      if (interval.downCategory !== "plannedDowntime" || !interval.downTime) continue;
+      plannedByReason[interval.offShift] = (plannedByReason[interval.offShift] || 0) + interval.downTime;
+    }
+
+    return {
+      samples: intervals.length,
+      from: intervals.length ? new Date(Math.min(...intervals.map(interval => interval.start))).toISOString() : null,
+      to: intervals.length ? new Date(Math.max(...intervals.map(interval => interval.end))).toISOString() : null,
+      availability: pct(ratio(runTime, plannedTime)),
+      performance: pct(ratio(netRunTime, runTime)),
+      quality: pct(quality),
+      oee: pct(ratio(valuableTime, plannedTime)),
+      rawPerformance: pct(rawPerformance),
+      times: {
+        totalTime: this.minutes(totalTime),
+        plannedDowntime: this.minutes(plannedDowntime),
+        plannedTime: this.minutes(plannedTime),
+        runTime: this.minutes(runTime),
+        operatingTime: this.minutes(operatingTime),
+        netRunTime: this.minutes(netRunTime),
+        valuableTime: this.minutes(valuableTime)
+      },
+      counts: { goodCount, badCount, totalCount, startupRejects },
+      losses: {
+        equipmentFailure: loss(equipmentFailure),
+        setupAndAdjustments: loss(setupAndAdjustments),
+        idlingAndMinorStops: loss(idlingAndMinorStops),
+        reducedSpeed: loss(reducedSpeed),
+        processDefects: loss(rejectTime - reducedYield, { units: badCount - startupRejects }),
+        reducedYield: loss(reducedYield, { units: startupRejects })
+      },
+      downtime: {
+        planned: {
+          minutes: this.minutes(plannedDowntime),
+          byReason: Object.fromEntries(Object.entries(plannedByReason).map(([reason, units]) => [reason, this.minutes(units)]))
+        },
+        unplanned: {
+          minutes: this.minutes(equipmentFailure + setupAndAdjustments + idlingAndMinorStops),
+          byLoss: {
+            equipmentFailure: this.minutes(equipmentFailure),
+            setupAndAdjustments: this.minutes(setupAndAdjustments),
+            idlingAndMinorStops: this.minutes(idlingAndMinorStops)
+          }
+        }
+      },
+      minorStops: { intervals: minorStopIntervals.length, minutes: this.minutes(idlingAndMinorStops) },
+      warnings
+    };
+  }
+
+  topLoss(losses) {
+    const [id, value] = Object.entries(losses).sort((a, b) => b[1].minutes - a[1].minutes)[0] || [];
+    return id && value.minutes > 0 ? { loss: id, minutes: value.minutes } : null;
+  }
+
+  // ======================================================================
+  // GROUPING
+  // ======================================================================
+
+  /**
+   * Key function for an interval; orders and batches are read once
+   */
+  async grouper(groupBy) {
+    if (groupBy === "line") return interval => ({ key: interval.line, line: interval.line });
+    if (groupBy === "shift") return interval => this.shiftOf(interval.line, interval.end);
+
+    const orders = (await this.dataManager.getCachedData("orders").catch(() => null)) || [];
+    const batches = (await this.dataManager.getCachedData("batches").catch(() => null)) || [];
+    const windows = orders
+      .filter(order => order.currentAssignment?.line && order.currentAssignment.scheduledDate)
+      .map(order => {
+        const { line, scheduledDate, startTime = "00:00", endTime = "24:00" } = order.currentAssignment;
+        const start = Date.parse(`${scheduledDate}T00:00:00Z`) + toMinutes(startTime) * MINUTE;
+        let end = Date.parse(`${scheduledDate}T00:00:00Z`) + toMinutes(endTime) * MINUTE;
+        if (end <= start) end += DAY;
+        return { orderId: order.orderId, material: order.material, line, start, end };
+      });
+    const orderOf = interval => interval.orderId
+      ? orders.find(order => order.orderId === interval.orderId) || { orderId: interval.orderId }
+      : windows.find(window => window.line === interval.line && interval.end > window.start && interval.end <= window.end) || null;
+
+    if (groupBy === "order") {
+      return interval => {
+        const order = orderOf(interval);
+        return { key: order?.orderId || "unassigned", orderId: order?.orderId || null, material: order?.material || null };
+      };
+    }
+
+    const batchMaterial = new Map(batches.map(batch => [batch.id || batch.batchId, batch.material]));
+    return interval => {
+      const material = interval.material || batchMaterial.get(interval.batchId) || orderOf(interval)?.material || null;
+      return { key: material || "unknown", material };
+    };
+  }
+
+  /**
+   * Shift of a line at a time (UTC); a shift past midnight belongs to
+   * the day it started
+   */
+  shiftOf(lineId, time) {
+    const calendarState = this.shiftCalendar?.classify(lineId, time);
+    if (calendarState) {
+      const { date, shift } = calendarState;
+      return { key: `${lineId}|${date}|${shift || "no_shift"}`, line: lineId, date, shift };
+    }
+
+    const shifts = this.getConfig().lines.get(lineId)?.shifts || [];
+    const dayStart = Math.floor(time / DAY) * DAY;
+    const minute = (time - dayStart) / MINUTE;
+
+    for (const shift of shifts) {
+      const overnight = shift.endMinute <= shift.startMinute;
+      const inShift = overnight
+        ? minute >= shift.startMinute || minute < shift.endMinute
+        : minute >= shift.startMinute && minute < shift.endMinute;
+      if (!inShift) continue;
+      const date = new Date(overnight && minute < shift.endMinute ? dayStart - DAY : dayStart).toISOString().slice(0, 10);
+      return { key: `${lineId}|${date}|${shift.name}`, line: lineId, date, shift: shift.name };
+    }
+    const date = new Date(dayStart).toISOString().slice(0, 10);
+    return { key: `${lineId}|${date}|unassigned`, line: lineId, date, shift: null };
+  }
+}
+
+export default OEECalculationEngine;
@@ -0,0 +1,242 @@
+/**
+ * ========================================================================
+ * OEE REPORTS - PERIOD AGGREGATION AND SHIFT HANDOVER
+ * ========================================================================
+ *
+ * Builds on OEECalculationEngine (computed intervals) and ShiftCalendar:
+ * - Period reports per shift, day, week (ISO) or month; production day
+ *   is the day the shift started. Each period has the plant-wide
+ *   aggregate and one row per line.
+ * - Shift handover: per line the last completed working shift with A, P,
+ *   Q, OEE, output, planned/unplanned downtime, top losses, longest stops,
+ *   state at shift end and the change against the shift before. The
+ *   highlights are plain sentences from these numbers, for people and for
+ *   the executive briefing agent.
+ *
+ * Without an explicit time the handover refers to the newest OEE sample
+ * and takes the latest completed shift with data per line (up to 14 days
+ * back), so a stale or sparse history still yields a summary. With `at`
+ * it is strictly the last shift that ended before that time.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import { AppError } from "../utils/errorHandler.js";
+
+const PERIODS = ["shift", "day", "week", "month"];
+const LOOKBACK = 14 * 24 * 60 * 60 * 1000;
+
+const isoWeek = date => {
+  const day = new Date(`${date}T00:00:00Z`);
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+const brief = ({ availability, performance, quality, oee }) => ({ availability, performance, quality, oee });
+
+export class OEEReportService {
+  constructor({ oeeEngine, shiftCalendar }) {
+    this.oeeEngine = oeeEngine;
+    this.shiftCalendar = shiftCalendar;
+  }
+
+  /**
+   * Lines of a plant (or one line); unknown plants and lines are 404
+   */
+  selectLines({ lineId, plantId } = {}) {
+    if (plantId && !this.shiftCalendar.getPlants().some(plant => plant.id === plantId)) {
+      throw new AppError(`Plant ${plantId} not found`, 404);
+    }
+    if (lineId && !this.shiftCalendar.hasLine(lineId)) {
+      throw new AppError(`Line ${lineId} has no shift calendar`, 404);
+    }
+    const lines = this.shiftCalendar.lineIds(plantId);
+    return lineId ? lines.filter(id => id === lineId) : lines;
+  }
+
+  // ======================================================================
+  // PERIOD REPORTS
+  // ======================================================================
+
+  /**
+   * OEE per period and line
+   * @param {Object} options - { period: shift|day|week|month, lineId, plantId, from, to }
+   */
+  async periodReport({ period = "day", lineId, plantId, from, to } = {}) {
+    if (!PERIODS.includes(period)) throw new AppError(`period must be one of ${PERIODS.join(", ")}`, 400);
+    const lines = this.selectLines({ lineId, plantId });
+    const { intervals, window } = await this.oeeEngine.prepare({ lineId, from, to });
+
+    const periods = new Map();
+    for (const interval of intervals) {
+      if (!lines.includes(interval.line)) continue;
+      const key = this.periodOf(period, interval);
+      if (!periods.has(key)) periods.set(key, new Map());
+      const byLine = periods.get(key);
+      if (!byLine.has(interval.line)) byLine.set(interval.line, []);
+      byLine.get(interval.line).push(interval);
+    }
+
+    return {
+      period,
+      plantId: plantId || null,
+      window,
+      periods: [...periods.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, byLine]) => {
+          const total = this.oeeEngine.aggregate([...byLine.values()].flat());
+          return {
+            period: key,
+            ...brief(total),
+            times: total.times,
+            counts: total.counts,
+            downtime: total.downtime,
+            topLoss: this.oeeEngine.topLoss(total.losses),
+            lines: [...byLine.entries()]
+              .sort(([a], [b]) => a.localeCompare(b))
+              .map(([line, members]) => this.lineRow(line, this.oeeEngine.aggregate(members)))
+          };
+        }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  periodOf(period, interval) {
+    const state = this.shiftCalendar.classify(interval.line, interval.end);
+    if (period === "shift") return `${state.date} ${state.shift || "no_shift"}`;
+    if (period === "week") return isoWeek(state.date);
+    if (period === "month") return state.date.slice(0, 7);
+    return state.date;
+  }
+
+  lineRow(line, result) {
+    return {
+      line,
+      samples: result.samples,
+      ...brief(result),
+      goodCount: result.counts.goodCount,
+      badCount: result.counts.badCount,
+      plannedDowntime: result.downtime.planned.minutes,
+      unplannedDowntime: result.downtime.unplanned.minutes,
+      topLoss: this.oeeEngine.topLoss(result.losses)
+    };
+  }
+
+  // ======================================================================
+  // SHIFT HANDOVER
+  // ======================================================================
+
+  /**
+   * Handover summary of the last completed shift per line
+   * @param {Object} options - { lineId, plantId, at }
+   */
+  async shiftHandover({ lineId, plantId, at } = {}) {
+    const lines = this.selectLines({ lineId, plantId });
+    const reference = await this.referenceTime(at);
+    const { intervals, stops } = await this.oeeEngine.prepare({ lineId });
+
+    const handovers = [];
+    const linesWithoutData = [];
+    const shiftIntervals = [];
+    for (const line of lines) {
+      const completed = this.shiftCalendar.shifts(line, reference - LOOKBACK, reference).filter(shift => shift.end <= reference).reverse();
+      let shift = null;
+      let members = [];
+      for (const candidate of at ? completed.slice(0, 1) : completed) {
+        members = this.within(intervals, line, candidate);
+        if (members.length) {
+          shift = candidate;
+          break;
+        }
+      }
+      if (!shift) {
+        linesWithoutData.push(line);
+        continue;
+      }
+      const previous = this.shiftCalendar.previousShift(line, shift.start);
+      const previousMembers = previous ? this.within(intervals, line, previous) : [];
+      shiftIntervals.push(...members);
+      handovers.push(this.handoverOf(line, shift, members, previousMembers.length ? { shift: previous, result: this.oeeEngine.aggregate(previousMembers) } : null, stops));
+    }
+    const all = shiftIntervals.length ? this.oeeEngine.aggregate(shiftIntervals) : null;
+
+    return {
+      reference: new Date(reference).toISOString(),
+      plantId: plantId || null,
+      overall: all ? { ...brief(all), goodCount: all.counts.goodCount, badCount: all.counts.badCount, downtime: all.downtime } : null,
+      lines: handovers,
+      linesWithoutData,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async referenceTime(at) {
+    if (at) {
+      const time = Date.parse(at);
+      if (Number.isNaN(time)) throw new AppError(`Invalid at: ${at}`, 400);
+      return time;
+    }
+    const history = await this.oeeEngine.loadHistory();
+    const newest = history.reduce((max, entry) => Math.max(max, Date.parse(entry.timestamp) || 0), 0);
+    return newest ? Math.min(Date.now(), newest) : Date.now();
+  }
+
+  within(intervals, line, shift) {
+    return intervals.filter(interval => interval.line === line && interval.end > shift.start && interval.end <= shift.end);
+  }
+
+  handoverOf(line, shift, members, previous, stops) {
+    const result = this.oeeEngine.aggregate(members);
+    const last = members[members.length - 1];
+    const shiftStops = stops
+      .filter(stop => stop.line === line && Date.parse(stop.end) > shift.start && Date.parse(stop.end) <= shift.end)
+      .sort((a, b) => b.seconds - a.seconds);
+    const topLosses = Object.entries(result.losses)
+      .filter(([, value]) => value.minutes > 0)
+      .sort((a, b) => b[1].minutes - a[1].minutes)
+      .slice(0, 3)
+      .map(([loss, value]) => ({ loss, minutes: value.minutes }));
+    const oeeDelta = previous && result.oee !== null && previous.result.oee !== null
+      ? Math.round((result.oee - previous.result.oee) * 100) / 100
+      : null;
+
+    const highlights = [
+      `OEE ${result.oee}% (A ${result.availability}% / P ${result.performance}% / Q ${result.quality}%)${oeeDelta === null ? "" : `, ${oeeDelta >= 0 ? "+" : ""}${oeeDelta} pts vs ${previous.shift.shift} ${previous.shift.date}`}`,
+      `Output ${result.counts.goodCount} good / ${result.counts.badCount} rejected`,
+      `Unplanned downtime ${result.downtime.unplanned.minutes} min, planned ${result.downtime.planned.minutes} min`
+    ];
+    if (topLosses.length) highlights.push(`Top loss: ${topLosses[0].loss} (${topLosses[0].minutes} min)`);
+    const longStops = shiftStops.filter(stop => stop.kind === "long");
+    if (longStops.length) highlights.push(`${longStops.length} long stop(s), longest ${Math.round(longStops[0].seconds / 60)} min (${longStops[0].state})`);
+    if (last.status === "error") highlights.push("Line in error state at shift end");
+
+    return {
+      line,
+      plant: shift.plant,
+      shift: {
+        date: shift.date,
+        name: shift.shift,
+        start: new Date(shift.start).toISOString(),
+        end: new Date(shift.end).toISOString(),
+        plannedMinutes: shift.plannedMinutes
+      },
+      samples: result.samples,
+      ...brief(result),
+      output: { goodCount: result.counts.goodCount, badCount: result.counts.badCount },
+      downtime: result.downtime,
+      topLosses,
+      longestStops: shiftStops.slice(0, 3),
+      endState: { status: last.status, batchId: last.batchId, at: new Date(last.end).toISOString() },
+      previousShift: previous ? { date: previous.shift.date, name: previous.shift.shift, oee: previous.result.oee } : null,
+      oeeDelta,
+      highlights,
+      warnings: result.warnings
+    };
+  }
+}
+
+export default OEEReportService;
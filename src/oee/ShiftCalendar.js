@@ -0,0 +1,204 @@
+/**
+ * ========================================================================
+ * SHIFT CALENDAR - SHIFTS, BREAKS, WEEKENDS AND HOLIDAYS PER LINE
+ * ========================================================================
+ *
+ * Reads the plant calendars (src/config/shift_calendars.yaml). A line
+ * inherits the calendar of its plant; fields set on the line replace the
+ * plant's (shifts, workingDays, holidays).
+ *
+ * For a point in time the calendar answers which shift instance it
+ * belongs to (a shift past midnight belongs to the day it started) and
+ * whether it is planned production time. Not planned: breaks, weekends,
+ * holidays and time outside all shifts.
+ *
+ * Shift lists cover at most MAX_SPAN_DAYS (about two months) per call.
+ *
+ * Environment defaults:
+ *  - SHIFT_CALENDAR_CONFIG     (default: src/config/shift_calendars.yaml)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const SEARCH_DAYS = 14;
+const MAX_SPAN_DAYS = 62;
+
+const toMinutes = time => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+const dayOf = time => Math.floor(time / DAY) * DAY;
+const dateOf = time => new Date(time).toISOString().slice(0, 10);
+const isoWeekday = time => new Date(time).getUTCDay() || 7;
+
+export class ShiftCalendar {
+  constructor({ configPath = process.env.SHIFT_CALENDAR_CONFIG || "src/config/shift_calendars.yaml" } = {}) {
+    this.configPath = configPath;
+    this.config = null;
+  }
+
+  loadConfig() {
+    const raw = yaml.load(fs.readFileSync(this.configPath, "utf8")) || {};
+    const plants = [];
+    const lines = new Map();
+
+    for (const [plantId, plant] of Object.entries(raw.plants || {})) {
+      const defaults = plant.calendar || {};
+      for (const [lineId, override] of Object.entries(plant.lines || {})) {
+        if (lines.has(lineId)) throw new Error(`${this.configPath}: ${lineId} is assigned to more than one plant`);
+        const calendar = { ...defaults, ...(override || {}) };
+        if (!calendar.shifts?.length || !calendar.workingDays?.length) {
+          throw new Error(`${this.configPath}: ${lineId} needs shifts and workingDays`);
+        }
+        lines.set(lineId, {
+          id: lineId,
+          plantId,
+          workingDays: calendar.workingDays,
+          holidays: new Set((calendar.holidays || []).map(String)),
+          shifts: calendar.shifts.map(shift => ({
+            name: shift.name,
+            start: shift.start,
+            end: shift.end,
+            startMinute: toMinutes(shift.start),
+            endMinute: toMinutes(shift.end),
+            breaks: (shift.breaks || []).map(pause => ({ name: pause.name || "Break", start: pause.start, end: pause.end, startMinute: toMinutes(pause.start), endMinute: toMinutes(pause.end) }))
+          }))
+        });
+      }
+      plants.push({ id: plantId, name: plant.name || plantId, lines: Object.keys(plant.lines || {}) });
+    }
+
+    this.config = { plants, lines };
+    logger.info(`🗓️ Shift calendar: ${plants.length} plants, ${lines.size} lines`);
+    return this.config;
+  }
+
+  getConfig() {
+    return this.config || this.loadConfig();
+  }
+
+  getPlants() {
+    return this.getConfig().plants;
+  }
+
+  hasLine(lineId) {
+    return this.getConfig().lines.has(lineId);
+  }
+
+  /**
+   * Line ids of a plant (all lines without plantId)
+   */
+  lineIds(plantId = null) {
+    const { plants, lines } = this.getConfig();
+    if (!plantId) return [...lines.keys()];
+    return plants.find(plant => plant.id === plantId)?.lines || [];
+  }
+
+  plantOf(lineId) {
+    return this.getConfig().lines.get(lineId)?.plantId || null;
+  }
+
+  // ======================================================================
+  // SHIFT INSTANCES
+  // ======================================================================
+
+  /**
+   * Shift instance of a line starting on a day (ms of 00:00 UTC)
+   */
+  instance(line, shift, dayStart) {
+    const start = dayStart + shift.startMinute * MINUTE;
+    const end = dayStart + (shift.endMinute <= shift.startMinute ? DAY : 0) + shift.endMinute * MINUTE;
+    const date = dateOf(dayStart);
+    const holiday = line.holidays.has(date);
+    const weekend = !line.workingDays.includes(isoWeekday(dayStart));
+
+    const breaks = shift.breaks.map(pause => {
+      // breaks before the shift start fall on the next day (overnight shifts)
+      const offset = pause.startMinute < shift.startMinute ? DAY : 0;
+      const breakStart = dayStart + offset + pause.startMinute * MINUTE;
+      const breakEnd = dayStart + offset + (pause.endMinute <= pause.startMinute ? DAY : 0) + pause.endMinute * MINUTE;
+      return { name: pause.name, start: breakStart, end: Math.min(breakEnd, end) };
+    });
+    const breakMinutes = breaks.reduce((sum, pause) => sum + (pause.end - pause.start) / MINUTE, 0);
+
+    return {
+      line: line.id,
+      plant: line.plantId,
+      date,
+      shift: shift.name,
+      start,
+      end,
+      working: !holiday && !weekend,
+      reason: holiday ? "holiday" : weekend ? "weekend" : null,
+      breaks,
+      plannedMinutes: !holiday && !weekend ? (end - start) / MINUTE - breakMinutes : 0
+    };
+  }
+
+  /**
+   * Shift instance containing a time, or null outside all shifts
+   */
+  instanceAt(lineId, time) {
+    const line = this.getConfig().lines.get(lineId);
+    if (!line) return null;
+    for (const dayStart of [dayOf(time), dayOf(time) - DAY]) {
+      for (const shift of line.shifts) {
+        const candidate = this.instance(line, shift, dayStart);
+        if (time >= candidate.start && time < candidate.end) return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Shift and planned state of a line at a time
+   * @returns {Object|null} { plant, line, date, shift, planned, reason } - null for unknown lines
+   */
+  classify(lineId, time) {
+    if (!this.hasLine(lineId)) return null;
+    const instance = this.instanceAt(lineId, time);
+    if (!instance) {
+      return { plant: this.plantOf(lineId), line: lineId, date: dateOf(time), shift: null, planned: false, reason: "no_shift" };
+    }
+    const pause = instance.breaks.find(item => time >= item.start && time < item.end);
+    const reason = instance.reason || (pause ? "break" : null);
+    return { plant: instance.plant, line: lineId, date: instance.date, shift: instance.shift, planned: !reason, reason };
+  }
+
+  /**
+   * Working shift instances of a line that overlap [from, to)
+   */
+  shifts(lineId, from, to) {
+    if (!(to > from)) throw new AppError("to must be after from", 400);
+    if (to - from > MAX_SPAN_DAYS * DAY) throw new AppError(`from/to may span at most ${MAX_SPAN_DAYS} days`, 400);
+    const line = this.getConfig().lines.get(lineId);
+    if (!line) return [];
+    const result = [];
+    for (let dayStart = dayOf(from) - DAY; dayStart < to; dayStart += DAY) {
+      for (const shift of line.shifts) {
+        const candidate = this.instance(line, shift, dayStart);
+        if (candidate.working && candidate.end > from && candidate.start < to) result.push(candidate);
+      }
+    }
+    return result.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Last working shift instance that ended at or before a time
+   */
+  previousShift(lineId, time) {
+    const candidates = this.shifts(lineId, time - SEARCH_DAYS * DAY, time).filter(instance => instance.end <= time);
+    return candidates[candidates.length - 1] || null;
+  }
+}
+
+export default ShiftCalendar;
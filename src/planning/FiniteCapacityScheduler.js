@@ -0,0 +1,423 @@
+/**
+ * ========================================================================
+ * FINITE-CAPACITY SCHEDULER - ORDERS ACROSS PRODUCTION LINES
+ * ========================================================================
+ *
+ * Assigns open orders to lines (src/config/production_lines.yaml):
+ * - Throughput = capacityPerHour x average OEE of the line
+ *   (oee_history.json, defaults.oee without history)
+ * - Production and changeovers only run inside the line's shifts
+ * - Changeover minutes from the changeover matrix (same material 0)
+ * - Orders in progress stay on their line with the remaining quantity
+ * - Remaining orders by priority, then due date; each goes to the
+ *   eligible line where it finishes first
+ *
+ * The plan is deterministic for the same input and start time. It is
+ * Gantt-ready (tasks with line, start, end and shift segments) and lists
+ * late orders with the reason: not enough capacity before the due date
+ * even on an empty line, or queued behind other orders.
+ *
+ * Scenarios (ScenarioSimulator) pass line downtime, which is cut out of
+ * the shift windows, and OEE overrides per line.
+ *
+ * Environment defaults:
+ *  - PRODUCTION_LINES_CONFIG   (default: src/config/production_lines.yaml)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import yaml from "js-yaml";
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const HORIZON_DAYS = 366;
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, normal: 2, low: 3 };
+const CLOSED_STATES = ["completed", "shipped", "closed", "cancelled"];
+
+const toMinutes = time => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+const iso = time => new Date(time).toISOString();
+
+export class FiniteCapacityScheduler {
+  constructor({ dataManager, auditLogger = null, configPath = process.env.PRODUCTION_LINES_CONFIG || "src/config/production_lines.yaml" }) {
+    this.dataManager = dataManager;
+    this.auditLogger = auditLogger;
+    this.configPath = configPath;
+    this.config = null;
+    this.lastPlan = null;
+  }
+
+  loadConfig() {
+    const raw = yaml.load(fs.readFileSync(this.configPath, "utf8")) || {};
+    const lines = Object.entries(raw.lines || {}).map(([id, line]) => {
+      if (!(line.capacityPerHour > 0)) throw new Error(`${this.configPath}: ${id} needs capacityPerHour > 0`);
+      if (!line.shifts?.length || !line.workingDays?.length) throw new Error(`${this.configPath}: ${id} needs shifts and workingDays`);
+      return {
+        id,
+        name: line.name || id,
+        capacityPerHour: line.capacityPerHour,
+        workingDays: line.workingDays,
+        shifts: line.shifts.map(shift => ({ name: shift.name, start: shift.start, end: shift.end, startMinute: toMinutes(shift.start), endMinute: toMinutes(shift.end) })),
+        materials: line.materials || ["*"]
+      };
+    });
+
+    this.config = {
+      defaults: { oee: 0.65, oeeHistorySamples: 500, minOee: 0.2, ...raw.defaults },
+      lines,
+      changeover: { defaultMinutes: 60, sameMaterialMinutes: 0, pairs: [], ...raw.changeover }
+    };
+    logger.info(`🗓️ Scheduler: ${lines.length} production lines loaded`);
+    return this.config;
+  }
+
+  getConfig() {
+    return this.config || this.loadConfig();
+  }
+
+  // ======================================================================
+  // LINE RATES
+  // ======================================================================
+
+  /**
+   * Effective rate per line from the OEE history
+   * @param {Object} [oeeOverrides] - { [lineId]: oee (0..1) } instead of the history
+   */
+  async getLineRates(oeeOverrides = {}) {
+    const { defaults, lines } = this.getConfig();
+    const history = (await this.dataManager.getCachedData("oee_history").catch(() => null)) || [];
+
+    return lines.map(line => {
+      const samples = history
+        .filter(entry => entry.line === line.id && entry.counters?.plannedProductionTime > 0 && entry.metrics?.oee > 0)
+        .slice(-defaults.oeeHistorySamples);
+      const averageOee = samples.length
+        ? samples.reduce((sum, entry) => sum + Math.min(100, entry.metrics.oee), 0) / samples.length / 100
+        : null;
+      const override = oeeOverrides[line.id];
+      const oee = override !== undefined
+        ? Math.max(0.01, Math.min(1, override))
+        : averageOee === null ? defaults.oee : Math.max(defaults.minOee, Math.min(1, averageOee));
+
+      return {
+        ...line,
+        oee: Math.round(oee * 1000) / 1000,
+        oeeSource: override !== undefined ? "override" : samples.length ? `oee_history (${samples.length} samples)` : "defaults.oee",
+        effectiveRatePerHour: Math.round(line.capacityPerHour * oee * 10) / 10
+      };
+    });
+  }
+
+  // ======================================================================
+  // CALENDAR
+  // ======================================================================
+
+  /**
+   * Shift windows [start, end] (ms) from the day before `from` onwards,
+   * without the line's downtime
+   */
+  *windows(line, from) {
+    for (const [windowStart, windowEnd] of this.shiftWindows(line, from)) {
+      let pieceStart = windowStart;
+      for (const [downStart, downEnd] of line.downtime || []) {
+        if (downEnd <= pieceStart || downStart >= windowEnd) continue;
+        if (downStart > pieceStart) yield [pieceStart, downStart];
+        pieceStart = Math.max(pieceStart, downEnd);
+      }
+      if (pieceStart < windowEnd) yield [pieceStart, windowEnd];
+    }
+  }
+
+  /**
+   * Shift windows from the calendar; adjacent windows are merged
+   */
+  *shiftWindows(line, from) {
+    const firstDay = Math.floor(from / DAY) * DAY - DAY;
+    let pending = null;
+
+    for (let day = firstDay; day < firstDay + HORIZON_DAYS * DAY; day += DAY) {
+      const weekday = new Date(day).getUTCDay() || 7;
+      if (!line.workingDays.includes(weekday)) continue;
+
+      const dayWindows = line.shifts
+        .map(({ startMinute, endMinute }) => [day + startMinute * MINUTE, day + (endMinute <= startMinute ? endMinute + 24 * 60 : endMinute) * MINUTE])
+        .sort((a, b) => a[0] - b[0]);
+
+      for (const window of dayWindows) {
+        if (pending && window[0] <= pending[1]) {
+          pending[1] = Math.max(pending[1], window[1]);
+          continue;
+        }
+        if (pending && pending[1] > from) yield pending;
+        pending = [...window];
+      }
+    }
+    if (pending && pending[1] > from) yield pending;
+  }
+
+  /**
+   * Consume `minutes` of shift time from `start`
+   * @returns {{start, end, segments}|null} null if the horizon is exceeded
+   */
+  advance(line, start, minutes) {
+    let remaining = minutes * MINUTE;
+    const segments = [];
+
+    for (const [windowStart, windowEnd] of this.windows(line, start)) {
+      const segmentStart = Math.max(start, windowStart);
+      if (segmentStart >= windowEnd) continue;
+      if (remaining <= 0) return { start: segmentStart, end: segmentStart, segments };
+
+      const segmentEnd = Math.min(windowEnd, segmentStart + remaining);
+      segments.push({ start: segmentStart, end: segmentEnd });
+      remaining -= segmentEnd - segmentStart;
+      if (remaining <= 0) return { start: segments[0].start, end: segmentEnd, segments };
+    }
+    return null;
+  }
+
+  availableMinutes(line, from, to) {
+    let total = 0;
+    for (const [windowStart, windowEnd] of this.windows(line, from)) {
+      if (windowStart >= to) break;
+      total += Math.max(0, Math.min(windowEnd, to) - Math.max(windowStart, from));
+    }
+    return total / MINUTE;
+  }
+
+  changeoverMinutes(fromMaterial, toMaterial) {
+    const { changeover } = this.getConfig();
+    if (!fromMaterial) return 0;
+    if (fromMaterial === toMaterial) return changeover.sameMaterialMinutes;
+
+    const pair = changeover.pairs.find(item => item.from === fromMaterial && item.to === toMaterial);
+    return pair ? pair.minutes : changeover.defaultMinutes;
+  }
+
+  canProduce(line, material) {
+    return line.materials.some(pattern =>
+      pattern === "*" || new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`).test(material));
+  }
+
+  // ======================================================================
+  // SCHEDULING
+  // ======================================================================
+
+  /**
+   * @param {Object} options - { startAt, orderIds, keepAssignments, userId,
+   *                             downtime: [{ line, start, end }], oeeOverrides: { [lineId]: oee } }
+   */
+  async schedule({ startAt = null, orderIds = null, keepAssignments = false, userId = "system", downtime = [], oeeOverrides = {} } = {}) {
+    const start = startAt ? Date.parse(startAt) : Date.now();
+    if (Number.isNaN(start)) throw new AppError(`Invalid startAt: ${startAt}`, 400);
+
+    const orders = ((await this.dataManager.getCachedData("orders").catch(() => null)) || [])
+      .filter(order => !CLOSED_STATES.includes(String(order.status).toLowerCase()))
+      .filter(order => !orderIds || orderIds.includes(order.orderId));
+
+    const lines = (await this.getLineRates(oeeOverrides)).map(line => ({ ...line, downtime: this.downtimeOf(line.id, downtime) }));
+    const plan = this.buildPlan(orders, lines, { start, keepAssignments });
+    this.lastPlan = plan;
+
+    this.auditLogger?.appendAudit?.({
+      type: "production_schedule_created",
+      planId: plan.planId,
+      horizonStart: plan.horizonStart,
+      orders: plan.summary.orders,
+      lateOrders: plan.lateOrders.map(order => order.orderId),
+      unscheduled: plan.unscheduled.map(order => order.orderId),
+      userId
+    });
+    logger.info(`🗓️ Schedule ${plan.planId}: ${plan.summary.scheduled}/${plan.summary.orders} orders, ${plan.lateOrders.length} late`);
+    return plan;
+  }
+
+  downtimeOf(lineId, downtime) {
+    return downtime
+      .filter(item => item.line === lineId)
+      .map(item => [Date.parse(item.start), Date.parse(item.end)])
+      .filter(([downStart, downEnd]) => downEnd > downStart)
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  buildPlan(orders, lines, { start, keepAssignments }) {
+    const state = new Map(lines.map(line => [line.id, { line, freeAt: start, lastMaterial: null, busyMinutes: 0 }]));
+    const tasks = [];
+    const assignments = [];
+    const unscheduled = [];
+
+    const pinnedLine = order => {
+      const assigned = order.currentAssignment?.line;
+      const pinned = String(order.status).toLowerCase() === "in_progress" || (keepAssignments && assigned);
+      return pinned && state.has(assigned) ? assigned : null;
+    };
+
+    // In-progress (and kept) orders first, then priority, due date, order id
+    const queue = [...orders].sort((a, b) =>
+      (pinnedLine(a) ? 0 : 1) - (pinnedLine(b) ? 0 : 1) ||
+      (PRIORITY_RANK[String(a.priority).toLowerCase()] ?? 2) - (PRIORITY_RANK[String(b.priority).toLowerCase()] ?? 2) ||
+      String(a.endDate || "9999").localeCompare(String(b.endDate || "9999")) ||
+      String(a.orderId).localeCompare(String(b.orderId)));
+
+    for (const order of queue) {
+      const progress = Math.min(100, Math.max(0, Number(order.currentAssignment?.progress) || 0));
+      const quantity = Math.max(0, Math.round((Number(order.qty) || 0) * (1 - progress / 100)));
+      const releaseAt = order.startDate ? Math.max(start, Date.parse(`${order.startDate}T00:00:00Z`)) : start;
+      const dueAt = order.endDate ? Date.parse(`${order.endDate}T23:59:59Z`) : null;
+      const pinned = pinnedLine(order);
+
+      const candidates = (pinned ? [state.get(pinned)] : [...state.values()].filter(slot => this.canProduce(slot.line, order.material)))
+        .map(slot => this.placeOrder(slot, order, quantity, releaseAt, { setUp: pinned && progress > 0 }))
+        .filter(Boolean)
+        .sort((a, b) => a.production.end - b.production.end || a.changeoverMinutes - b.changeoverMinutes || a.slot.line.id.localeCompare(b.slot.line.id));
+
+      if (!candidates.length) {
+        unscheduled.push({ orderId: order.orderId, material: order.material, reason: pinned ? `No capacity on ${pinned} within ${HORIZON_DAYS} days` : "No eligible line with capacity" });
+        continue;
+      }
+
+      const best = candidates[0];
+      const { slot } = best;
+      if (best.changeover) {
+        tasks.push(this.task(`${order.orderId}-changeover`, "changeover", slot.line.id, best.changeover, {
+          orderId: order.orderId,
+          name: `Changeover ${slot.lastMaterial} → ${order.material}`,
+          minutes: best.changeoverMinutes
+        }));
+      }
+      tasks.push(this.task(order.orderId, "production", slot.line.id, best.production, {
+        orderId: order.orderId,
+        name: `${order.orderId} ${order.material} (${quantity})`,
+        material: order.material,
+        quantity,
+        priority: order.priority,
+        progress,
+        dueDate: order.endDate || null,
+        late: dueAt !== null && best.production.end > dueAt
+      }));
+
+      slot.busyMinutes += best.changeoverMinutes + best.productionMinutes;
+      slot.freeAt = best.production.end;
+      slot.lastMaterial = order.material;
+      assignments.push({ order, slot, best, dueAt, releaseAt, quantity, pinned });
+    }
+
+    const lateOrders = assignments
+      .filter(({ best, dueAt }) => dueAt !== null && best.production.end > dueAt)
+      .map(({ order, slot, best, dueAt, releaseAt, quantity, pinned }) => {
+        // Would it be late on an empty line as well?
+        const alone = this.advance(slot.line, releaseAt, best.productionMinutes);
+        const capacityBound = !alone || alone.end > dueAt;
+        return {
+          orderId: order.orderId,
+          material: order.material,
+          quantity,
+          priority: order.priority,
+          line: slot.line.id,
+          dueDate: order.endDate,
+          plannedEnd: iso(best.production.end),
+          lateByHours: Math.round((best.production.end - dueAt) / (60 * MINUTE) * 10) / 10,
+          reason: capacityBound
+            ? `Needs ${Math.round(best.productionMinutes / 60 * 10) / 10} h on ${slot.line.id} - more shift time than is left before the due date`
+            : `Queued behind earlier orders on ${slot.line.id}${pinned ? " (kept on assigned line)" : ""}`
+        };
+      })
+      .sort((a, b) => b.lateByHours - a.lateByHours);
+
+    const planEnd = Math.max(start, ...tasks.map(task => Date.parse(task.end)));
+    return {
+      planId: `plan-${uuidv4().slice(0, 8)}`,
+      generatedAt: new Date().toISOString(),
+      horizonStart: iso(start),
+      horizonEnd: iso(planEnd),
+      lines: lines.map(line => {
+        const slot = state.get(line.id);
+        const available = this.availableMinutes(line, start, planEnd);
+        return {
+          lineId: line.id,
+          name: line.name,
+          capacityPerHour: line.capacityPerHour,
+          oee: line.oee,
+          oeeSource: line.oeeSource,
+          effectiveRatePerHour: line.effectiveRatePerHour,
+          orders: assignments.filter(item => item.slot === slot).map(item => item.order.orderId),
+          busyHours: Math.round(slot.busyMinutes / 60 * 10) / 10,
+          utilizationPct: available > 0 ? Math.round(slot.busyMinutes / available * 1000) / 10 : 0,
+          freeFrom: iso(slot.freeAt)
+        };
+      }),
+      tasks,
+      lateOrders,
+      unscheduled,
+      summary: {
+        orders: orders.length,
+        scheduled: assignments.length,
+        late: lateOrders.length,
+        unscheduled: unscheduled.length,
+        makespanHours: Math.round((planEnd - start) / (60 * MINUTE) * 10) / 10
+      }
+    };
+  }
+
+  /**
+   * Changeover + production on one line, or null beyond the horizon
+   */
+  placeOrder(slot, order, quantity, releaseAt, { setUp = false } = {}) {
+    const changeoverMinutes = setUp ? 0 : this.changeoverMinutes(slot.lastMaterial, order.material);
+    const productionMinutes = Math.ceil(quantity / slot.line.effectiveRatePerHour * 60);
+    const readyAt = Math.max(slot.freeAt, releaseAt);
+
+    const changeover = changeoverMinutes > 0 ? this.advance(slot.line, readyAt, changeoverMinutes) : null;
+    if (changeoverMinutes > 0 && !changeover) return null;
+
+    const production = this.advance(slot.line, changeover ? changeover.end : readyAt, productionMinutes);
+    if (!production) return null;
+
+    return { slot, changeover, changeoverMinutes, production, productionMinutes };
+  }
+
+  task(id, type, lineId, { start, end, segments }, details) {
+    return {
+      id,
+      type,
+      line: lineId,
+      start: iso(start),
+      end: iso(end),
+      durationHours: Math.round((end - start) / (60 * MINUTE) * 10) / 10,
+      segments: segments.map(segment => ({ start: iso(segment.start), end: iso(segment.end) })),
+      ...details
+    };
+  }
+
+  /**
+   * Compact plan for agents: line sequences and late orders, no segments
+   */
+  summarize(plan) {
+    return {
+      planId: plan.planId,
+      horizonStart: plan.horizonStart,
+      horizonEnd: plan.horizonEnd,
+      summary: plan.summary,
+      lines: plan.lines.map(({ lineId, oee, effectiveRatePerHour, utilizationPct, orders }) => ({ lineId, oee, effectiveRatePerHour, utilizationPct, orders })),
+      sequence: plan.tasks
+        .filter(task => task.type === "production")
+        .map(({ orderId, line, start, end, quantity, priority, dueDate, late }) => ({ orderId, line, start, end, quantity, priority, dueDate, late })),
+      lateOrders: plan.lateOrders,
+      unscheduled: plan.unscheduled
+    };
+  }
+
+  getLastPlan() {
+    return this.lastPlan;
+  }
+}
+
+export default FiniteCapacityScheduler;
@@ -0,0 +1,348 @@
+/**
+ * ========================================================================
+ * MATERIAL AVAILABILITY - BOM EXPLOSION, FEFO NETTING, RESERVATIONS
+ * ========================================================================
+ *
+ * - Explosion: bom.json per order quantity (component qty refers to
+ *   baseQuantity units of the parent, default 1). Components with a BOM
+ *   of their own are exploded further; requirements are summed per
+ *   material.
+ * - Netting: each requirement is covered from inventory.json lots in
+ *   FEFO order (first expiry first). Lots expired on the need date
+ *   (order startDate) are skipped; quantities held by active
+ *   reservations are not available.
+ * - Reservations: lot quantities booked for an order. They are made
+ *   one at a time, so two orders cannot book the same stock. Kept in
+ *   the StateStore ("material_reservations") and restored on restart;
+ *   an active reservation lapses after its TTL.
+ *
+ * Every shortage is published as material/shortage (one event per
+ * material, only when it changes); reservations are audited
+ * ("material_reserved", "material_reservation_released").
+ *
+ * Environment defaults:
+ *  - MATERIAL_RESERVATION_TTL_HOURS   (default: 72)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import logger from "../utils/logger.js";
+
+const MAX_BOM_DEPTH = 10;
+const round = value => Math.round(value * 1000) / 1000;
+
+export class MaterialAvailabilityService {
+  constructor({ dataManager, stateStore = null, auditLogger = null, eventBusManager = null, options = {} }) {
+    this.dataManager = dataManager;
+    this.stateStore = stateStore;
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+
+    this.reservationTtl = options.reservationTtl || (parseInt(process.env.MATERIAL_RESERVATION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+    this.reservations = new Map();
+    this.publishedShortages = new Map();
+    this.queue = Promise.resolve();
+
+    this.load();
+  }
+
+  load() {
+    if (!this.stateStore) return;
+
+    this.stateStore.list("material_reservations").forEach(reservation => this.reservations.set(reservation.id, reservation));
+    const active = this.activeReservations();
+    this.stateStore.recordRecovery("material_reservations", { active: active.map(({ id, orderId }) => ({ id, orderId })) });
+    if (active.length) logger.info(`📦 ${active.length} active material reservation(s) restored`);
+  }
+
+  persist(reservation) {
+    this.stateStore?.put("material_reservations", reservation.id, reservation);
+  }
+
+  async loadData(dataType) {
+    return (await this.dataManager.getCachedData(dataType).catch(() => null)) || [];
+  }
+
+  // ======================================================================
+  // BOM EXPLOSION
+  // ======================================================================
+
+  /**
+   * @returns {Array} [{ material, required, unit, level, parents }] per material
+   */
+  explode(bom, material, quantity) {
+    const headers = new Map(bom.map(entry => [entry.material, entry]));
+    if (!headers.has(material)) throw new AppError(`No BOM for ${material}`, 404);
+
+    const requirements = new Map();
+    const walk = (parent, parentQuantity, level, path) => {
+      if (level > MAX_BOM_DEPTH) throw new AppError(`BOM of ${material} is deeper than ${MAX_BOM_DEPTH} levels`, 422);
+      const header = headers.get(parent);
+      const factor = parentQuantity / (header.baseQuantity || 1);
+
+      for (const component of header.components || []) {
+        if (path.includes(component.material)) {
+          throw new AppError(`BOM cycle: ${[...path, component.material].join(" → ")}`, 422);
+        }
+        const required = component.qty * factor;
+        if (headers.has(component.material)) {
+          walk(component.material, required, level + 1, [...path, component.material]);
+          continue;
+        }
+
+        const entry = requirements.get(component.material) || { material: component.material, required: 0, unit: component.unit, level, parents: [] };
+        entry.required += required;
+        if (!entry.parents.includes(parent)) entry.parents.push(parent);
+        requirements.set(component.material, entry);
+      }
+    };
+
+    walk(material, quantity, 1, [material]);
+    return [...requirements.values()].map(entry => ({ ...entry, required: round(entry.required) }));
+  }
+
+  async explodeBom(material, quantity) {
+    if (!(quantity > 0)) throw new AppError("quantity must be greater than 0", 400);
+    return { material, quantity, requirements: this.explode(await this.loadData("bom"), material, quantity) };
+  }
+
+  // ======================================================================
+  // AVAILABILITY (FEFO)
+  // ======================================================================
+
+  /**
+   * @param {Object} request - { orderId } or { material, quantity } (exploded)
+   *                           or { requirements: { material: quantity } } (as is)
+   */
+  async checkAvailability(request = {}) {
+    const demand = await this.resolveDemand(request);
+    const inventory = await this.loadData("inventory");
+    const result = this.net(demand, inventory, this.reservedByLot(demand.orderId));
+    this.publishShortages(result);
+    return result;
+  }
+
+  async resolveDemand({ orderId, material, quantity, requirements, needDate }) {
+    if (orderId) {
+      const order = (await this.loadData("orders")).find(item => item.orderId === orderId);
+      if (!order) throw new AppError(`Order not found: ${orderId}`, 404);
+      return {
+        orderId,
+        material: order.material,
+        quantity: order.qty,
+        needDate: needDate || order.startDate || null,
+        requirements: this.explode(await this.loadData("bom"), order.material, order.qty)
+      };
+    }
+    if (material) {
+      if (!(quantity > 0)) throw new AppError("quantity must be greater than 0", 400);
+      return { orderId: null, material, quantity, needDate: needDate || null, requirements: this.explode(await this.loadData("bom"), material, quantity) };
+    }
+    if (requirements && Object.keys(requirements).length) {
+      return {
+        orderId: null,
+        material: null,
+        quantity: null,
+        needDate: needDate || null,
+        requirements: Object.entries(requirements).map(([id, required]) => ({ material: id, required: round(Number(required) || 0), unit: null, level: 1, parents: [] }))
+      };
+    }
+    throw new AppError("orderId, material and quantity, or requirements are required", 400);
+  }
+
+  net(demand, inventory, reserved) {
+    const today = new Date().toISOString().slice(0, 10);
+    const needDate = demand.needDate && demand.needDate > today ? demand.needDate : today;
+
+    const components = demand.requirements.map(requirement => {
+      const lots = inventory
+        .filter(lot => lot.material === requirement.material && lot.quantity > 0)
+        .sort((a, b) => String(a.expiry || "9999").localeCompare(String(b.expiry || "9999")) || String(a.batch).localeCompare(String(b.batch)));
+
+      const expired = lots.filter(lot => lot.expiry && lot.expiry < needDate);
+      let open = requirement.required;
+      const allocations = [];
+      let available = 0;
+
+      for (const lot of lots.filter(item => !expired.includes(item))) {
+        const free = round(lot.quantity - (reserved.get(lot.batch) || 0));
+        if (free <= 0) continue;
+        available += free;
+        if (open <= 0) continue;
+
+        const take = round(Math.min(free, open));
+        allocations.push({ batch: lot.batch, quantity: take, expiry: lot.expiry || null });
+        open = round(open - take);
+      }
+
+      return {
+        material: requirement.material,
+        required: requirement.required,
+        unit: requirement.unit || lots[0]?.unit || null,
+        available: round(available),
+        reservedElsewhere: round(lots.reduce((sum, lot) => sum + (reserved.get(lot.batch) || 0), 0)),
+        expiredQuantity: round(expired.reduce((sum, lot) => sum + lot.quantity, 0)),
+        allocations,
+        shortage: round(Math.max(0, open)),
+        parents: requirement.parents
+      };
+    });
+
+    const shortages = components.filter(component => component.shortage > 0);
+    return {
+      orderId: demand.orderId,
+      material: demand.material,
+      quantity: demand.quantity,
+      needDate,
+      available: shortages.length === 0,
+      components,
+      shortages: shortages.map(({ material, required, available, shortage, unit }) => ({ material, required, available, shortage, unit })),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  // ======================================================================
+  // RESERVATIONS
+  // ======================================================================
+
+  activeReservations() {
+    const now = Date.now();
+    return [...this.reservations.values()].filter(reservation => reservation.status === "active" && Date.parse(reservation.expiresAt) > now);
+  }
+
+  /**
+   * Quantity per lot held by active reservations (optionally except one order)
+   */
+  reservedByLot(exceptOrderId = null) {
+    const reserved = new Map();
+    for (const reservation of this.activeReservations()) {
+      if (exceptOrderId && reservation.orderId === exceptOrderId) continue;
+      for (const line of reservation.lines) {
+        reserved.set(line.batch, round((reserved.get(line.batch) || 0) + line.quantity));
+      }
+    }
+    return reserved;
+  }
+
+  /**
+   * Reserve the FEFO allocation of an order; runs after any reservation in progress
+   * @param {Object} request - { orderId, allowPartial }
+   */
+  reserve(request, { userId = "system" } = {}) {
+    const run = this.queue.then(() => this.reserveNow(request, userId));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async reserveNow({ orderId, allowPartial = false, needDate } = {}, userId) {
+    if (!orderId) throw new AppError("orderId is required", 400);
+    const existing = this.activeReservations().find(reservation => reservation.orderId === orderId);
+    if (existing) throw new AppError(`Order ${orderId} already has reservation ${existing.id}; release it first`, 409);
+
+    const demand = await this.resolveDemand({ orderId, needDate });
+    const result = this.net(demand, await this.loadData("inventory"), this.reservedByLot());
+    this.publishShortages(result);
+
+    if (!result.available && !allowPartial) {
+      throw new AppError(`Shortage for ${orderId}: ${result.shortages.map(item => `${item.material} ${item.shortage} ${item.unit || ""}`.trim()).join(", ")}`, 409);
+    }
+
+    const lines = result.components.flatMap(component =>
+      component.allocations.map(allocation => ({ material: component.material, unit: component.unit, ...allocation })));
+    if (!lines.length) throw new AppError(`Nothing available to reserve for ${orderId}`, 409);
+
+    const now = new Date();
+    const reservation = {
+      id: `RES-${uuidv4().slice(0, 8)}`,
+      orderId,
+      material: demand.material,
+      quantity: demand.quantity,
+      status: "active",
+      complete: result.available,
+      lines,
+      shortages: result.shortages,
+      needDate: result.needDate,
+      createdBy: userId,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.reservationTtl).toISOString()
+    };
+
+    this.reservations.set(reservation.id, reservation);
+    this.persist(reservation);
+    this.auditLogger?.appendAudit?.({
+      type: "material_reserved",
+      reservationId: reservation.id,
+      orderId,
+      lines: reservation.lines.map(({ material, batch, quantity }) => ({ material, batch, quantity })),
+      shortages: reservation.shortages.map(item => item.material),
+      userId
+    });
+    logger.info(`📦 Reservation ${reservation.id} for ${orderId}: ${reservation.lines.length} lot(s)${reservation.complete ? "" : ", partial"}`);
+    return reservation;
+  }
+
+  releaseReservation(reservationId, { userId = "system", reason = null } = {}) {
+    const reservation = this.getReservation(reservationId);
+    if (reservation.status !== "active") throw new AppError(`Reservation ${reservationId} is ${reservation.status}`, 409);
+
+    Object.assign(reservation, { status: "released", releasedBy: userId, releasedAt: new Date().toISOString(), releaseReason: reason });
+    this.persist(reservation);
+    this.auditLogger?.appendAudit?.({ type: "material_reservation_released", reservationId, orderId: reservation.orderId, reason, userId });
+    return reservation;
+  }
+
+  getReservation(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) throw new AppError(`Reservation not found: ${reservationId}`, 404);
+    if (reservation.status === "active" && Date.parse(reservation.expiresAt) <= Date.now()) {
+      return { ...reservation, status: "expired" };
+    }
+    return reservation;
+  }
+
+  listReservations({ orderId, status } = {}) {
+    return [...this.reservations.keys()]
+      .map(id => this.getReservation(id))
+      .filter(reservation => (!orderId || reservation.orderId === orderId) && (!status || reservation.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // ======================================================================
+  // SHORTAGE EVENTS
+  // ======================================================================
+
+  publishShortages(result) {
+    const scope = result.orderId || result.material || "adhoc";
+
+    for (const component of result.components) {
+      const key = `${scope}:${component.material}`;
+      if ((this.publishedShortages.get(key) || 0) === component.shortage) continue;
+      if (component.shortage === 0) {
+        this.publishedShortages.delete(key);
+        continue;
+      }
+      this.publishedShortages.set(key, component.shortage);
+
+      const payload = {
+        orderId: result.orderId,
+        material: component.material,
+        required: component.required,
+        currentStock: component.available,
+        shortage: component.shortage,
+        unit: component.unit,
+        needDate: result.needDate,
+        usedIn: component.parents,
+        timestamp: new Date().toISOString()
+      };
+      this.eventBusManager?.publishEvent?.("material/shortage", payload, "material-availability")
+        ?.catch?.(error => logger.warn(`⚠️ material/shortage could not be published: ${error.message}`));
+      logger.warn(`📦 Shortage ${component.material}${result.orderId ? ` for ${result.orderId}` : ""}: ${component.shortage} ${component.unit || ""}`.trim());
+    }
+  }
+}
+
+export default MaterialAvailabilityService;
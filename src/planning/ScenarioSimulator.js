@@ -0,0 +1,404 @@
+/**
+ * ========================================================================
+ * SCENARIO SIMULATOR - WHAT-IF WITH QUANTITATIVE DELTAS
+ * ========================================================================
+ *
+ * Applies scenario changes to a copy of the data and recomputes the
+ * schedule (FiniteCapacityScheduler), material availability
+ * (MaterialAvailabilityService), OEE projections and release verdicts
+ * (ReleaseDecisionEngine). The live data is never modified; nothing is
+ * published or audited by the recomputation itself.
+ *
+ * Changes:
+ *   line_down        { line, hours, start }        no production on the line
+ *   order_quantity   { orderId | material, pct | qty }  (neither = all open orders)
+ *   batch_rejected   { batchId }                   batch rejected, its stock blocked
+ *   line_oee         { line, oee }                 OEE (0..1) instead of the history
+ *
+ * Result: KPIs with before/after/delta (ids like "schedule.late_orders"
+ * that an LLM narrative cites) plus the affected orders. Scenarios are
+ * kept in the StateStore ("scenarios") and can be compared side by side.
+ *
+ * Environment defaults:
+ *  - SCENARIO_HORIZON_HOURS   (default: 168) OEE projection window
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import { FiniteCapacityScheduler } from "./FiniteCapacityScheduler.js";
+import { MaterialAvailabilityService } from "./MaterialAvailabilityService.js";
+import { ReleaseDecisionEngine } from "../release/ReleaseDecisionEngine.js";
+import logger from "../utils/logger.js";
+
+const HOUR = 60 * 60 * 1000;
+const CHANGE_TYPES = ["line_down", "order_quantity", "batch_rejected", "line_oee"];
+const DATA_TYPES = ["orders", "batches", "inventory", "bom", "qa", "compliance", "oee_history"];
+const MAX_SCENARIOS = 200;
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export class ScenarioSimulator {
+  constructor({ dataManager, scheduler, materialService, releaseEngine = null, stateStore = null, auditLogger = null, options = {} }) {
+    this.dataManager = dataManager;
+    this.scheduler = scheduler;
+    this.materialService = materialService;
+    this.releaseEngine = releaseEngine;
+    this.stateStore = stateStore;
+    this.auditLogger = auditLogger;
+    this.horizonHours = options.horizonHours || parseInt(process.env.SCENARIO_HORIZON_HOURS) || 168;
+
+    this.scenarios = new Map();
+    this.stateStore?.list("scenarios").forEach(scenario => this.scenarios.set(scenario.id, scenario));
+  }
+
+  persist(scenario) {
+    this.stateStore?.put("scenarios", scenario.id, scenario);
+  }
+
+  // ======================================================================
+  // SCENARIOS
+  // ======================================================================
+
+  /**
+   * Validate, simulate and save a scenario
+   * @param {Object} definition - { name, description, startAt, changes: [...] }
+   */
+  async create({ name, description = "", startAt = null, changes = [] } = {}, { userId = "system" } = {}) {
+    if (!name || !String(name).trim()) throw new AppError("name is required", 400);
+    this.validateChanges(changes);
+    const start = startAt ? Date.parse(startAt) : Date.now();
+    if (Number.isNaN(start)) throw new AppError(`Invalid startAt: ${startAt}`, 400);
+
+    const scenario = {
+      id: `scn-${uuidv4().slice(0, 8)}`,
+      name: String(name).trim(),
+      description,
+      startAt: new Date(start).toISOString(),
+      changes,
+      createdBy: userId,
+      createdAt: new Date().toISOString()
+    };
+
+    scenario.result = await this.simulate(scenario);
+    this.scenarios.set(scenario.id, scenario);
+    this.persist(scenario);
+    this.prune();
+
+    this.auditLogger?.appendAudit?.({ type: "scenario_simulated", scenarioId: scenario.id, name: scenario.name, changes, userId });
+    logger.info(`🔮 Scenario ${scenario.id} "${scenario.name}": ${scenario.result.kpis.filter(kpi => kpi.delta).length} KPI(s) changed`);
+    return scenario;
+  }
+
+  /**
+   * Simulate again on the current data
+   */
+  async rerun(scenarioId, { userId = "system" } = {}) {
+    const scenario = this.get(scenarioId);
+    scenario.result = await this.simulate(scenario);
+    scenario.rerunAt = new Date().toISOString();
+    scenario.rerunBy = userId;
+    this.persist(scenario);
+    return scenario;
+  }
+
+  get(scenarioId) {
+    const scenario = this.scenarios.get(scenarioId);
+    if (!scenario) throw new AppError(`Scenario not found: ${scenarioId}`, 404);
+    return scenario;
+  }
+
+  list() {
+    return [...this.scenarios.values()]
+      .map(({ id, name, description, startAt, changes, createdBy, createdAt, result }) => ({
+        id, name, description, startAt, changes, createdBy, createdAt,
+        simulatedAt: result?.simulatedAt || null
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  delete(scenarioId, { userId = "system" } = {}) {
+    this.get(scenarioId);
+    this.scenarios.delete(scenarioId);
+    this.stateStore?.delete("scenarios", scenarioId);
+    this.auditLogger?.appendAudit?.({ type: "scenario_deleted", scenarioId, userId });
+    return { deleted: scenarioId };
+  }
+
+  prune() {
+    const oldest = [...this.scenarios.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    while (oldest.length > MAX_SCENARIOS) {
+      const scenario = oldest.shift();
+      this.scenarios.delete(scenario.id);
+      this.stateStore?.delete("scenarios", scenario.id);
+    }
+  }
+
+  /**
+   * KPIs of several scenarios side by side; best names the scenario with the best "after" value
+   */
+  compare(scenarioIds = []) {
+    if (scenarioIds.length < 2) throw new AppError("At least two scenario ids are required", 400);
+    const scenarios = scenarioIds.map(id => this.get(id));
+
+    const kpis = new Map();
+    for (const scenario of scenarios) {
+      for (const kpi of scenario.result.kpis) {
+        const row = kpis.get(kpi.id) || { id: kpi.id, label: kpi.label, unit: kpi.unit, better: kpi.better, values: {} };
+        row.values[scenario.id] = { before: kpi.before, after: kpi.after, delta: kpi.delta };
+        kpis.set(kpi.id, row);
+      }
+    }
+
+    return {
+      scenarios: scenarios.map(({ id, name, startAt, changes, result }) => ({ id, name, startAt, changes, simulatedAt: result.simulatedAt })),
+      kpis: [...kpis.values()].map(row => {
+        const entries = Object.entries(row.values).filter(([, value]) => value.after !== null);
+        const bestValue = row.better === "lower"
+          ? Math.min(...entries.map(([, value]) => value.after))
+          : Math.max(...entries.map(([, value]) => value.after));
+        const best = entries.filter(([, value]) => value.after === bestValue).map(([id]) => id);
+        return { ...row, best: best.length === entries.length ? null : best };
+      })
+    };
+  }
+
+  // ======================================================================
+  // CHANGES
+  // ======================================================================
+
+  validateChanges(changes) {
+    if (!Array.isArray(changes) || !changes.length) throw new AppError("changes must be a non-empty array", 400);
+
+    changes.forEach((change, index) => {
+      const where = `changes[${index}]`;
+      if (!CHANGE_TYPES.includes(change?.type)) {
+        throw new AppError(`${where}: type must be one of ${CHANGE_TYPES.join(", ")}`, 400);
+      }
+      const lineIds = this.scheduler.getConfig().lines.map(line => line.id);
+      if (["line_down", "line_oee"].includes(change.type) && !lineIds.includes(change.line)) {
+        throw new AppError(`${where}: unknown line ${change.line}`, 400);
+      }
+      if (change.type === "line_down" && !(change.hours > 0)) throw new AppError(`${where}: hours must be greater than 0`, 400);
+      if (change.type === "line_down" && change.start && Number.isNaN(Date.parse(change.start))) {
+        throw new AppError(`${where}: invalid start ${change.start}`, 400);
+      }
+      if (change.type === "order_quantity" && change.pct === undefined && change.qty === undefined) {
+        throw new AppError(`${where}: pct or qty is required`, 400);
+      }
+      if (change.type === "order_quantity" && (change.qty !== undefined ? !(change.qty >= 0) : !(change.pct > -100))) {
+        throw new AppError(`${where}: qty must be >= 0, pct greater than -100`, 400);
+      }
+      if (change.type === "batch_rejected" && !change.batchId) throw new AppError(`${where}: batchId is required`, 400);
+      if (change.type === "line_oee" && !(change.oee > 0 && change.oee <= 1)) throw new AppError(`${where}: oee must be in (0, 1]`, 400);
+    });
+  }
+
+  /**
+   * @returns {{ data, downtime, oeeOverrides }} the changed copy
+   */
+  applyChanges(baseData, changes, startAt) {
+    const data = structuredClone(baseData);
+    const downtime = [];
+    const oeeOverrides = {};
+
+    for (const change of changes) {
+      switch (change.type) {
+        case "line_down": {
+          const start = change.start ? Date.parse(change.start) : Date.parse(startAt);
+          downtime.push({ line: change.line, start: new Date(start).toISOString(), end: new Date(start + change.hours * HOUR).toISOString() });
+          break;
+        }
+        case "order_quantity": {
+          const orders = data.orders.filter(order =>
+            (!change.orderId || order.orderId === change.orderId) && (!change.material || order.material === change.material));
+          if (!orders.length) throw new AppError(`No order matches ${change.orderId || change.material}`, 400);
+          orders.forEach(order => {
+            order.qty = change.qty !== undefined ? change.qty : Math.round(order.qty * (1 + change.pct / 100));
+          });
+          break;
+        }
+        case "batch_rejected": {
+          const batch = data.batches.find(item => item.id === change.batchId);
+          const lots = data.inventory.filter(lot => lot.batch === change.batchId);
+          if (!batch && !lots.length) throw new AppError(`Batch not found: ${change.batchId}`, 400);
+          if (batch) batch.qualityStatus = "rejected";
+          lots.forEach(lot => { lot.quantity = 0; });
+          break;
+        }
+        case "line_oee":
+          oeeOverrides[change.line] = change.oee;
+          break;
+      }
+    }
+    return { data, downtime, oeeOverrides };
+  }
+
+  // ======================================================================
+  // SIMULATION
+  // ======================================================================
+
+  async simulate(scenario) {
+    const baseData = Object.fromEntries(await Promise.all(DATA_TYPES.map(async type =>
+      [type, structuredClone((await this.dataManager.getCachedData(type).catch(() => null)) || (type === "compliance" ? {} : []))])));
+
+    const variant = this.applyChanges(baseData, scenario.changes, scenario.startAt);
+    const before = await this.evaluate({ data: baseData, downtime: [], oeeOverrides: {} }, scenario.startAt);
+    const after = await this.evaluate(variant, scenario.startAt);
+
+    return {
+      simulatedAt: new Date().toISOString(),
+      horizonHours: this.horizonHours,
+      downtime: variant.downtime,
+      kpis: this.kpis(before, after),
+      orders: this.orderChanges(before, after),
+      lines: after.oee.lines.map(line => ({
+        ...line,
+        oeeBefore: before.oee.lines.find(item => item.lineId === line.lineId)?.projectedOee ?? null
+      }))
+    };
+  }
+
+  /**
+   * Schedule, materials, OEE projection and releases for one data set
+   */
+  async evaluate({ data, downtime, oeeOverrides }, startAt) {
+    const dataManager = { getCachedData: async type => data[type] ?? null };
+
+    const scheduler = new FiniteCapacityScheduler({ dataManager, configPath: this.scheduler.configPath });
+    scheduler.config = this.scheduler.getConfig();
+    const plan = await scheduler.schedule({ startAt, downtime, oeeOverrides });
+
+    const materials = new MaterialAvailabilityService({ dataManager });
+    const reservedElsewhere = orderId => this.materialService?.reservedByLot(orderId) || new Map();
+    const shortages = {};
+    for (const order of plan.tasks.filter(task => task.type === "production")) {
+      const demand = await materials.resolveDemand({ orderId: order.orderId }).catch(() => null);
+      if (!demand) continue;
+      const result = materials.net(demand, data.inventory, reservedElsewhere(order.orderId));
+      if (!result.available) shortages[order.orderId] = result.shortages;
+    }
+
+    const releases = {};
+    if (this.releaseEngine) {
+      const engine = new ReleaseDecisionEngine({ dataManager, ruleRepository: this.releaseEngine.ruleRepository });
+      for (const order of data.orders) {
+        const verdict = await engine.evaluate({ orderId: order.orderId }).catch(() => null);
+        releases[order.orderId] = verdict ? verdict.verdict : "not_evaluated";
+      }
+    }
+
+    return { plan, shortages, releases, oee: this.projectOee(scheduler, plan, startAt, downtime) };
+  }
+
+  /**
+   * Expected OEE per line over the horizon: line OEE x share of planned shift time not lost to downtime
+   */
+  projectOee(scheduler, plan, startAt, downtime) {
+    const start = Date.parse(startAt);
+    const end = start + this.horizonHours * HOUR;
+    const config = scheduler.getConfig();
+
+    const lines = plan.lines.map(planLine => {
+      const line = config.lines.find(item => item.id === planLine.lineId);
+      const plannedMinutes = scheduler.availableMinutes(line, start, end);
+      const openMinutes = scheduler.availableMinutes({ ...line, downtime: scheduler.downtimeOf(line.id, downtime) }, start, end);
+      const projectedOee = plannedMinutes > 0 ? planLine.oee * openMinutes / plannedMinutes : 0;
+      return {
+        lineId: planLine.lineId,
+        oee: planLine.oee,
+        plannedHours: round(plannedMinutes / 60),
+        downtimeHours: round((plannedMinutes - openMinutes) / 60),
+        projectedOee: round(projectedOee, 3),
+        projectedOutput: Math.round(line.capacityPerHour * plannedMinutes / 60 * projectedOee)
+      };
+    });
+
+    const idealOutput = lines.reduce((sum, line) => sum + config.lines.find(item => item.id === line.lineId).capacityPerHour * line.plannedHours, 0);
+    const output = lines.reduce((sum, line) => sum + line.projectedOutput, 0);
+    return { lines, plantOee: idealOutput > 0 ? round(output / idealOutput, 3) : 0, projectedOutput: output };
+  }
+
+  // ======================================================================
+  // KPIS
+  // ======================================================================
+
+  kpis(before, after) {
+    const metrics = [
+      ["schedule.late_orders", "Late orders", "orders", "lower", result => result.plan.lateOrders.length],
+      ["schedule.late_hours", "Total lateness", "h", "lower", result => round(result.plan.lateOrders.reduce((sum, order) => sum + order.lateByHours, 0))],
+      ["schedule.on_time_rate", "On-time rate", "%", "higher", result => {
+        const scheduled = result.plan.summary.scheduled;
+        return scheduled ? round((scheduled - result.plan.lateOrders.length) / scheduled * 100) : null;
+      }],
+      ["schedule.unscheduled", "Unscheduled orders", "orders", "lower", result => result.plan.unscheduled.length],
+      ["schedule.makespan", "Makespan", "h", "lower", result => result.plan.summary.makespanHours],
+      ["schedule.avg_utilization", "Average line utilization", "%", "higher", result =>
+        round(result.plan.lines.reduce((sum, line) => sum + line.utilizationPct, 0) / (result.plan.lines.length || 1))],
+      ["materials.orders_short", "Orders with material shortage", "orders", "lower", result => Object.keys(result.shortages).length],
+      ["materials.short_components", "Short components", "components", "lower", result =>
+        Object.values(result.shortages).reduce((sum, items) => sum + items.length, 0)],
+      ["oee.plant_projected", "Projected plant OEE", "%", "higher", result => round(result.oee.plantOee * 100)],
+      ["oee.projected_output", "Projected output", "units", "higher", result => result.oee.projectedOutput],
+      ...before.oee.lines.map(line => [`oee.line.${line.lineId}`, `Projected OEE ${line.lineId}`, "%", "higher", result =>
+        round((result.oee.lines.find(item => item.lineId === line.lineId)?.projectedOee || 0) * 100)])
+    ];
+    if (this.releaseEngine) {
+      metrics.push(["release.releasable_orders", "Releasable orders", "orders", "higher", result =>
+        Object.values(result.releases).filter(verdict => verdict === "releasable").length]);
+    }
+
+    return metrics.map(([id, label, unit, better, value]) => {
+      const beforeValue = value(before);
+      const afterValue = value(after);
+      const delta = beforeValue === null || afterValue === null ? null : round(afterValue - beforeValue, 3);
+      return {
+        id,
+        label,
+        unit,
+        better,
+        before: beforeValue,
+        after: afterValue,
+        delta,
+        impact: !delta ? "none" : (delta < 0) === (better === "lower") ? "better" : "worse"
+      };
+    });
+  }
+
+  /**
+   * Orders whose plan, material or release status changed
+   */
+  orderChanges(before, after) {
+    const endOf = (plan, orderId) => plan.tasks.find(task => task.type === "production" && task.orderId === orderId);
+    const lateOf = (plan, orderId) => plan.lateOrders.find(order => order.orderId === orderId);
+    const orderIds = [...new Set([...before.plan.tasks, ...after.plan.tasks].filter(task => task.type === "production").map(task => task.orderId))];
+
+    return orderIds.flatMap(orderId => {
+      const taskBefore = endOf(before.plan, orderId);
+      const taskAfter = endOf(after.plan, orderId);
+      const shiftHours = taskBefore && taskAfter ? round((Date.parse(taskAfter.end) - Date.parse(taskBefore.end)) / HOUR) : null;
+      const change = {
+        orderId,
+        lineBefore: taskBefore?.line || null,
+        lineAfter: taskAfter?.line || null,
+        endBefore: taskBefore?.end || null,
+        endAfter: taskAfter?.end || null,
+        endShiftHours: shiftHours,
+        lateBefore: Boolean(lateOf(before.plan, orderId)),
+        lateAfter: Boolean(lateOf(after.plan, orderId)),
+        shortBefore: Boolean(before.shortages[orderId]),
+        shortAfter: Boolean(after.shortages[orderId]),
+        shortages: after.shortages[orderId] || [],
+        releaseBefore: before.releases[orderId] || null,
+        releaseAfter: after.releases[orderId] || null
+      };
+      const changed = change.lineBefore !== change.lineAfter || Math.abs(shiftHours ?? 1) >= 0.1 ||
+        change.lateBefore !== change.lateAfter || change.shortBefore !== change.shortAfter || change.releaseBefore !== change.releaseAfter;
+      return changed ? [change] : [];
+    });
+  }
+}
+
+export default ScenarioSimulator;
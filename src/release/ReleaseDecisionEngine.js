@@ -0,0 +1,230 @@
+/**
+ * ========================================================================
+ * RELEASE DECISION ENGINE - DETERMINISTIC BATCH RELEASE VERDICT
+ * ========================================================================
+ *
+ * Combines the release rules (RuleRepository, migrated from
+ * rules/tric_rules.csv), RMSL evaluation (utils/rmsl.js), QA records and
+ * compliance records into one verdict for an order (material, market,
+ * batch):
+ *
+ *   releasable  every rule passed or does not apply
+ *   blocked     at least one rule failed
+ *
+ * Every check names its rule and the record it was decided on (rule
+ * id and version, data source entry), so agents can explain a verdict
+ * instead of deciding it themselves. Missing data fails the rule
+ * (fail-safe). The verdict names the rule set version it used; asOf
+ * evaluates with the rules that applied on an earlier date.
+ *
+ * Rules:
+ *  - order.batch                 Batch exists and belongs to the material
+ *  - tric.market_approval        Material approved for the market (TRIC)
+ *  - tric.rmsl_minimum           Remaining shelf life >= market minimum
+ *  - qa.material_status          QA record Approved/Completed
+ *  - qa.batch_quality_status     Batch qualityStatus approved
+ *  - compliance.status           Batch compliant
+ *  - compliance.gmp_status       GMP verified
+ *  - compliance.open_issues      No open compliance issues
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import { AppError } from "../utils/errorHandler.js";
+import { evaluateRmsl } from "../utils/rmsl.js";
+import logger from "../utils/logger.js";
+
+const QA_RELEASED = ["approved", "completed"];
+
+export class ReleaseDecisionEngine {
+  constructor({ dataManager, ruleRepository, auditLogger = null }) {
+    this.dataManager = dataManager;
+    this.ruleRepository = ruleRepository;
+    this.auditLogger = auditLogger;
+  }
+
+  async loadData(dataType) {
+    return this.dataManager.getCachedData(dataType).catch(() => null);
+  }
+
+  /**
+   * @param {Object} request - { orderId } or { material, market }, optional batchId and asOf (YYYY-MM-DD)
+   * @param {Object} [caller] - { userId } for the audit trail
+   */
+  async evaluate({ orderId, material, market, batchId, asOf } = {}, { userId = "system" } = {}) {
+    const order = await this.resolveOrder({ orderId, material, market });
+    const ruleSet = this.ruleRepository.rulesAsOf(asOf || new Date().toISOString());
+
+    const [batches, inventory, qa, compliance] = await Promise.all([
+      this.loadData("batches"),
+      this.loadData("inventory"),
+      this.loadData("qa"),
+      this.loadData("compliance")
+    ]);
+
+    const batch = this.resolveBatch(batches || [], order.material, batchId);
+    const complianceRecords = compliance?.compliance || [];
+    const checks = [
+      this.checkBatch(batch, order.material, batchId),
+      ...this.checkTric(ruleSet, order, batch, inventory || []),
+      ...this.checkQa(qa || [], batch, order.material),
+      ...this.checkCompliance(complianceRecords, batch)
+    ];
+
+    const failedRules = checks.filter(check => check.status === "failed");
+    const verdict = {
+      verdict: failedRules.length ? "blocked" : "releasable",
+      releasable: failedRules.length === 0,
+      orderId: order.orderId || null,
+      material: order.material,
+      market: order.market,
+      batchId: batch?.id || batchId || null,
+      failedRules,
+      checks,
+      rules: { version: ruleSet.version, asOf: ruleSet.asOf },
+      evaluatedAt: new Date().toISOString()
+    };
+
+    this.auditLogger?.appendAudit?.({
+      type: "release_decision_evaluated",
+      orderId: verdict.orderId,
+      material: verdict.material,
+      market: verdict.market,
+      batchId: verdict.batchId,
+      verdict: verdict.verdict,
+      failedRules: failedRules.map(check => check.rule),
+      ruleSetVersion: ruleSet.version,
+      rulesAsOf: ruleSet.asOf,
+      userId
+    });
+    logger.info(`⚖️ Release verdict ${verdict.material}/${verdict.market}/${verdict.batchId}: ${verdict.verdict}`);
+
+    return verdict;
+  }
+
+  async resolveOrder({ orderId, material, market }) {
+    if (orderId) {
+      const order = ((await this.loadData("orders")) || []).find(item => item.orderId === orderId);
+      if (!order) throw new AppError(`Order not found: ${orderId}`, 404);
+      return { orderId, material: order.material, market: order.market };
+    }
+    if (!material || !market) {
+      throw new AppError("orderId or material and market are required", 400);
+    }
+    return { orderId: null, material, market };
+  }
+
+  resolveBatch(batches, material, batchId) {
+    if (batchId) return batches.find(batch => batch.id === batchId) || null;
+
+    const candidates = batches.filter(batch => batch.material === material);
+    if (candidates.length > 1) {
+      throw new AppError(`Several batches for ${material} (${candidates.map(batch => batch.id).join(", ")}), batchId is required`, 400);
+    }
+    return candidates[0] || null;
+  }
+
+  // ======================================================================
+  // RULES
+  // ======================================================================
+
+  check(rule, passed, message, source) {
+    return { rule, status: passed ? "passed" : "failed", message, source };
+  }
+
+  notApplicable(rule, message, source) {
+    return { rule, status: "not_applicable", message, source };
+  }
+
+  checkBatch(batch, material, batchId) {
+    if (!batch) {
+      return this.check("order.batch", false, batchId ? `Batch ${batchId} not found` : `No batch found for ${material}`, "batches");
+    }
+    return this.check(
+      "order.batch",
+      batch.material === material,
+      batch.material === material ? `Batch ${batch.id} is ${material}` : `Batch ${batch.id} is ${batch.material}, order is ${material}`,
+      `batches[id=${batch.id}]`
+    );
+  }
+
+  checkTric(ruleSet, order, batch, inventory) {
+    const rules = this.ruleRepository.rulesFor(ruleSet.rules, order.material, order.market);
+    const sourceOf = rule => `release_rules:${rule.id}@v${rule.version}${rule.source ? ` (${rule.source})` : ""}`;
+    const rulesSource = `release_rules@v${ruleSet.version}`;
+    const checks = [];
+
+    // A refusal wins over an approval
+    const approvalRule = rules.filter(rule => rule.type === "market_approval").sort((a, b) => a.approved - b.approved)[0];
+    checks.push(approvalRule
+      ? this.check(
+        "tric.market_approval",
+        approvalRule.approved,
+        `${order.material} ${approvalRule.approved ? "approved" : "not approved"} for ${order.market}: "${approvalRule.description}"`,
+        sourceOf(approvalRule)
+      )
+      : this.notApplicable("tric.market_approval", `No TRIC approval rule for ${order.material}/${order.market}`, rulesSource));
+
+    // Strictest minimum of the matching rules
+    const rmslRule = rules
+      .filter(rule => rule.type === "rmsl_minimum")
+      .sort((a, b) => b.thresholds.minPct - a.thresholds.minPct)[0];
+    if (!rmslRule) {
+      checks.push(this.notApplicable("tric.rmsl_minimum", `No RMSL minimum for ${order.material}/${order.market}`, rulesSource));
+      return checks;
+    }
+    const minPct = rmslRule.thresholds.minPct;
+
+    const stock = batch ? inventory.find(entry => entry.batch === batch.id) : null;
+    const rmsl = evaluateRmsl({
+      rmslRule: { minPct },
+      invEntry: stock ? { ...stock, expiryDate: stock.expiryDate || stock.expiry } : {}
+    });
+    const message = rmsl.remainingPct === null
+      ? `Remaining shelf life of ${batch?.id || order.material} unknown, ${minPct}% required`
+      : `Remaining shelf life ${rmsl.remainingPct}% (${rmsl.source}), ${minPct}% required`;
+
+    checks.push({ ...this.check("tric.rmsl_minimum", rmsl.rmslOk, message, sourceOf(rmslRule)), remainingPct: rmsl.remainingPct, minPct: rmsl.minPct });
+    return checks;
+  }
+
+  checkQa(qa, batch, material) {
+    const record = qa.find(entry => entry.material === material);
+    const checks = [
+      record
+        ? this.check("qa.material_status", QA_RELEASED.includes(String(record.status).toLowerCase()), `QA status of ${material}: ${record.status}`, `qa[material=${material}]`)
+        : this.check("qa.material_status", false, `No QA record for ${material}`, "qa")
+    ];
+
+    if (batch) {
+      checks.push(this.check(
+        "qa.batch_quality_status",
+        batch.qualityStatus === "approved",
+        `Quality status of ${batch.id}: ${batch.qualityStatus || "unknown"}`,
+        `batches[id=${batch.id}]`
+      ));
+    }
+    return checks;
+  }
+
+  checkCompliance(records, batch) {
+    if (!batch) return [];
+
+    const record = records.find(entry => entry.batchId === batch.id);
+    const source = `compliance[batchId=${batch.id}]`;
+    if (!record) {
+      return [this.check("compliance.status", false, `No compliance record for ${batch.id}`, "compliance")];
+    }
+
+    const issues = record.issues || [];
+    return [
+      this.check("compliance.status", record.complianceStatus === "compliant", `Compliance status: ${record.complianceStatus}`, source),
+      this.check("compliance.gmp_status", record.gmpStatus === "verified", `GMP status: ${record.gmpStatus}`, source),
+      this.check("compliance.open_issues", issues.length === 0, issues.length ? `Open issues: ${issues.join(", ")}` : "No open issues", source)
+    ];
+  }
+}
+
+export default ReleaseDecisionEngine;
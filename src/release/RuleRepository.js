@@ -0,0 +1,384 @@
+/**
+ * ========================================================================
+ * RULE REPOSITORY - VERSIONED RELEASE RULES (TRIC / RMSL)
+ * ========================================================================
+ *
+ * Structured replacement for the free-text rules/tric_rules.csv:
+ *
+ *   { id, material, market, type, approved, thresholds, effectiveFrom,
+ *     effectiveTo, description, source, version, updatedAt, updatedBy }
+ *
+ * Rule types:
+ *   market_approval       approved: true|false (TRIC)
+ *   rmsl_minimum          thresholds.minPct (remaining shelf life %)
+ *
+ * Only rule types ReleaseDecisionEngine evaluates are stored; CSV
+ * transport lead times are logistics, not release rules, and stay out.
+ *
+ * material "*" matches every material; market "ROW" applies to markets
+ * without a rule of their own. effectiveFrom is inclusive, effectiveTo
+ * exclusive (YYYY-MM-DD, null = open).
+ *
+ * Every change needs a reason and is appended to the history as one
+ * rule set version. The state of any version or date can be rebuilt
+ * from the history ("which rule applied to the release on date X").
+ * On first start the CSV is migrated into the rules file; the CSV has
+ * no history, so the migrated version counts as recorded since ever.
+ * The rules file is runtime state (git-ignored), the CSV its seed.
+ *
+ * Environment defaults:
+ *  - RELEASE_RULES_FILE  (default: rules/release_rules.json)
+ *  - TRIC_RULES_FILE     (default: rules/tric_rules.csv, migration source)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import { loadTricRules } from "../utils/tricRules.js";
+import logger from "../utils/logger.js";
+
+export const RULE_TYPES = ["market_approval", "rmsl_minimum"];
+
+// Fields that make up a rule's content (compared in diffs)
+const CONTENT_FIELDS = ["material", "market", "type", "approved", "thresholds", "effectiveFrom", "effectiveTo", "description"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class RuleRepository {
+  constructor({
+    rulesFile = process.env.RELEASE_RULES_FILE || "rules/release_rules.json",
+    csvFile = process.env.TRIC_RULES_FILE || "rules/tric_rules.csv",
+    auditLogger = null,
+    eventBusManager = null
+  } = {}) {
+    this.rulesFile = path.resolve(rulesFile);
+    this.csvFile = csvFile;
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+
+    this.rules = new Map();
+    this.history = [];
+  }
+
+  load() {
+    if (!fs.existsSync(this.rulesFile)) {
+      this.migrateCsv();
+      return;
+    }
+
+    const { rules = [], history = [] } = JSON.parse(fs.readFileSync(this.rulesFile, "utf8"));
+    this.rules = new Map(rules.map(rule => [rule.id, rule]));
+    this.history = history;
+    logger.info(`📏 Loaded ${this.rules.size} release rules (version ${this.version})`);
+  }
+
+  save() {
+    const tmpFile = `${this.rulesFile}.tmp`;
+    fs.mkdirSync(path.dirname(this.rulesFile), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({
+      schemaVersion: 1,
+      version: this.version,
+      rules: [...this.rules.values()],
+      history: this.history
+    }, null, 2));
+    fs.renameSync(tmpFile, this.rulesFile);
+  }
+
+  get version() {
+    return this.history.length ? this.history[this.history.length - 1].version : 0;
+  }
+
+  /**
+   * One CSV row can hold several rules ("Zugelassen, RMSL 60%")
+   */
+  migrateCsv() {
+    if (!fs.existsSync(this.csvFile)) {
+      logger.warn(`No release rules file and no CSV to migrate (${this.csvFile})`);
+      return;
+    }
+
+    const { rules, hash } = loadTricRules(this.csvFile);
+    const toRule = (row, type, { approved = null, thresholds = {} }) => ({
+      material: row.material,
+      market: row.country,
+      type,
+      approved,
+      thresholds,
+      effectiveFrom: null,
+      effectiveTo: null,
+      description: row.requirement,
+      source: `${this.csvFile}#L${row.line}`
+    });
+
+    const releaseRows = rules.filter(row => row.type !== "Transport");
+    const migrated = releaseRows.flatMap(row => [
+      row.approved !== null && toRule(row, "market_approval", { approved: row.approved }),
+      row.rmslMinPct !== null && toRule(row, "rmsl_minimum", { thresholds: { minPct: row.rmslMinPct } })
+    ].filter(Boolean));
+
+    rules.filter(row => row.type === "Transport")
+      .forEach(row => logger.info(`Transport rule ${this.csvFile}#L${row.line} is not a release rule, not migrated: "${row.requirement}"`));
+    const skipped = releaseRows.filter(row => row.approved === null && row.rmslMinPct === null);
+    skipped.forEach(row => logger.warn(`Rule ${this.csvFile}#L${row.line} not understood, not migrated: "${row.requirement}"`));
+
+    this.commit(
+      migrated.map(rule => ({ action: "create", rule })),
+      { reason: `Migrated from ${this.csvFile} (sha256 ${hash.slice(0, 12)})`, changedBy: "migration", baseline: true }
+    );
+    logger.info(`📏 Migrated ${migrated.length} release rules from ${this.csvFile}`);
+  }
+
+  // ======================================================================
+  // CHANGES
+  // ======================================================================
+
+  create(input, { reason, changedBy }) {
+    const content = Object.fromEntries(Object.entries(input).filter(([field]) => CONTENT_FIELDS.includes(field)));
+    const rule = this.validate({ approved: null, thresholds: {}, effectiveFrom: null, effectiveTo: null, description: "", ...content });
+    return this.commit([{ action: "create", rule }], { reason, changedBy })[0];
+  }
+
+  /**
+   * @param {Object} changes - Content fields; version (optional) must match the current rule version
+   */
+  update(ruleId, { version, ...changes }, { reason, changedBy }) {
+    const current = this.getOrThrow(ruleId);
+    if (version !== undefined && Number(version) !== current.version) {
+      throw new AppError(`Rule ${ruleId} was changed meanwhile (version ${current.version}, expected ${version})`, 409);
+    }
+
+    const content = Object.fromEntries(Object.entries(changes).filter(([field]) => CONTENT_FIELDS.includes(field)));
+    const rule = this.validate({ ...current, ...content });
+    if (this.diffFields(current, rule).length === 0) {
+      throw new AppError("No changes", 400);
+    }
+    return this.commit([{ action: "update", rule }], { reason, changedBy })[0];
+  }
+
+  delete(ruleId, { reason, changedBy }) {
+    const current = this.getOrThrow(ruleId);
+    this.commit([{ action: "delete", rule: current }], { reason, changedBy });
+    return current;
+  }
+
+  commit(changes, { reason, changedBy = "system", baseline = false }) {
+    if (!reason || String(reason).trim().length < 3) {
+      throw new AppError("A change reason is required", 400);
+    }
+
+    const version = this.version + 1;
+    const changedAt = new Date().toISOString();
+    const entries = changes.map(({ action, rule: { id = `rule-${uuidv4().slice(0, 8)}`, ...rule } }) => {
+      const before = this.rules.get(id) || null;
+      const after = action === "delete" ? null : {
+        id,
+        ...rule,
+        version: (before?.version || 0) + 1,
+        updatedAt: changedAt,
+        updatedBy: changedBy
+      };
+
+      if (after) this.rules.set(id, after);
+      else this.rules.delete(id);
+      return { ruleId: id, action, before, after };
+    });
+
+    const entry = { version, reason: String(reason).trim(), changedBy, changedAt, ...(baseline ? { baseline } : {}), changes: entries };
+    this.history.push(entry);
+    this.save();
+
+    this.auditLogger?.appendAudit?.({
+      type: "release_rules_changed",
+      ruleSetVersion: version,
+      reason: entry.reason,
+      changedBy,
+      changes: entries.map(({ ruleId, action, before, after }) => ({
+        ruleId,
+        action,
+        fields: this.diffFields(before, after).map(({ field }) => field)
+      }))
+    });
+    this.eventBusManager?.emit?.("release/rules.changed", {
+      version,
+      reason: entry.reason,
+      changedBy,
+      ruleIds: entries.map(item => item.ruleId),
+      timestamp: changedAt
+    });
+
+    return entries.map(item => item.after || item.before);
+  }
+
+  validate(rule) {
+    const fail = message => { throw new AppError(`Invalid rule: ${message}`, 400); };
+
+    if (!rule.material || typeof rule.material !== "string") fail("material is required");
+    if (!rule.market || typeof rule.market !== "string") fail("market is required");
+    if (!RULE_TYPES.includes(rule.type)) fail(`type must be one of ${RULE_TYPES.join(", ")}`);
+
+    const thresholds = rule.thresholds || {};
+    if (rule.type === "market_approval" && typeof rule.approved !== "boolean") fail("market_approval needs approved: true|false");
+    if (rule.type === "rmsl_minimum" && !(thresholds.minPct >= 0 && thresholds.minPct <= 100)) fail("rmsl_minimum needs thresholds.minPct between 0 and 100");
+
+    for (const field of ["effectiveFrom", "effectiveTo"]) {
+      if (rule[field] !== null && rule[field] !== undefined && (!DATE_PATTERN.test(rule[field]) || Number.isNaN(Date.parse(rule[field])))) {
+        fail(`${field} must be YYYY-MM-DD`);
+      }
+    }
+    if (rule.effectiveFrom && rule.effectiveTo && rule.effectiveFrom >= rule.effectiveTo) fail("effectiveTo must be after effectiveFrom");
+
+    return {
+      ...rule,
+      approved: rule.type === "market_approval" ? rule.approved : null,
+      thresholds,
+      effectiveFrom: rule.effectiveFrom || null,
+      effectiveTo: rule.effectiveTo || null
+    };
+  }
+
+  // ======================================================================
+  // QUERIES
+  // ======================================================================
+
+  get(ruleId) {
+    return this.rules.get(ruleId) || null;
+  }
+
+  getOrThrow(ruleId) {
+    const rule = this.get(ruleId);
+    if (!rule) throw new AppError(`Rule not found: ${ruleId}`, 404);
+    return rule;
+  }
+
+  /**
+   * Rule set as recorded at a version or at the end of a date (history replay)
+   * @param {Object} at - { version } or { date: "YYYY-MM-DD" | ISO timestamp }
+   */
+  stateAt({ version = null, date = null } = {}) {
+    if (version !== null && (!Number.isInteger(version) || version < 0 || version > this.version)) {
+      throw new AppError(`Unknown rule set version: ${version}`, 404);
+    }
+    const until = date ? this.endOf(date) : null;
+
+    const rules = new Map();
+    let reached = 0;
+    for (const entry of this.history) {
+      if (version !== null && entry.version > version) break;
+      if (until !== null && !entry.baseline && Date.parse(entry.changedAt) > until) break;
+
+      entry.changes.forEach(({ ruleId, after }) => (after ? rules.set(ruleId, after) : rules.delete(ruleId)));
+      reached = entry.version;
+    }
+    return { version: reached, rules: [...rules.values()] };
+  }
+
+  endOf(date) {
+    const time = DATE_PATTERN.test(date) ? Date.parse(`${date}T23:59:59.999Z`) : Date.parse(date);
+    if (Number.isNaN(time)) throw new AppError(`Invalid date: ${date}`, 400);
+    return time;
+  }
+
+  isEffective(rule, day) {
+    return (!rule.effectiveFrom || rule.effectiveFrom <= day) && (!rule.effectiveTo || day < rule.effectiveTo);
+  }
+
+  /**
+   * Rules that applied on a date: as recorded then, and effective on that day
+   */
+  rulesAsOf(date) {
+    const day = new Date(this.endOf(date)).toISOString().slice(0, 10);
+    const { version, rules } = this.stateAt({ date });
+    return { asOf: day, version, rules: rules.filter(rule => this.isEffective(rule, day)) };
+  }
+
+  /**
+   * Rules for one material and market; "ROW" rules apply where the market
+   * has none of the same type
+   */
+  rulesFor(rules, material, market) {
+    const forMaterial = rules.filter(rule => rule.material === material || rule.material === "*");
+    const exact = forMaterial.filter(rule => rule.market.toUpperCase() === String(market).toUpperCase());
+    const rowRules = forMaterial.filter(rule => rule.market.toUpperCase() === "ROW" && !exact.some(other => other.type === rule.type));
+    return [...exact, ...rowRules];
+  }
+
+  list({ material, market, type, asOf, version } = {}) {
+    const result = asOf
+      ? this.rulesAsOf(asOf)
+      : version !== undefined
+        ? this.stateAt({ version })
+        : { version: this.version, rules: [...this.rules.values()] };
+
+    const rules = result.rules
+      .filter(rule => !material || rule.material === material || rule.material === "*")
+      .filter(rule => !market || rule.market === market)
+      .filter(rule => !type || rule.type === type)
+      .sort((a, b) => a.material.localeCompare(b.material) || a.market.localeCompare(b.market) || a.type.localeCompare(b.type));
+
+    return { ...result, count: rules.length, rules };
+  }
+
+  getHistory({ ruleId = null, limit = 50 } = {}) {
+    return this.history
+      .filter(entry => !ruleId || entry.changes.some(change => change.ruleId === ruleId))
+      .map(entry => ({
+        ...entry,
+        changes: entry.changes
+          .filter(change => !ruleId || change.ruleId === ruleId)
+          .map(change => ({ ...change, fields: this.diffFields(change.before, change.after) }))
+      }))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // ======================================================================
+  // DIFFS
+  // ======================================================================
+
+  flatten(rule) {
+    if (!rule) return {};
+    const flat = {};
+    CONTENT_FIELDS.forEach(field => {
+      if (field === "thresholds") {
+        Object.entries(rule.thresholds || {}).forEach(([key, value]) => { flat[`thresholds.${key}`] = value; });
+      } else {
+        flat[field] = rule[field] ?? null;
+      }
+    });
+    return flat;
+  }
+
+  diffFields(before, after) {
+    const a = this.flatten(before);
+    const b = this.flatten(after);
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter(field => JSON.stringify(a[field] ?? null) !== JSON.stringify(b[field] ?? null))
+      .map(field => ({ field, from: a[field] ?? null, to: b[field] ?? null }));
+  }
+
+  /**
+   * Differences between two rule set versions
+   */
+  diffVersions(from, to = this.version) {
+    const before = new Map(this.stateAt({ version: from }).rules.map(rule => [rule.id, rule]));
+    const after = new Map(this.stateAt({ version: to }).rules.map(rule => [rule.id, rule]));
+
+    return {
+      from,
+      to,
+      added: [...after.values()].filter(rule => !before.has(rule.id)),
+      removed: [...before.values()].filter(rule => !after.has(rule.id)),
+      changed: [...after.values()]
+        .filter(rule => before.has(rule.id))
+        .map(rule => ({ ruleId: rule.id, fields: this.diffFields(before.get(rule.id), rule) }))
+        .filter(change => change.fields.length),
+      reasons: this.history.filter(entry => entry.version > from && entry.version <= to).map(({ version, reason, changedBy, changedAt }) => ({ version, reason, changedBy, changedAt }))
+    };
+  }
+}
+
+export default RuleRepository;
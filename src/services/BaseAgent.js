@@ -1,9 +1,13 @@
 // src/services/BaseAgent.js - Phase 2 Enhanced Agent Base Class
-import logger from "./logger.js";
+import logger from "../utils/logger.js";
 
 /**
  * BaseAgent - Enhanced base class for event-driven agents
  * Provides event subscription, A2A communication, and lifecycle management
+ *
+ * Runs on EventBusManager: listeners get the published data as is, so
+ * subscribe() wraps it into { id, type, payload, timestamp } for the
+ * handlers, e.g. material/shortage -> event.payload.material.
  */
 export class BaseAgent {
   constructor(agentId, eventBus, router, config = {}) {
@@ -28,28 +32,25 @@ export class BaseAgent {
    * Subscribe to events with automatic cleanup tracking
    */
   subscribe(eventType, handler, priority = 0) {
-    const subscription = this.eventBus.subscribe(
-      eventType, 
-      async (event) => {
-        this.metrics.eventsReceived++;
-        try {
-          return await handler.call(this, event);
-        } catch (error) {
-          this.metrics.errors++;
-          logger.error('Event handler failed', {
-            agentId: this.agentId,
-            eventType,
-            eventId: event.id,
-            error: error.message
-          });
-          throw error;
-        }
-      },
-      this.agentId,
-      priority
-    );
+    const listener = async (payload) => {
+      const event = { id: payload?.id ?? null, type: eventType, payload, timestamp: payload?.timestamp ?? new Date().toISOString() };
+      this.metrics.eventsReceived++;
+      try {
+        return await handler.call(this, event);
+      } catch (error) {
+        // Not rethrown: the bus does not await listeners
+        this.metrics.errors++;
+        logger.error('Event handler failed', {
+          agentId: this.agentId,
+          eventType,
+          eventId: event.id,
+          error: error.message
+        });
+      }
+    };
+    this.eventBus.subscribe(eventType, listener);
     
-    this.subscriptions.push({ eventType, subscription });
+    this.subscriptions.push({ eventType, listener });
     
     logger.debug('Agent subscribed to event', { 
       agentId: this.agentId, 
@@ -57,16 +58,16 @@ export class BaseAgent {
       priority 
     });
     
-    return subscription;
+    return listener;
   }
 
   /**
    * Publish events with agent identification
    */
-  async publish(eventType, payload, options = {}) {
+  async publish(eventType, payload) {
     this.metrics.eventsPublished++;
     
-    return await this.eventBus.publish(eventType, payload, this.agentId, options);
+    return await this.eventBus.publishEvent(eventType, payload, this.agentId);
   }
 
   /**
@@ -127,8 +128,8 @@ export class BaseAgent {
     logger.info('Shutting down agent', { agentId: this.agentId });
     
     // Cleanup subscriptions
-    for (const { eventType } of this.subscriptions) {
-      this.eventBus.unsubscribe(eventType, this.agentId);
+    for (const { eventType, listener } of this.subscriptions) {
+      this.eventBus.unsubscribe(eventType, listener);
     }
     this.subscriptions = [];
     
@@ -236,7 +237,7 @@ export class ManufacturingAgent extends BaseAgent {
     this.subscribe('batch.started', this.onBatchStarted, 1);
     this.subscribe('batch.completed', this.onBatchCompleted, 1);
     this.subscribe('quality.alert', this.onQualityAlert, 2); // Higher priority
-    this.subscribe('material.shortage', this.onMaterialShortage, 2);
+    this.subscribe('material/shortage', this.onMaterialShortage, 2);
     
     logger.info('Manufacturing agent initialized', { agentId: this.agentId });
   }
@@ -271,7 +272,9 @@ export class ManufacturingAgent extends BaseAgent {
     logger.warn('Material shortage alert', { 
       agentId: this.agentId, 
       material: event.payload.material,
-      currentStock: event.payload.currentStock
+      currentStock: event.payload.currentStock,
+      shortage: event.payload.shortage,
+      orderId: event.payload.orderId
     });
   }
 
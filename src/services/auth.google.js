@@ -1,12 +1,18 @@
-﻿import { OAuth2Client } from "google-auth-library";
+﻿import { OIDCStrategy } from "../auth/strategies/OIDCStrategy.js";
 
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+// Google is a regular OpenID Connect issuer - no google-auth-library needed
+const google = new OIDCStrategy({
+  name: "google",
+  issuer: "https://accounts.google.com",
+  audience: process.env.GOOGLE_CLIENT_ID,
+  jwksUri: "https://www.googleapis.com/oauth2/v3/certs",
+  algorithms: ["RS256"]
+});
 const adminEmails = (process.env.ADMIN_ALLOWED_EMAILS || "").split(",").map(s=>s.trim()).filter(Boolean);
 const adminDomains = (process.env.ADMIN_ALLOWED_DOMAINS || "").split(",").map(s=>s.trim()).filter(Boolean);
 
 export async function verifyGoogleIdToken(idToken){
-  const ticket = await client.verifyIdToken({ idToken, audience: process.env.GOOGLE_CLIENT_ID });
-  return ticket.getPayload();
+  return google.verifyToken(idToken);
 }
 
 export function requireGoogleRole(role="user"){
@@ -25,7 +31,8 @@ export function requireGoogleRole(role="user"){
       if (adminEmails.includes(email) || (domain && adminDomains.includes(domain))) userRole = "admin";
 
       if (role === "admin" && userRole !== "admin") return res.status(403).json({ error:"admin role required" });
-      req.user = { role: userRole, email, name: p.name, sub: p.sub };
+      // "admin"/"user" are aliases in src/config/roles.yaml (see AccessControl)
+      req.user = { id: `google:${p.sub}`, role: userRole, roles: [userRole], email, name: p.name, sub: p.sub, authMethod: "google" };
       next();
     } catch (e) {
       return res.status(401).json({ error:"invalid token", detail: e.message });
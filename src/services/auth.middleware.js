@@ -7,7 +7,9 @@
     const isUser  = key && (key === userKey || key === adminKey);
     if (role === "admin" && !isAdmin) return res.status(401).json({ error:"admin key required" });
     if (role === "user"  && !isUser)  return res.status(401).json({ error:"api key required" });
-    req.user = { role: isAdmin ? "admin" : "user" };
+    // "admin"/"user" are aliases in src/config/roles.yaml (see AccessControl)
+    const role = isAdmin ? "admin" : "user";
+    req.user = { id: `apikey:${role}`, role, roles: [role], authMethod: "api_key" };
     next();
   };
 }
@@ -0,0 +1,269 @@
+/**
+ * ========================================================================
+ * SESSION MANAGER - MULTI-TURN CHAT MEMORY
+ * ========================================================================
+ *
+ * Keeps server-side conversation history per chat session so follow-up
+ * questions ("and what about LINE-02?") reach the LLM with context.
+ *
+ * Features:
+ * - Bounded turn history per session
+ * - Older turns folded into a running summary when the token budget
+ *   or turn limit is exceeded
+ * - Idle sessions expire after a TTL; oldest sessions are evicted when
+ *   the session limit is reached
+ * - Sessions belong to the user who created them ("anonymous" without
+ *   login); other callers get 404 as if the session did not exist
+ *
+ * Environment defaults:
+ *  - CHAT_SESSION_MAX_TURNS     (default: 20 messages)
+ *  - CHAT_SESSION_TOKEN_BUDGET  (default: 3000 estimated tokens)
+ *  - CHAT_SESSION_TTL_MINUTES   (default: 60)
+ *  - CHAT_SESSION_MAX_SESSIONS  (default: 500)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/errorHandler.js';
+
+export class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.summarizer - async (turns, previousSummary) => string
+   */
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || parseInt(process.env.CHAT_SESSION_MAX_TURNS) || 20;
+    this.tokenBudget = options.tokenBudget || parseInt(process.env.CHAT_SESSION_TOKEN_BUDGET) || 3000;
+    this.ttlMs = (options.ttlMinutes || parseInt(process.env.CHAT_SESSION_TTL_MINUTES) || 60) * 60 * 1000;
+    this.maxSessions = options.maxSessions || parseInt(process.env.CHAT_SESSION_MAX_SESSIONS) || 500;
+    this.summarizer = options.summarizer || null;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Rough token estimate (~4 characters per token)
+   */
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  /**
+   * Session owner for a request identity (req.user)
+   */
+  static ownerOf(user) {
+    return user?.id || 'anonymous';
+  }
+
+  createSession(sessionId = null, metadata = {}, owner = 'anonymous') {
+    this.cleanupExpired();
+
+    if (this.sessions.size >= this.maxSessions) {
+      const oldest = [...this.sessions.values()].sort((a, b) => a.updatedAt - b.updatedAt)[0];
+      this.sessions.delete(oldest.id);
+      logger.info(`Chat session evicted: ${oldest.id}`);
+    }
+
+    const now = Date.now();
+    const session = {
+      id: sessionId || uuidv4(),
+      createdAt: now,
+      updatedAt: now,
+      turns: [],
+      summary: null,
+      summarizedTurns: 0,
+      owner,
+      metadata
+    };
+
+    this.sessions.set(session.id, session);
+    logger.info(`Chat session created: ${session.id}`);
+    return session;
+  }
+
+  /**
+   * @param {string} [owner] - Only return the session if it belongs to
+   *   this owner; omitted for internal calls
+   */
+  getSession(sessionId, owner) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    if (owner !== undefined && session.owner !== owner) return null;
+
+    if (Date.now() - session.updatedAt > this.ttlMs) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Resolve a client-supplied session id, creating the session if unknown
+   * (expired ids are recreated so clients can keep sending them)
+   * @throws {AppError} 404 if the session belongs to another owner
+   */
+  getOrCreateSession(sessionId, metadata = {}, owner) {
+    this.assertOwner(sessionId, owner);
+    return (sessionId && this.getSession(sessionId)) || this.createSession(sessionId, metadata, owner);
+  }
+
+  /**
+   * @throws {AppError} 404 if the session exists and belongs to another owner
+   */
+  assertOwner(sessionId, owner) {
+    const session = sessionId ? this.getSession(sessionId) : null;
+    if (session && owner !== undefined && session.owner !== owner) {
+      throw new AppError('Session not found', 404);
+    }
+  }
+
+  deleteSession(sessionId, owner) {
+    if (!this.getSession(sessionId, owner)) return false;
+    this.sessions.delete(sessionId);
+    logger.info(`Chat session deleted: ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Prior turns in the shape providers expect
+   * @returns {{history: Array<{role, content}>, historySummary: string|null}}
+   */
+  getContext(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return { history: [], historySummary: null };
+
+    return {
+      history: session.turns.map(({ role, content }) => ({ role, content })),
+      historySummary: session.summary
+    };
+  }
+
+  /**
+   * Agent that answered the session's last turn (null: none, or a clarification)
+   */
+  getLastAgentId(sessionId) {
+    const session = this.getSession(sessionId);
+    const last = session?.turns.findLast(turn => turn.role === 'assistant');
+    return last?.agentId || null;
+  }
+
+  /**
+   * Record one user/assistant exchange and compact if over budget
+   * @param {string} [owner] - Owner of the session (SessionManager.ownerOf(user));
+   *   a new session is created for this owner, another owner's session is 404
+   */
+  async addExchange(sessionId, userMessage, assistantMessage, agentId = null, owner) {
+    const session = this.getOrCreateSession(sessionId, {}, owner);
+    const timestamp = new Date().toISOString();
+
+    session.turns.push(
+      { role: 'user', content: userMessage, timestamp },
+      { role: 'assistant', content: assistantMessage, agentId, timestamp }
+    );
+    session.updatedAt = Date.now();
+
+    await this.compact(session);
+    return session;
+  }
+
+  getTokenCount(session) {
+    return session.turns.reduce((sum, turn) => sum + SessionManager.estimateTokens(turn.content), 0)
+      + SessionManager.estimateTokens(session.summary);
+  }
+
+  /**
+   * Fold the oldest turns into the summary until the
+   * session fits both the turn limit and the token budget
+   */
+  async compact(session) {
+    while (session.turns.length > 2 &&
+           (session.turns.length > this.maxTurns || this.getTokenCount(session) > this.tokenBudget)) {
+      // Keep user/assistant pairs together
+      const foldCount = Math.max(2, Math.floor(session.turns.length / 4) * 2);
+      const folded = session.turns.splice(0, foldCount);
+
+      session.summary = await this.summarize(folded, session.summary);
+      session.summarizedTurns += folded.length;
+      logger.debug(`Chat session ${session.id}: summarized ${folded.length} turns`);
+    }
+  }
+
+  async summarize(turns, previousSummary) {
+    if (this.summarizer) {
+      try {
+        const summary = await this.summarizer(turns, previousSummary);
+        if (summary) return String(summary).trim();
+      } catch (error) {
+        logger.warn(`Session summarizer failed, using extractive summary: ${error.message}`);
+      }
+    }
+    return this.extractiveSummary(turns, previousSummary);
+  }
+
+  /**
+   * Fallback summary without an LLM: first line of each turn, truncated
+   */
+  extractiveSummary(turns, previousSummary) {
+    const lines = previousSummary ? previousSummary.split('\n') : [];
+    turns.forEach(turn => {
+      const firstLine = String(turn.content).split('\n').find(line => line.trim()) || '';
+      const text = firstLine.length > 160 ? `${firstLine.substring(0, 157)}...` : firstLine;
+      lines.push(`- ${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${text}`);
+    });
+
+    // Keep the summary itself inside a quarter of the budget, oldest lines go first
+    const maxChars = this.tokenBudget;
+    while (lines.length > 1 && lines.join('\n').length > maxChars) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+
+  cleanupExpired() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.updatedAt > this.ttlMs) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  describeSession(session, includeTurns = false) {
+    return {
+      sessionId: session.id,
+      createdAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date(session.updatedAt).toISOString(),
+      turnCount: session.turns.length,
+      summarizedTurns: session.summarizedTurns,
+      estimatedTokens: this.getTokenCount(session),
+      owner: session.owner,
+      metadata: session.metadata,
+      ...(includeTurns && { summary: session.summary, turns: session.turns })
+    };
+  }
+
+  /**
+   * @param {string} [owner] - Only sessions of this owner
+   */
+  listSessions(owner) {
+    this.cleanupExpired();
+    return [...this.sessions.values()]
+      .filter(session => owner === undefined || session.owner === owner)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(session => this.describeSession(session));
+  }
+
+  getStats() {
+    return {
+      activeSessions: this.sessions.size,
+      maxTurns: this.maxTurns,
+      tokenBudget: this.tokenBudget,
+      ttlMinutes: this.ttlMs / 60000
+    };
+  }
+}
+
+export default SessionManager;
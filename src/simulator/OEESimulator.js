@@ -12,6 +12,14 @@
  *  - OEE_LINES:          Comma-separated list of production lines (default: LINE-01)
  *  - MQTT_BROKER_URL:    Broker URL (default: mqtt://localhost:1883)
  *  - MQTT_TOPIC_BASE:    Base topic for MQTT messages (default: plc)
+ *  - OEE_PAYLOAD_FORMAT: json (default) | sparkplug
+ *  - SPARKPLUG_GROUP_ID: Sparkplug B group (default: Pharma)
+ *  - SPARKPLUG_EDGE_NODE:Sparkplug B edge node (default: OEESimulator)
+ *
+ * Sparkplug B: the simulator is one edge node, every line a device.
+ * NBIRTH/DBIRTH on connect and on an NCMD rebirth request, DDATA per
+ * tick (metric aliases only), DDEATH/NDEATH on stop; NDEATH is also the
+ * MQTT Will. Sequence numbers run 0-255 per node session.
  *
  * Author: Markus Schmeckenbecher
  * Version: 1.0
@@ -21,6 +29,24 @@
 import mqtt from "mqtt";
 import logger from "../utils/logger.js";
 import { saveOEE } from "../utils/fileStore.js";
+import { DataType, REBIRTH_METRIC, decodePayload, encodePayload, topicOf } from "../data/mapping/SparkplugB.js";
+
+// Sparkplug B device metrics: name, datatype, value of the JSON payload
+const SPARKPLUG_METRICS = [
+  ["OEE/Status", DataType.String, payload => payload.status],
+  ["OEE/BatchId", DataType.String, payload => payload.batchId],
+  ["OEE/Alarm", DataType.String, payload => payload.alarms.join("; ")],
+  ["Counters/PlannedProductionTime", DataType.UInt64, payload => payload.counters.plannedProductionTime],
+  ["Counters/OperatingTime", DataType.UInt64, payload => payload.counters.operatingTime],
+  ["Counters/GoodCount", DataType.UInt64, payload => payload.counters.goodCount],
+  ["Counters/BadCount", DataType.UInt64, payload => payload.counters.badCount],
+  ["Metrics/Availability", DataType.Double, payload => payload.metrics.availability],
+  ["Metrics/Performance", DataType.Double, payload => payload.metrics.performance],
+  ["Metrics/Quality", DataType.Double, payload => payload.metrics.quality],
+  ["Metrics/OEE", DataType.Double, payload => payload.metrics.oee],
+  ["Parameters/Temperature", DataType.Double, payload => payload.parameters.temperature],
+  ["Parameters/Pressure", DataType.Double, payload => payload.parameters.pressure],
+];
 
 export class OEESimulator {
   constructor(config) {
@@ -29,6 +55,12 @@ export class OEESimulator {
     this.lines = (config.OEE_LINES || "LINE-01").split(",");
     this.intervalMs = parseInt(config.OEE_INTERVAL_MS || "5000", 10);       // Publish interval
     this.persistIntervalMs = parseInt(config.PERSIST_INTERVAL_MS || "60000", 10); // Persist interval
+    this.payloadFormat = (config.OEE_PAYLOAD_FORMAT || "json").toLowerCase();
+    this.groupId = config.SPARKPLUG_GROUP_ID || "Pharma";
+    this.edgeNodeId = config.SPARKPLUG_EDGE_NODE || "OEESimulator";
+    this.bdSeq = 0;          // birth/death sequence, NBIRTH and NDEATH (Will) of a session match
+    this.seq = 0;            // Sparkplug message sequence 0-255
+    this.lastPayload = {};   // line -> last payload (values for DBIRTH)
 
     this.client = null;
     this.lineData = {};
@@ -42,7 +74,8 @@ export class OEESimulator {
    */
   async start() {
     return new Promise((resolve, reject) => {
-      this.client = mqtt.connect(this.brokerUrl);
+      const sparkplug = this.payloadFormat === "sparkplug";
+      this.client = mqtt.connect(this.brokerUrl, sparkplug ? { will: this.sparkplugWill() } : {});
 
       this.client.on("connect", () => {
         logger.info(`✅ OEE Simulator connected to MQTT broker: ${this.brokerUrl}`);
@@ -60,12 +93,20 @@ export class OEESimulator {
           };
         });
 
+        if (sparkplug) {
+          this.client.subscribe(topicOf(this.groupId, "NCMD", this.edgeNodeId));
+          this.publishBirths();
+        }
+
         // Start publishing on interval
+        clearInterval(this.timer);
         this.timer = setInterval(() => this.publishOEE(), this.intervalMs);
 
         resolve();
       });
 
+      this.client.on("message", (topic, message) => this.handleCommand(topic, message));
+
       this.client.on("error", (err) => {
         logger.error("❌ OEE Simulator MQTT Error: " + err.message);
         reject(err);
@@ -78,6 +119,7 @@ export class OEESimulator {
    */
   stop() {
     if (this.timer) clearInterval(this.timer);
+    if (this.client?.connected && this.payloadFormat === "sparkplug") this.publishDeaths();
     if (this.client) this.client.end();
     logger.info("🛑 OEE Simulator stopped");
   }
@@ -163,10 +205,16 @@ export class OEESimulator {
       };
 
       // --- Publish to MQTT ---
-      this.client.publish(`${this.topicBase}/${line}/status`, JSON.stringify(payload));
-      this.client.publish(`${this.topicBase}/${line}/oee`, JSON.stringify(payload.metrics));
-
-      logger.info(`📡 Sent [${line}] Update → ${this.topicBase}/${line}/status + /oee`);
+      this.lastPayload[line] = payload;
+      if (this.payloadFormat === "sparkplug") {
+        const topic = topicOf(this.groupId, "DDATA", this.edgeNodeId, line);
+        this.client.publish(topic, this.sparkplugPayload(payload, { aliasOnly: true }));
+        logger.info(`📡 Sent [${line}] Update → ${topic}`);
+      } else {
+        this.client.publish(`${this.topicBase}/${line}/status`, JSON.stringify(payload));
+        this.client.publish(`${this.topicBase}/${line}/oee`, JSON.stringify(payload.metrics));
+        logger.info(`📡 Sent [${line}] Update → ${this.topicBase}/${line}/status + /oee`);
+      }
 
       // --- Persist to file (only if persist interval elapsed) ---
       if (doPersist) {
@@ -179,4 +227,104 @@ export class OEESimulator {
       this.lastPersist = now;
     }
   }
+
+  // ----------------------------------------------------------------------
+  // Sparkplug B
+  // ----------------------------------------------------------------------
+
+  nextSeq() {
+    const seq = this.seq;
+    this.seq = (this.seq + 1) % 256;
+    return seq;
+  }
+
+  nodeMetrics() {
+    return [{ name: "bdSeq", datatype: DataType.UInt64, value: this.bdSeq }];
+  }
+
+  sparkplugWill() {
+    return {
+      topic: topicOf(this.groupId, "NDEATH", this.edgeNodeId),
+      payload: encodePayload({ metrics: this.nodeMetrics() }),
+      qos: 1,
+      retain: false,
+    };
+  }
+
+  /**
+   * DBIRTH carries names and aliases, DDATA only the aliases
+   */
+  sparkplugPayload(payload, { aliasOnly = false } = {}) {
+    return encodePayload({
+      timestamp: new Date(payload.timestamp).getTime(),
+      seq: this.nextSeq(),
+      metrics: SPARKPLUG_METRICS.map(([name, datatype, read], index) => ({
+        ...(aliasOnly ? {} : { name }),
+        alias: index + 1,
+        datatype,
+        value: read(payload) ?? null,
+      })),
+    });
+  }
+
+  /**
+   * NBIRTH (seq 0) followed by one DBIRTH per line
+   */
+  publishBirths() {
+    this.seq = 0;
+    this.client.publish(
+      topicOf(this.groupId, "NBIRTH", this.edgeNodeId),
+      encodePayload({
+        seq: this.nextSeq(),
+        metrics: [...this.nodeMetrics(), { name: REBIRTH_METRIC, datatype: DataType.Boolean, value: false }],
+      })
+    );
+
+    this.lines.forEach((line) => {
+      const data = this.lineData[line];
+      const payload = this.lastPayload[line] || {
+        status: "idle",
+        batchId: `BATCH-${data.batchCounter}`,
+        counters: {
+          plannedProductionTime: data.plannedProductionTime,
+          operatingTime: data.operatingTime,
+          goodCount: data.goodCount,
+          badCount: data.badCount,
+        },
+        metrics: {},
+        parameters: {},
+        alarms: [],
+        timestamp: new Date().toISOString(),
+      };
+      this.client.publish(topicOf(this.groupId, "DBIRTH", this.edgeNodeId, line), this.sparkplugPayload(payload));
+    });
+    logger.info(`🐣 Sparkplug NBIRTH/DBIRTH sent for ${this.edgeNodeId} (${this.lines.length} lines, bdSeq ${this.bdSeq})`);
+  }
+
+  publishDeaths() {
+    this.lines.forEach((line) => {
+      this.client.publish(
+        topicOf(this.groupId, "DDEATH", this.edgeNodeId, line),
+        encodePayload({ seq: this.nextSeq() })
+      );
+    });
+    this.client.publish(topicOf(this.groupId, "NDEATH", this.edgeNodeId), encodePayload({ metrics: this.nodeMetrics() }));
+    logger.info(`🪦 Sparkplug DDEATH/NDEATH sent for ${this.edgeNodeId}`);
+  }
+
+  /**
+   * NCMD "Node Control/Rebirth" from a host application
+   */
+  handleCommand(topic, message) {
+    if (topic !== topicOf(this.groupId, "NCMD", this.edgeNodeId)) return;
+    try {
+      const { metrics } = decodePayload(message);
+      if (metrics.some((metric) => metric.name === REBIRTH_METRIC && metric.value === true)) {
+        logger.info(`🔁 Sparkplug rebirth requested for ${this.edgeNodeId}`);
+        this.publishBirths();
+      }
+    } catch (err) {
+      logger.warn(`⚠️ Invalid Sparkplug command on ${topic}: ${err.message}`);
+    }
+  }
 }
@@ -0,0 +1,70 @@
+/**
+ * ========================================================================
+ * FILE STATE STORE - ONE JSON FILE PER COLLECTION
+ * ========================================================================
+ *
+ * <dir>/<collection>.json holds { id: record }. Every change rewrites the
+ * file via a temp file and rename, so a crash mid-write leaves the
+ * previous version intact. Meant for single-instance deployments; use
+ * the SQLite driver when collections grow large.
+ *
+ * Environment defaults:
+ *  - STATE_STORE_DIR   (default: state)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { StateStore } from "./StateStore.js";
+import logger from "../utils/logger.js";
+
+export class FileStateStore extends StateStore {
+  constructor({ dir = process.env.STATE_STORE_DIR || "state" } = {}) {
+    super({ driver: "file" });
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name.replace(/[^a-zA-Z0-9_-]/g, "_")}.json`);
+  }
+
+  readCollection(name) {
+    const file = this.fileFor(name);
+    if (!fs.existsSync(file)) return [];
+
+    try {
+      return Object.entries(JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it
+      const quarantined = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, quarantined);
+      logger.error(`State collection ${name} unreadable (${error.message}) - moved to ${quarantined}`);
+      return [];
+    }
+  }
+
+  flush(name) {
+    const file = this.fileFor(name);
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.collection(name)), null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  writeRecord(name) {
+    this.flush(name);
+  }
+
+  removeRecord(name) {
+    this.flush(name);
+  }
+
+  describe() {
+    return { ...super.describe(), location: this.dir };
+  }
+}
+
+export default FileStateStore;
@@ -0,0 +1,75 @@
+/**
+ * ========================================================================
+ * SQLITE STATE STORE - SINGLE TABLE, ROW PER RECORD
+ * ========================================================================
+ *
+ * Uses the built-in node:sqlite module (Node.js 22.5+), no native
+ * dependency. Records live in one table keyed by (collection, id); each
+ * write touches a single row, so large collections stay cheap.
+ *
+ * Environment defaults:
+ *  - STATE_STORE_FILE   (default: state/state.sqlite)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { StateStore } from "./StateStore.js";
+
+export class SqliteStateStore extends StateStore {
+  /**
+   * @param {Object} options
+   * @param {Function} options.DatabaseSync - DatabaseSync class from node:sqlite
+   */
+  constructor({ DatabaseSync, file = process.env.STATE_STORE_FILE || "state/state.sqlite" } = {}) {
+    super({ driver: "sqlite" });
+    this.file = path.resolve(file);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.db = new DatabaseSync(this.file);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS state_records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+    `);
+
+    this.statements = {
+      select: this.db.prepare("SELECT id, value FROM state_records WHERE collection = ?"),
+      upsert: this.db.prepare(`
+        INSERT INTO state_records (collection, id, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare("DELETE FROM state_records WHERE collection = ? AND id = ?")
+    };
+  }
+
+  readCollection(name) {
+    return this.statements.select.all(name).map(row => [row.id, JSON.parse(row.value)]);
+  }
+
+  writeRecord(name, id, value) {
+    this.statements.upsert.run(name, String(id), JSON.stringify(value), new Date().toISOString());
+  }
+
+  removeRecord(name, id) {
+    this.statements.remove.run(name, String(id));
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  describe() {
+    return { ...super.describe(), location: this.file };
+  }
+}
+
+export default SqliteStateStore;
@@ -0,0 +1,119 @@
+/**
+ * ========================================================================
+ * STATE STORE - DURABLE RUNTIME STATE
+ * ========================================================================
+ *
+ * Key/value records grouped into collections ("workflows",
+ * "a2a_requests", "mcp_contexts", "event_history", ...). Components keep
+ * their in-memory Maps for fast access and write through to the store,
+ * so a restart can rebuild them.
+ *
+ * This base class keeps everything in memory (STATE_STORE_DRIVER=memory);
+ * FileStateStore and SqliteStateStore add persistence by implementing
+ * readCollection / writeRecord / removeRecord.
+ *
+ * Values must be JSON-serializable. All operations are synchronous so
+ * they can be called from existing code paths without changing them.
+ *
+ * Recovery: components report what they rebuilt on boot via
+ * recordRecovery(); GET /api/system/state shows the report.
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+export class StateStore {
+  constructor({ driver = "memory" } = {}) {
+    this.driver = driver;
+    this.collections = new Map();
+    this.bootedAt = new Date().toISOString();
+    this.recovery = {};
+  }
+
+  /**
+   * Records of a collection, loaded from the backend on first access
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map(this.readCollection(name)));
+    }
+    return this.collections.get(name);
+  }
+
+  get(name, id) {
+    const value = this.collection(name).get(id);
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  list(name) {
+    return [...this.collection(name).values()].map(value => structuredClone(value));
+  }
+
+  has(name, id) {
+    return this.collection(name).has(id);
+  }
+
+  put(name, id, value) {
+    const record = JSON.parse(JSON.stringify(value));
+    this.collection(name).set(id, record);
+    this.writeRecord(name, id, record);
+    return record;
+  }
+
+  delete(name, id) {
+    if (!this.collection(name).delete(id)) return false;
+    this.removeRecord(name, id);
+    return true;
+  }
+
+  clear(name) {
+    for (const id of [...this.collection(name).keys()]) {
+      this.delete(name, id);
+    }
+  }
+
+  count(name) {
+    return this.collection(name).size;
+  }
+
+  // ======================================================================
+  // BACKEND HOOKS (overridden by persistent stores)
+  // ======================================================================
+
+  /**
+   * @returns {Array<[string, Object]>} Persisted [id, value] pairs
+   */
+  readCollection(name) {
+    return [];
+  }
+
+  writeRecord(name, id, value) {}
+
+  removeRecord(name, id) {}
+
+  close() {}
+
+  // ======================================================================
+  // RECOVERY REPORT
+  // ======================================================================
+
+  recordRecovery(component, details) {
+    this.recovery[component] = { ...details, recoveredAt: new Date().toISOString() };
+  }
+
+  getRecoveryReport() {
+    return structuredClone(this.recovery);
+  }
+
+  describe() {
+    return {
+      driver: this.driver,
+      persistent: this.driver !== "memory",
+      bootedAt: this.bootedAt,
+      collections: Object.fromEntries([...this.collections.entries()].map(([name, records]) => [name, records.size]))
+    };
+  }
+}
+
+export default StateStore;
@@ -0,0 +1,35 @@
+// src/store/index.js
+// Picks the state store backend: STATE_STORE_DRIVER = file (default) | sqlite | memory
+import { StateStore } from "./StateStore.js";
+import { FileStateStore } from "./FileStateStore.js";
+import { SqliteStateStore } from "./SqliteStateStore.js";
+import logger from "../utils/logger.js";
+
+export async function createStateStore(options = {}) {
+  const driver = (options.driver || process.env.STATE_STORE_DRIVER || "file").toLowerCase();
+
+  if (driver === "memory") {
+    logger.warn("⚠️ STATE_STORE_DRIVER=memory - workflows and contexts are lost on restart");
+    return new StateStore();
+  }
+
+  if (driver === "sqlite") {
+    try {
+      const { DatabaseSync } = await import("node:sqlite");
+      const store = new SqliteStateStore({ DatabaseSync, file: options.file });
+      logger.info(`💾 State store: SQLite (${store.file})`);
+      return store;
+    } catch (error) {
+      logger.warn(`⚠️ SQLite state store unavailable (${error.message}) - using file store`);
+    }
+  } else if (driver !== "file") {
+    logger.warn(`⚠️ Unknown STATE_STORE_DRIVER "${driver}" - using file store`);
+  }
+
+  const store = new FileStateStore({ dir: options.dir });
+  logger.info(`💾 State store: files (${store.dir})`);
+  return store;
+}
+
+export { StateStore, FileStateStore, SqliteStateStore };
+export default createStateStore;
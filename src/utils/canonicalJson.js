@@ -0,0 +1,32 @@
+// src/utils/canonicalJson.js
+import crypto from "crypto";
+
+function serialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${serialize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * JSON with sorted object keys, so hashes do not depend on key order
+ * Works on the JSON form of the value (Date -> ISO string, toJSON(),
+ * undefined and functions dropped), i.e. exactly what a stored JSON line
+ * parses back to.
+ */
+export function canonicalize(value) {
+  return serialize(JSON.parse(JSON.stringify(value) ?? "null"));
+}
+
+/**
+ * SHA-256 (hex) of the canonical JSON form
+ */
+export function hashCanonical(value) {
+  return crypto.createHash("sha256").update(canonicalize(value)).digest("hex");
+}
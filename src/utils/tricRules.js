@@ -0,0 +1,60 @@
+// utils/tricRules.js
+import fs from "fs";
+import crypto from "crypto";
+
+// Splits one CSV line; double quotes enclose fields, "" is an escaped quote
+function splitCsvLine(line) {
+  const fields = [];
+  let current = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+    else if (char === '"') quoted = !quoted;
+    else if (char === "," && !quoted) { fields.push(current.trim()); current = ""; }
+    else current += char;
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Reads the free-text requirement ("Zugelassen, RMSL ≥ 60%", "Nicht zugelassen (TRIC)",
+ * "48h Vorlaufzeit") into { approved, rmslMinPct, leadTimeHours }; null where the
+ * text says nothing about it
+ */
+export function interpretRequirement(requirement = "") {
+  let approved = null;
+  if (/nicht\s+zugelassen|not\s+approved/i.test(requirement)) approved = false;
+  else if (/zugelassen|approved/i.test(requirement)) approved = true;
+
+  const rmsl = requirement.match(/RMSL\D*?(\d+(?:[.,]\d+)?)\s*%/i);
+  const rmslMinPct = rmsl ? Number(rmsl[1].replace(",", ".")) : null;
+
+  const leadTime = requirement.match(/(\d+)\s*h\b/i);
+  const leadTimeHours = leadTime ? Number(leadTime[1]) : null;
+
+  return { approved, rmslMinPct, leadTimeHours };
+}
+
+export function parseTricRules(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+
+  return lines.slice(1).flatMap((line, index) => {
+    if (!line.trim()) return [];
+    const values = splitCsvLine(line);
+    const row = Object.fromEntries(header.map((name, i) => [name, values[i] ?? ""]));
+    return [{ ...row, line: index + 2, ...interpretRequirement(row.requirement) }];
+  });
+}
+
+export function loadTricRules(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return {
+    file,
+    hash: crypto.createHash("sha256").update(text).digest("hex"),
+    rules: parseTricRules(text)
+  };
+}
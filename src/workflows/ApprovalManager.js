@@ -0,0 +1,353 @@
+/**
+ * ========================================================================
+ * APPROVAL MANAGER - HUMAN-IN-THE-LOOP WORKFLOW DECISIONS
+ * ========================================================================
+ *
+ * Approval steps pause a workflow run until a user with one of the
+ * approver roles approves or rejects. Lifecycle:
+ *
+ *   pending -> approved | rejected | withdrawn (run cancelled)
+ *   pending -> escalated (after escalateAfter; escalateTo roles may
+ *              decide as well) -> approved | rejected | expired
+ *
+ * Controls:
+ * - Approver needs one of the approver roles (inheritance/aliases from
+ *   roles.yaml apply; superusers may always decide)
+ * - Whoever started the run cannot approve it (separation of duties)
+ * - A rejection needs a comment
+ *
+ * Every transition is audited ("approval_*") and emitted as
+ * approval/requested | approval/escalated | approval/decided.
+ * Open approvals are kept in the StateStore and re-armed after restart.
+ *
+ * Environment defaults:
+ *  - APPROVAL_DEFAULT_ROLES         (default: QA)
+ *  - APPROVAL_ESCALATION_MINUTES    (default: 60)
+ *  - APPROVAL_ESCALATION_ROLES      (default: Admin)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.0.0
+ * ========================================================================
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import { AccessControl } from "../auth/AccessControl.js";
+import logger from "../utils/logger.js";
+
+const OPEN_STATES = ["pending", "escalated"];
+const MAX_CLOSED_APPROVALS = 500;
+const listFromEnv = (value, fallback) => (value ? value.split(",").map(item => item.trim()).filter(Boolean) : fallback);
+
+export class ApprovalManager {
+  constructor({ stateStore = null, accessControl = null, auditLogger = null, eventBusManager = null, options = {} } = {}) {
+    this.stateStore = stateStore;
+    this.accessControl = accessControl;
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+
+    this.defaultRoles = options.defaultRoles || listFromEnv(process.env.APPROVAL_DEFAULT_ROLES, ["QA"]);
+    this.defaultEscalateAfter = options.escalateAfter || (parseInt(process.env.APPROVAL_ESCALATION_MINUTES) || 60) * 60 * 1000;
+    this.defaultEscalateTo = options.escalateTo || listFromEnv(process.env.APPROVAL_ESCALATION_ROLES, ["Admin"]);
+
+    this.approvals = new Map();
+    this.waiters = new Map();
+    this.timers = new Map();
+
+    this.load();
+  }
+
+  load() {
+    if (!this.stateStore) return;
+
+    this.stateStore.list("approvals").forEach(approval => {
+      this.approvals.set(approval.id, approval);
+      if (OPEN_STATES.includes(approval.status)) this.scheduleTimers(approval);
+    });
+
+    const open = [...this.approvals.values()].filter(approval => OPEN_STATES.includes(approval.status));
+    this.stateStore.recordRecovery("approvals", { open: open.map(({ id, runId, stepId, status }) => ({ id, runId, stepId, status })) });
+    if (open.length) logger.info(`⏸️ ${open.length} open approval(s) restored`);
+  }
+
+  persist(approval) {
+    this.stateStore?.put("approvals", approval.id, approval);
+  }
+
+  // ======================================================================
+  // REQUEST & WAIT
+  // ======================================================================
+
+  /**
+   * Open an approval; an open approval for the same run step is reused
+   * (a run resumed after restart re-enters its approval step)
+   */
+  request({ runId, workflowId, stepId, title, details = {}, roles, escalateAfter, escalateTo, expireAfter = null, requestedBy = "system" }) {
+    const existing = [...this.approvals.values()].find(a => a.runId === runId && a.stepId === stepId && OPEN_STATES.includes(a.status));
+    if (existing) return existing;
+
+    const now = Date.now();
+    const approval = {
+      id: `apr-${uuidv4()}`,
+      runId,
+      workflowId,
+      stepId,
+      title: title || `Approval required: ${workflowId}/${stepId}`,
+      details,
+      status: "pending",
+      approverRoles: roles?.length ? roles : this.defaultRoles,
+      escalateTo: escalateTo?.length ? escalateTo : this.defaultEscalateTo,
+      requestedBy,
+      requestedAt: new Date(now).toISOString(),
+      escalateAt: new Date(now + (escalateAfter || this.defaultEscalateAfter)).toISOString(),
+      expireAfter,
+      escalatedAt: null,
+      expiresAt: null,
+      decision: null
+    };
+
+    this.approvals.set(approval.id, approval);
+    this.persist(approval);
+    this.scheduleTimers(approval);
+
+    this.auditLogger?.appendAudit?.({
+      type: "approval_requested",
+      approvalId: approval.id,
+      runId,
+      workflowId,
+      stepId,
+      title: approval.title,
+      approverRoles: approval.approverRoles,
+      requestedBy
+    });
+    this.emit("approval/requested", approval);
+    logger.info(`⏸️ Approval requested: ${approval.title} (${approval.approverRoles.join(", ")})`);
+
+    return approval;
+  }
+
+  /**
+   * Resolves with the approval once it is decided, expired or withdrawn
+   */
+  waitFor(approvalId) {
+    const approval = this.getOrThrow(approvalId);
+    if (!OPEN_STATES.includes(approval.status)) return Promise.resolve(approval);
+
+    return new Promise(resolve => {
+      const waiters = this.waiters.get(approvalId) || [];
+      waiters.push(resolve);
+      this.waiters.set(approvalId, waiters);
+    });
+  }
+
+  settle(approval) {
+    clearTimeout(this.timers.get(approval.id));
+    this.timers.delete(approval.id);
+    this.persist(approval);
+
+    (this.waiters.get(approval.id) || []).forEach(resolve => resolve(approval));
+    this.waiters.delete(approval.id);
+    this.pruneClosed();
+  }
+
+  pruneClosed() {
+    const closed = [...this.approvals.values()]
+      .filter(approval => !OPEN_STATES.includes(approval.status))
+      .sort((a, b) => Date.parse(a.requestedAt) - Date.parse(b.requestedAt));
+
+    closed.slice(0, Math.max(0, closed.length - MAX_CLOSED_APPROVALS)).forEach(approval => {
+      this.approvals.delete(approval.id);
+      this.stateStore?.delete("approvals", approval.id);
+    });
+  }
+
+  // ======================================================================
+  // DECISIONS
+  // ======================================================================
+
+  /**
+   * @param {Object} decision - { decision: "approved"|"rejected", comment, user }
+   */
+  decide(approvalId, { decision, comment, user }) {
+    comment = String(comment ?? "");
+    const approval = this.getOrThrow(approvalId);
+    if (!OPEN_STATES.includes(approval.status)) {
+      throw new AppError(`Approval is already ${approval.status}`, 409);
+    }
+    if (!["approved", "rejected"].includes(decision)) {
+      throw new AppError("Decision must be approved or rejected", 400);
+    }
+    if (decision === "rejected" && !comment.trim()) {
+      throw new AppError("A rejection needs a comment", 400);
+    }
+    if (!user || user.authMethod === "anonymous") {
+      throw new AppError("Authentication required to decide approvals", 401);
+    }
+    if (user.id === approval.requestedBy) {
+      throw new AppError("Separation of duties: the user who started the workflow cannot approve it", 403);
+    }
+
+    const allowedRoles = this.allowedRoles(approval);
+    if (!this.isApprover(user, allowedRoles)) {
+      this.accessControl?.recordDenial(user, `approval:${approval.workflowId}:${approval.stepId}`, { approvalId, allowedRoles });
+      throw new AppError(`Approval requires one of the roles: ${allowedRoles.join(", ")}`, 403);
+    }
+
+    approval.status = decision;
+    approval.decision = {
+      decision,
+      approver: user.id,
+      approverName: user.name || user.id,
+      approverRoles: AccessControl.rolesOf(user),
+      comment,
+      escalated: !!approval.escalatedAt,
+      decidedAt: new Date().toISOString()
+    };
+    this.settle(approval);
+
+    this.auditLogger?.appendAudit?.({
+      type: "approval_decided",
+      approvalId,
+      runId: approval.runId,
+      workflowId: approval.workflowId,
+      stepId: approval.stepId,
+      ...approval.decision
+    });
+    this.emit("approval/decided", approval);
+    logger.info(`✅ Approval ${approvalId} ${decision} by ${user.id}`);
+
+    return approval;
+  }
+
+  allowedRoles(approval) {
+    return approval.escalatedAt ? [...new Set([...approval.approverRoles, ...approval.escalateTo])] : approval.approverRoles;
+  }
+
+  isApprover(user, allowedRoles) {
+    if (!this.accessControl) {
+      return AccessControl.rolesOf(user).some(role => allowedRoles.includes(role));
+    }
+    if (this.accessControl.isSuperuser(user)) return true;
+
+    const effective = this.accessControl.resolveRoles(user);
+    return allowedRoles.some(role => effective.includes(this.accessControl.aliases[role] || role));
+  }
+
+  /**
+   * Run cancelled while waiting
+   */
+  withdraw(approvalId, reason) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval || !OPEN_STATES.includes(approval.status)) return null;
+
+    approval.status = "withdrawn";
+    approval.decision = { decision: "withdrawn", comment: reason, decidedAt: new Date().toISOString() };
+    this.settle(approval);
+    this.auditLogger?.appendAudit?.({ type: "approval_withdrawn", approvalId, runId: approval.runId, reason });
+    this.emit("approval/decided", approval);
+    return approval;
+  }
+
+  // ======================================================================
+  // ESCALATION & EXPIRY
+  // ======================================================================
+
+  scheduleTimers(approval) {
+    clearTimeout(this.timers.get(approval.id));
+
+    const [action, at] = approval.status === "pending"
+      ? [() => this.escalate(approval.id), Date.parse(approval.escalateAt)]
+      : [() => this.expire(approval.id), approval.expiresAt ? Date.parse(approval.expiresAt) : null];
+    if (at === null) return;
+
+    const timer = setTimeout(action, Math.max(0, at - Date.now()));
+    timer.unref?.();
+    this.timers.set(approval.id, timer);
+  }
+
+  escalate(approvalId) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval || approval.status !== "pending") return;
+
+    approval.status = "escalated";
+    approval.escalatedAt = new Date().toISOString();
+    if (approval.expireAfter) {
+      approval.expiresAt = new Date(Date.now() + approval.expireAfter).toISOString();
+    }
+    this.persist(approval);
+    this.scheduleTimers(approval);
+
+    this.auditLogger?.appendAudit?.({
+      type: "approval_escalated",
+      approvalId,
+      runId: approval.runId,
+      workflowId: approval.workflowId,
+      stepId: approval.stepId,
+      escalateTo: approval.escalateTo
+    });
+    this.emit("approval/escalated", approval);
+    logger.warn(`⏫ Approval ${approvalId} escalated to ${approval.escalateTo.join(", ")}`);
+  }
+
+  expire(approvalId) {
+    const approval = this.approvals.get(approvalId);
+    if (!approval || approval.status !== "escalated") return;
+
+    approval.status = "expired";
+    approval.decision = { decision: "expired", comment: "No decision before expiry", decidedAt: new Date().toISOString() };
+    this.settle(approval);
+
+    this.auditLogger?.appendAudit?.({ type: "approval_expired", approvalId, runId: approval.runId, stepId: approval.stepId });
+    this.emit("approval/decided", approval);
+    logger.warn(`⌛ Approval ${approvalId} expired`);
+  }
+
+  // ======================================================================
+  // QUERIES
+  // ======================================================================
+
+  get(approvalId) {
+    return this.approvals.get(approvalId) || null;
+  }
+
+  getOrThrow(approvalId) {
+    const approval = this.get(approvalId);
+    if (!approval) throw new AppError(`Approval not found: ${approvalId}`, 404);
+    return approval;
+  }
+
+  /**
+   * @param {string} status - "open" (pending + escalated), a single status or "all"
+   */
+  list(status = "open") {
+    return [...this.approvals.values()]
+      .filter(approval => status === "all" || (status === "open" ? OPEN_STATES.includes(approval.status) : approval.status === status))
+      .sort((a, b) => Date.parse(b.requestedAt) - Date.parse(a.requestedAt))
+      .map(approval => this.describe(approval));
+  }
+
+  describe(approval) {
+    return { ...approval, allowedRoles: this.allowedRoles(approval) };
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  emit(eventType, approval) {
+    this.eventBusManager?.emit?.(eventType, {
+      approvalId: approval.id,
+      runId: approval.runId,
+      workflowId: approval.workflowId,
+      stepId: approval.stepId,
+      title: approval.title,
+      status: approval.status,
+      allowedRoles: this.allowedRoles(approval),
+      decision: approval.decision,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default ApprovalManager;
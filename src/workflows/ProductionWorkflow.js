@@ -5,15 +5,25 @@
  * 
  * Replaces chaotic event chains with controlled A2A workflows
  * URS-compliant pharmaceutical production orchestration
+ * Release decisions are routed to electronic signature (21 CFR Part 11)
+ * when a SignatureManager is attached
+ * 
+ * Durable state: with a StateStore attached every step is written to
+ * the "workflows" collection. Workflows found running on boot are marked
+ * "interrupted" and can be resumed from the last completed step.
  * 
  * Developer: Markus Schmeckenbecher
- * Version: 1.0.0
+ * Version: 1.2.0
  * ========================================================================
  */
 
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
 export class ProductionWorkflow {
-  constructor(a2aManager) {
+  constructor(a2aManager, options = {}) {
     this.a2a = a2aManager;
+    this.signatureManager = options.signatureManager || null;
+    this.stateStore = null;
     this.activeWorkflows = new Map();
     this.workflowStats = {
       total: 0,
@@ -23,6 +33,72 @@ export class ProductionWorkflow {
     };
     
     console.log("🔗 ProductionWorkflow initialized");
+
+    if (options.stateStore) {
+      this.setStateStore(options.stateStore);
+    }
+  }
+
+  // ===============================================================
+  // DURABLE STATE
+  // ===============================================================
+
+  /**
+   * Attach the state store and recover workflows from the last run
+   */
+  setStateStore(stateStore) {
+    if (this.stateStore === stateStore) return;
+    this.stateStore = stateStore;
+
+    const stats = stateStore.get('workflow_stats', 'production');
+    if (stats) {
+      this.workflowStats = { ...this.workflowStats, ...stats };
+    }
+
+    const recovered = [];
+    let discarded = 0;
+
+    stateStore.list('workflows').forEach(workflow => {
+      if (FINISHED_STATES.includes(workflow.status)) {
+        // Finished before the restart - cleanup timer did not run
+        stateStore.delete('workflows', workflow.id);
+        discarded++;
+        return;
+      }
+
+      if (workflow.status !== 'interrupted') {
+        workflow.interruptedStatus = workflow.status;
+        workflow.status = 'interrupted';
+        workflow.interruptedAt = new Date().toISOString();
+      }
+      this.activeWorkflows.set(workflow.id, workflow);
+      this.persistWorkflow(workflow);
+      recovered.push({
+        id: workflow.id,
+        orderId: workflow.orderId,
+        interruptedStatus: workflow.interruptedStatus,
+        completedSteps: workflow.steps.length,
+        totalSteps: workflow.totalSteps
+      });
+    });
+
+    stateStore.recordRecovery('workflows', { interrupted: recovered, discardedFinished: discarded });
+    if (recovered.length > 0) {
+      console.log(`♻️ Recovered ${recovered.length} interrupted workflow(s) - resume via /api/system/state`);
+    }
+  }
+
+  persistWorkflow(workflow) {
+    this.stateStore?.put('workflows', workflow.id, workflow);
+  }
+
+  forgetWorkflow(workflowId) {
+    this.activeWorkflows.delete(workflowId);
+    this.stateStore?.delete('workflows', workflowId);
+  }
+
+  persistStats() {
+    this.stateStore?.put('workflow_stats', 'production', this.workflowStats);
   }
 
   /**
@@ -44,61 +120,108 @@ export class ProductionWorkflow {
 
     this.activeWorkflows.set(workflowId, workflow);
     this.workflowStats.total++;
+    this.persistWorkflow(workflow);
+    this.persistStats();
 
-    try {
-      console.log(`🚀 Starting A2A workflow ${workflowId} for order ${orderId}`);
+    console.log(`🚀 Starting A2A workflow ${workflowId} for order ${orderId}`);
+    return this.runWorkflow(workflow);
+  }
 
-      // ===============================================================
-      // STEP 1: COMPLIANCE VALIDATION
-      // ===============================================================
-      workflow.currentStep = 1;
-      workflow.status = 'compliance_check';
-      
-      console.log(`📋 Step 1/3: Compliance validation for ${orderId}`);
-      
-      const complianceResult = await this.executeComplianceCheck(orderId, orderData);
-      
-      workflow.steps.push({
-        stepNumber: 1,
-        name: 'compliance_validation',
-        status: 'completed',
-        result: complianceResult,
-        duration: Date.now() - workflow.startTime,
-        timestamp: new Date().toISOString()
-      });
+  /**
+   * Continue an interrupted workflow after the last completed step
+   */
+  async resumeWorkflow(workflowId) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+    if (workflow.status !== 'interrupted') {
+      throw new Error(`Workflow ${workflowId} is ${workflow.status}, only interrupted workflows can be resumed`);
+    }
 
+    workflow.status = 'running';
+    workflow.resumedAt = new Date().toISOString();
+    workflow.resumeCount = (workflow.resumeCount || 0) + 1;
+    this.persistWorkflow(workflow);
+
+    console.log(`♻️ Resuming A2A workflow ${workflowId} after step ${workflow.steps.length}/${workflow.totalSteps}`);
+    return this.runWorkflow(workflow);
+  }
+
+  /**
+   * Resume every interrupted workflow (WORKFLOW_RESUME_ON_BOOT=true)
+   */
+  async resumeInterruptedWorkflows() {
+    const interrupted = Array.from(this.activeWorkflows.values()).filter(w => w.status === 'interrupted');
+    return Promise.allSettled(interrupted.map(workflow => this.resumeWorkflow(workflow.id)));
+  }
+
+  /**
+   * Execute the workflow steps; steps already recorded are skipped
+   */
+  async runWorkflow(workflow) {
+    const { id: workflowId, orderId, orderData } = workflow;
+    const completedStep = (stepNumber) => workflow.steps.find(s => s.stepNumber === stepNumber);
+
+    try {
       // ===============================================================
-      // STEP 2: CONDITIONAL BATCH ASSESSMENT
+      // STEP 1: COMPLIANCE VALIDATION
       // ===============================================================
-      workflow.currentStep = 2;
-      workflow.status = 'assessment_check';
-
-      let assessmentResult = null;
-      
-      if (this.requiresBatchAssessment(complianceResult)) {
-        console.log(`🔬 Step 2/3: Batch assessment required for ${orderId}`);
+      if (!completedStep(1)) {
+        workflow.currentStep = 1;
+        workflow.status = 'compliance_check';
+        this.persistWorkflow(workflow);
+        
+        console.log(`📋 Step 1/3: Compliance validation for ${orderId}`);
         
-        assessmentResult = await this.executeBatchAssessment(orderId, complianceResult);
+        const complianceResult = await this.executeComplianceCheck(orderId, orderData, workflowId);
         
         workflow.steps.push({
-          stepNumber: 2,
-          name: 'batch_assessment',
+          stepNumber: 1,
+          name: 'compliance_validation',
           status: 'completed',
-          result: assessmentResult,
+          result: complianceResult,
           duration: Date.now() - workflow.startTime,
           timestamp: new Date().toISOString()
         });
-      } else {
-        console.log(`✅ Step 2/3: Batch assessment skipped - no critical findings`);
+      }
+
+      // ===============================================================
+      // STEP 2: CONDITIONAL BATCH ASSESSMENT
+      // ===============================================================
+      if (!completedStep(2)) {
+        workflow.currentStep = 2;
+        workflow.status = 'assessment_check';
+        this.persistWorkflow(workflow);
+
+        const complianceResult = completedStep(1).result;
+        let assessmentResult = null;
         
-        workflow.steps.push({
-          stepNumber: 2,
-          name: 'batch_assessment',
-          status: 'skipped',
-          reason: 'No critical compliance findings',
-          duration: Date.now() - workflow.startTime,
-          timestamp: new Date().toISOString()
-        });
+        if (this.requiresBatchAssessment(complianceResult)) {
+          console.log(`🔬 Step 2/3: Batch assessment required for ${orderId}`);
+          
+          assessmentResult = await this.executeBatchAssessment(orderId, complianceResult, workflowId);
+          
+          workflow.steps.push({
+            stepNumber: 2,
+            name: 'batch_assessment',
+            status: 'completed',
+            result: assessmentResult,
+            duration: Date.now() - workflow.startTime,
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          console.log(`✅ Step 2/3: Batch assessment skipped - no critical findings`);
+          
+          workflow.steps.push({
+            stepNumber: 2,
+            name: 'batch_assessment',
+            status: 'skipped',
+            reason: 'No critical compliance findings',
+            duration: Date.now() - workflow.startTime,
+            timestamp: new Date().toISOString()
+          });
+        }
       }
 
       // ===============================================================
@@ -106,6 +229,7 @@ export class ProductionWorkflow {
       // ===============================================================
       workflow.currentStep = 3;
       workflow.status = 'status_update';
+      this.persistWorkflow(workflow);
       
       console.log(`📊 Step 3/3: Final status update for ${orderId}`);
       
@@ -133,16 +257,22 @@ export class ProductionWorkflow {
       this.updateAverageDuration(workflow.duration);
 
       console.log(`✅ A2A workflow ${workflowId} completed in ${workflow.duration}ms - Status: ${finalStatus}`);
+
+      const signatureRequest = this.requestReleaseSignature(workflow);
+      this.persistWorkflow(workflow);
+      this.persistStats();
       
-      // Cleanup after 5 minutes
+      // Cleanup after 5 minutes (does not keep the process alive)
       setTimeout(() => {
-        this.activeWorkflows.delete(workflowId);
-      }, 300000);
+        this.forgetWorkflow(workflowId);
+      }, 300000).unref?.();
 
       return {
         workflowId,
         orderId,
         finalStatus,
+        releaseStatus: signatureRequest ? 'PENDING_SIGNATURE' : finalStatus,
+        signatureRequestId: signatureRequest?.requestId || null,
         duration: workflow.duration,
         steps: workflow.steps.length,
         summary: this.generateWorkflowSummary(workflow),
@@ -156,10 +286,11 @@ export class ProductionWorkflow {
       workflow.failedAt = new Date().toISOString();
 
       this.workflowStats.failed++;
+      this.persistStats();
 
       console.error(`❌ A2A workflow ${workflowId} failed:`, error.message);
       
-      this.activeWorkflows.delete(workflowId);
+      this.forgetWorkflow(workflowId);
       
       throw new Error(`Workflow ${workflowId} failed: ${error.message}`);
     }
@@ -168,7 +299,7 @@ export class ProductionWorkflow {
   /**
    * Execute Compliance Check via A2A
    */
-  async executeComplianceCheck(orderId, orderData) {
+  async executeComplianceCheck(orderId, orderData, workflowId = null) {
     try {
       return await this.a2a.requestService(
         'complianceAgent',
@@ -178,7 +309,8 @@ export class ProductionWorkflow {
           orderData,
           checkType: 'full_compliance',
           requiredStandards: ['GMP', 'FDA', 'EMA']
-        }
+        },
+        { workflowId }
       );
     } catch (error) {
       console.error(`Compliance check failed for ${orderId}:`, error.message);
@@ -194,7 +326,7 @@ export class ProductionWorkflow {
   /**
    * Execute Batch Assessment via A2A
    */
-  async executeBatchAssessment(orderId, complianceFindings) {
+  async executeBatchAssessment(orderId, complianceFindings, workflowId = null) {
     try {
       return await this.a2a.requestService(
         'assessmentAgent',
@@ -204,7 +336,8 @@ export class ProductionWorkflow {
           complianceFindings,
           assessmentScope: 'critical_impact',
           timeframe: '24h'
-        }
+        },
+        { workflowId }
       );
     } catch (error) {
       console.error(`Batch assessment failed for ${orderId}:`, error.message);
@@ -231,7 +364,8 @@ export class ProductionWorkflow {
           finalStatus,
           workflowSummary: this.generateWorkflowSummary(workflow),
           updateType: 'workflow_completion'
-        }
+        },
+        { workflowId: workflow.id }
       );
     } catch (error) {
       console.error(`Status update failed for ${orderId}:`, error.message);
@@ -244,6 +378,18 @@ export class ProductionWorkflow {
     }
   }
 
+  /**
+   * Text of an A2A step result - agents answer with plain text (wrapped
+   * by AgentManager as { result }) or with their own JSON
+   */
+  resultText(stepResult) {
+    const result = stepResult?.result;
+    if (result === undefined || result === null) return '';
+    if (typeof result === 'string') return result;
+    if (typeof result.result === 'string') return result.result;
+    return JSON.stringify(result);
+  }
+
   /**
    * Determine if batch assessment is required based on compliance results
    */
@@ -252,7 +398,7 @@ export class ProductionWorkflow {
       return true; // Assess if uncertain
     }
 
-    const result = complianceResult.result;
+    const result = this.resultText(complianceResult);
     const criticalKeywords = ['CRITICAL', 'BLOCKED', 'NON-COMPLIANT', 'QUARANTINE', 'HIGH RISK'];
     
     return criticalKeywords.some(keyword => 
@@ -268,16 +414,13 @@ export class ProductionWorkflow {
     const assessmentStep = workflow.steps.find(s => s.name === 'batch_assessment');
 
     // If compliance failed
-    if (complianceStep && complianceStep.result && 
-        complianceStep.result.result && 
-        complianceStep.result.result.includes('BLOCKED')) {
+    if (complianceStep && this.resultText(complianceStep.result).includes('BLOCKED')) {
       return 'BLOCKED';
     }
 
     // If assessment was done and found issues
     if (assessmentStep && assessmentStep.status === 'completed' &&
-        assessmentStep.result && assessmentStep.result.result &&
-        assessmentStep.result.result.includes('BLOCK')) {
+        this.resultText(assessmentStep.result).includes('BLOCK')) {
       return 'BLOCKED';
     }
 
@@ -291,10 +434,10 @@ export class ProductionWorkflow {
     }
 
     // Check for delays or warnings
-    const hasWarnings = workflow.steps.some(step =>
-      step.result && step.result.result && 
-      (step.result.result.includes('DELAYED') || step.result.result.includes('WARNING'))
-    );
+    const hasWarnings = workflow.steps.some(step => {
+      const text = this.resultText(step.result);
+      return text.includes('DELAYED') || text.includes('WARNING');
+    });
 
     if (hasWarnings) {
       return 'DELAYED';
@@ -303,6 +446,40 @@ export class ProductionWorkflow {
     return 'APPROVED';
   }
 
+  /**
+   * Open a signature request for the release decision
+   * The decision only becomes effective once reviewed and approved.
+   */
+  requestReleaseSignature(workflow) {
+    if (!this.signatureManager) return null;
+
+    try {
+      const request = this.signatureManager.createRequest({
+        recordType: 'batch_release',
+        recordId: workflow.orderId,
+        summary: `Release decision ${workflow.finalStatus} for order ${workflow.orderId}`,
+        record: {
+          workflowId: workflow.id,
+          orderId: workflow.orderId,
+          decision: workflow.finalStatus,
+          steps: workflow.steps.map(step => ({
+            name: step.name,
+            status: step.status,
+            result: step.result?.result ?? null
+          })),
+          decidedAt: workflow.completedAt
+        },
+        requiredMeanings: ['reviewed', 'approved'],
+        requestedBy: 'ProductionWorkflow'
+      });
+      workflow.signatureRequestId = request.requestId;
+      return request;
+    } catch (error) {
+      console.error(`❌ Signature request for ${workflow.orderId} failed:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Generate workflow summary
    */
@@ -326,14 +503,15 @@ export class ProductionWorkflow {
     const findings = [];
     
     workflow.steps.forEach(step => {
-      if (step.result && step.result.result) {
-        if (step.result.result.includes('CRITICAL')) {
+      const text = this.resultText(step.result);
+      if (text) {
+        if (text.includes('CRITICAL')) {
           findings.push(`${step.name}: Critical issue detected`);
         }
-        if (step.result.result.includes('QUARANTINE')) {
+        if (text.includes('QUARANTINE')) {
           findings.push(`${step.name}: Quarantine status identified`);
         }
-        if (step.result.result.includes('COMPLIANCE')) {
+        if (text.includes('COMPLIANCE')) {
           findings.push(`${step.name}: Compliance validation completed`);
         }
       }
@@ -404,7 +582,9 @@ export class ProductionWorkflow {
       currentStep: workflow.currentStep,
       totalSteps: workflow.totalSteps,
       duration: Date.now() - workflow.startTime,
-      startTime: workflow.startTime
+      startTime: workflow.startTime,
+      interruptedAt: workflow.interruptedAt || null,
+      resumedAt: workflow.resumedAt || null
     }));
   }
 
@@ -418,7 +598,7 @@ export class ProductionWorkflow {
       workflow.cancelReason = reason;
       workflow.duration = Date.now() - workflow.startTime;
       
-      this.activeWorkflows.delete(workflowId);
+      this.forgetWorkflow(workflowId);
       console.log(`🚫 Workflow ${workflowId} cancelled: ${reason}`);
       
       return true;
@@ -0,0 +1,282 @@
+/**
+ * ========================================================================
+ * WORKFLOW DEFINITIONS - YAML LOADER WITH HOT RELOAD
+ * ========================================================================
+ *
+ * Loads declarative workflows from config/workflows/*.yaml, validates
+ * them and watches the directory. A file that fails validation keeps its
+ * previous version active; runs already started keep the definition they
+ * started with.
+ *
+ * Step kinds (exactly one per step):
+ *   agent + action   A2A request to a specific agent
+ *   capability       A2A request to the least loaded agent offering it
+ *   parallel: [...]  Child steps run concurrently
+ *   steps: [...]     Child steps run in order (a branch inside parallel)
+ *   evaluate         First matching case -> output value
+ *   approval         Pause until a user approves/rejects (ApprovalManager):
+ *                    { title, roles, details, escalateAfter, escalateTo,
+ *                      expireAfter } - times in ms
+ *
+ * Common step fields: when, input, timeout (ms), retry { attempts,
+ * delay, backoff }, onError (fail | continue), compensate { agent,
+ * action | capability, input }
+ *
+ * Environment defaults:
+ *  - WORKFLOW_DEFINITIONS_DIR  (default: config/workflows)
+ *  - WORKFLOW_HOT_RELOAD       (default: true)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.1.0
+ * ========================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { AppError } from "../utils/errorHandler.js";
+import { validateCondition } from "./workflowExpressions.js";
+import logger from "../utils/logger.js";
+
+export class WorkflowDefinitions {
+  constructor({ dir = process.env.WORKFLOW_DEFINITIONS_DIR || "config/workflows", eventBusManager = null, hotReload = process.env.WORKFLOW_HOT_RELOAD !== "false" } = {}) {
+    this.dir = path.resolve(dir);
+    this.eventBusManager = eventBusManager;
+    this.hotReload = hotReload;
+    this.definitions = new Map();
+    this.fileErrors = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  // ======================================================================
+  // LOADING
+  // ======================================================================
+
+  load() {
+    if (!fs.existsSync(this.dir)) {
+      logger.warn(`Workflow definitions directory not found: ${this.dir}`);
+      return this.definitions.size;
+    }
+
+    const files = fs.readdirSync(this.dir).filter(f => f.endsWith(".yaml") || f.endsWith(".yml"));
+    const seen = new Set();
+
+    for (const file of files) {
+      try {
+        const definition = this.parse(yaml.load(fs.readFileSync(path.join(this.dir, file), "utf8")), file);
+        if (seen.has(definition.id)) {
+          throw new Error(`duplicate workflow id ${definition.id}`);
+        }
+        seen.add(definition.id);
+
+        const previous = this.definitions.get(definition.id);
+        if (previous && previous.hash !== definition.hash) {
+          definition.revision = previous.revision + 1;
+          logger.info(`🔄 Workflow ${definition.id} reloaded (revision ${definition.revision})`);
+        } else if (previous) {
+          definition.revision = previous.revision;
+        }
+        this.definitions.set(definition.id, definition);
+        this.fileErrors.delete(file);
+      } catch (error) {
+        this.fileErrors.set(file, error.message);
+        const kept = [...this.definitions.values()].find(d => d.file === file);
+        if (kept) seen.add(kept.id);
+        logger.error(`Invalid workflow definition ${file}: ${error.message}${kept ? " - keeping previous version" : ""}`);
+      }
+    }
+
+    // Definitions whose file was removed
+    for (const [id, definition] of this.definitions) {
+      if (!seen.has(id)) {
+        this.definitions.delete(id);
+        logger.info(`Workflow ${id} removed (${definition.file} deleted)`);
+      }
+    }
+
+    logger.info(`📋 Loaded ${this.definitions.size} workflow definition(s) from ${this.dir}`);
+    return this.definitions.size;
+  }
+
+  /**
+   * Reload on file changes (debounced; editors write files in several steps)
+   */
+  watch() {
+    if (!this.hotReload || this.watcher || !fs.existsSync(this.dir)) return;
+
+    try {
+      this.watcher = fs.watch(this.dir, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), 300);
+      });
+      logger.info(`👀 Watching ${this.dir} for workflow changes`);
+    } catch (error) {
+      logger.warn(`Workflow hot reload unavailable: ${error.message}`);
+    }
+  }
+
+  reload() {
+    const count = this.load();
+    this.eventBusManager?.emit?.("workflow/definitions.reloaded", {
+      definitions: count,
+      errors: Object.fromEntries(this.fileErrors),
+      timestamp: new Date().toISOString()
+    });
+    return { definitions: count, errors: Object.fromEntries(this.fileErrors) };
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  // ======================================================================
+  // VALIDATION
+  // ======================================================================
+
+  parse(raw, file) {
+    if (!raw || typeof raw !== "object") throw new Error("empty or not a mapping");
+    if (!raw.id || typeof raw.id !== "string") throw new Error("id is required");
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) throw new Error("steps must be a non-empty list");
+
+    const stepIds = new Set();
+    const steps = raw.steps.map((step, index) => this.parseStep(step, `steps[${index}]`, stepIds));
+
+    return {
+      id: raw.id,
+      name: raw.name || raw.id,
+      description: raw.description || "",
+      version: raw.version || 1,
+      revision: 1,
+      file,
+      hash: JSON.stringify(raw),
+      requiredInput: raw.input?.required || [],
+      timeout: raw.timeout || null,
+      steps,
+      loadedAt: new Date().toISOString()
+    };
+  }
+
+  parseStep(raw, where, stepIds) {
+    if (!raw || typeof raw !== "object") throw new Error(`${where}: step must be a mapping`);
+    if (!raw.id) throw new Error(`${where}: id is required`);
+    if (stepIds.has(raw.id)) throw new Error(`${where}: duplicate step id ${raw.id}`);
+    stepIds.add(raw.id);
+    where = `step ${raw.id}`;
+
+    const kinds = [
+      raw.agent || raw.action ? "action" : null,
+      raw.capability ? "capability" : null,
+      raw.parallel ? "parallel" : null,
+      raw.steps ? "sequence" : null,
+      raw.evaluate ? "evaluate" : null,
+      raw.approval ? "approval" : null
+    ].filter(Boolean);
+    if (kinds.length !== 1) throw new Error(`${where}: needs exactly one of agent+action, capability, parallel, steps, evaluate, approval`);
+
+    const step = {
+      id: raw.id,
+      name: raw.name || raw.id,
+      kind: kinds[0],
+      when: raw.when,
+      input: raw.input || {},
+      timeout: raw.timeout || null,
+      retry: {
+        attempts: Math.max(1, raw.retry?.attempts || 1),
+        delay: raw.retry?.delay ?? 1000,
+        backoff: raw.retry?.backoff || 2
+      },
+      onError: raw.onError || "fail",
+      compensate: raw.compensate || null
+    };
+
+    const conditionError = validateCondition(raw.when, `${where}.when`);
+    if (conditionError) throw new Error(conditionError);
+    if (!["fail", "continue"].includes(step.onError)) throw new Error(`${where}: onError must be fail or continue`);
+
+    if (step.kind === "action") {
+      if (!raw.agent || !raw.action) throw new Error(`${where}: agent and action are both required`);
+      step.agent = raw.agent;
+      step.action = raw.action;
+    } else if (step.kind === "capability") {
+      step.capability = raw.capability;
+    } else if (step.kind === "parallel" || step.kind === "sequence") {
+      const children = raw.parallel || raw.steps;
+      if (!Array.isArray(children) || children.length === 0) throw new Error(`${where}: ${step.kind} needs a non-empty list`);
+      step.children = children.map((child, index) => this.parseStep(child, `${where}[${index}]`, stepIds));
+    } else if (step.kind === "evaluate") {
+      if (!Array.isArray(raw.evaluate.cases)) throw new Error(`${where}: evaluate needs cases`);
+      raw.evaluate.cases.forEach((item, index) => {
+        const error = validateCondition(item.when, `${where}.cases[${index}].when`);
+        if (error) throw new Error(error);
+      });
+      step.evaluate = { cases: raw.evaluate.cases, default: raw.evaluate.default ?? null };
+    } else if (step.kind === "approval") {
+      const { roles, escalateTo } = raw.approval;
+      if (roles !== undefined && !Array.isArray(roles)) throw new Error(`${where}: approval.roles must be a list`);
+      if (escalateTo !== undefined && !Array.isArray(escalateTo)) throw new Error(`${where}: approval.escalateTo must be a list`);
+      if (raw.retry || raw.compensate) throw new Error(`${where}: approval steps cannot retry or compensate`);
+      step.approval = raw.approval;
+    }
+
+    if (step.compensate && !(step.compensate.capability || (step.compensate.agent && step.compensate.action))) {
+      throw new Error(`${where}: compensate needs agent+action or capability`);
+    }
+
+    return step;
+  }
+
+  // ======================================================================
+  // QUERIES
+  // ======================================================================
+
+  get(id) {
+    return this.definitions.get(id) || null;
+  }
+
+  getOrThrow(id) {
+    const definition = this.get(id);
+    if (!definition) throw new AppError(`Workflow definition not found: ${id}`, 404);
+    return definition;
+  }
+
+  describe(definition) {
+    const outline = (steps) => steps.map(step => ({
+      id: step.id,
+      name: step.name,
+      kind: step.kind,
+      target: step.kind === "action" ? `${step.agent}.${step.action}` : step.capability || null,
+      conditional: step.when !== undefined,
+      retries: step.retry.attempts - 1,
+      timeout: step.timeout,
+      compensated: !!step.compensate,
+      ...(step.approval ? { approverRoles: step.approval.roles || null } : {}),
+      ...(step.children ? { steps: outline(step.children) } : {})
+    }));
+
+    return {
+      id: definition.id,
+      name: definition.name,
+      description: definition.description,
+      version: definition.version,
+      revision: definition.revision,
+      file: definition.file,
+      requiredInput: definition.requiredInput,
+      timeout: definition.timeout,
+      loadedAt: definition.loadedAt,
+      steps: outline(definition.steps)
+    };
+  }
+
+  list() {
+    return [...this.definitions.values()].map(definition => this.describe(definition));
+  }
+
+  getErrors() {
+    return Object.fromEntries(this.fileErrors);
+  }
+}
+
+export default WorkflowDefinitions;
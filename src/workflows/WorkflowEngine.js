@@ -0,0 +1,622 @@
+/**
+ * ========================================================================
+ * WORKFLOW ENGINE - DECLARATIVE A2A ORCHESTRATION
+ * ========================================================================
+ *
+ * Executes YAML workflow definitions (see WorkflowDefinitions) as runs:
+ * - Steps call A2A capabilities; input templates read the run input
+ *   and earlier step outputs ({{steps.<id>.output...}})
+ * - Conditions (when), parallel branches, retries with backoff,
+ *   step and workflow timeouts (time spent waiting for an approval or
+ *   paused does not count against the workflow timeout)
+ * - Compensation: when a run fails or is cancelled, the compensate
+ *   action of every completed step runs in reverse order
+ * - Approval steps pause the run ("waiting_approval") until a user
+ *   decides via the ApprovalManager; a rejection fails the step
+ * - Pause/resume: a paused run stops before its next step; interrupted
+ *   runs resume after their last completed step
+ *
+ * Runs and per-step timing are written to the StateStore
+ * ("workflow_runs"). On boot, runs waiting for an approval or paused
+ * continue waiting; runs that were executing are marked interrupted.
+ *
+ * Environment defaults:
+ *  - WORKFLOW_STEP_TIMEOUT_MS    (default: 30000)
+ *  - WORKFLOW_MAX_FINISHED_RUNS  (default: 200; interrupted runs are kept)
+ *
+ * Developer: Markus Schmeckenbecher
+ * Version: 1.2.0
+ * ========================================================================
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { AppError } from "../utils/errorHandler.js";
+import { resolveTemplate, evaluateCondition } from "./workflowExpressions.js";
+import logger from "../utils/logger.js";
+
+const FINISHED_STATES = ["completed", "failed", "cancelled", "interrupted"];
+const CANCELLABLE_STATES = ["running", "waiting_approval", "paused"];
+// interrupted runs stay until they are resumed
+const PRUNABLE_STATES = ["completed", "failed", "cancelled"];
+
+class RunAbortedError extends Error {}
+
+export class WorkflowEngine {
+  constructor({ a2aManager, definitions, stateStore = null, approvalManager = null, auditLogger = null, eventBusManager = null, options = {} }) {
+    this.a2a = a2aManager;
+    this.definitions = definitions;
+    this.approvalManager = approvalManager;
+    this.stateStore = stateStore;
+    this.auditLogger = auditLogger;
+    this.eventBusManager = eventBusManager;
+
+    this.stepTimeout = options.stepTimeout || parseInt(process.env.WORKFLOW_STEP_TIMEOUT_MS) || 30000;
+    this.maxFinishedRuns = options.maxFinishedRuns || parseInt(process.env.WORKFLOW_MAX_FINISHED_RUNS) || 200;
+
+    this.runs = new Map();
+    this.aborts = new Map();
+    this.completions = new Map();
+    this.resumers = new Map();
+
+    if (stateStore) this.recover();
+  }
+
+  // ======================================================================
+  // RECOVERY & PERSISTENCE
+  // ======================================================================
+
+  recover() {
+    const interrupted = [];
+    const waiting = [];
+
+    this.stateStore.list("workflow_runs").forEach(run => {
+      if (["waiting_approval", "paused"].includes(run.status)) {
+        // Nothing was executing - continued by continueWaitingRuns()
+        this.runs.set(run.id, run);
+        waiting.push({ runId: run.id, workflowId: run.workflowId, status: run.status });
+        return;
+      }
+
+      if (!FINISHED_STATES.includes(run.status)) {
+        run.status = "interrupted";
+        run.finishedAt = new Date().toISOString();
+        run.error = "Server restarted while the run was active";
+        Object.values(run.steps).filter(step => step.status === "running").forEach(step => {
+          step.status = "interrupted";
+        });
+        this.stateStore.put("workflow_runs", run.id, run);
+        interrupted.push({ runId: run.id, workflowId: run.workflowId, startedAt: run.startedAt });
+      }
+      this.runs.set(run.id, run);
+    });
+
+    this.stateStore.recordRecovery("workflowRuns", { loaded: this.runs.size, interrupted, waiting });
+    if (interrupted.length > 0) {
+      logger.warn(`♻️ ${interrupted.length} workflow run(s) interrupted by restart`);
+    }
+  }
+
+  /**
+   * Re-enter the approval / pause point of runs restored from the store;
+   * call once agents are registered (parallel siblings may re-execute)
+   */
+  continueWaitingRuns() {
+    const waiting = [...this.runs.values()].filter(run => ["waiting_approval", "paused"].includes(run.status) && !this.completions.has(run.id));
+    waiting.forEach(run => this.completions.set(run.id, this.execute(run)));
+    return waiting.length;
+  }
+
+  persist(run) {
+    this.stateStore?.put("workflow_runs", run.id, run);
+  }
+
+  pruneFinishedRuns() {
+    const finished = [...this.runs.values()]
+      .filter(run => PRUNABLE_STATES.includes(run.status))
+      .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+
+    finished.slice(0, Math.max(0, finished.length - this.maxFinishedRuns)).forEach(run => {
+      this.runs.delete(run.id);
+      this.stateStore?.delete("workflow_runs", run.id);
+    });
+  }
+
+  // ======================================================================
+  // RUN LIFECYCLE
+  // ======================================================================
+
+  /**
+   * Start a run in the background
+   * @returns {Object} Run summary (status "running")
+   */
+  startRun(workflowId, input = {}, { startedBy = "system" } = {}) {
+    const definition = this.definitions.getOrThrow(workflowId);
+
+    const missing = definition.requiredInput.filter(field => input[field] === undefined || input[field] === null || input[field] === "");
+    if (missing.length) {
+      throw new AppError(`Missing workflow input: ${missing.join(", ")}`, 400);
+    }
+
+    const { hash, ...snapshot } = definition;
+    const run = {
+      id: `run-${uuidv4()}`,
+      workflowId: definition.id,
+      workflowName: definition.name,
+      revision: definition.revision,
+      definition: snapshot,
+      input,
+      status: "running",
+      startedBy,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      steps: {},
+      error: null,
+      compensation: []
+    };
+
+    this.runs.set(run.id, run);
+    this.persist(run);
+    this.auditLogger?.appendAudit?.({ type: "workflow_run_started", runId: run.id, workflowId: run.workflowId, revision: run.revision, startedBy });
+    this.emit("workflow/run.started", run);
+    logger.info(`🚀 Workflow run ${run.id} started (${run.workflowId} r${run.revision})`);
+
+    this.completions.set(run.id, this.execute(run));
+    return this.describeRun(run);
+  }
+
+  /**
+   * Resolves with the run summary once the run has finished
+   */
+  async waitForRun(runId) {
+    await this.completions.get(runId);
+    return this.describeRun(this.getRunOrThrow(runId), true);
+  }
+
+  cancelRun(runId, { reason = "User requested", cancelledBy = "system" } = {}) {
+    const run = this.getRunOrThrow(runId);
+    if (!CANCELLABLE_STATES.includes(run.status)) {
+      throw new AppError(`Run ${runId} is ${run.status}, only active runs can be cancelled`, 409);
+    }
+
+    run.cancellation = { reason, cancelledBy, requestedAt: new Date().toISOString() };
+    this.persist(run);
+    Object.values(run.steps)
+      .filter(step => step.approvalId)
+      .forEach(step => this.approvalManager?.withdraw(step.approvalId, `Run cancelled: ${reason}`));
+    this.abort(run, new RunAbortedError(`Cancelled: ${reason}`));
+    return this.describeRun(run);
+  }
+
+  /**
+   * Stop before the next step; steps already executing finish first
+   */
+  pauseRun(runId, { pausedBy = "system" } = {}) {
+    const run = this.getRunOrThrow(runId);
+    if (!["running", "waiting_approval"].includes(run.status)) {
+      throw new AppError(`Run ${runId} is ${run.status}, only active runs can be paused`, 409);
+    }
+
+    run.pause = { pausedBy, requestedAt: new Date().toISOString() };
+    this.persist(run);
+    this.auditLogger?.appendAudit?.({ type: "workflow_run_paused", runId, workflowId: run.workflowId, pausedBy });
+    return this.describeRun(run);
+  }
+
+  /**
+   * Continue a paused run, or an interrupted run after its last completed step
+   */
+  resumeRun(runId, { resumedBy = "system" } = {}) {
+    const run = this.getRunOrThrow(runId);
+
+    if (run.status === "interrupted") {
+      run.status = "running";
+      run.error = null;
+      run.finishedAt = null;
+      run.durationMs = null;
+      run.resumes = [...(run.resumes || []), { resumedBy, resumedAt: new Date().toISOString() }];
+      this.persist(run);
+      this.completions.set(run.id, this.execute(run));
+    } else if (run.pause) {
+      delete run.pause;
+      run.resumes = [...(run.resumes || []), { resumedBy, resumedAt: new Date().toISOString() }];
+      this.persist(run);
+      this.resumers.get(run.id)?.();
+    } else {
+      throw new AppError(`Run ${runId} is ${run.status}, only paused or interrupted runs can be resumed`, 409);
+    }
+
+    this.auditLogger?.appendAudit?.({ type: "workflow_run_resumed", runId, workflowId: run.workflowId, resumedBy });
+    logger.info(`▶️ Workflow run ${runId} resumed by ${resumedBy}`);
+    return this.describeRun(run);
+  }
+
+  /**
+   * Pause point between steps
+   */
+  async checkpoint(run) {
+    await this.raceAbort(run, Promise.resolve());
+    if (!run.pause) return;
+
+    const previousStatus = run.status;
+    run.status = "paused";
+    this.persist(run);
+    this.emit("workflow/run.paused", run);
+
+    await this.holdClock(run, new Promise(resolve => this.resumers.set(run.id, resolve)));
+    this.resumers.delete(run.id);
+    run.status = previousStatus === "paused" ? "running" : previousStatus;
+    this.persist(run);
+  }
+
+  abort(run, error) {
+    this.aborts.get(run.id)?.reject(error);
+  }
+
+  /**
+   * Workflow timeout clock; stopped while the run waits for people
+   */
+  startClock(run, timeout) {
+    const clock = { remaining: timeout, since: null, timer: null, holds: 0 };
+    this.aborts.get(run.id).clock = clock;
+    if (timeout) this.runClock(run, clock);
+  }
+
+  runClock(run, clock) {
+    clock.since = Date.now();
+    clock.timer = setTimeout(
+      () => this.abort(run, new RunAbortedError(`Workflow timed out after ${run.definition.timeout}ms`)),
+      Math.max(0, clock.remaining)
+    );
+  }
+
+  async holdClock(run, promise) {
+    const clock = this.aborts.get(run.id)?.clock;
+    if (clock?.timer && clock.holds++ === 0) {
+      clearTimeout(clock.timer);
+      clock.remaining -= Date.now() - clock.since;
+    }
+
+    try {
+      return await this.raceAbort(run, promise);
+    } finally {
+      if (clock?.timer && --clock.holds === 0) this.runClock(run, clock);
+    }
+  }
+
+  async execute(run) {
+    const { definition } = run;
+    const scope = this.buildScope(run);
+
+    let reject;
+    const promise = new Promise((resolve, rejectPromise) => { reject = rejectPromise; });
+    promise.catch(() => {});
+    this.aborts.set(run.id, { promise, reject });
+    this.startClock(run, definition.timeout);
+
+    try {
+      await this.executeSteps(definition.steps, run, scope);
+      run.status = "completed";
+    } catch (error) {
+      run.status = run.cancellation ? "cancelled" : "failed";
+      run.error = error.message;
+      logger.warn(`Workflow run ${run.id} ${run.status}: ${error.message}`);
+      await this.compensate(run, scope);
+    } finally {
+      clearTimeout(this.aborts.get(run.id).clock.timer);
+      this.aborts.delete(run.id);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+    this.persist(run);
+
+    this.auditLogger?.appendAudit?.({
+      type: `workflow_run_${run.status}`,
+      runId: run.id,
+      workflowId: run.workflowId,
+      revision: run.revision,
+      durationMs: run.durationMs,
+      error: run.error,
+      cancellation: run.cancellation || null,
+      compensated: run.compensation.map(item => `${item.stepId}:${item.status}`)
+    });
+    this.emit(`workflow/run.${run.status}`, run);
+    logger.info(`Workflow run ${run.id} ${run.status} in ${run.durationMs}ms`);
+
+    this.completions.delete(run.id);
+    this.pruneFinishedRuns();
+  }
+
+  buildScope(run) {
+    const steps = {};
+    Object.values(run.steps).forEach(step => {
+      steps[step.id] = { status: step.status, output: step.output, error: step.error };
+    });
+    return { input: run.input, steps, run: { id: run.id, workflowId: run.workflowId, startedBy: run.startedBy } };
+  }
+
+  // ======================================================================
+  // STEP EXECUTION
+  // ======================================================================
+
+  async executeSteps(steps, run, scope) {
+    for (const step of steps) {
+      await this.executeStep(step, run, scope);
+    }
+  }
+
+  async executeStep(step, run, scope) {
+    await this.checkpoint(run);
+
+    // Completed before an interruption - keep the recorded output
+    const previous = run.steps[step.id];
+    if (previous?.status === "completed") return;
+
+    const record = {
+      id: step.id,
+      name: step.name,
+      kind: step.kind,
+      status: "running",
+      attempts: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      output: null,
+      error: null,
+      ...(previous?.approvalId ? { approvalId: previous.approvalId } : {})
+    };
+    run.steps[step.id] = record;
+
+    const finish = (status, fields = {}) => {
+      Object.assign(record, fields, { status, finishedAt: new Date().toISOString() });
+      record.durationMs = Date.parse(record.finishedAt) - Date.parse(record.startedAt);
+      scope.steps[step.id] = { status, output: record.output, error: record.error };
+      this.persist(run);
+      this.emit(`workflow/step.${status}`, run, { stepId: step.id, durationMs: record.durationMs });
+    };
+
+    if (!evaluateCondition(step.when, scope)) {
+      finish("skipped", { reason: "Condition not met" });
+      return;
+    }
+    this.persist(run);
+
+    try {
+      let output = null;
+
+      if (step.kind === "parallel") {
+        const results = await Promise.allSettled(step.children.map(child => this.executeStep(child, run, scope)));
+        const failure = results.find(result => result.status === "rejected");
+        if (failure) throw failure.reason;
+      } else if (step.kind === "sequence") {
+        await this.executeSteps(step.children, run, scope);
+      } else if (step.kind === "approval") {
+        output = await this.awaitApproval(step, run, scope, record);
+      } else if (step.kind === "evaluate") {
+        const match = step.evaluate.cases.find(item => evaluateCondition(item.when, scope));
+        output = resolveTemplate(match ? match.value : step.evaluate.default, scope);
+      } else {
+        output = await this.callWithRetry(step, run, scope, record);
+      }
+
+      finish("completed", { output });
+    } catch (error) {
+      finish("failed", { error: error.message });
+
+      if (step.onError === "continue" && !(error instanceof RunAbortedError)) {
+        logger.warn(`Workflow run ${run.id}: step ${step.id} failed, continuing - ${error.message}`);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  async callWithRetry(step, run, scope, record) {
+    const input = resolveTemplate(step.input, scope);
+    let delay = step.retry.delay;
+
+    for (let attempt = 1; ; attempt++) {
+      record.attempts = attempt;
+      try {
+        return await this.raceAbort(run, this.callStep(step, input, step.timeout || this.stepTimeout, run));
+      } catch (error) {
+        if (error instanceof RunAbortedError || attempt >= step.retry.attempts) throw error;
+
+        logger.warn(`Workflow run ${run.id}: step ${step.id} attempt ${attempt}/${step.retry.attempts} failed - ${error.message}`);
+        record.lastError = error.message;
+        this.persist(run);
+        await this.raceAbort(run, new Promise(resolve => setTimeout(resolve, delay)));
+        delay *= step.retry.backoff;
+      }
+    }
+  }
+
+  /**
+   * Open (or re-attach to) the step's approval and wait for the decision
+   */
+  async awaitApproval(step, run, scope, record) {
+    if (!this.approvalManager) {
+      throw new Error("Approval steps need an ApprovalManager");
+    }
+
+    const config = step.approval;
+    const approval = (record.approvalId && this.approvalManager.get(record.approvalId)) || this.approvalManager.request({
+      runId: run.id,
+      workflowId: run.workflowId,
+      stepId: step.id,
+      title: resolveTemplate(config.title, scope),
+      details: resolveTemplate(config.details || {}, scope),
+      roles: config.roles,
+      escalateAfter: config.escalateAfter,
+      escalateTo: config.escalateTo,
+      expireAfter: config.expireAfter,
+      requestedBy: run.startedBy
+    });
+    record.approvalId = approval.id;
+    run.status = "waiting_approval";
+    this.persist(run);
+    this.emit("workflow/run.waiting_approval", run, { stepId: step.id, approvalId: approval.id });
+
+    const decided = await this.holdClock(run, this.approvalManager.waitFor(approval.id));
+
+    const stillWaiting = Object.values(run.steps).some(other => other.approvalId && other.status === "running" && other.id !== step.id);
+    run.status = stillWaiting ? "waiting_approval" : "running";
+
+    if (decided.status !== "approved") {
+      const by = decided.decision?.approver ? ` by ${decided.decision.approver}` : "";
+      throw new Error(`Approval ${decided.status}${by}${decided.decision?.comment ? `: ${decided.decision.comment}` : ""}`);
+    }
+    return { approvalId: decided.id, ...decided.decision };
+  }
+
+  callStep(target, input, timeout, run) {
+    if (!this.a2a) {
+      return Promise.reject(new Error("A2A is disabled (ENABLE_A2A=false)"));
+    }
+
+    const options = { timeout, workflowId: run.id };
+    return target.capability
+      ? this.a2a.requestServiceByCapability(target.capability, input, options)
+      : this.a2a.requestService(target.agent, target.action, input, options);
+  }
+
+  /**
+   * Stop waiting as soon as the run is cancelled or times out; the
+   * A2A request itself still ends with its own timeout
+   */
+  raceAbort(run, promise) {
+    promise.catch(() => {});
+    const aborted = this.aborts.get(run.id)?.promise;
+    return aborted ? Promise.race([promise, aborted]) : promise;
+  }
+
+  // ======================================================================
+  // COMPENSATION
+  // ======================================================================
+
+  collectSteps(steps) {
+    return steps.flatMap(step => [step, ...(step.children ? this.collectSteps(step.children) : [])]);
+  }
+
+  async compensate(run, scope) {
+    // newest first; steps finished in the same millisecond in reverse definition order
+    const compensable = this.collectSteps(run.definition.steps)
+      .filter(step => step.compensate && run.steps[step.id]?.status === "completed")
+      .reverse()
+      .sort((a, b) => Date.parse(run.steps[b.id].finishedAt) - Date.parse(run.steps[a.id].finishedAt));
+
+    for (const step of compensable) {
+      const startedAt = Date.now();
+      const entry = { stepId: step.id, status: "completed", startedAt: new Date(startedAt).toISOString() };
+
+      try {
+        const input = resolveTemplate(step.compensate.input || {}, scope);
+        await this.callStep(step.compensate, input, step.compensate.timeout || this.stepTimeout, run);
+        run.steps[step.id].status = "compensated";
+      } catch (error) {
+        entry.status = "failed";
+        entry.error = error.message;
+        logger.error(`Workflow run ${run.id}: compensation of ${step.id} failed - ${error.message}`);
+      }
+
+      entry.durationMs = Date.now() - startedAt;
+      run.compensation.push(entry);
+      this.persist(run);
+    }
+  }
+
+  // ======================================================================
+  // QUERIES
+  // ======================================================================
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  getRunOrThrow(runId) {
+    const run = this.getRun(runId);
+    if (!run) throw new AppError(`Workflow run not found: ${runId}`, 404);
+    return run;
+  }
+
+  /**
+   * @param {boolean} detailed - include per-step timing, outputs and input
+   */
+  describeRun(run, detailed = false) {
+    const summary = {
+      runId: run.id,
+      workflowId: run.workflowId,
+      workflowName: run.workflowName,
+      revision: run.revision,
+      status: run.status,
+      startedBy: run.startedBy,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      durationMs: run.durationMs ?? Date.now() - Date.parse(run.startedAt),
+      error: run.error,
+      stepCounts: Object.values(run.steps).reduce((counts, step) => {
+        counts[step.status] = (counts[step.status] || 0) + 1;
+        return counts;
+      }, {})
+    };
+    if (!detailed) return summary;
+
+    const outline = (steps, depth = 0) => steps.flatMap(step => {
+      const record = run.steps[step.id] || { status: "pending" };
+      return [
+        {
+          id: step.id,
+          name: step.name,
+          kind: step.kind,
+          depth,
+          status: record.status,
+          attempts: record.attempts || 0,
+          startedAt: record.startedAt || null,
+          finishedAt: record.finishedAt || null,
+          durationMs: record.durationMs ?? null,
+          reason: record.reason || null,
+          error: record.error || null,
+          output: record.output ?? null
+        },
+        ...(step.children ? outline(step.children, depth + 1) : [])
+      ];
+    });
+
+    return {
+      ...summary,
+      input: run.input,
+      cancellation: run.cancellation || null,
+      steps: outline(run.definition.steps),
+      compensation: run.compensation
+    };
+  }
+
+  listRuns({ status = null, workflowId = null, limit = 50 } = {}) {
+    return [...this.runs.values()]
+      .filter(run => (!status || run.status === status) && (!workflowId || run.workflowId === workflowId))
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))
+      .slice(0, limit)
+      .map(run => this.describeRun(run));
+  }
+
+  getStats() {
+    const byStatus = {};
+    this.runs.forEach(run => {
+      byStatus[run.status] = (byStatus[run.status] || 0) + 1;
+    });
+    return { definitions: this.definitions.definitions.size, runs: this.runs.size, byStatus };
+  }
+
+  emit(eventType, run, extra = {}) {
+    this.eventBusManager?.emit?.(eventType, {
+      runId: run.id,
+      workflowId: run.workflowId,
+      status: run.status,
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default WorkflowEngine;
@@ -0,0 +1,96 @@
+// src/workflows/workflowExpressions.js
+// Templates and conditions for YAML workflow definitions - declarative only, no eval.
+//
+// Templates:  "{{input.orderId}}"            -> raw value (objects stay objects)
+//             "Order {{input.orderId}} done" -> string interpolation
+// Conditions: { path, equals | notEquals | in | matches | exists | gt | gte | lt | lte }
+//             { all: [...] } | { any: [...] } | { not: {...} }
+// Paths are dotted lookups in the run scope: input.*, steps.<id>.output|status|error, run.*
+
+const TEMPLATE = /\{\{\s*([\w.$-]+)\s*\}\}/g;
+const SINGLE_TEMPLATE = /^\{\{\s*([\w.$-]+)\s*\}\}$/;
+
+const OPERATORS = ["equals", "notEquals", "in", "matches", "exists", "gt", "gte", "lt", "lte"];
+
+export function getPath(scope, path) {
+  return String(path).split(".").reduce((value, key) => (value == null ? undefined : value[key]), scope);
+}
+
+/**
+ * Resolve templates in strings, arrays and objects (recursively)
+ */
+export function resolveTemplate(value, scope) {
+  if (typeof value === "string") {
+    const single = SINGLE_TEMPLATE.exec(value);
+    if (single) return getPath(scope, single[1]);
+
+    return value.replace(TEMPLATE, (match, path) => {
+      const resolved = getPath(scope, path);
+      if (resolved == null) return "";
+      return typeof resolved === "object" ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolveTemplate(item, scope));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, scope)]));
+  }
+  return value;
+}
+
+const asText = (value) => (typeof value === "string" ? value : JSON.stringify(value ?? ""));
+
+/**
+ * Evaluate a condition against the run scope
+ */
+export function evaluateCondition(condition, scope) {
+  if (condition === undefined || condition === null) return true;
+  if (typeof condition === "boolean") return condition;
+
+  if (condition.all) return condition.all.every(item => evaluateCondition(item, scope));
+  if (condition.any) return condition.any.some(item => evaluateCondition(item, scope));
+  if (condition.not) return !evaluateCondition(condition.not, scope);
+
+  const actual = getPath(scope, condition.path);
+  const expected = resolveTemplate(condition[OPERATORS.find(op => op in condition)], scope);
+
+  if ("equals" in condition) return actual === expected;
+  if ("notEquals" in condition) return actual !== expected;
+  if ("in" in condition) return Array.isArray(expected) && expected.includes(actual);
+  if ("matches" in condition) return new RegExp(expected, "i").test(asText(actual));
+  if ("exists" in condition) return (actual !== undefined && actual !== null) === Boolean(expected);
+  if ("gt" in condition) return Number(actual) > Number(expected);
+  if ("gte" in condition) return Number(actual) >= Number(expected);
+  if ("lt" in condition) return Number(actual) < Number(expected);
+  if ("lte" in condition) return Number(actual) <= Number(expected);
+
+  return false;
+}
+
+/**
+ * Structural check used when definitions are loaded
+ * @returns {string|null} Error message
+ */
+export function validateCondition(condition, where) {
+  if (condition === undefined || typeof condition === "boolean") return null;
+  if (!condition || typeof condition !== "object") return `${where}: condition must be an object`;
+
+  if (condition.all || condition.any) {
+    const items = condition.all || condition.any;
+    if (!Array.isArray(items)) return `${where}: all/any must be a list`;
+    return items.map((item, index) => validateCondition(item, `${where}[${index}]`)).find(Boolean) || null;
+  }
+  if (condition.not) return validateCondition(condition.not, `${where}.not`);
+
+  if (!condition.path) return `${where}: condition needs a path`;
+  if (!OPERATORS.some(op => op in condition)) return `${where}: condition needs one of ${OPERATORS.join(", ")}`;
+  if ("matches" in condition) {
+    try {
+      new RegExp(condition.matches);
+    } catch (error) {
+      return `${where}: invalid pattern (${error.message})`;
+    }
+  }
+  return null;
+}
+
+export default { getPath, resolveTemplate, evaluateCondition, validateCondition };
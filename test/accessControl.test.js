@@ -0,0 +1,62 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { AccessControl } from "../src/auth/AccessControl.js";
+
+delete process.env.RBAC_ANONYMOUS_ROLES;
+
+const accessControl = new AccessControl({ rolesFile: "src/config/roles.yaml" });
+
+describe("AccessControl role resolution", () => {
+  test("resolves aliases and inherited roles", () => {
+    assert.deepEqual(accessControl.resolveRoles(["planner"]).sort(), ["Operations", "Planning", "Viewer"]);
+    assert.deepEqual(accessControl.resolveRoles({ roles: ["Compliance"] }).sort(), ["Compliance", "Operations", "QA", "Viewer"]);
+    assert.deepEqual(accessControl.resolveRoles(["NoSuchRole"]), []);
+  });
+
+  test("matches wildcard permissions", () => {
+    assert.equal(accessControl.can(["Operations"], "api:chat:write"), true);
+    assert.equal(accessControl.can(["Operations"], "api:release:write"), false);
+    assert.equal(accessControl.can(["QA"], "api:release:write"), true);
+    assert.equal(accessControl.can(["Compliance"], "api:audit:write"), true);
+    assert.equal(accessControl.isSuperuser(["admin"]), true);
+  });
+
+  test("anonymous callers are read-only", () => {
+    const anonymous = accessControl.anonymousIdentity();
+
+    assert.equal(accessControl.can(anonymous, "api:oee:read"), true);
+    assert.equal(accessControl.can(anonymous, "api:events:read"), true);
+    for (const permission of ["api:chat:write", "api:approvals:write", "api:signatures:write", "api:data:read", "agent:oeeAgent"]) {
+      assert.equal(accessControl.can(anonymous, permission), false, permission);
+    }
+  });
+
+  test("runs without a caller only get read-only tools", () => {
+    assert.equal(accessControl.can(["System"], "tool:query_production_data"), true);
+    for (const permission of ["tool:execute_agent", "tool:trigger_event", "tool:manage_inventory", "tool:schedule_production", "tool:share_context", "agent:oeeAgent", "api:chat:write"]) {
+      assert.equal(accessControl.can(["System"], permission), false, permission);
+    }
+  });
+
+  test("agents need agent:<id> and one of rolesAllowed", () => {
+    const agent = { id: "qualityAgent", rolesAllowed: ["QA"] };
+
+    assert.equal(accessControl.canInvokeAgent({ roles: ["Compliance"] }, agent), true);
+    assert.equal(accessControl.canInvokeAgent({ roles: ["Operations"] }, agent), false);
+    assert.equal(accessControl.canInvokeAgent({ roles: ["Admin"] }, agent), true);
+  });
+
+  test("filters per-user events on the shared stream", () => {
+    const alice = { id: "alice", roles: ["Operations"] };
+    const qa = { id: "quinn", roles: ["QA"] };
+
+    assert.equal(accessControl.canSeeEvent(alice, "agent/response.delta", { userId: "alice" }), true);
+    assert.equal(accessControl.canSeeEvent(qa, "agent/response.delta", { userId: "alice" }), false);
+    assert.equal(accessControl.canSeeEvent(qa, "approval/requested", { allowedRoles: ["QA"] }), true);
+    assert.equal(accessControl.canSeeEvent(alice, "approval/requested", { allowedRoles: ["QA"] }), false);
+    assert.equal(accessControl.canSeeEvent(alice, "notification/created", { recipients: ["Operations"] }), true);
+    assert.equal(accessControl.canSeeEvent(alice, "notification/created", { recipients: ["quinn"] }), false);
+    assert.equal(accessControl.canSeeEvent(alice, "oee/update", { line: "LINE-01" }), true);
+    assert.equal(accessControl.canSeeEvent({ roles: ["Admin"] }, "agent/response.delta", { userId: "alice" }), true);
+  });
+});
@@ -0,0 +1,116 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { AgentRouter } from "../src/agents/AgentRouter.js";
+import { SessionManager } from "../src/sessions/SessionManager.js";
+
+const AGENTS = [
+  {
+    id: "oeeAgent",
+    name: "OEE Agent",
+    trigger: ["oee", "oee status", "line performance"],
+    keywords: ["availability", "performance", "downtime"],
+    description: "Overall equipment effectiveness per production line"
+  },
+  {
+    id: "qualityAgent",
+    name: "Quality Agent",
+    trigger: ["quality status", "batch release"],
+    keywords: ["deviation", "capa", "release"],
+    description: "Quality assurance: deviations, CAPA and batch release"
+  },
+  {
+    id: "planningAgent",
+    name: "Planning Agent",
+    trigger: ["production schedule"],
+    keywords: ["schedule", "orders", "capacity"],
+    description: "Production planning and order scheduling"
+  }
+];
+
+const createRouter = (options = {}) => new AgentRouter({ useLLM: false, minScore: 0.15, clarifyMargin: 0.12, sessionPrior: 0.25, ...options });
+
+describe("agent router", () => {
+  test("prefers exact and multi-word triggers over single words", async () => {
+    const router = createRouter();
+
+    const exact = await router.route(AGENTS, "OEE");
+    assert.equal(exact.agentId, "oeeAgent");
+    assert.equal(exact.confidence, 1);
+
+    const release = await router.route(AGENTS, "Show deviations and CAPA for the batch release of B-1");
+    assert.equal(release.agentId, "qualityAgent");
+    assert.equal(release.method, "lexical");
+    assert.ok(release.ranked[0].score - release.ranked[1].score > 0.5);
+  });
+
+  test("falls back to the generic assistant below the minimum score", async () => {
+    const decision = await createRouter().route(AGENTS, "and what about LINE-02?");
+
+    assert.equal(decision.agentId, null);
+    assert.equal(decision.needsClarification, false);
+    assert.equal(decision.confidence, 0);
+  });
+
+  test("asks for clarification when the top agents are too close", async () => {
+    const decision = await createRouter().route(AGENTS, "capacity and downtime");
+
+    assert.equal(decision.agentId, null);
+    assert.equal(decision.needsClarification, true);
+    assert.deepEqual([...decision.clarification.options].sort(), ["oeeAgent", "planningAgent"]);
+    assert.match(decision.clarification.message, /\*\*OEE Agent\*\*/);
+    assert.match(decision.clarification.message, /\*\*Planning Agent\*\*/);
+    assert.doesNotMatch(decision.clarification.message, /Quality Agent/);
+  });
+
+  test("keeps follow-ups with the previous agent unless another one clearly fits", async () => {
+    const router = createRouter();
+
+    const followUp = await router.route(AGENTS, "and what about LINE-02?", { previousAgentId: "oeeAgent" });
+    assert.equal(followUp.agentId, "oeeAgent");
+    assert.equal(followUp.ranked[0].signals.session, 0.25);
+
+    // the prior breaks a tie instead of asking back
+    const tie = await router.route(AGENTS, "capacity and downtime", { previousAgentId: "planningAgent" });
+    assert.equal(tie.agentId, "planningAgent");
+    assert.equal(tie.needsClarification, false);
+
+    const switched = await router.route(AGENTS, "Show deviations and CAPA for the batch release of B-1", { previousAgentId: "oeeAgent" });
+    assert.equal(switched.agentId, "qualityAgent");
+
+    // exact triggers are not outweighed
+    const exact = await router.route(AGENTS, "oee", { previousAgentId: "qualityAgent" });
+    assert.equal(exact.agentId, "oeeAgent");
+    assert.equal(exact.ranked.find(entry => entry.agentId === "qualityAgent").signals.session, undefined);
+
+    // unknown or generic previous agents change nothing
+    assert.equal((await router.route(AGENTS, "and what about LINE-02?", { previousAgentId: "generic" })).agentId, null);
+    assert.equal((await createRouter({ sessionPrior: 0 }).route(AGENTS, "and what about LINE-02?", { previousAgentId: "oeeAgent" })).agentId, null);
+  });
+
+  test("takes the previous agent from the session's last answer", async () => {
+    const sessions = new SessionManager();
+    assert.equal(sessions.getLastAgentId("s-1"), null);
+
+    await sessions.addExchange("s-1", "OEE of LINE-01?", "78%", "oeeAgent", "alice");
+    assert.equal(sessions.getLastAgentId("s-1"), "oeeAgent");
+
+    // a clarification answer has no agent
+    await sessions.addExchange("s-1", "capacity and downtime", "Which area do you mean?", null, "alice");
+    assert.equal(sessions.getLastAgentId("s-1"), null);
+  });
+
+  test("blends LLM scores and falls back to lexical scores when the LLM fails", async () => {
+    const llm = { generate: async () => 'Scores: {"oeeAgent": 0.1, "qualityAgent": 0.9, "planningAgent": "n/a"}' };
+    const hybrid = await createRouter({ useLLM: true, getLLM: () => llm }).route(AGENTS, "anything unusual in today's batches?");
+
+    assert.equal(hybrid.method, "hybrid");
+    assert.equal(hybrid.agentId, "qualityAgent");
+    assert.equal(hybrid.ranked[0].signals.llm, 0.9);
+    assert.equal(hybrid.ranked.find(entry => entry.agentId === "planningAgent").signals.llm, 0);
+
+    const failing = { generate: async () => { throw new Error("model offline"); } };
+    const lexical = await createRouter({ useLLM: true, getLLM: () => failing }).route(AGENTS, "anything unusual in today's batches?");
+    assert.equal(lexical.method, "lexical");
+    assert.equal(lexical.agentId, null);
+  });
+});
@@ -0,0 +1,83 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { AgentToolRunner } from "../src/agents/AgentToolRunner.js";
+
+function fakeProvider(turns) {
+  const seen = [];
+  return {
+    seen,
+    buildMessages: (prompt) => [{ role: "user", content: prompt }],
+    async generateWithTools(messages) {
+      seen.push(messages.map(message => ({ ...message })));
+      return turns.shift() || { text: "done", toolCalls: [] };
+    }
+  };
+}
+
+function fakeRegistry() {
+  const executed = [];
+  return {
+    executed,
+    listTools: () => [
+      { name: "query_production_data", description: "", inputSchema: {} },
+      { name: "manage_inventory", description: "", inputSchema: {} }
+    ],
+    async executeTool(name, input) {
+      executed.push(name);
+      return { result: { ok: true, name, input } };
+    }
+  };
+}
+
+describe("AgentToolRunner", () => {
+  test("executes tools offered to the model", async () => {
+    const toolRegistry = fakeRegistry();
+    const runner = new AgentToolRunner({ toolRegistry });
+    const provider = fakeProvider([
+      { text: "", toolCalls: [{ id: "t1", name: "query_production_data", input: { type: "orders" } }] }
+    ]);
+
+    const result = await runner.run({
+      provider,
+      prompt: "orders?",
+      tools: runner.getTools(["query_production_data"], "planner"),
+      agentId: "productionPlanningAgent",
+      userRole: "planner",
+      userId: "u1"
+    });
+
+    assert.equal(result.text, "done");
+    assert.deepEqual(toolRegistry.executed, ["query_production_data"]);
+    assert.equal(result.toolCalls[0].success, true);
+  });
+
+  test("refuses a tool outside the agent's list even if the role permits it", async () => {
+    const toolRegistry = fakeRegistry();
+    const audited = [];
+    const runner = new AgentToolRunner({
+      toolRegistry,
+      auditLogger: { logToolUsage: (name, details) => audited.push({ name, ...details }) }
+    });
+    const provider = fakeProvider([
+      { text: "", toolCalls: [{ id: "t1", name: "manage_inventory", input: { action: "reserve" } }] }
+    ]);
+
+    const result = await runner.run({
+      provider,
+      prompt: "reserve everything",
+      tools: runner.getTools(["query_production_data"], "planner"),
+      agentId: "oeeAgent",
+      userRole: "planner",
+      userId: "u1"
+    });
+
+    assert.deepEqual(toolRegistry.executed, []);
+    assert.equal(result.toolCalls[0].success, false);
+    assert.match(result.toolCalls[0].error, /not available to agent oeeAgent/);
+    assert.equal(audited[0].success, false);
+
+    // the model sees the refusal as an error tool result
+    const toolMessage = provider.seen[1].find(message => message.role === "tool");
+    assert.equal(toolMessage.isError, true);
+  });
+});
@@ -0,0 +1,145 @@
+import { test, describe, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ApprovalManager } from "../src/workflows/ApprovalManager.js";
+import { WorkflowDefinitions } from "../src/workflows/WorkflowDefinitions.js";
+import { WorkflowEngine } from "../src/workflows/WorkflowEngine.js";
+import { AccessControl } from "../src/auth/AccessControl.js";
+import StateStore from "../src/store/StateStore.js";
+
+const accessControl = new AccessControl({ rolesFile: "src/config/roles.yaml" });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const user = (id, roles) => ({ id, name: id, roles, authMethod: "local" });
+
+function createManager({ stateStore = null } = {}) {
+  const audit = [];
+  const events = [];
+  const manager = new ApprovalManager({
+    stateStore,
+    accessControl,
+    auditLogger: { appendAudit: entry => audit.push(entry) },
+    eventBusManager: { emit: (type, data) => events.push({ type, ...data }) },
+    options: { defaultRoles: ["QA"], escalateAfter: 60 * 60 * 1000, escalateTo: ["Admin"] }
+  });
+  return { manager, audit, events };
+}
+
+const open = (manager, fields = {}) => manager.request({ runId: "run-1", workflowId: "order_analysis", stepId: "qa_approval", requestedBy: "pete", ...fields });
+
+describe("approval manager", () => {
+  let managers = [];
+  const track = created => {
+    managers.push(created.manager);
+    return created;
+  };
+
+  after(() => {
+    managers.forEach(manager => manager.close());
+    managers = [];
+  });
+
+  test("keeps the run's starter from deciding and needs a comment to reject", () => {
+    const { manager } = track(createManager());
+    const approval = open(manager);
+
+    assert.throws(() => manager.decide(approval.id, { decision: "approved", user: user("pete", ["QA"]) }), { statusCode: 403, message: /Separation of duties/ });
+    assert.throws(() => manager.decide(approval.id, { decision: "approved", user: accessControl.anonymousIdentity() }), { statusCode: 401 });
+    assert.throws(() => manager.decide(approval.id, { decision: "rejected", comment: " ", user: user("qa.lead", ["QA"]) }), { statusCode: 400 });
+
+    const decided = manager.decide(approval.id, { decision: "rejected", comment: "Deviation open", user: user("qa.lead", ["QA"]) });
+    assert.equal(decided.status, "rejected");
+    assert.equal(decided.decision.approver, "qa.lead");
+    assert.throws(() => manager.decide(approval.id, { decision: "approved", user: user("qa.other", ["QA"]) }), { statusCode: 409 });
+  });
+
+  test("checks approver roles with inheritance and aliases", () => {
+    const { manager } = track(createManager());
+
+    // Compliance inherits QA
+    const inherited = open(manager, { runId: "run-2" });
+    assert.equal(manager.decide(inherited.id, { decision: "approved", user: user("auditor", ["Compliance"]) }).status, "approved");
+
+    // "planner" is an alias of Planning
+    const aliased = open(manager, { runId: "run-3", roles: ["planner"] });
+    assert.throws(() => manager.decide(aliased.id, { decision: "approved", user: user("operator", ["Operations"]) }), { statusCode: 403, message: "Approval requires one of the roles: planner" });
+    assert.equal(manager.decide(aliased.id, { decision: "approved", user: user("planer", ["Planning"]) }).status, "approved");
+
+    const superuser = open(manager, { runId: "run-4" });
+    assert.equal(manager.decide(superuser.id, { decision: "approved", user: user("root", ["admin"]) }).status, "approved");
+  });
+
+  test("widens the allowed roles on escalation and expires afterwards", async () => {
+    const { manager, events } = track(createManager());
+    const approval = open(manager, { runId: "run-5", escalateAfter: 20, escalateTo: ["Management"], expireAfter: 40 });
+    const decided = manager.waitFor(approval.id);
+
+    assert.throws(() => manager.decide(approval.id, { decision: "approved", user: user("boss", ["Management"]) }), { statusCode: 403 });
+    await sleep(35);
+    assert.equal(approval.status, "escalated");
+    assert.deepEqual(manager.describe(approval).allowedRoles, ["QA", "Management"]);
+    assert.deepEqual(events.find(event => event.type === "approval/escalated").allowedRoles, ["QA", "Management"]);
+
+    // the expiry timer is unref'd: keep the test alive until it fires
+    await sleep(40);
+    const expired = await decided;
+    assert.equal(expired.status, "expired");
+    assert.equal(events.at(-1).type, "approval/decided");
+    assert.throws(() => manager.decide(approval.id, { decision: "approved", user: user("boss", ["Management"]) }), { statusCode: 409 });
+
+    // decided within the escalation window
+    const second = open(manager, { runId: "run-6", escalateAfter: 10, escalateTo: ["Management"] });
+    await sleep(25);
+    const approved = manager.decide(second.id, { decision: "approved", user: user("boss", ["Management"]) });
+    assert.equal(approved.decision.escalated, true);
+  });
+
+  test("re-arms open approvals after a restart", async () => {
+    const stateStore = new StateStore();
+    const { manager } = track(createManager({ stateStore }));
+    const approval = open(manager, { runId: "run-7", escalateAfter: 30 });
+    manager.close();
+
+    const { manager: restarted } = track(createManager({ stateStore }));
+    assert.deepEqual(stateStore.getRecoveryReport().approvals.open.map(item => item.id), [approval.id]);
+    // an open approval of the same step is reused by a resumed run
+    assert.equal(open(restarted, { runId: "run-7" }).id, approval.id);
+    await sleep(45);
+    assert.equal(restarted.get(approval.id).status, "escalated");
+  });
+
+  test("withdraws the approval when its run is cancelled", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "approvals-"));
+    fs.writeFileSync(path.join(dir, "release.yaml"), `
+id: release
+steps:
+  - id: qa_approval
+    approval:
+      title: "Release {{input.batchId}}"
+`);
+    try {
+      const definitions = new WorkflowDefinitions({ dir, hotReload: false });
+      definitions.load();
+      const { manager, audit } = track(createManager());
+      const engine = new WorkflowEngine({ a2aManager: null, definitions, approvalManager: manager });
+
+      const { runId } = engine.startRun("release", { batchId: "B-1" }, { startedBy: "pete" });
+      await sleep(10);
+      const [approval] = manager.list();
+      assert.equal(approval.title, "Release B-1");
+
+      engine.cancelRun(runId, { reason: "batch recalled", cancelledBy: "pete" });
+      const run = await engine.waitForRun(runId);
+
+      assert.equal(run.status, "cancelled");
+      assert.equal(manager.get(approval.id).status, "withdrawn");
+      assert.equal(manager.get(approval.id).decision.comment, "Run cancelled: batch recalled");
+      assert.deepEqual(manager.list(), []);
+      assert.ok(audit.some(entry => entry.type === "approval_withdrawn" && entry.runId === runId));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AuditLogger } from "../src/audit/AuditLogger.js";
+import { canonicalize } from "../src/utils/canonicalJson.js";
+
+let dir;
+
+function createLogger(options = {}) {
+  return new AuditLogger(null, { auditLogPath: path.join(dir, "audit_log.jsonl"), checkpointInterval: 1000, ...options });
+}
+
+function readLines(file) {
+  return fs.readFileSync(path.join(dir, file), "utf8").split("\n").filter(Boolean);
+}
+
+function writeLines(file, lines) {
+  fs.writeFileSync(path.join(dir, file), lines.map(line => line + "\n").join(""));
+}
+
+describe("audit hash chain", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("verifies an intact chain across archived segments", () => {
+    const logger = createLogger({ signingKey: "k" });
+    logger.appendAudit({ event: "a" });
+    logger.appendAudit({ event: "b" });
+    const archivePath = logger.archiveAuditLog();
+    logger.appendAudit({ event: "c" });
+    logger.createCheckpoint("manual");
+
+    const result = logger.verifyChain();
+    assert.equal(result.valid, true);
+    assert.equal(result.segments, 2);
+    assert.equal(result.head.seq, logger.lastSeq);
+
+    // the archive checkpoint names the archive file, not the live segment
+    const [archived, manual] = logger.getCheckpoints();
+    assert.equal(archived.segment, path.basename(archivePath));
+    assert.equal(archived.segmentIndex, 0);
+    assert.equal(manual.segmentIndex, 1);
+    assert.equal(result.checkpoints.lastCheckpoint.segment, "audit_log.jsonl");
+  });
+
+  test("reports the first edited entry", () => {
+    const logger = createLogger();
+    logger.appendAudit({ event: "a", details: { qty: 1 } });
+    logger.appendAudit({ event: "b" });
+
+    const lines = readLines("audit_log.jsonl");
+    lines[0] = lines[0].replace('"qty":1', '"qty":2');
+    writeLines("audit_log.jsonl", lines);
+
+    const result = logger.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.firstBrokenLink.seq, 1);
+    assert.equal(result.firstBrokenLink.reason, "hash_mismatch");
+  });
+
+  test("detects truncation against the verified head, not the in-memory head", () => {
+    const logger = createLogger();
+    logger.appendAudit({ event: "a" });
+    logger.appendAudit({ event: "b" });
+    logger.appendAudit({ event: "c" });
+    logger.createCheckpoint("manual");
+
+    // drop the tail; the running logger still believes seq 3 is the head
+    writeLines("audit_log.jsonl", readLines("audit_log.jsonl").slice(0, 2));
+
+    const result = logger.verifyChain();
+    assert.equal(logger.lastSeq, 3);
+    assert.equal(result.head.seq, 2);
+    assert.equal(result.truncated, true);
+    assert.equal(result.valid, false);
+  });
+
+  test("treats an unsigned checkpoint as invalid when a signing key is set", () => {
+    const logger = createLogger({ signingKey: "k" });
+    logger.appendAudit({ event: "a" });
+    logger.createCheckpoint("manual");
+
+    const [checkpoint] = readLines("audit_log.checkpoints.jsonl").map(line => JSON.parse(line));
+    writeLines("audit_log.checkpoints.jsonl", [JSON.stringify({ ...checkpoint, signature: null })]);
+
+    const result = logger.verifyChain();
+    assert.equal(result.checkpoints.invalid.length, 1);
+    assert.equal(result.checkpoints.invalid[0].signatureValid, false);
+    assert.equal(result.valid, false);
+  });
+
+  test("hashes Date values the way they are stored", () => {
+    const logger = createLogger();
+    logger.appendAudit({ event: "a", details: { releasedAt: new Date("2025-10-06T08:00:00Z") } });
+
+    assert.equal(canonicalize({ at: new Date("2025-10-06T08:00:00Z") }), '{"at":"2025-10-06T08:00:00.000Z"}');
+    assert.equal(logger.verifyChain().valid, true);
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AuthService } from "../src/auth/AuthService.js";
+import { LocalStrategy } from "../src/auth/strategies/LocalStrategy.js";
+import { LocalUserStore } from "../src/auth/LocalUserStore.js";
+import { signJwt, verifyJwt } from "../src/auth/jwt.js";
+
+function createAuthService(options = {}) {
+  const audit = [];
+  const userStore = {
+    verifyCredentials: (username, password) =>
+      username === "alice" && password === "correct" ? { id: "u-alice", username, roles: ["QA"] } : null
+  };
+  const authService = new AuthService({
+    auditLogger: { appendAudit: entry => audit.push(entry) },
+    options: { secret: "test-secret", maxFailures: 3, ...options }
+  });
+  authService.registerStrategy(new LocalStrategy({ userStore }));
+  return { authService, audit };
+}
+
+describe("login lockout", () => {
+  test("locks the account after repeated failures and audits the lock once", async () => {
+    const { authService, audit } = createAuthService();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await assert.rejects(authService.login("local", { username: "alice", password: "guess" }), { statusCode: 401 });
+    }
+    // the right password no longer helps while the account is locked
+    await assert.rejects(authService.login("local", { username: "alice", password: "correct" }), { statusCode: 423 });
+
+    const locks = audit.filter(entry => entry.type === "account_locked");
+    assert.equal(locks.length, 1);
+    assert.equal(locks[0].username, "alice");
+    assert.equal(locks[0].source, "login");
+    assert.ok(locks[0].lockedUntil);
+  });
+
+  test("a successful login resets the counter", async () => {
+    const { authService } = createAuthService();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await assert.rejects(authService.login("local", { username: "alice", password: "guess" }));
+    }
+    await authService.login("local", { username: "alice", password: "correct" });
+    await assert.rejects(authService.login("local", { username: "alice", password: "guess" }), { statusCode: 401 });
+    await authService.login("local", { username: "alice", password: "correct" });
+  });
+});
+
+describe("JWT verification", () => {
+  test("accepts a session token and rejects it after logout", async () => {
+    const { authService } = createAuthService();
+    const session = await authService.login("local", { username: "alice", password: "correct" });
+
+    const identity = await authService.verifySessionToken(session.token);
+    assert.equal(identity.id, "u-alice");
+    assert.equal(identity.sessionId, session.sessionId);
+
+    authService.logout(session.sessionId);
+    assert.equal(await authService.verifySessionToken(session.token), null);
+  });
+
+  test("rejects tampered, expired and foreign tokens", async () => {
+    const token = signJwt({ iss: "issuer", sub: "u1", roles: ["QA"] }, "secret", { expiresInSeconds: 60 });
+    assert.equal((await verifyJwt(token, { secret: "secret", issuer: "issuer" })).sub, "u1");
+
+    const [header, , signature] = token.split(".");
+    const forgedClaims = Buffer.from(JSON.stringify({ iss: "issuer", sub: "u1", roles: ["Admin"] })).toString("base64url");
+    await assert.rejects(verifyJwt(`${header}.${forgedClaims}.${signature}`, { secret: "secret" }), /Invalid signature/);
+
+    const expired = signJwt({ exp: Math.floor(Date.now() / 1000) - 10 }, "secret");
+    await assert.rejects(verifyJwt(expired, { secret: "secret", clockToleranceSeconds: 0 }), /Token expired/);
+
+    await assert.rejects(verifyJwt(token, { secret: "secret", issuer: "other" }), /Unexpected issuer/);
+    await assert.rejects(verifyJwt(token, { secret: "other-secret" }), /Invalid signature/);
+  });
+
+  test("rejects alg none and algorithms outside the allow-list", async () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const unsigned = `${encode({ alg: "none", typ: "JWT" })}.${encode({ sub: "u1" })}.`;
+    await assert.rejects(verifyJwt(unsigned, { secret: "secret" }), /Algorithm not allowed/);
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const es256 = signJwt({ sub: "u1" }, privateKey, { algorithm: "ES256" });
+    await assert.rejects(verifyJwt(es256, { secret: "secret" }), /Algorithm not allowed/);
+    const payload = await verifyJwt(es256, { algorithms: ["ES256"], getKey: async () => publicKey });
+    assert.equal(payload.sub, "u1");
+  });
+});
+
+describe("local user store", () => {
+  const DEMO = JSON.parse(fs.readFileSync("src/config/users.demo.json", "utf8")).users;
+
+  function storeWith(users, options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "users-"));
+    const usersFile = path.join(dir, "users.json");
+    fs.writeFileSync(usersFile, JSON.stringify({ users }));
+    const store = new LocalUserStore(usersFile, options);
+    fs.rmSync(dir, { recursive: true, force: true });
+    return store;
+  }
+
+  test("ships without accounts", () => {
+    assert.deepEqual(new LocalUserStore("src/config/users.json").listUsers(), []);
+  });
+
+  test("refuses local login while a published demo hash is present", async () => {
+    const seeded = { username: "qa.owner", roles: ["QA"], passwordHash: LocalUserStore.hashPassword("s3cret") };
+    const store = storeWith([seeded, DEMO.find(user => user.username === "admin")], { allowDemoUsers: false });
+    assert.deepEqual(store.demoUsers, ["admin"]);
+    assert.throws(() => store.verifyCredentials("qa.owner", "s3cret"), { statusCode: 503 });
+
+    const authService = new AuthService({ options: { secret: "test-secret" } });
+    authService.registerStrategy(new LocalStrategy({ userStore: store }));
+    await assert.rejects(authService.login("local", { username: "admin", password: "admin-demo" }), { statusCode: 503 });
+
+    const demo = storeWith(DEMO, { allowDemoUsers: true });
+    assert.equal(demo.verifyCredentials("admin", "admin-demo").username, "admin");
+    assert.equal(storeWith([seeded], { allowDemoUsers: false }).verifyCredentials("qa.owner", "s3cret").username, "qa.owner");
+  });
+});
@@ -0,0 +1,19 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { EventBusManager } from "../src/eventBus/EventBusManager.js";
+
+describe("event bus", () => {
+  test("passes every emitted event to onAny listeners until they are removed", () => {
+    const bus = new EventBusManager({ log() {} });
+    const seen = [];
+    const listener = (eventType, data) => seen.push([eventType, data.value]);
+
+    bus.onAny(listener);
+    bus.emit("agent/response.delta", { value: 1 });
+    bus.emit("oee/updated", { value: 2 });
+    bus.offAny(listener);
+    bus.emit("oee/updated", { value: 3 });
+
+    assert.deepEqual(seen, [["agent/response.delta", 1], ["oee/updated", 2]]);
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { MaterialAvailabilityService } from "../src/planning/MaterialAvailabilityService.js";
+import { EventBusManager } from "../src/eventBus/EventBusManager.js";
+import { ManufacturingAgent } from "../src/services/BaseAgent.js";
+
+const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const DATA = {
+  orders: [
+    { orderId: "ORD-1", material: "FG-1", qty: 1000, startDate: day(10) },
+    { orderId: "ORD-2", material: "FG-1", qty: 1000, startDate: day(10) }
+  ],
+  bom: [
+    { material: "FG-1", baseQuantity: 1000, components: [{ material: "SF-1", qty: 1000, unit: "pcs" }, { material: "PACK-1", qty: 100, unit: "pcs" }] },
+    { material: "SF-1", baseQuantity: 1000, components: [{ material: "API-1", qty: 2, unit: "kg" }] }
+  ],
+  inventory: [
+    { material: "API-1", batch: "API-LATE", quantity: 5, expiry: day(300) },
+    { material: "API-1", batch: "API-EARLY", quantity: 1.5, expiry: day(60) },
+    { material: "API-1", batch: "API-EXPIRED", quantity: 10, expiry: day(5) },
+    { material: "PACK-1", batch: "PACK-A", quantity: 150, expiry: null }
+  ]
+};
+
+function createService(eventBusManager = null) {
+  const dataManager = { getCachedData: async type => structuredClone(DATA[type]) };
+  return new MaterialAvailabilityService({ dataManager, eventBusManager });
+}
+
+describe("FEFO netting", () => {
+  test("explodes the BOM and allocates the earliest expiry first", async () => {
+    const service = createService();
+    const result = await service.checkAvailability({ orderId: "ORD-1" });
+    const api = result.components.find(component => component.material === "API-1");
+
+    assert.equal(api.required, 2);
+    assert.deepEqual(api.parents, ["SF-1"]);
+    assert.deepEqual(api.allocations.map(({ batch, quantity }) => ({ batch, quantity })), [
+      { batch: "API-EARLY", quantity: 1.5 },
+      { batch: "API-LATE", quantity: 0.5 }
+    ]);
+    // expired before the need date: not available
+    assert.equal(api.expiredQuantity, 10);
+    assert.equal(api.available, 6.5);
+    assert.equal(result.available, true);
+  });
+
+  test("does not hand out stock reserved by another order", async () => {
+    const service = createService();
+    await service.reserve({ orderId: "ORD-1" });
+
+    const result = await service.checkAvailability({ orderId: "ORD-2" });
+    const pack = result.components.find(component => component.material === "PACK-1");
+    assert.equal(pack.reservedElsewhere, 100);
+    assert.equal(pack.shortage, 50);
+    await assert.rejects(service.reserve({ orderId: "ORD-2" }), { statusCode: 409 });
+  });
+
+  test("publishes each shortage once and the manufacturing agent receives it", async () => {
+    const eventBusManager = new EventBusManager({ appendAudit() {} });
+    const agent = new ManufacturingAgent("manufacturingAgent", eventBusManager, null);
+    const received = [];
+    agent.onMaterialShortage = async event => received.push(event);
+    await agent.initialize();
+
+    const service = createService(eventBusManager);
+    await service.checkAvailability({ material: "FG-1", quantity: 4000, needDate: day(10) });
+    await service.checkAvailability({ material: "FG-1", quantity: 4000, needDate: day(10) });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(received.map(event => event.payload.material).sort(), ["API-1", "PACK-1"]);
+    const api = received.find(event => event.payload.material === "API-1");
+    assert.equal(api.type, "material/shortage");
+    assert.equal(api.payload.currentStock, 6.5);
+    assert.equal(api.payload.shortage, 1.5);
+
+    await agent.shutdown();
+  });
+});
@@ -0,0 +1,154 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MqttTopicMapper, compileTopic } from "../src/data/mapping/MqttTopicMapper.js";
+
+let dir;
+
+const MAPPINGS_YAML = `
+counterUnitSeconds: 5
+lines:
+  PACK-1: LINE-03
+mappings:
+  - id: gateway-json
+    topic: "factory/{site}/{line}/oee"
+    format: json
+    fields:
+      status: { path: machine.state, map: { 0: idle, 1: running, 2: stopped, 3: error } }
+      batchId: order.batch
+      counters.plannedProductionTime: { path: times.plannedSec, unit: s }
+      counters.operatingTime: { path: times.runSec, unit: s }
+      counters.goodCount: counts.good
+      counters.badCount: counts.reject
+      parameters.temperature: { path: "sensors[name=Jacket].value", unit: F }
+      timestamp: ts
+  - id: plc-tags
+    topic: "site1/{line}/tags/{tag}"
+    format: flat
+    tags:
+      Running: { field: status, map: { "true": running, "false": stopped } }
+      PlannedMinutes: { field: counters.plannedProductionTime, unit: min }
+      GoodCount: counters.goodCount
+    publishOn: counters.goodCount
+`;
+
+function createMapper() {
+  const configPath = path.join(dir, "mqtt_mappings.yaml");
+  fs.writeFileSync(configPath, MAPPINGS_YAML);
+  const mapper = new MqttTopicMapper({ configPath, topicBase: "plc", hotReload: false });
+  mapper.load();
+  return mapper;
+}
+
+describe("MQTT topic mapping", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mqtt-mappings-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("compiles topic patterns into subscriptions and named levels", () => {
+    const topic = compileTopic("{topicBase}/{line}/status", "plc");
+    assert.equal(topic.subscription, "plc/+/status");
+    assert.deepEqual(topic.match("plc/LINE-01/status"), { line: "LINE-01" });
+    assert.equal(topic.match("plc/LINE-01/status/extra"), null);
+
+    assert.equal(compileTopic("spBv1.0/{group}/#", "plc").subscription, "spBv1.0/+/#");
+    assert.throws(() => compileTopic("a/#/b", "plc"), /must be the last level/);
+  });
+
+  test("maps nested JSON with value maps, unit conversion and line aliases", () => {
+    const mapper = createMapper();
+    const payload = {
+      machine: { state: 1 },
+      order: { batch: "B-42" },
+      times: { plannedSec: 600, runSec: 540 },
+      counts: { good: 95, reject: 5 },
+      sensors: [{ name: "Jacket", value: 212 }],
+      ts: 1759737600
+    };
+    const { mappingId, records, reason } = mapper.map("factory/berlin/PACK-1/oee", Buffer.from(JSON.stringify(payload)));
+
+    assert.equal(mappingId, "gateway-json");
+    assert.equal(reason, null);
+    const [record] = records;
+    assert.equal(record.line, "LINE-03");
+    assert.equal(record.status, "running");
+    assert.equal(record.batchId, "B-42");
+    // seconds -> 5 s counter units
+    assert.deepEqual(record.counters, { plannedProductionTime: 120, operatingTime: 108, goodCount: 95, badCount: 5 });
+    assert.equal(record.parameters.temperature, 100);
+    assert.equal(record.timestamp, "2025-10-06T08:00:00.000Z");
+    assert.equal(record.metrics.availability, 90);
+    assert.equal(record.metrics.quality, 95);
+  });
+
+  test("merges flat tags per line and publishes on the configured field", () => {
+    const mapper = createMapper();
+
+    assert.deepEqual(mapper.map("site1/LINE-01/tags/Running", "true").records, []);
+    assert.deepEqual(mapper.map("site1/LINE-01/tags/PlannedMinutes", "10").records, []);
+    const { records } = mapper.map("site1/LINE-01/tags/GoodCount", "480");
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].status, "running");
+    assert.deepEqual(records[0].counters, { plannedProductionTime: 120, goodCount: 480 });
+
+    assert.equal(mapper.map("site1/LINE-01/tags/Unknown", "1").reason, "unmapped tag Unknown");
+  });
+
+  test("rejects invalid values and unknown topics with a dead-letter reason", () => {
+    const mapper = createMapper();
+
+    assert.equal(mapper.map("other/topic", "{}").reason, "no mapping for topic");
+    assert.equal(mapper.map("factory/berlin/LINE-01/oee", "{not json").reason, "invalid JSON");
+    const { reason } = mapper.map("factory/berlin/LINE-01/oee", JSON.stringify({ machine: { state: 9 }, counts: { good: 1 } }));
+    assert.match(reason, /status "9" is not one of/);
+
+    mapper.deadLetter("factory/berlin/LINE-01/oee", "{}", reason, "gateway-json");
+    assert.equal(mapper.listDeadLetters()[0].mappingId, "gateway-json");
+    assert.equal(mapper.describe().stats.deadLettered, 1);
+  });
+
+  test("reports every config problem and keeps the previous mappings on a bad reload", () => {
+    const mapper = createMapper();
+    const changes = [];
+    mapper.onChange(change => changes.push(change));
+
+    fs.writeFileSync(mapper.configPath, `
+mappings:
+  - id: broken
+    topic: "plc/{line}/status"
+    format: csv
+  - id: broken
+    topic: "plc/status"
+    fields:
+      counters.scrap: value
+`);
+    assert.throws(() => mapper.reload(), error => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /format must be one of/);
+      assert.match(error.message, /duplicate id broken/);
+      assert.match(error.message, /unknown field counters\.scrap/);
+      assert.match(error.message, /no line/);
+      return true;
+    });
+    assert.deepEqual(mapper.mappings.map(mapping => mapping.id), ["gateway-json", "plc-tags"]);
+    assert.ok(mapper.describe().lastError);
+
+    fs.writeFileSync(mapper.configPath, `
+mappings:
+  - id: simulator
+    topic: "{topicBase}/{line}/status"
+    passthrough: true
+`);
+    const result = mapper.reload();
+    assert.deepEqual(result.added, ["plc/+/status"]);
+    assert.deepEqual(result.removed, ["factory/+/+/oee", "site1/+/tags/+"]);
+    assert.equal(changes.length, 1);
+  });
+});
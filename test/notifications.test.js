@@ -0,0 +1,283 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { NotificationService } from "../src/notifications/NotificationService.js";
+import NotificationChannel from "../src/notifications/NotificationChannel.js";
+import StateStore from "../src/store/StateStore.js";
+
+let dir;
+let service;
+
+const HOUR = 60 * 60 * 1000;
+
+const CONFIG_YAML = `
+defaults:
+  retry: { attempts: 3, backoffSeconds: 30 }
+  rateLimit: { maxPerWindow: 2, windowMinutes: 10 }
+  quietHours: { start: "22:00", end: "06:00", bypassSeverity: critical }
+channels:
+  inbox:
+    type: inbox
+    file: "{dir}/notifications.json"
+  fake:
+    type: fake
+    quietHours: false
+  night:
+    type: fake
+    rateLimit: false
+  webhook:
+    type: webhook
+    url: "{webhookUrl}"
+    secretEnv: TEST_NOTIFY_WEBHOOK_SECRET
+    quietHours: false
+    retry: { attempts: 2, backoffSeconds: 60 }
+subscriptions:
+  - id: oee-alerts
+    events: ["alerts/oee"]
+    minSeverity: warning
+    lines: [LINE-01]
+    roles: [Maintenance]
+    title: "OEE alert ({severity}) {line}"
+    channels: [inbox, fake]
+  - id: approvals
+    events: ["approval/*"]
+    severity: warning
+    rolesFrom: allowedRoles
+    to: ["qa@example.com"]
+    channels: [inbox]
+  - id: disabled
+    enabled: false
+    events: ["*"]
+    channels: [inbox]
+  - id: shortage
+    events: ["material/shortage"]
+    message: "{material}: {shortage} short"
+    channels: [webhook]
+`;
+
+/**
+ * Channel whose sends fail with the queued errors, then succeed
+ */
+class FakeChannel extends NotificationChannel {
+  static sent = [];
+  static failures = [];
+
+  async send(notification, recipients) {
+    const failure = FakeChannel.failures.shift();
+    if (failure) throw failure;
+    FakeChannel.sent.push({ channel: this.name, notification, recipients });
+    return { accepted: true };
+  }
+}
+
+function createService({ webhookUrl = "", stateStore = null } = {}) {
+  const configPath = path.join(dir, "notifications.yaml");
+  fs.writeFileSync(configPath, CONFIG_YAML.replaceAll("{dir}", dir).replaceAll("{webhookUrl}", webhookUrl));
+  const audit = [];
+  const events = [];
+  service = new NotificationService({
+    configPath,
+    stateStore,
+    eventBusManager: { onAny: handler => events.push({ handler }), emit: (type, data) => events.push({ type, data }) },
+    auditLogger: { appendAudit: entry => audit.push(entry) },
+    userStore: {
+      listUsers: () => [
+        { id: "qa.lead", roles: ["QA"], email: "qa.lead@example.com" },
+        { id: "maint", roles: ["Maintenance"] }
+      ]
+    }
+  });
+  service.registerChannelType("fake", FakeChannel);
+  service.loadConfig();
+  return { service, audit, events };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function until(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("condition not reached");
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const transient = message => new Error(message);
+const permanent = message => Object.assign(new Error(message), { permanent: true });
+const deliveryOn = (result, channel) => result.deliveries.find(delivery => delivery.channel === channel);
+const ALERT = { severity: "warning", line: "LINE-01", message: "OEE below 60%" };
+
+describe("notification service", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifications-"));
+    FakeChannel.sent = [];
+    FakeChannel.failures = [];
+  });
+
+  afterEach(() => {
+    service?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("matches subscriptions by pattern, severity and line", () => {
+    const { service } = createService();
+    const ids = (eventType, data) => service.match(eventType, data).map(subscription => subscription.id);
+
+    assert.deepEqual(ids("alerts/oee", ALERT), ["oee-alerts"]);
+    assert.deepEqual(ids("alerts/oee", { ...ALERT, severity: "info" }), []);
+    assert.deepEqual(ids("alerts/oee", { ...ALERT, line: "LINE-03" }), []);
+    assert.deepEqual(ids("approval/escalated", {}), ["approvals"]);
+    assert.deepEqual(ids("approvals/requested", {}), []);
+
+    const { roles, emails } = service.recipientsOf(service.subscriptions[1], { allowedRoles: ["QA"] });
+    assert.deepEqual(roles, ["QA"]);
+    assert.deepEqual(emails.sort(), ["qa.lead@example.com", "qa@example.com"]);
+  });
+
+  test("ignores its own notification events", async () => {
+    const { service, events } = createService();
+    service.start();
+    const [{ handler }] = events;
+
+    handler("notification/created", { severity: "critical" });
+    handler("alerts/oee", ALERT);
+    await settle();
+
+    assert.equal(FakeChannel.sent.length, 1);
+    assert.equal(FakeChannel.sent[0].notification.title, "OEE alert (warning) LINE-01");
+    // the inbox entry announces itself once
+    assert.deepEqual(events.filter(event => event.type).map(event => event.type), ["notification/created"]);
+  });
+
+  test("retries transient errors with exponential backoff, then fails", async () => {
+    const { service, audit } = createService();
+    FakeChannel.failures.push(transient("timeout"), transient("timeout"), transient("timeout"));
+
+    const delivery = deliveryOn(service.notify(service.subscriptions[0], "alerts/oee", ALERT), "fake");
+    await settle();
+    assert.equal(delivery.status, "retrying");
+    assert.equal(delivery.attempts, 1);
+    assert.ok(service.timers.has(delivery.id));
+    const firstWait = Date.parse(delivery.nextAttemptAt) - Date.now();
+    assert.ok(firstWait > 25000 && firstWait <= 30000);
+
+    // the timer's work, without waiting for it
+    await service.dispatch(delivery);
+    const secondWait = Date.parse(delivery.nextAttemptAt) - Date.now();
+    assert.ok(secondWait > 55000 && secondWait <= 60000);
+
+    await service.dispatch(delivery);
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts, 3);
+    assert.equal(service.timers.has(delivery.id), false);
+    assert.deepEqual(audit.filter(entry => entry.channel === "fake").map(entry => entry.status), ["failed"]);
+  });
+
+  test("does not retry permanent errors", async () => {
+    const { service, audit } = createService();
+    FakeChannel.failures.push(permanent("no address"));
+
+    const delivery = deliveryOn(service.notify(service.subscriptions[0], "alerts/oee", ALERT), "fake");
+    await settle();
+
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.lastError, "no address");
+    assert.equal(service.timers.has(delivery.id), false);
+    assert.equal(audit.find(entry => entry.channel === "fake").error, "no address");
+  });
+
+  test("drops deliveries over the rate limit but still writes the inbox", async () => {
+    const { service, audit } = createService();
+    const results = [1, 2, 3].map(() => service.notify(service.subscriptions[0], "alerts/oee", ALERT));
+    await settle();
+
+    assert.deepEqual(results.map(result => deliveryOn(result, "fake").status), ["sent", "sent", "dropped"]);
+    assert.deepEqual(results.map(result => deliveryOn(result, "inbox").status), ["sent", "sent", "sent"]);
+    assert.match(audit.find(entry => entry.status === "dropped").error, /Rate limit of channel fake/);
+    assert.equal(service.inbox({ id: "maint", roles: ["Maintenance"] }).count, 3);
+  });
+
+  test("holds deliveries during quiet hours that cross midnight", () => {
+    const { service } = createService();
+    const night = service.channels.get("night");
+    const at = time => Date.parse(`2025-10-06T${time}:00Z`);
+
+    assert.equal(service.quietHoursEnd(night, "warning", at("23:30")), Date.parse("2025-10-07T06:00:00Z"));
+    assert.equal(service.quietHoursEnd(night, "warning", at("03:00")), at("06:00"));
+    assert.equal(service.quietHoursEnd(night, "warning", at("06:00")), null);
+    assert.equal(service.quietHoursEnd(night, "warning", at("12:00")), null);
+    assert.equal(service.quietHoursEnd(night, "critical", at("23:30")), null);
+    assert.equal(service.quietHoursEnd(service.channels.get("fake"), "warning", at("23:30")), null);
+  });
+
+  test("re-arms held and retrying deliveries after a restart", async () => {
+    const stateStore = new StateStore();
+    const notification = { id: "notif-1", subscriptionId: "oee-alerts", eventType: "alerts/oee", severity: "warning", line: "LINE-01", title: "OEE alert", message: "", data: {}, timestamp: new Date().toISOString() };
+    const open = (id, status, nextAttemptAt) => stateStore.put("notification_deliveries", id, {
+      id, notification, recipients: { roles: ["Maintenance"], users: [], emails: [] }, channel: "fake",
+      status, attempts: status === "retrying" ? 1 : 0, createdAt: notification.timestamp, nextAttemptAt: new Date(nextAttemptAt).toISOString()
+    });
+    open("dlv-due", "retrying", Date.now() - HOUR);
+    open("dlv-later", "held", Date.now() + HOUR);
+    stateStore.put("notification_deliveries", "dlv-done", { id: "dlv-done", notification, channel: "fake", status: "sent", createdAt: notification.timestamp });
+
+    const { service } = createService({ stateStore });
+    service.start();
+    assert.deepEqual(stateStore.getRecoveryReport().notification_deliveries.open.map(delivery => delivery.id), ["dlv-due", "dlv-later"]);
+    assert.deepEqual([...service.timers.keys()], ["dlv-due", "dlv-later"]);
+
+    await until(() => service.deliveries.get("dlv-due").status === "sent");
+    assert.equal(service.deliveries.get("dlv-due").attempts, 2);
+    assert.equal(stateStore.get("notification_deliveries", "dlv-due").status, "sent");
+    assert.equal(service.deliveries.get("dlv-later").status, "held");
+    assert.deepEqual([...service.timers.keys()], ["dlv-later"]);
+  });
+
+  test("posts signed webhooks to a local server and retries its 5xx answers", async () => {
+    const requests = [];
+    const answers = [503, 200, 404];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        requests.push({ url: req.url, signature: req.headers["x-notification-signature"], body });
+        res.writeHead(answers.shift() || 200).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    process.env.TEST_NOTIFY_WEBHOOK_SECRET = "s3cret";
+
+    try {
+      const { service } = createService({ webhookUrl: `http://127.0.0.1:${server.address().port}/hook` });
+      const shortage = { material: "API-100", shortage: 25 };
+      const [delivery] = service.notify(service.subscriptions[3], "material/shortage", shortage).deliveries;
+
+      await until(() => delivery.status !== "pending");
+      assert.equal(delivery.status, "retrying");
+      assert.equal(delivery.lastError, "Webhook webhook returned 503");
+
+      await service.dispatch(delivery);
+      assert.equal(delivery.status, "sent");
+      assert.deepEqual(delivery.result, { status: 200 });
+
+      const [, { url, signature, body }] = requests;
+      assert.equal(url, "/hook");
+      assert.equal(signature, `sha256=${crypto.createHmac("sha256", "s3cret").update(body).digest("hex")}`);
+      assert.equal(JSON.parse(body).message, "API-100: 25 short");
+
+      // 4xx: the endpoint will not change its mind
+      const [rejected] = service.notify(service.subscriptions[3], "material/shortage", shortage).deliveries;
+      await until(() => rejected.status !== "pending");
+      assert.equal(rejected.status, "failed");
+      assert.equal(rejected.attempts, 1);
+    } finally {
+      delete process.env.TEST_NOTIFY_WEBHOOK_SECRET;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
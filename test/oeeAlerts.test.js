@@ -0,0 +1,144 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { OEECalculationEngine } from "../src/oee/OEECalculationEngine.js";
+import { OEEAlertDetector } from "../src/oee/OEEAlertDetector.js";
+
+delete process.env.OEE_MICROSTOP_SECONDS;
+
+let dir;
+let oeeEngine;
+
+const LINES_YAML = `
+oee:
+  counterUnitSeconds: 1
+  idealCycleTime: 1
+  microStopSeconds: 300
+  startupMinutes: 0
+lines:
+  LINE-T:
+    name: Test line
+`;
+
+const ALERTS_YAML = `
+defaults:
+  warmupSamples: 1
+  thresholds:
+    performance: { warning: 80, critical: 50 }
+    oee: { warning: 30, critical: 15 }
+  drift:
+    fastAlpha: 1
+    minSamples: 100000
+  cooldownMinutes: 15
+`;
+
+function createDetector() {
+  const puts = [];
+  const stateStore = {
+    list: () => [],
+    recordRecovery() {},
+    put: (namespace, id, value) => puts.push({ id, occurrences: value.occurrences }),
+    delete() {}
+  };
+  const detector = new OEEAlertDetector({ oeeEngine, stateStore, configPath: path.join(dir, "oee_alerts.yaml") });
+  return { detector, puts };
+}
+
+/**
+ * Feeds 60 s samples with the given per-sample deltas, continuing a
+ * previous run if one is passed, and returns every emitted alert
+ */
+function feed(detector, samples, previous = null) {
+  const emitted = [];
+  let time = previous?.time ?? Date.parse("2025-10-06T08:00:00Z");
+  const counters = previous?.counters ?? { plannedProductionTime: 0, operatingTime: 0, goodCount: 0, badCount: 0 };
+  const push = (status, current) => emitted.push(...detector.ingest({
+    line: "LINE-T", batchId: "B1", status, timestamp: new Date(time).toISOString(), counters: { ...current }
+  }));
+
+  if (!previous) push("running", counters);
+  for (const { status = "running", operating = 60, good = 60, bad = 0 } of samples) {
+    time += 60 * 1000;
+    counters.plannedProductionTime += 60;
+    counters.operatingTime += operating;
+    counters.goodCount += good;
+    counters.badCount += bad;
+    push(status, counters);
+  }
+  return { emitted, time, counters };
+}
+
+describe("OEE alert detector", () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "oee-alerts-"));
+    fs.writeFileSync(path.join(dir, "production_lines.yaml"), LINES_YAML);
+    fs.writeFileSync(path.join(dir, "oee_alerts.yaml"), ALERTS_YAML);
+    oeeEngine = new OEECalculationEngine({ dataManager: null, configPath: path.join(dir, "production_lines.yaml") });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("counts downtime while running as a performance loss, like the engine", () => {
+    const { detector } = createDetector();
+    const state = { stats: {}, minorStops: [], samples: 0 };
+    const time = Date.parse("2025-10-06T08:00:00Z");
+    const snapshot = (status, counters) => ({ line: "LINE-T", batchId: "B1", status, counters });
+
+    detector.sampleOf(state, snapshot("running", { plannedProductionTime: 0, operatingTime: 0, goodCount: 0, badCount: 0 }), time);
+    state.counters = { plannedProductionTime: 0, operatingTime: 0, goodCount: 0, badCount: 0 };
+    state.batchId = "B1";
+
+    // 30 of 60 s down without a state change: minor stops
+    const running = detector.sampleOf(state, snapshot("running", { plannedProductionTime: 60, operatingTime: 30, goodCount: 30, badCount: 0 }), time + 60000);
+    assert.equal(running.availability, 100);
+    assert.equal(running.performance, 50);
+    assert.equal(running.oee, 50);
+
+    // the same downtime in `error` is an equipment failure
+    const failed = detector.sampleOf(state, snapshot("error", { plannedProductionTime: 60, operatingTime: 30, goodCount: 30, badCount: 0 }), time + 60000);
+    assert.equal(failed.availability, 50);
+    assert.equal(failed.performance, 100);
+  });
+
+  test("does not evaluate performance, quality and OEE without completed units", () => {
+    const { detector } = createDetector();
+    const { emitted } = feed(detector, Array.from({ length: 5 }, () => ({ good: 0 })));
+
+    assert.deepEqual(emitted, []);
+  });
+
+  test("emits a repeated condition once and persists only state changes", () => {
+    const { detector, puts } = createDetector();
+    const { emitted } = feed(detector, Array.from({ length: 6 }, () => ({ operating: 42, good: 42 })));
+
+    const performance = emitted.filter(alert => alert.metric === "performance");
+    assert.equal(performance.length, 1);
+    assert.equal(performance[0].severity, "warning");
+    assert.equal(performance[0].occurrences, 6);
+    assert.equal(puts.filter(put => put.id === performance[0].id).length, 1);
+  });
+
+  test("emits a higher severity at once and a cleared condition within the cooldown is the same alert", () => {
+    const { detector, puts } = createDetector();
+    let run = feed(detector, [{ operating: 42, good: 42 }]);
+    const [warning] = run.emitted;
+
+    run = feed(detector, [{ operating: 12, good: 12 }], run);
+    const [critical] = run.emitted.filter(alert => alert.metric === "performance");
+    assert.equal(critical.id, warning.id);
+    assert.equal(critical.severity, "critical");
+
+    // clears, then comes back 2 minutes later: counted, not emitted
+    run = feed(detector, [{ operating: 60, good: 60 }, { operating: 12, good: 12 }], run);
+    assert.deepEqual(run.emitted.filter(alert => alert.metric === "performance"), []);
+    const alert = detector.get(warning.id);
+    assert.equal(alert.clearedAt, null);
+    assert.equal(alert.occurrences, 3);
+    // raised, escalated, cleared, reopened
+    assert.equal(puts.filter(put => put.id === warning.id).length, 4);
+  });
+});
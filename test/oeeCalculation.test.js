@@ -0,0 +1,112 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { OEECalculationEngine } from "../src/oee/OEECalculationEngine.js";
+
+delete process.env.OEE_MICROSTOP_SECONDS;
+
+let dir;
+
+const LINES_YAML = `
+oee:
+  counterUnitSeconds: 1
+  idealCycleTime: 1
+  microStopSeconds: 300
+  startupMinutes: 0
+lines:
+  LINE-A:
+    name: Line A
+  LINE-B:
+    name: Line B
+`;
+
+const START = Date.parse("2025-10-06T08:00:00Z");
+
+/**
+ * Cumulative counter snapshot `seconds` after START
+ */
+const snapshot = (line, seconds, status, [planned, operating, good, bad], batchId = "B1") => ({
+  line,
+  batchId,
+  status,
+  timestamp: new Date(START + seconds * 1000).toISOString(),
+  counters: { plannedProductionTime: planned, operatingTime: operating, goodCount: good, badCount: bad }
+});
+
+const HISTORY = [
+  snapshot("LINE-A", 0, "running", [0, 0, 0, 0]),
+  // 60 s down while running: minor stops
+  snapshot("LINE-A", 600, "running", [600, 540, 520, 0]),
+  // a 100 s stop: minor stop
+  snapshot("LINE-A", 700, "stopped", [700, 540, 520, 0]),
+  snapshot("LINE-A", 800, "running", [800, 640, 610, 10]),
+  // 300 s down in error: equipment failure
+  snapshot("LINE-A", 1200, "error", [1200, 740, 700, 10]),
+
+  snapshot("LINE-B", 0, "running", [0, 0, 0, 0]),
+  snapshot("LINE-B", 300, "running", [300, 300, 300, 0]),
+  // a 400 s stop is longer than microStopSeconds: equipment failure
+  snapshot("LINE-B", 600, "stopped", [600, 300, 300, 0]),
+  snapshot("LINE-B", 700, "idle", [700, 300, 300, 0]),
+  snapshot("LINE-B", 1000, "running", [1000, 600, 600, 0])
+];
+
+function createEngine() {
+  const dataManager = { getCachedData: async type => (type === "oee_history" ? structuredClone(HISTORY) : null) };
+  return new OEECalculationEngine({ dataManager, configPath: path.join(dir, "production_lines.yaml") });
+}
+
+describe("OEE aggregation", () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "oee-"));
+    fs.writeFileSync(path.join(dir, "production_lines.yaml"), LINES_YAML);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("derives A, P, Q and OEE from counter deltas", async () => {
+    const { groups } = await createEngine().compute({ groupBy: "line", lineId: "LINE-A" });
+    const [line] = groups;
+
+    // planned 1200 s, 300 s failure, 740 s operating, 710 s ideal, 700 of 710 good
+    assert.equal(line.key, "LINE-A");
+    assert.equal(line.availability, 75);
+    assert.equal(line.performance, 78.89);
+    assert.equal(line.quality, 98.59);
+    assert.equal(line.oee, 58.33);
+    assert.equal(line.losses.equipmentFailure.minutes, 5);
+    assert.equal(line.losses.idlingAndMinorStops.minutes, 2.7);
+    assert.equal(line.losses.reducedSpeed.minutes, 0.5);
+    assert.equal(line.minorStops.intervals, 2);
+  });
+
+  test("classifies stops by length and aggregates the plant over all lines", async () => {
+    const engine = createEngine();
+    const { plant, groups } = await engine.compute({ groupBy: "line" });
+    const lineB = groups.find(group => group.key === "LINE-B");
+
+    assert.equal(lineB.losses.equipmentFailure.minutes, 6.7);
+    assert.equal(lineB.losses.idlingAndMinorStops.minutes, 0);
+    assert.equal(lineB.availability, 60);
+
+    const stops = await engine.stops({});
+    const byLine = stops.stops.map(({ line, kind, seconds }) => ({ line, kind, seconds })).sort((a, b) => a.line.localeCompare(b.line));
+    assert.deepEqual(byLine, [
+      { line: "LINE-A", kind: "minor", seconds: 100 },
+      { line: "LINE-B", kind: "long", seconds: 400 }
+    ]);
+
+    assert.equal(plant.samples, 10);
+    assert.equal(plant.times.plannedTime, 36.7);
+    // 1300 good units in 2200 s planned
+    assert.equal(plant.oee, 59.09);
+  });
+
+  test("rejects an unknown grouping", async () => {
+    await assert.rejects(createEngine().compute({ groupBy: "weekday" }), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,182 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ShiftCalendar } from "../src/oee/ShiftCalendar.js";
+import { OEECalculationEngine } from "../src/oee/OEECalculationEngine.js";
+import { OEEReportService } from "../src/oee/OEEReportService.js";
+
+delete process.env.OEE_MICROSTOP_SECONDS;
+
+let dir;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// 2025-10-06 is a Monday, 2025-10-08 a holiday
+const CALENDAR_YAML = `
+plants:
+  PLANT-T:
+    calendar:
+      workingDays: [1, 2, 3, 4, 5]
+      holidays: ["2025-10-08"]
+      shifts:
+        - name: Late
+          start: "14:00"
+          end: "22:00"
+        - name: Night
+          start: "22:00"
+          end: "06:00"
+          breaks: [{ name: Break, start: "02:00", end: "02:30" }]
+    lines:
+      LINE-A: {}
+      LINE-B:
+        workingDays: [1, 2, 3, 4, 5, 6, 7]
+        holidays: []
+`;
+
+const LINES_YAML = `
+oee:
+  counterUnitSeconds: 1
+  idealCycleTime: 1
+  startupMinutes: 0
+lines:
+  LINE-A:
+    name: Line A
+  LINE-B:
+    name: Line B
+`;
+
+const at = iso => Date.parse(`${iso}Z`);
+
+/**
+ * 10-minute counter snapshots of LINE-A from `from` to `to`; `rateOf`
+ * gives status and good units per second of a sample
+ */
+function snapshots(from, to, rateOf) {
+  const counters = { plannedProductionTime: 0, operatingTime: 0, goodCount: 0, badCount: 0 };
+  const history = [];
+  for (let time = at(from); time <= at(to); time += 10 * MINUTE) {
+    const { status, rate } = time === at(from) ? { status: "running", rate: 0 } : rateOf(time);
+    if (time > at(from)) {
+      counters.plannedProductionTime += 600;
+      counters.operatingTime += status === "running" ? 600 : 0;
+      counters.goodCount += Math.round(600 * rate);
+    }
+    history.push({ line: "LINE-A", batchId: "B1", status, timestamp: new Date(time).toISOString(), counters: { ...counters } });
+  }
+  return history;
+}
+
+function createReports(history) {
+  const shiftCalendar = new ShiftCalendar({ configPath: path.join(dir, "shift_calendars.yaml") });
+  const dataManager = { getCachedData: async type => (type === "oee_history" ? structuredClone(history) : null) };
+  const oeeEngine = new OEECalculationEngine({ dataManager, shiftCalendar, configPath: path.join(dir, "production_lines.yaml") });
+  return new OEEReportService({ oeeEngine, shiftCalendar });
+}
+
+describe("shift calendar", () => {
+  let calendar;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "oee-reports-"));
+    fs.writeFileSync(path.join(dir, "shift_calendars.yaml"), CALENDAR_YAML);
+    fs.writeFileSync(path.join(dir, "production_lines.yaml"), LINES_YAML);
+    calendar = new ShiftCalendar({ configPath: path.join(dir, "shift_calendars.yaml") });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("assigns overnight shifts and their breaks after midnight to the start day", () => {
+    assert.deepEqual(calendar.classify("LINE-A", at("2025-10-07T03:00")), { plant: "PLANT-T", line: "LINE-A", date: "2025-10-06", shift: "Night", planned: true, reason: null });
+    assert.equal(calendar.classify("LINE-A", at("2025-10-07T02:15")).reason, "break");
+    assert.equal(calendar.classify("LINE-A", at("2025-10-07T10:00")).reason, "no_shift");
+
+    const night = calendar.instanceAt("LINE-A", at("2025-10-07T05:59"));
+    assert.equal(night.start, at("2025-10-06T22:00"));
+    assert.equal(night.end, at("2025-10-07T06:00"));
+    assert.deepEqual(night.breaks.map(pause => [pause.start, pause.end]), [[at("2025-10-07T02:00"), at("2025-10-07T02:30")]]);
+    assert.equal(night.plannedMinutes, 450);
+  });
+
+  test("takes holidays and weekends out of planned time by the shift's start day", () => {
+    assert.equal(calendar.classify("LINE-A", at("2025-10-08T15:00")).reason, "holiday");
+    // the night shift of the holiday ends on a working day
+    assert.deepEqual(calendar.classify("LINE-A", at("2025-10-09T01:00")), { plant: "PLANT-T", line: "LINE-A", date: "2025-10-08", shift: "Night", planned: false, reason: "holiday" });
+    // Friday's night shift runs into Saturday
+    assert.equal(calendar.classify("LINE-A", at("2025-10-11T03:00")).planned, true);
+    assert.equal(calendar.classify("LINE-A", at("2025-10-11T15:00")).reason, "weekend");
+    // continuous line without holidays
+    assert.equal(calendar.classify("LINE-B", at("2025-10-08T15:00")).planned, true);
+
+    const shifts = calendar.shifts("LINE-A", at("2025-10-06T00:00"), at("2025-10-09T00:00"));
+    assert.deepEqual(shifts.map(shift => `${shift.date} ${shift.shift}`), ["2025-10-06 Late", "2025-10-06 Night", "2025-10-07 Late", "2025-10-07 Night"]);
+    assert.equal(calendar.previousShift("LINE-A", at("2025-10-09T15:00")).date, "2025-10-07");
+  });
+
+  test("rejects reversed and overlong ranges", () => {
+    const from = at("2025-10-06T00:00");
+    assert.throws(() => calendar.shifts("LINE-A", from, from), { statusCode: 400, message: "to must be after from" });
+    assert.throws(() => calendar.shifts("LINE-A", from, from - DAY), { statusCode: 400 });
+    assert.throws(() => calendar.shifts("LINE-A", from, from + 63 * DAY), { statusCode: 400, message: /at most 62 days/ });
+    // two shifts a day plus the night shift running into the first day
+    assert.equal(calendar.shifts("LINE-B", from, from + 62 * DAY).length, 125);
+  });
+});
+
+describe("OEE reports", () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "oee-reports-"));
+    fs.writeFileSync(path.join(dir, "shift_calendars.yaml"), CALENDAR_YAML);
+    fs.writeFileSync(path.join(dir, "production_lines.yaml"), LINES_YAML);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("groups days by ISO week across the turn of the year", async () => {
+    // Sunday 2025-12-28 is in 2025-W52, Monday 2025-12-29 starts 2026-W01
+    const history = [
+      ...snapshots("2025-12-28T15:00", "2025-12-28T16:00", () => ({ status: "running", rate: 1 })),
+      ...snapshots("2025-12-29T15:00", "2025-12-29T16:00", () => ({ status: "running", rate: 1 }))
+    ].map((entry, index) => ({ ...entry, batchId: index < 7 ? "B1" : "B2" }));
+    const report = await createReports(history).periodReport({ period: "week", lineId: "LINE-A" });
+
+    assert.deepEqual(report.periods.map(period => period.period), ["2025-W52", "2026-W01"]);
+    assert.deepEqual(report.periods.map(period => period.lines[0].goodCount), [3600, 3600]);
+
+    const byShift = await createReports(history).periodReport({ period: "shift", lineId: "LINE-A" });
+    assert.deepEqual(byShift.periods.map(period => period.period), ["2025-12-28 Late", "2025-12-29 Late"]);
+  });
+
+  test("hands over the last completed shift against the one before", async () => {
+    // Late runs at the ideal rate; Night at 90 %, stopped in its break after midnight
+    // (samples count by their end: the one ending 02:30 is back in planned time)
+    const history = snapshots("2025-10-06T14:00", "2025-10-07T06:00", time => {
+      if (time <= at("2025-10-06T22:00")) return { status: "running", rate: 1 };
+      if (time > at("2025-10-07T02:00") && time <= at("2025-10-07T02:20")) return { status: "stopped", rate: 0 };
+      return { status: "running", rate: 0.9 };
+    });
+    const handover = await createReports(history).shiftHandover({ lineId: "LINE-A", at: "2025-10-07T06:30:00Z" });
+    const [line] = handover.lines;
+
+    assert.deepEqual(line.shift, { date: "2025-10-06", name: "Night", start: "2025-10-06T22:00:00.000Z", end: "2025-10-07T06:00:00.000Z", plannedMinutes: 450 });
+    assert.equal(line.performance, 90);
+    assert.equal(line.availability, 100);
+    assert.equal(line.downtime.planned.minutes, 20);
+    assert.deepEqual(line.downtime.planned.byReason, { break: 20 });
+    assert.equal(line.downtime.unplanned.minutes, 0);
+    assert.deepEqual(line.previousShift, { date: "2025-10-06", name: "Late", oee: 100 });
+    assert.equal(line.oeeDelta, -10);
+    assert.match(line.highlights[0], /^OEE 90% .*-10 pts vs Late 2025-10-06$/);
+    assert.deepEqual(handover.linesWithoutData, []);
+
+    // nothing ended yet in the middle of the first shift
+    const early = await createReports(history).shiftHandover({ lineId: "LINE-A", at: "2025-10-06T18:00:00Z" });
+    assert.deepEqual(early.linesWithoutData, ["LINE-A"]);
+  });
+});
@@ -0,0 +1,129 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import DataManager from "../src/data/DataManager.js";
+
+let dir;
+let server;
+let dataManager;
+let endpointUrl;
+
+async function freePort() {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, "127.0.0.1", resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+/**
+ * Start scripts/mockOpcuaServer.js and wait for its endpoint line
+ */
+function startMockServer(port) {
+  const child = spawn(process.execPath, ["scripts/mockOpcuaServer.js"], {
+    env: { ...process.env, MOCK_OPCUA_PORT: String(port), MOCK_OPCUA_INTERVAL_MS: "500", MOCK_OPCUA_LINES: "LINE-04" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`mock OPC UA server did not start:\n${output}`)), 30000);
+    const collect = chunk => {
+      output += chunk;
+      if (output.includes("Mock OPC UA server on")) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`mock OPC UA server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+async function until(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error("condition not reached");
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+describe("OPC UA data source against the mock server", () => {
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "opcua-"));
+    const port = await freePort();
+    endpointUrl = `opc.tcp://127.0.0.1:${port}/UA/Line`;
+    server = await startMockServer(port);
+
+    // the repo's node config, published faster
+    const linesConfig = path.join(dir, "opcua_lines.yaml");
+    fs.writeFileSync(linesConfig, fs.readFileSync("src/config/opcua_lines.yaml", "utf8")
+      .replace(/^samplingIntervalMs: \d+/m, "samplingIntervalMs: 250")
+      .replace(/^publishIntervalMs: \d+/m, "publishIntervalMs: 500"));
+    fs.writeFileSync(path.join(dir, "data-sources.yaml"), `
+dataSources:
+  oee_opcua:
+    type: opcua
+    config:
+      endpointUrl: ${endpointUrl}
+      linesConfig: ${JSON.stringify(linesConfig)}
+`);
+
+    dataManager = new DataManager(path.relative(process.cwd(), path.join(dir, "data-sources.yaml")));
+    await dataManager.loadDataSourceConfig();
+  });
+
+  after(async () => {
+    dataManager?.dataSources.forEach(source => source.cleanup?.());
+    if (server && server.exitCode === null) {
+      const exited = new Promise(resolve => server.once("exit", resolve));
+      server.kill("SIGTERM");
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("publishes the simulated line as canonical OEE data", async () => {
+    await until(async () => (await dataManager.getRealtimeOEEData()).length > 0, 30000);
+
+    const status = dataManager.getOEEConnectionStatus();
+    assert.equal(status.protocol, "opcua");
+    assert.equal(status.connected, true);
+    assert.equal(status.endpointUrl, endpointUrl);
+    assert.deepEqual(status.lines, ["LINE-04"]);
+    assert.equal(status.monitoredItems, 8);
+    assert.deepEqual(status.nodeErrors, {});
+    assert.deepEqual(status.configErrors, []);
+    assert.equal(status.lastError, null);
+    assert.equal(status.dataPoints, 1);
+
+    const [line] = await dataManager.getRealtimeOEEData();
+    assert.equal(line.line, "LINE-04");
+    assert.equal(line.source, "opcua");
+    assert.match(line.batchId, /^BATCH-\d+$/);
+    assert.ok(["running", "idle", "stopped", "error"].includes(line.status), `status ${line.status}`);
+    for (const field of ["plannedProductionTime", "operatingTime", "goodCount", "badCount"]) {
+      assert.equal(typeof line.counters[field], "number", field);
+    }
+    assert.ok(line.counters.operatingTime <= line.counters.plannedProductionTime);
+    // mbar -> bar
+    assert.ok(line.parameters.pressure >= 1 && line.parameters.pressure <= 1.1, `pressure ${line.parameters.pressure}`);
+    assert.ok(Number.isFinite(Date.parse(line.timestamp)));
+  });
+
+  test("follows the simulated production ticks", async () => {
+    const [first] = await dataManager.getRealtimeOEEData();
+    // planned time grows every tick, whatever the simulated state
+    await until(async () => {
+      const [line] = await dataManager.getRealtimeOEEData();
+      return line.receivedAt !== first.receivedAt && line.counters.plannedProductionTime !== first.counters.plannedProductionTime;
+    }, 15000);
+  });
+});
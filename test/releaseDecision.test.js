@@ -0,0 +1,115 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RuleRepository } from "../src/release/RuleRepository.js";
+import { ReleaseDecisionEngine } from "../src/release/ReleaseDecisionEngine.js";
+
+let dir;
+
+const DATA = {
+  orders: [
+    { orderId: "ORD-EU", material: "FG-123", market: "EU" },
+    { orderId: "ORD-US", material: "FG-456", market: "US" },
+    { orderId: "ORD-BR", material: "FG-123", market: "BR" }
+  ],
+  batches: [
+    { id: "B-123", material: "FG-123", qualityStatus: "approved" },
+    { id: "B-456", material: "FG-456", qualityStatus: "approved" }
+  ],
+  inventory: [
+    { material: "FG-123", batch: "B-123", rmslPct: 70 },
+    { material: "FG-456", batch: "B-456", rmslPct: 90 }
+  ],
+  qa: [
+    { material: "FG-123", status: "Approved" },
+    { material: "FG-456", status: "Approved" }
+  ],
+  compliance: {
+    compliance: [
+      { batchId: "B-123", complianceStatus: "compliant", gmpStatus: "verified", issues: [] },
+      { batchId: "B-456", complianceStatus: "compliant", gmpStatus: "verified", issues: [] }
+    ]
+  }
+};
+
+function createEngine() {
+  const ruleRepository = new RuleRepository({ rulesFile: path.join(dir, "release_rules.json"), csvFile: "rules/tric_rules.csv" });
+  ruleRepository.load();
+  const dataManager = { getCachedData: async type => structuredClone(DATA[type]) };
+  return { ruleRepository, engine: new ReleaseDecisionEngine({ dataManager, ruleRepository }) };
+}
+
+const statusOf = (verdict, rule) => verdict.checks.find(check => check.rule === rule)?.status;
+
+describe("release rules", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "release-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("generates the rule store from the CSV on first load, without transport rules", () => {
+    const { ruleRepository } = createEngine();
+
+    assert.ok(fs.existsSync(path.join(dir, "release_rules.json")));
+    const { rules } = ruleRepository.list();
+    assert.ok(rules.length > 0);
+    assert.ok(rules.every(rule => ["market_approval", "rmsl_minimum"].includes(rule.type)));
+    assert.throws(
+      () => ruleRepository.create({ material: "*", market: "CMO-ADP-01", type: "transport_lead_time", thresholds: { leadTimeHours: 48 } }, { reason: "test", changedBy: "qa" }),
+      /type must be one of/
+    );
+  });
+
+  test("releases an order that passes every rule", async () => {
+    const { engine } = createEngine();
+    const verdict = await engine.evaluate({ orderId: "ORD-EU" });
+
+    assert.equal(verdict.verdict, "releasable");
+    assert.equal(statusOf(verdict, "tric.rmsl_minimum"), "passed");
+    assert.equal(verdict.checks.find(check => check.rule === "tric.rmsl_minimum").minPct, 60);
+  });
+
+  test("blocks a material without market approval", async () => {
+    const { engine } = createEngine();
+    const verdict = await engine.evaluate({ orderId: "ORD-US" });
+
+    assert.equal(verdict.verdict, "blocked");
+    assert.deepEqual(verdict.failedRules.map(check => check.rule), ["tric.market_approval"]);
+    assert.match(verdict.failedRules[0].source, /^release_rules:rule-.+@v1 \(rules\/tric_rules\.csv#L\d+\)$/);
+  });
+
+  test("applies the ROW minimum to markets without their own rule", async () => {
+    const { engine } = createEngine();
+    const verdict = await engine.evaluate({ orderId: "ORD-BR" });
+
+    // 70% remaining, ROW requires 80%
+    assert.equal(verdict.verdict, "blocked");
+    assert.equal(statusOf(verdict, "tric.rmsl_minimum"), "failed");
+  });
+
+  test("evaluates with the rules that applied on an earlier date", async () => {
+    const { engine, ruleRepository } = createEngine();
+    const [euRule] = ruleRepository.list({ material: "FG-123", market: "EU", type: "rmsl_minimum" }).rules;
+    ruleRepository.update(euRule.id, { thresholds: { minPct: 75 } }, { reason: "Tightened EU minimum", changedBy: "qa" });
+
+    assert.equal((await engine.evaluate({ orderId: "ORD-EU" })).verdict, "blocked");
+    const before = await engine.evaluate({ orderId: "ORD-EU", asOf: "2000-01-01" });
+    assert.equal(before.verdict, "releasable");
+    assert.equal(before.rules.version, 1);
+  });
+
+  test("fails safe when QA or compliance records are missing", async () => {
+    const { engine } = createEngine();
+    engine.dataManager = { getCachedData: async type => (["qa", "compliance"].includes(type) ? null : structuredClone(DATA[type])) };
+    const verdict = await engine.evaluate({ orderId: "ORD-EU" });
+
+    assert.equal(verdict.verdict, "blocked");
+    assert.equal(statusOf(verdict, "qa.material_status"), "failed");
+    assert.equal(statusOf(verdict, "compliance.status"), "failed");
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Offline runs with LLM_PROVIDER=replay: processAgent, A2A and the
+ * ProductionWorkflow answer from mock-data/llm-replay without network.
+ */
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+process.env.LLM_PROVIDER = "replay";
+process.env.REPLAY_MODE = "replay";
+process.env.REPLAY_FIXTURES_DIR = path.resolve("mock-data/llm-replay");
+delete process.env.MQTT_BROKER_URL;
+delete process.env.OPCUA_ENDPOINT_URL;
+
+const { AgentManager } = await import("../src/agents/AgentManager.js");
+const { A2AManager } = await import("../src/a2a/A2AManager.js");
+const { EventBusManager } = await import("../src/eventBus/EventBusManager.js");
+const { ProductionWorkflow } = await import("../src/workflows/ProductionWorkflow.js");
+const { default: DataManager } = await import("../src/data/DataManager.js");
+const { default: ReplayProvider } = await import("../src/llm/providers/ReplayProvider.js");
+const { LLMProviderRegistry } = await import("../src/llm/LLMProviderRegistry.js");
+
+const auditLogger = { log() {}, appendAudit() {} };
+
+function createSystem(agentDir) {
+  const dataManager = new DataManager();
+  dataManager.setDefaultConfig();
+  const eventBusManager = new EventBusManager(auditLogger);
+  const a2aManager = new A2AManager(eventBusManager, auditLogger);
+  const agentManager = new AgentManager(dataManager, eventBusManager, auditLogger, a2aManager);
+  agentManager.loadAgents(agentDir);
+  return { dataManager, a2aManager, agentManager };
+}
+
+describe("replay provider", () => {
+  test("hashes the prompt key and template instead of the prompt", async () => {
+    const provider = new ReplayProvider({ fixturesDir: "mock-data/llm-replay" });
+    const { agentManager, a2aManager } = createSystem("config");
+    a2aManager.shutdown();
+    const { promptTemplate } = agentManager.agents.find(a => a.id === "oeeAgent");
+    const options = { agentId: "oeeAgent", promptKey: "oee status", promptTemplate };
+
+    const first = await provider.generate("Live OEE: 71.2% at 2025-10-06T08:00:00Z", options);
+    const second = await provider.generate("Live OEE: 64.9% at 2025-10-06T08:05:00Z", options);
+    assert.equal(first, second);
+    assert.equal(provider.stats.hits, 2);
+
+    // an edited template needs a new recording
+    await assert.rejects(
+      provider.generate("Live OEE: 71.2%", { ...options, promptTemplate: `${promptTemplate}\nAnswer in German.` }),
+      /No replay fixture for oeeAgent\//
+    );
+    assert.notEqual(ReplayProvider.hashPrompt("oee status", "a"), ReplayProvider.hashPrompt("oee status"));
+  });
+
+  test("fails on a missing fixture in replay mode", async () => {
+    const provider = new ReplayProvider({ fixturesDir: "mock-data/llm-replay" });
+    await assert.rejects(
+      provider.generate("anything", { agentId: "oeeAgent", promptKey: "unknown question" }),
+      /No replay fixture for oeeAgent\//
+    );
+  });
+
+  test("refuses to start without the fixture directory", () => {
+    const previous = process.env.REPLAY_FIXTURES_DIR;
+    process.env.REPLAY_FIXTURES_DIR = path.resolve("test/fixtures/no-such-dir");
+    try {
+      assert.throws(() => new LLMProviderRegistry().resolveDefault("replay"), /Replay fixtures not found/);
+    } finally {
+      process.env.REPLAY_FIXTURES_DIR = previous;
+    }
+  });
+});
+
+describe("agents offline", () => {
+  let system;
+
+  before(() => {
+    system = createSystem("config");
+  });
+
+  after(() => {
+    system.a2aManager.shutdown();
+  });
+
+  test("processAgent answers from the fixture whatever the live OEE data", async () => {
+    const { agentManager, dataManager } = system;
+    const agent = agentManager.agents.find(a => a.id === "oeeAgent");
+    assert.equal(agentManager.llmProvider, "replay");
+
+    const without = await agentManager.processAgent(agent, "oee status", true);
+
+    // a realtime line appears between the two calls
+    dataManager.dataSources.set("oee", {
+      onUpdate() {},
+      fetchData: async () => [{ line: "LINE-01", status: "running", metrics: { oee: 64.9 }, timestamp: new Date().toISOString() }]
+    });
+    const withLive = await agentManager.processAgent(agent, "oee status", true);
+    dataManager.dataSources.delete("oee");
+
+    assert.match(without, /^## OEE Status/);
+    assert.equal(withLive, without);
+  });
+
+  test("runs tools as the caller, or as the system role without one", async () => {
+    const { agentManager } = system;
+    const agent = { ...agentManager.agents.find(a => a.id === "oeeAgent"), tools: "all" };
+    const provider = agentManager.getLLMForAgent(agent);
+    const runs = [];
+    agentManager.toolRunner = {
+      getTools: () => [{ name: "query_production_data", description: "", inputSchema: {} }],
+      run: async ({ userRole, userId }) => {
+        runs.push({ userRole, userId });
+        return { text: "ok", toolCalls: [] };
+      }
+    };
+    provider.supportsTools = () => true;
+    try {
+      await agentManager.processAgent(agent, "oee status", true);
+      await agentManager.processAgent(agent, "oee status", false, { user: { id: "alice", roles: ["Operations"] } });
+    } finally {
+      delete provider.supportsTools;
+      agentManager.toolRunner = null;
+    }
+
+    assert.deepEqual(runs, [{ userRole: "System", userId: "system" }, { userRole: ["Operations"], userId: "alice" }]);
+  });
+
+  test("A2A request is answered by the agent's fixture", async () => {
+    const response = await system.a2aManager.requestService("qualityAgent", "qaCheck", { orderId: "ORD-1001" });
+
+    assert.equal(response.responseType, "a2a_response");
+    assert.equal(response.agentId, "qualityAgent");
+    assert.equal(response.result.status, "pending");
+    assert.equal(response.result.batch, "B-2025-002");
+  });
+
+  test("opens signature requests only for release and recommendation answers", () => {
+    const { agentManager } = system;
+    const agent = agentManager.agents.find(a => a.id === "qualityAgent");
+    const created = [];
+    agentManager.signatureManager = {
+      createRequest: request => created.push(request) && request,
+      describeRequest: request => ({ recordType: request.recordType })
+    };
+
+    assert.equal(agentManager.requestAgentSignature(agent, "quality status of line 2", "All fine"), null);
+    assert.equal(agentManager.requestAgentSignature(agent, "What is the CAPA backlog?", "3 open"), null);
+    assert.ok(agentManager.requestAgentSignature(agent, "Can batch B-1 be released?", "Verdict: blocked"));
+    assert.ok(agentManager.requestAgentSignature(agent, "status of ORD-1001", "Verdict: releasable", "u1", [{ tool: "evaluate_release", success: true }]));
+    assert.equal(agentManager.requestAgentSignature(agent, "status of ORD-1001", "n/a", "u1", [{ tool: "evaluate_release", success: false }]), null);
+    assert.equal(created.length, 2);
+    agentManager.signatureManager = null;
+  });
+});
+
+describe("ProductionWorkflow offline", () => {
+  let system;
+
+  before(() => {
+    system = createSystem("test/fixtures/agents");
+  });
+
+  after(() => {
+    system.a2aManager.shutdown();
+  });
+
+  test("runs compliance, assessment and status update from fixtures", async () => {
+    const workflow = new ProductionWorkflow(system.a2aManager);
+    const result = await workflow.executeOrderAnalysisWorkflow("ORD-1001", { material: "FG-002", qty: 200 });
+
+    assert.equal(result.steps, 3);
+    assert.deepEqual(result.details.steps.map(step => step.status), ["completed", "completed", "completed"]);
+    // compliance reports CRITICAL -> assessment runs and delays the release
+    assert.equal(result.finalStatus, "DELAYED");
+    assert.ok(result.summary.keyFindings.includes("compliance_validation: Critical issue detected"));
+  });
+});
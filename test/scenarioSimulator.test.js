@@ -0,0 +1,215 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ScenarioSimulator } from "../src/planning/ScenarioSimulator.js";
+import { FiniteCapacityScheduler } from "../src/planning/FiniteCapacityScheduler.js";
+import { MaterialAvailabilityService } from "../src/planning/MaterialAvailabilityService.js";
+import { WhatIfAnalyzer } from "../src/agents/LLMPoweredAgents.js";
+import StateStore from "../src/store/StateStore.js";
+
+let dir;
+
+// 100/h at 50% OEE: 50 units per hour, one 8 h shift on weekdays
+const LINES_YAML = `
+defaults:
+  oee: 0.5
+lines:
+  LINE-1:
+    capacityPerHour: 100
+    workingDays: [1, 2, 3, 4, 5]
+    shifts:
+      - { name: Early, start: "06:00", end: "14:00" }
+  LINE-2:
+    capacityPerHour: 100
+    workingDays: [1, 2, 3, 4, 5]
+    shifts:
+      - { name: Early, start: "06:00", end: "14:00" }
+    materials: ["FG-2*"]
+changeover:
+  defaultMinutes: 0
+`;
+
+// Monday
+const START = "2025-10-06T06:00:00.000Z";
+
+const DATA = {
+  orders: [
+    { orderId: "ORD-1", material: "FG-1", qty: 200, priority: "high", endDate: "2025-10-06" },
+    { orderId: "ORD-2", material: "FG-2", qty: 100, priority: "normal", endDate: "2025-10-10" }
+  ],
+  bom: [
+    { material: "FG-1", baseQuantity: 100, components: [{ material: "API-1", qty: 1, unit: "kg" }] },
+    { material: "FG-2", baseQuantity: 100, components: [{ material: "PACK-2", qty: 100, unit: "pcs" }] }
+  ],
+  inventory: [
+    { material: "API-1", batch: "API-A", quantity: 3, expiry: null },
+    { material: "PACK-2", batch: "PACK-A", quantity: 100, expiry: null }
+  ],
+  batches: [{ id: "API-A", qualityStatus: "released" }],
+  oee_history: []
+};
+
+function createSimulator({ stateStore = null, data = DATA } = {}) {
+  const audit = [];
+  const dataManager = { getCachedData: async type => structuredClone(data[type] ?? null) };
+  const simulator = new ScenarioSimulator({
+    dataManager,
+    scheduler: new FiniteCapacityScheduler({ dataManager, configPath: path.join(dir, "production_lines.yaml") }),
+    materialService: new MaterialAvailabilityService({ dataManager }),
+    stateStore,
+    auditLogger: { appendAudit: entry => audit.push(entry) },
+    options: { horizonHours: 120 }
+  });
+  return { simulator, audit };
+}
+
+const kpiOf = (scenario, id) => scenario.result.kpis.find(kpi => kpi.id === id);
+
+describe("scenario simulator", () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "scenarios-"));
+    fs.writeFileSync(path.join(dir, "production_lines.yaml"), LINES_YAML);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("rejects invalid scenario definitions", async () => {
+    const { simulator } = createSimulator();
+    const create = changes => simulator.create({ name: "Invalid", startAt: START, changes });
+
+    await assert.rejects(simulator.create({ changes: [{ type: "line_oee", line: "LINE-1", oee: 0.4 }] }), { statusCode: 400, message: "name is required" });
+    await assert.rejects(create([]), { statusCode: 400, message: "changes must be a non-empty array" });
+    await assert.rejects(create([{ type: "line_fire" }]), { statusCode: 400, message: /changes\[0\]: type must be one of/ });
+    await assert.rejects(create([{ type: "line_down", line: "LINE-9", hours: 4 }]), { statusCode: 400, message: "changes[0]: unknown line LINE-9" });
+    await assert.rejects(create([{ type: "line_down", line: "LINE-1", hours: 0 }]), { statusCode: 400 });
+    await assert.rejects(create([{ type: "order_quantity", orderId: "ORD-1", pct: -100 }]), { statusCode: 400 });
+    await assert.rejects(create([{ type: "line_oee", line: "LINE-1", oee: 1.5 }]), { statusCode: 400 });
+    await assert.rejects(create([{ type: "batch_rejected", batchId: "NO-SUCH" }]), { statusCode: 400, message: "Batch not found: NO-SUCH" });
+    assert.deepEqual(simulator.list(), []);
+  });
+
+  test("computes the delta of a line stop without touching the live data", async () => {
+    const data = structuredClone(DATA);
+    const { simulator, audit } = createSimulator({ data });
+    const scenario = await simulator.create({ name: "LINE-1 down", startAt: START, changes: [{ type: "line_down", line: "LINE-1", hours: 8 }] }, { userId: "planer" });
+
+    assert.deepEqual(scenario.result.downtime, [{ line: "LINE-1", start: START, end: "2025-10-06T14:00:00.000Z" }]);
+    assert.deepEqual(kpiOf(scenario, "schedule.late_orders"), {
+      id: "schedule.late_orders", label: "Late orders", unit: "orders", better: "lower", before: 0, after: 1, delta: 1, impact: "worse"
+    });
+    // one of five 8 h shifts lost: 50 % x 32/40
+    assert.equal(kpiOf(scenario, "oee.line.LINE-1").before, 50);
+    assert.equal(kpiOf(scenario, "oee.line.LINE-1").after, 40);
+    assert.equal(kpiOf(scenario, "oee.line.LINE-2").impact, "none");
+    assert.equal(kpiOf(scenario, "materials.orders_short").impact, "none");
+
+    const [order] = scenario.result.orders;
+    assert.equal(order.orderId, "ORD-1");
+    assert.equal(order.endShiftHours, 24);
+    assert.deepEqual([order.lateBefore, order.lateAfter], [false, true]);
+    assert.equal(scenario.result.orders.length, 1);
+
+    assert.deepEqual(data, DATA);
+    assert.deepEqual(audit.map(entry => [entry.type, entry.userId]), [["scenario_simulated", "planer"]]);
+  });
+
+  test("turns a larger order and a rejected batch into material shortages", async () => {
+    const { simulator } = createSimulator();
+    const larger = await simulator.create({ name: "ORD-1 +100%", startAt: START, changes: [{ type: "order_quantity", orderId: "ORD-1", pct: 100 }] });
+
+    // 400 units need 4 kg API-1, 3 kg in stock
+    assert.deepEqual([kpiOf(larger, "materials.orders_short").before, kpiOf(larger, "materials.orders_short").after], [0, 1]);
+    assert.deepEqual(larger.result.orders.find(order => order.orderId === "ORD-1").shortages.map(item => [item.material, item.shortage]), [["API-1", 1]]);
+
+    const rejected = await simulator.create({ name: "API-A rejected", startAt: START, changes: [{ type: "batch_rejected", batchId: "API-A" }] });
+    assert.equal(kpiOf(rejected, "materials.short_components").after, 1);
+    assert.equal(kpiOf(rejected, "materials.short_components").impact, "worse");
+    assert.equal(kpiOf(rejected, "schedule.late_orders").impact, "none");
+  });
+
+  test("keeps scenarios across restarts and compares them side by side", async () => {
+    const stateStore = new StateStore();
+    const { simulator } = createSimulator({ stateStore });
+    const slow = await simulator.create({ name: "LINE-1 at 25%", startAt: START, changes: [{ type: "line_oee", line: "LINE-1", oee: 0.25 }] });
+    const fast = await simulator.create({ name: "LINE-1 at 100%", startAt: START, changes: [{ type: "line_oee", line: "LINE-1", oee: 1 }] });
+
+    const { simulator: restarted } = createSimulator({ stateStore });
+    assert.deepEqual(restarted.list().map(scenario => scenario.id).sort(), [slow.id, fast.id].sort());
+
+    const comparison = restarted.compare([slow.id, fast.id]);
+    const lineOee = comparison.kpis.find(kpi => kpi.id === "oee.line.LINE-1");
+    assert.deepEqual(lineOee.values[slow.id], { before: 50, after: 25, delta: -25 });
+    assert.deepEqual(lineOee.best, [fast.id]);
+    // the same value in both scenarios has no best
+    assert.equal(comparison.kpis.find(kpi => kpi.id === "oee.line.LINE-2").best, null);
+    assert.throws(() => restarted.compare([slow.id]), { statusCode: 400 });
+
+    restarted.delete(slow.id, { userId: "planer" });
+    assert.equal(stateStore.has("scenarios", slow.id), false);
+    assert.throws(() => restarted.get(slow.id), { statusCode: 404 });
+  });
+});
+
+describe("scenario narrative", () => {
+  const SCENARIO = {
+    id: "scn-1",
+    name: "LINE-1 down",
+    changes: [{ type: "line_down", line: "LINE-1", hours: 8 }],
+    startAt: START,
+    result: {
+      kpis: [
+        { id: "schedule.late_orders", label: "Late orders", unit: "orders", before: 0, after: 1, delta: 1, impact: "worse" },
+        { id: "oee.line.LINE-1", label: "Projected OEE LINE-1", unit: "%", before: 50, after: 40, delta: -10, impact: "worse" }
+      ],
+      orders: []
+    }
+  };
+
+  function createAnalyzer(narrative) {
+    const calls = [];
+    const audit = [];
+    const agentManager = {
+      agents: [{ id: "productionPlanningAgent" }],
+      auditLogger: { appendAudit: entry => audit.push(entry) },
+      processAgent: async (agent, prompt, isAutoTriggered, options) => {
+        calls.push({ agentId: agent.id, prompt, options });
+        return narrative;
+      }
+    };
+    return { analyzer: new WhatIfAnalyzer(agentManager, null), calls, audit };
+  }
+
+  test("narrates with the caller's identity and passes cited answers", async () => {
+    const { analyzer, calls, audit } = createAnalyzer("One order turns late [schedule.late_orders], LINE-1 drops to 40% [oee.line.LINE-1].");
+    const user = { id: "planer", roles: ["Planning"] };
+    const result = await analyzer.narrateScenario(SCENARIO, "What if LINE-1 stops?", { user });
+
+    assert.equal(calls[0].options.user, user);
+    assert.match(calls[0].prompt, /\| schedule\.late_orders \| Late orders \| 0 \| 1 \| 1 \| orders \| worse \|/);
+    assert.equal(result.flagged, false);
+    assert.equal(result.warning, null);
+    assert.deepEqual(result.citations.cited, ["schedule.late_orders", "oee.line.LINE-1"]);
+    assert.deepEqual(audit, []);
+  });
+
+  test("flags narratives that cite unknown or no figures", async () => {
+    const { analyzer, audit } = createAnalyzer("Output falls by 30% [oee.plant_output] and [schedule.late_orders] rises.");
+    const result = await analyzer.narrateScenario(SCENARIO, "", { user: { id: "planer", roles: ["Planning"] } });
+
+    assert.equal(result.flagged, true);
+    assert.deepEqual(result.citations.unknown, ["oee.plant_output"]);
+    assert.match(result.warning, /not simulated \(oee\.plant_output\)/);
+    assert.deepEqual(audit, [{ type: "scenario_narrative_flagged", scenarioId: "scn-1", narrator: "productionPlanningAgent", unknown: ["oee.plant_output"], userId: "planer" }]);
+
+    const { analyzer: uncited, calls } = createAnalyzer("LINE-1 will be fine.");
+    const plain = await uncited.narrateScenario(SCENARIO);
+    assert.equal(plain.flagged, true);
+    assert.match(plain.warning, /cites none of the simulated KPIs/);
+    // without a caller the agent runs as the system role
+    assert.equal(calls[0].options.user, undefined);
+  });
+});
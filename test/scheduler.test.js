@@ -0,0 +1,126 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FiniteCapacityScheduler } from "../src/planning/FiniteCapacityScheduler.js";
+
+let dir;
+
+// 100/h at 50% OEE: 50 units per hour, one 8 h shift on weekdays
+const LINES_YAML = `
+defaults:
+  oee: 0.5
+lines:
+  LINE-1:
+    capacityPerHour: 100
+    workingDays: [1, 2, 3, 4, 5]
+    shifts:
+      - { name: Early, start: "06:00", end: "14:00" }
+  LINE-2:
+    capacityPerHour: 100
+    workingDays: [1, 2, 3, 4, 5]
+    shifts:
+      - { name: Early, start: "06:00", end: "14:00" }
+    materials: ["FG-2*"]
+changeover:
+  defaultMinutes: 60
+`;
+
+// Monday
+const START = "2025-10-06T06:00:00.000Z";
+
+function createScheduler(orders) {
+  const audit = [];
+  const dataManager = { getCachedData: async type => (type === "orders" ? structuredClone(orders) : null) };
+  const scheduler = new FiniteCapacityScheduler({
+    dataManager,
+    auditLogger: { appendAudit: entry => audit.push(entry) },
+    configPath: path.join(dir, "production_lines.yaml")
+  });
+  return { scheduler, audit };
+}
+
+const taskOf = (plan, id) => plan.tasks.find(task => task.id === id);
+
+describe("finite-capacity scheduling", () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-"));
+    fs.writeFileSync(path.join(dir, "production_lines.yaml"), LINES_YAML);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("sequences by priority with changeovers and keeps production inside shifts", async () => {
+    const { scheduler, audit } = createScheduler([
+      { orderId: "ORD-3", material: "FG-1", qty: 300, priority: "low", endDate: "2025-10-06" },
+      { orderId: "ORD-2", material: "FG-3", qty: 100, priority: "normal", endDate: "2025-10-06" },
+      { orderId: "ORD-1", material: "FG-1", qty: 200, priority: "high", endDate: "2025-10-10" },
+      { orderId: "ORD-0", material: "FG-1", qty: 100, status: "completed" }
+    ]);
+    const plan = await scheduler.schedule({ startAt: START });
+
+    assert.deepEqual(plan.tasks.map(task => [task.id, task.line, task.start.slice(0, 16), task.end.slice(0, 16)]), [
+      ["ORD-1", "LINE-1", "2025-10-06T06:00", "2025-10-06T10:00"],
+      ["ORD-2-changeover", "LINE-1", "2025-10-06T10:00", "2025-10-06T11:00"],
+      ["ORD-2", "LINE-1", "2025-10-06T11:00", "2025-10-06T13:00"],
+      ["ORD-3-changeover", "LINE-1", "2025-10-06T13:00", "2025-10-06T14:00"],
+      // the next shift starts Tuesday 06:00
+      ["ORD-3", "LINE-1", "2025-10-07T06:00", "2025-10-07T12:00"]
+    ]);
+    assert.equal(plan.summary.orders, 3);
+
+    // due Monday, fits on an empty line: late because of the queue
+    assert.deepEqual(plan.lateOrders.map(order => order.orderId), ["ORD-3"]);
+    assert.match(plan.lateOrders[0].reason, /^Queued behind earlier orders on LINE-1/);
+    assert.deepEqual(audit[0].lateOrders, ["ORD-3"]);
+  });
+
+  test("keeps in-progress orders on their line and flags capacity-bound lateness", async () => {
+    const { scheduler } = createScheduler([
+      { orderId: "ORD-5", material: "FG-2", qty: 100, priority: "urgent", endDate: "2025-10-10" },
+      { orderId: "ORD-4", material: "FG-2", qty: 1000, status: "in_progress", currentAssignment: { line: "LINE-1", progress: 50 } },
+      { orderId: "ORD-6", material: "FG-1", qty: 1000, endDate: "2025-10-06" }
+    ]);
+    const plan = await scheduler.schedule({ startAt: START });
+
+    // 500 remaining at 50/h: 10 h, no changeover
+    const inProgress = taskOf(plan, "ORD-4");
+    assert.equal(inProgress.line, "LINE-1");
+    assert.equal(inProgress.quantity, 500);
+    assert.equal(inProgress.segments.length, 2);
+    assert.equal(taskOf(plan, "ORD-4-changeover"), undefined);
+    assert.equal(taskOf(plan, "ORD-5").line, "LINE-2");
+
+    const [late] = plan.lateOrders;
+    assert.equal(late.orderId, "ORD-6");
+    assert.match(late.reason, /more shift time than is left before the due date/);
+  });
+
+  test("cuts scenario downtime out of the shifts and applies OEE overrides", async () => {
+    const { scheduler } = createScheduler([{ orderId: "ORD-1", material: "FG-1", qty: 200 }]);
+    const plan = await scheduler.schedule({
+      startAt: START,
+      downtime: [{ line: "LINE-1", start: "2025-10-06T08:00:00Z", end: "2025-10-06T10:00:00Z" }],
+      oeeOverrides: { "LINE-1": 1 }
+    });
+
+    // 200 at 100/h: done before the downtime
+    assert.deepEqual(taskOf(plan, "ORD-1").segments, [
+      { start: "2025-10-06T06:00:00.000Z", end: "2025-10-06T08:00:00.000Z" }
+    ]);
+    assert.equal(plan.lines.find(line => line.lineId === "LINE-1").oeeSource, "override");
+
+    // at the default 50% OEE the downtime splits the 4 h run
+    const slowed = await scheduler.schedule({
+      startAt: START,
+      downtime: [{ line: "LINE-1", start: "2025-10-06T08:00:00Z", end: "2025-10-06T10:00:00Z" }]
+    });
+    assert.deepEqual(taskOf(slowed, "ORD-1").segments, [
+      { start: "2025-10-06T06:00:00.000Z", end: "2025-10-06T08:00:00.000Z" },
+      { start: "2025-10-06T10:00:00.000Z", end: "2025-10-06T12:00:00.000Z" }
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { SessionManager } from "../src/sessions/SessionManager.js";
+
+describe("SessionManager ownership", () => {
+  test("lists only the owner's sessions", () => {
+    const sessions = new SessionManager();
+    sessions.createSession(null, {}, "alice");
+    sessions.createSession(null, {}, "bob");
+
+    const list = sessions.listSessions("alice");
+    assert.equal(list.length, 1);
+    assert.equal(list[0].owner, "alice");
+  });
+
+  test("hides, keeps and refuses sessions of other users", () => {
+    const sessions = new SessionManager();
+    const session = sessions.createSession(null, {}, "alice");
+
+    assert.equal(sessions.getSession(session.id, "bob"), null);
+    assert.equal(sessions.deleteSession(session.id, "bob"), false);
+    assert.ok(sessions.getSession(session.id, "alice"));
+    assert.throws(() => sessions.getOrCreateSession(session.id, {}, "bob"), error => error.statusCode === 404);
+    assert.equal(sessions.getOrCreateSession(session.id, {}, "alice"), session);
+  });
+
+  test("anonymous callers do not reach user sessions", () => {
+    const sessions = new SessionManager();
+    const session = sessions.createSession(null, {}, SessionManager.ownerOf({ id: "alice" }));
+
+    assert.equal(SessionManager.ownerOf(undefined), "anonymous");
+    assert.equal(sessions.getSession(session.id, SessionManager.ownerOf(undefined)), null);
+  });
+});
+
+describe("SessionManager history", () => {
+  test("records exchanges for the owner and refuses other owners", async () => {
+    const sessions = new SessionManager();
+    const session = await sessions.addExchange("s-1", "OEE of LINE-01?", "78%", "oeeAgent", "alice");
+
+    assert.equal(session.owner, "alice");
+    await assert.rejects(sessions.addExchange("s-1", "and LINE-02?", "81%", "oeeAgent", "bob"), error => error.statusCode === 404);
+    assert.deepEqual(sessions.getContext("s-1"), {
+      history: [{ role: "user", content: "OEE of LINE-01?" }, { role: "assistant", content: "78%" }],
+      historySummary: null
+    });
+  });
+
+  test("folds the oldest turns into an extractive summary over the turn limit", async () => {
+    const sessions = new SessionManager({ maxTurns: 4 });
+    for (const line of ["LINE-01", "LINE-02", "LINE-03"]) {
+      await sessions.addExchange("s-1", `OEE of ${line}?\nplease`, `${line} runs at 80%`, "oeeAgent", "alice");
+    }
+    const session = sessions.getSession("s-1", "alice");
+
+    assert.equal(session.turns.length, 4);
+    assert.equal(session.summarizedTurns, 2);
+    assert.equal(session.summary, "- User: OEE of LINE-01?\n- Assistant: LINE-01 runs at 80%");
+    assert.equal(sessions.getContext("s-1").history[0].content, "OEE of LINE-02?\nplease");
+  });
+
+  test("compacts over the token budget and keeps the summary's newest lines", async () => {
+    const sessions = new SessionManager({ tokenBudget: 50 });
+    const answer = "y".repeat(100);
+
+    await sessions.addExchange("s-1", "Stock of API-100?", answer, null, "alice");
+    assert.equal(sessions.getSession("s-1").summary, null);
+    await sessions.addExchange("s-1", "And API-200?", answer, null, "alice");
+    const session = sessions.getSession("s-1");
+
+    assert.deepEqual(session.turns.map(turn => turn.content), ["And API-200?", answer]);
+    assert.equal(session.summarizedTurns, 2);
+    // at most tokenBudget characters: the user line is dropped before the answer
+    assert.equal(session.summary, `- Assistant: ${answer}`);
+  });
+
+  test("summarizes with the summarizer and falls back to the extractive summary when it fails", async () => {
+    const calls = [];
+    const sessions = new SessionManager({
+      maxTurns: 2,
+      summarizer: async (turns, previousSummary) => {
+        calls.push({ turns: turns.map(turn => turn.content), previousSummary });
+        if (calls.length > 1) throw new Error("LLM offline");
+        return " Asked about batch B-1; it is released. ";
+      }
+    });
+
+    await sessions.addExchange("s-1", "Status of batch B-1?", "Released.", null, "alice");
+    await sessions.addExchange("s-1", "Deviations?", "None open.", null, "alice");
+    assert.deepEqual(calls, [{ turns: ["Status of batch B-1?", "Released."], previousSummary: null }]);
+    assert.equal(sessions.getSession("s-1").summary, "Asked about batch B-1; it is released.");
+
+    await sessions.addExchange("s-1", "And B-2?", "Quarantined.", null, "alice");
+    const session = sessions.getSession("s-1");
+    assert.equal(calls[1].previousSummary, "Asked about batch B-1; it is released.");
+    assert.equal(session.summary, "Asked about batch B-1; it is released.\n- User: Deviations?\n- Assistant: None open.");
+    assert.deepEqual(sessions.getContext("s-1"), {
+      history: [{ role: "user", content: "And B-2?" }, { role: "assistant", content: "Quarantined." }],
+      historySummary: session.summary
+    });
+    assert.equal(session.summarizedTurns, 4);
+  });
+});
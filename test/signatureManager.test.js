@@ -0,0 +1,118 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SignatureManager } from "../src/audit/SignatureManager.js";
+
+const USERS = {
+  "qa.reviewer": { id: "u-reviewer", username: "qa.reviewer", name: "QA Reviewer", roles: ["QA"], password: "reviewer" },
+  "qa.lead": { id: "u-lead", username: "qa.lead", name: "QA Lead", roles: ["QA"], password: "lead" },
+  "prod.supervisor": { id: "u-supervisor", username: "prod.supervisor", name: "Supervisor", roles: ["Production"], password: "supervisor" }
+};
+
+// Session identity of a signed-in local user (req.user)
+const sessionOf = username => {
+  const { password, ...user } = USERS[username];
+  return { ...user, authMethod: "local" };
+};
+
+let dir;
+let audit;
+
+function createManager() {
+  audit = [];
+  const userStore = {
+    getUser: username => (USERS[username] ? sessionOf(username) : null),
+    verifyCredentials: (username, password) => {
+      const { password: expected, ...user } = USERS[username] || {};
+      return expected && expected === password ? user : null;
+    }
+  };
+  return new SignatureManager({
+    auditLogger: { appendAudit: entry => { audit.push(entry); return `AUD-${audit.length}`; } },
+    userStore,
+    options: { requestsPath: path.join(dir, "signature_requests.json") }
+  });
+}
+
+function openRequest(signatures, recordType = "batch_release") {
+  return signatures.createRequest({
+    recordType,
+    recordId: "ORD-1001",
+    record: { orderId: "ORD-1001", decision: "RELEASE", decidedAt: "2025-10-06T08:00:00.000Z" }
+  });
+}
+
+describe("e-signatures", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "signatures-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("signs reviewed then approved by two different people", () => {
+    const signatures = createManager();
+    const request = openRequest(signatures);
+
+    const reviewer = sessionOf("qa.reviewer");
+
+    assert.throws(() => signatures.sign(request.requestId, { user: reviewer, password: "reviewer", meaning: "approved" }), { statusCode: 409 });
+    signatures.sign(request.requestId, { user: reviewer, password: "reviewer", meaning: "reviewed" });
+    assert.throws(() => signatures.sign(request.requestId, { user: reviewer, password: "reviewer", meaning: "approved" }), /cannot sign a record twice/);
+    signatures.sign(request.requestId, { user: sessionOf("qa.lead"), password: "lead", meaning: "approved" });
+
+    assert.equal(signatures.getRequest(request.requestId).status, "completed");
+    assert.equal(signatures.verifyRequest(request.requestId).valid, true);
+  });
+
+  test("locks the signer after three failed re-authentications", () => {
+    const signatures = createManager();
+    const request = openRequest(signatures);
+    const attempt = password => () =>
+      signatures.sign(request.requestId, { user: sessionOf("qa.reviewer"), password, meaning: "reviewed" });
+
+    for (let failure = 0; failure < 3; failure++) {
+      assert.throws(attempt("wrong"), { statusCode: 401 });
+    }
+    assert.throws(attempt("reviewer"), { statusCode: 423 });
+
+    assert.equal(audit.filter(entry => entry.type === "e_signature_failed").length, 3);
+    const [lock] = audit.filter(entry => entry.type === "account_locked");
+    assert.equal(lock.username, "qa.reviewer");
+    assert.equal(lock.source, "e_signature");
+    assert.equal(lock.requestId, request.requestId);
+
+    // other signers are not affected
+    signatures.sign(request.requestId, { user: sessionOf("qa.lead"), password: "lead", meaning: "reviewed" });
+  });
+
+  test("signs only as the authenticated user", () => {
+    const signatures = createManager();
+    const request = openRequest(signatures);
+    const attempt = (user, password) => () => signatures.sign(request.requestId, { user, password, meaning: "reviewed" });
+
+    assert.throws(attempt({ id: "anonymous", roles: ["Viewer"], authMethod: "anonymous" }, "reviewer"), { statusCode: 401 });
+    assert.throws(attempt({ id: "oidc|jdoe", roles: ["QA"], authMethod: "oidc" }, "reviewer"), { statusCode: 403 });
+    // another person's password does not sign for the session user
+    assert.throws(attempt(sessionOf("qa.lead"), "reviewer"), { statusCode: 401 });
+
+    const manifest = signatures.sign(request.requestId, { user: sessionOf("qa.lead"), password: "lead", meaning: "reviewed" });
+    assert.equal(manifest.signer.userId, "u-lead");
+  });
+
+  test("only approver roles reject release records", () => {
+    const signatures = createManager();
+    const release = openRequest(signatures);
+    const supervisor = sessionOf("prod.supervisor");
+
+    assert.throws(() => signatures.reject(release.requestId, { user: supervisor, password: "supervisor", reason: "not ok" }), { statusCode: 403 });
+    assert.equal(signatures.getRequest(release.requestId).status, "pending");
+    assert.equal(signatures.reject(release.requestId, { user: sessionOf("qa.lead"), password: "lead", reason: "OOS result" }).status, "rejected");
+
+    const recommendation = openRequest(signatures, "agent_recommendation");
+    assert.equal(signatures.reject(recommendation.requestId, { user: supervisor, password: "supervisor", reason: "outdated" }).status, "rejected");
+  });
+});
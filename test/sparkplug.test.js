@@ -0,0 +1,89 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { DataType, SparkplugTracker, decodePayload, encodePayload, parseTopic, topicOf } from "../src/data/mapping/SparkplugB.js";
+
+const TIMESTAMP = Date.parse("2025-10-06T08:00:00Z");
+
+const message = (topic, payload) => [parseTopic(topic), decodePayload(encodePayload({ timestamp: TIMESTAMP, ...payload }))];
+
+describe("Sparkplug B codec", () => {
+  test("round-trips metric values of every value field", () => {
+    const metrics = [
+      { name: "Counters/GoodCount", alias: 1, datatype: DataType.UInt32, value: 4200 },
+      { name: "Offset", alias: 2, datatype: DataType.Int16, value: -12 },
+      { name: "bdSeq", datatype: DataType.UInt64, value: 7 },
+      { name: "Metrics/OEE", alias: 3, datatype: DataType.Double, value: 76.92 },
+      { name: "Parameters/Temperature", datatype: DataType.Float, value: 21.5 },
+      { name: "Running", datatype: DataType.Boolean, value: false },
+      { name: "OEE/Status", alias: 4, datatype: DataType.String, value: "running" },
+      { name: "OEE/BatchId", datatype: DataType.String, value: null }
+    ];
+    const decoded = decodePayload(encodePayload({ timestamp: TIMESTAMP, seq: 3, metrics }));
+
+    assert.equal(decoded.timestamp, TIMESTAMP);
+    assert.equal(decoded.seq, 3);
+    assert.deepEqual(decoded.metrics.map(({ name, alias, value }) => ({ name, alias, value })), metrics.map(({ name, alias = null, value }) => ({ name, alias, value })));
+  });
+
+  test("builds and parses topics", () => {
+    assert.equal(topicOf("Pharma", "DDATA", "OEESimulator", "LINE-01"), "spBv1.0/Pharma/DDATA/OEESimulator/LINE-01");
+    assert.deepEqual(parseTopic("spBv1.0/Pharma/NBIRTH/OEESimulator"), { groupId: "Pharma", messageType: "NBIRTH", edgeNodeId: "OEESimulator", deviceId: null });
+    assert.equal(parseTopic("spBv1.0/STATE/host-1").messageType, "STATE");
+    // device messages need a device, node messages must not have one
+    assert.equal(parseTopic("spBv1.0/Pharma/DDATA/OEESimulator"), null);
+    assert.equal(parseTopic("spBv1.0/Pharma/NDATA/OEESimulator/LINE-01"), null);
+    assert.equal(parseTopic("plc/LINE-01/status"), null);
+  });
+});
+
+describe("Sparkplug B lifecycle", () => {
+  const bdSeq = value => ({ name: "bdSeq", datatype: DataType.UInt64, value });
+  const goodCount = value => ({ alias: 1, datatype: DataType.UInt32, value });
+
+  function bornTracker() {
+    const tracker = new SparkplugTracker();
+    tracker.apply(...message("spBv1.0/Pharma/NBIRTH/Sim", { seq: 0, metrics: [bdSeq(1)] }));
+    tracker.apply(...message("spBv1.0/Pharma/DBIRTH/Sim/LINE-01", { seq: 1, metrics: [{ name: "Counters/GoodCount", ...goodCount(0) }] }));
+    return tracker;
+  }
+
+  test("asks for a rebirth on data before birth", () => {
+    const tracker = new SparkplugTracker();
+    const result = tracker.apply(...message("spBv1.0/Pharma/DDATA/Sim/LINE-01", { seq: 5, metrics: [goodCount(10)] }));
+
+    assert.equal(result.problem, "DDATA before NBIRTH");
+    assert.equal(result.rebirth, true);
+  });
+
+  test("resolves aliases from the birth and flags sequence gaps", () => {
+    const tracker = bornTracker();
+
+    const data = tracker.apply(...message("spBv1.0/Pharma/DDATA/Sim/LINE-01", { seq: 2, metrics: [goodCount(10)] }));
+    assert.deepEqual(data.devices, ["LINE-01"]);
+    assert.deepEqual(data.metrics.map(({ name, value }) => [name, value]), [["Counters/GoodCount", 10]]);
+    assert.equal(data.warning, null);
+
+    const gap = tracker.apply(...message("spBv1.0/Pharma/DDATA/Sim/LINE-01", { seq: 5, metrics: [goodCount(20)] }));
+    assert.match(gap.warning, /expected 3, got 5/);
+    assert.equal(gap.rebirth, true);
+    assert.equal(tracker.describe()[0].seqErrors, 1);
+  });
+
+  test("takes devices offline on death and ignores the Will of an older session", () => {
+    const tracker = bornTracker();
+
+    const stale = tracker.apply(...message("spBv1.0/Pharma/NDEATH/Sim", { metrics: [bdSeq(0)] }));
+    assert.match(stale.problem, /stale NDEATH/);
+    assert.equal(tracker.describe()[0].online, true);
+
+    const death = tracker.apply(...message("spBv1.0/Pharma/NDEATH/Sim", { metrics: [bdSeq(1)] }));
+    assert.deepEqual(death.devices, ["LINE-01"]);
+    assert.equal(death.online, false);
+    const [node] = tracker.describe();
+    assert.equal(node.online, false);
+    assert.equal(node.devices[0].online, false);
+
+    const late = tracker.apply(...message("spBv1.0/Pharma/DDATA/Sim/LINE-01", { seq: 2, metrics: [goodCount(30)] }));
+    assert.equal(late.problem, "DDATA before NBIRTH");
+  });
+});
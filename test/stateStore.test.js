@@ -0,0 +1,100 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileStateStore } from "../src/store/FileStateStore.js";
+import { SqliteStateStore } from "../src/store/SqliteStateStore.js";
+import { EventBusManager } from "../src/eventBus/EventBusManager.js";
+
+const DatabaseSync = await import("node:sqlite").then(sqlite => sqlite.DatabaseSync, () => null);
+
+let dir;
+
+const STORES = {
+  file: () => new FileStateStore({ dir: path.join(dir, "state") }),
+  sqlite: () => new SqliteStateStore({ DatabaseSync, file: path.join(dir, "state.sqlite") })
+};
+
+const OEE_EVENT = { line: "LINE-01", oeeMetrics: { oee: 71.2 } };
+
+describe("state store recovery", () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "state-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const [driver, createStore] of Object.entries(STORES)) {
+    const skip = driver === "sqlite" && !DatabaseSync && "node:sqlite not available (Node.js 22.5+)";
+
+    test(`${driver}: restores records, updates and deletes after a restart`, { skip }, () => {
+      const store = createStore();
+      store.put("workflows", "wf-1", { status: "running", steps: [{ id: "reserve", status: "completed" }] });
+      store.put("workflows", "wf-2", { status: "running" });
+      store.put("workflows", "wf-1", { status: "completed", steps: [] });
+      store.delete("workflows", "wf-2");
+      store.put("mcp_contexts", 42, { expiresAt: null });
+      store.close();
+
+      const restarted = createStore();
+      assert.deepEqual(restarted.list("workflows"), [{ status: "completed", steps: [] }]);
+      assert.equal(restarted.has("workflows", "wf-2"), false);
+      assert.deepEqual(restarted.get("mcp_contexts", "42"), { expiresAt: null });
+      assert.equal(restarted.describe().persistent, true);
+      restarted.close();
+    });
+
+    test(`${driver}: restores the OEE event history written in one batch`, { skip }, async () => {
+      process.env.EVENT_HISTORY_FLUSH_MS = "30";
+      try {
+        const store = createStore();
+        const writes = [];
+        const writeRecord = store.writeRecord.bind(store);
+        store.writeRecord = (name, id, value) => {
+          writes.push(`${name}/${id}`);
+          writeRecord(name, id, value);
+        };
+        const bus = new EventBusManager({ log() {} });
+        bus.setStateStore(store);
+
+        for (let i = 0; i < 120; i++) bus.handleOEEEvent("oee/updated", { ...OEE_EVENT, sequence: i }, "oeeAgent");
+        assert.deepEqual(writes, []);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepEqual(writes, ["event_history/oee"]);
+
+        bus.handleOEEEvent("oee/updated", { ...OEE_EVENT, sequence: 120 }, "oeeAgent");
+        // written on shutdown without waiting for the interval
+        bus.flushOEEHistory();
+        assert.deepEqual(writes, ["event_history/oee", "event_history/oee"]);
+        store.close();
+
+        const restartedStore = createStore();
+        const restarted = new EventBusManager({ log() {} });
+        restarted.setStateStore(restartedStore);
+        assert.equal(restarted.oeeEventHistory.length, 100);
+        assert.equal(restarted.oeeEventHistory.at(-1).data.sequence, 120);
+        assert.equal(restartedStore.getRecoveryReport().eventHistory.oeeEvents, 100);
+        restartedStore.close();
+      } finally {
+        delete process.env.EVENT_HISTORY_FLUSH_MS;
+      }
+    });
+  }
+
+  test("file: quarantines an unreadable collection instead of overwriting it", () => {
+    const store = STORES.file();
+    fs.writeFileSync(path.join(store.dir, "workflows.json"), "{ truncated");
+
+    assert.deepEqual(store.list("workflows"), []);
+    const quarantined = fs.readdirSync(store.dir).filter(file => file.startsWith("workflows.json.corrupt-"));
+    assert.equal(quarantined.length, 1);
+    assert.equal(fs.readFileSync(path.join(store.dir, quarantined[0]), "utf8"), "{ truncated");
+
+    store.put("workflows", "wf-3", { status: "running" });
+    assert.deepEqual(STORES.file().get("workflows", "wf-3"), { status: "running" });
+    assert.equal(fs.existsSync(path.join(store.dir, "workflows.json.tmp")), false);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Streamed chat answers: SSE frames of POST /api/chat, agent/response.*
+ * events on the bus and the browser helpers in public/js/chatStream.js.
+ */
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import express from "express";
+
+process.env.LLM_PROVIDER = "replay";
+process.env.REPLAY_MODE = "replay";
+process.env.REPLAY_FIXTURES_DIR = path.resolve("mock-data/llm-replay");
+delete process.env.MQTT_BROKER_URL;
+delete process.env.OPCUA_ENDPOINT_URL;
+
+const { AgentManager } = await import("../src/agents/AgentManager.js");
+const { A2AManager } = await import("../src/a2a/A2AManager.js");
+const { EventBusManager } = await import("../src/eventBus/EventBusManager.js");
+const { default: DataManager } = await import("../src/data/DataManager.js");
+const { createChatRoutes } = await import("../src/api/routes/chat.routes.js");
+
+const auditLogger = { log() {}, appendAudit() {} };
+
+function loadChatStream() {
+  const context = { TextDecoder };
+  vm.runInNewContext(fs.readFileSync("public/js/chatStream.js", "utf8"), context);
+  return context;
+}
+
+function recordResponseEvents(eventBusManager) {
+  const events = [];
+  eventBusManager.onAny((type, data) => {
+    if (type.startsWith("agent/response.")) events.push({ type, ...data });
+  });
+  return events;
+}
+
+describe("chat stream helpers", () => {
+  test("escapes agent text before rendering markdown", () => {
+    const { renderMarkdown, escapeHtml } = loadChatStream();
+
+    assert.equal(
+      renderMarkdown("## Status\n**<img src=x onerror=alert(1)>** ok\n- LINE-01"),
+      "<h2>Status</h2><br><strong>&lt;img src=x onerror=alert(1)&gt;</strong> ok<br>&bull; LINE-01"
+    );
+    assert.equal(escapeHtml(`"a" & 'b'`), "&quot;a&quot; &amp; &#39;b&#39;");
+    assert.equal(renderMarkdown(undefined), "");
+  });
+
+  test("reads SSE frames split across chunks", async () => {
+    const { readChatStream } = loadChatStream();
+    const encoder = new TextEncoder();
+    const chunks = ['data: {"type":"meta"}\n\ndata: {"type":"del', 'ta","delta":"Hä"}\n', '\n: ping\n\ndata: {"type":"done"}\n\n'];
+    const res = {
+      body: {
+        getReader: () => ({
+          read: async () => chunks.length ? { value: encoder.encode(chunks.shift()), done: false } : { value: undefined, done: true }
+        })
+      }
+    };
+
+    const frames = [];
+    // frames are parsed in the vm realm
+    await readChatStream(res, frame => frames.push({ ...frame }));
+    assert.deepEqual(frames, [{ type: "meta" }, { type: "delta", delta: "Hä" }, { type: "done" }]);
+  });
+});
+
+describe("streamed agent answers", () => {
+  let system;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const dataManager = new DataManager();
+    dataManager.setDefaultConfig();
+    const eventBusManager = new EventBusManager(auditLogger);
+    const a2aManager = new A2AManager(eventBusManager, auditLogger);
+    const agentManager = new AgentManager(dataManager, eventBusManager, auditLogger, a2aManager);
+    agentManager.loadAgents("config");
+    system = { eventBusManager, a2aManager, agentManager };
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: "alice", roles: ["Operations"] };
+      next();
+    });
+    app.use("/api/chat", createChatRoutes(agentManager, auditLogger, eventBusManager));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    system.a2aManager.shutdown();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test("sends meta, delta and done frames and publishes the deltas for the caller", async () => {
+    const events = recordResponseEvents(system.eventBusManager);
+    const res = await fetch(`${baseUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "oee status", stream: true })
+    });
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+    const frames = (await res.text()).split("\n\n").filter(Boolean).map(frame => JSON.parse(frame.slice("data: ".length)));
+    const [meta, ...rest] = frames;
+    const done = rest.pop();
+    assert.equal(meta.type, "meta");
+    assert.equal(meta.agentUsed, "oeeAgent");
+    assert.equal(done.type, "done");
+    assert.ok(rest.length > 0 && rest.every(frame => frame.type === "delta"));
+    assert.equal(rest.map(frame => frame.delta).join(""), done.response);
+    assert.match(done.response, /^## OEE Status/);
+
+    const deltas = events.filter(event => event.type === "agent/response.delta");
+    assert.equal(deltas.length, rest.length);
+    assert.ok(deltas.every(event => event.streamId === meta.streamId && event.userId === "alice" && event.agentId === "oeeAgent"));
+    const completed = events.find(event => event.type === "agent/response.completed");
+    assert.deepEqual([completed.streamId, completed.chunks, completed.length], [meta.streamId, deltas.length, done.response.length]);
+  });
+
+  test("publishes the tool loop's answer as one delta", async () => {
+    const { agentManager, eventBusManager } = system;
+    const agent = { ...agentManager.agents.find(a => a.id === "oeeAgent"), tools: "all" };
+    const provider = agentManager.getLLMForAgent(agent);
+    agentManager.toolRunner = {
+      getTools: () => [{ name: "query_production_data", description: "", inputSchema: {} }],
+      run: async () => ({ text: "LINE-01 runs at 78%", toolCalls: [{ tool: "query_production_data", success: true }] })
+    };
+    provider.supportsTools = () => true;
+    const events = recordResponseEvents(eventBusManager);
+    const deltas = [];
+    let toolCalls;
+    try {
+      const response = await agentManager.processAgent(agent, "oee status", false, {
+        user: { id: "alice", roles: ["Operations"] },
+        streamId: "chat-1",
+        onDelta: delta => deltas.push(delta),
+        onToolCalls: calls => { toolCalls = calls; }
+      });
+      assert.equal(response, "LINE-01 runs at 78%");
+    } finally {
+      delete provider.supportsTools;
+      agentManager.toolRunner = null;
+    }
+
+    assert.deepEqual(deltas, ["LINE-01 runs at 78%"]);
+    assert.equal(toolCalls.length, 1);
+    assert.deepEqual(events.map(event => [event.type, event.streamId, event.userId]), [
+      ["agent/response.delta", "chat-1", "alice"],
+      ["agent/response.completed", "chat-1", "alice"]
+    ]);
+    assert.equal(events[0].delta, "LINE-01 runs at 78%");
+  });
+});
@@ -0,0 +1,289 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { WorkflowDefinitions } from "../src/workflows/WorkflowDefinitions.js";
+import { WorkflowEngine } from "../src/workflows/WorkflowEngine.js";
+import { ApprovalManager } from "../src/workflows/ApprovalManager.js";
+import { evaluateCondition, resolveTemplate } from "../src/workflows/workflowExpressions.js";
+import StateStore from "../src/store/StateStore.js";
+
+let dir;
+let definitions;
+
+const WORKFLOWS = {
+  "conditional.yaml": `
+id: conditional
+input:
+  required: [orderId]
+steps:
+  - id: check
+    agent: qa
+    action: check
+    input: { orderId: "{{input.orderId}}" }
+  - id: verdict
+    evaluate:
+      cases:
+        - when: { path: steps.check.output.deviations, gt: 0 }
+          value: "hold {{input.orderId}}"
+      default: release
+  - id: investigate
+    when: { path: steps.verdict.output, matches: "^hold" }
+    agent: qa
+    action: investigate
+  - id: book
+    when:
+      all:
+        - { path: steps.verdict.output, equals: release }
+        - not: { path: input.line, in: [LINE-09] }
+    agent: planning
+    action: book
+`,
+  "parallel.yaml": `
+id: parallel
+steps:
+  - id: reserve
+    agent: planning
+    action: reserve
+    compensate: { agent: planning, action: unreserve, input: { slot: "{{steps.reserve.output.slot}}" } }
+  - id: label
+    agent: planning
+    action: label
+    compensate: { agent: planning, action: unlabel }
+  - id: checks
+    parallel:
+      - id: equipment
+        agent: equipment
+        action: status
+        compensate: { agent: equipment, action: release }
+      - id: safety
+        agent: safety
+        action: assess
+      - id: optional
+        agent: safety
+        action: extra
+        onError: continue
+`,
+  "retry.yaml": `
+id: retry
+steps:
+  - id: flaky
+    agent: equipment
+    action: status
+    retry: { attempts: 3, delay: 40, backoff: 2 }
+`,
+  "approval.yaml": `
+id: approval
+timeout: 150
+steps:
+  - id: prepare
+    agent: planning
+    action: reserve
+    compensate: { agent: planning, action: unreserve }
+  - id: sign_off
+    approval:
+      title: "Release {{input.orderId}}"
+      roles: [QA]
+  - id: brief
+    agent: planning
+    action: brief
+`,
+  "slow.yaml": `
+id: slow
+timeout: 100
+steps:
+  - id: reserve
+    agent: planning
+    action: reserve
+    compensate: { agent: planning, action: unreserve }
+  - id: analyse
+    agent: equipment
+    action: slow
+`
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A2A stand-in: `handlers["agent.action"]` answers, errors or waits; every call is recorded
+ */
+function createA2A(handlers = {}) {
+  const calls = [];
+  return {
+    calls,
+    requestService: async (agent, action, input) => {
+      const key = `${agent}.${action}`;
+      calls.push({ key, input, at: Date.now() });
+      const handler = handlers[key];
+      return typeof handler === "function" ? handler(input, calls.filter(call => call.key === key).length) : handler ?? { ok: true };
+    }
+  };
+}
+
+function createEngine(a2a, { stateStore = null, approvalManager = null, options = {} } = {}) {
+  return new WorkflowEngine({ a2aManager: a2a, definitions, stateStore, approvalManager, options });
+}
+
+const stepStatuses = run => Object.fromEntries(run.steps.map(step => [step.id, step.status]));
+
+describe("workflow expressions", () => {
+  test("resolves templates and evaluates nested conditions", () => {
+    const scope = { input: { orderId: "ORD-1", qty: 5 }, steps: { check: { output: { deviations: 2, text: "QUARANTINE" } } } };
+
+    assert.equal(resolveTemplate("{{input.qty}}", scope), 5);
+    assert.deepEqual(resolveTemplate({ text: "Order {{input.orderId}}: {{steps.check.output.deviations}}" }, scope), { text: "Order ORD-1: 2" });
+    assert.equal(evaluateCondition({ path: "steps.check.output.text", matches: "reject|quarantine" }, scope), true);
+    assert.equal(evaluateCondition({ any: [{ path: "input.qty", gte: 10 }, { not: { path: "input.orderId", exists: true } }] }, scope), false);
+    assert.equal(evaluateCondition({ path: "input.orderId", in: ["ORD-1", "ORD-2"] }, scope), true);
+    assert.equal(evaluateCondition(undefined, scope), true);
+  });
+});
+
+describe("workflow engine", () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "workflows-"));
+    for (const [file, content] of Object.entries(WORKFLOWS)) fs.writeFileSync(path.join(dir, file), content);
+    fs.writeFileSync(path.join(dir, "broken.yaml"), "id: broken\nsteps:\n  - id: a\n    agent: qa\n    action: check\n    when: { path: input.x }\n");
+    definitions = new WorkflowDefinitions({ dir, hotReload: false });
+    definitions.load();
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("rejects conditions without an operator when loading", () => {
+    assert.equal(definitions.get("broken"), null);
+    assert.match(definitions.getErrors()["broken.yaml"], /condition needs one of/);
+  });
+
+  test("runs or skips steps by their when conditions", async () => {
+    const held = createA2A({ "qa.check": { deviations: 1 } });
+    const engine = createEngine(held);
+    const run = await engine.waitForRun(engine.startRun("conditional", { orderId: "ORD-7" }).runId);
+
+    assert.equal(run.status, "completed");
+    assert.deepEqual(stepStatuses(run), { check: "completed", verdict: "completed", investigate: "completed", book: "skipped" });
+    assert.equal(run.steps.find(step => step.id === "verdict").output, "hold ORD-7");
+    assert.deepEqual(held.calls.map(call => call.key), ["qa.check", "qa.investigate"]);
+    assert.deepEqual(held.calls[0].input, { orderId: "ORD-7" });
+
+    const clean = createA2A({ "qa.check": { deviations: 0 } });
+    const cleanEngine = createEngine(clean);
+    const released = await cleanEngine.waitForRun(cleanEngine.startRun("conditional", { orderId: "ORD-8", line: "LINE-01" }).runId);
+    assert.deepEqual(stepStatuses(released), { check: "completed", verdict: "completed", investigate: "skipped", book: "completed" });
+
+    assert.throws(() => cleanEngine.startRun("conditional", {}), { statusCode: 400, message: "Missing workflow input: orderId" });
+  });
+
+  test("fails on a failed parallel branch and compensates completed steps in reverse order", async () => {
+    const a2a = createA2A({
+      "planning.reserve": { slot: "S-12" },
+      "safety.assess": async () => {
+        await sleep(20);
+        throw new Error("gas detector offline");
+      },
+      "safety.extra": () => { throw new Error("optional check failed"); }
+    });
+    const engine = createEngine(a2a);
+    const run = await engine.waitForRun(engine.startRun("parallel").runId);
+
+    assert.equal(run.status, "failed");
+    assert.equal(run.error, "gas detector offline");
+    assert.deepEqual(stepStatuses(run), { reserve: "compensated", label: "compensated", checks: "failed", equipment: "compensated", safety: "failed", optional: "failed" });
+    assert.deepEqual(run.compensation.map(entry => `${entry.stepId}:${entry.status}`), ["equipment:completed", "label:completed", "reserve:completed"]);
+    assert.deepEqual(a2a.calls.find(call => call.key === "planning.unreserve").input, { slot: "S-12" });
+  });
+
+  test("retries failed calls with exponential backoff", async () => {
+    const a2a = createA2A({ "equipment.status": (input, attempt) => {
+      if (attempt < 3) throw new Error(`busy ${attempt}`);
+      return { status: "running" };
+    } });
+    const engine = createEngine(a2a);
+    const run = await engine.waitForRun(engine.startRun("retry").runId);
+
+    assert.equal(run.status, "completed");
+    assert.equal(run.steps[0].attempts, 3);
+    const [first, second, third] = a2a.calls.map(call => call.at);
+    // delay 40 ms, then doubled
+    assert.ok(second - first >= 35, `first retry after ${second - first} ms`);
+    assert.ok(third - second >= 75, `second retry after ${third - second} ms`);
+  });
+
+  test("times out a run but does not count approval or pause time", async () => {
+    const approvalManager = new ApprovalManager({});
+    const a2a = createA2A({ "planning.reserve": async () => { await sleep(30); return { slot: "S-1" }; } });
+    const engine = createEngine(a2a, { approvalManager });
+
+    // waits 200 ms for the decision and 200 ms paused, with a 150 ms workflow timeout
+    const { runId } = engine.startRun("approval", { orderId: "ORD-1" }, { startedBy: "planner" });
+    await sleep(10);
+    engine.pauseRun(runId, { pausedBy: "planner" });
+    await sleep(30);
+    assert.equal(engine.getRun(runId).status, "paused");
+    await sleep(170);
+    engine.resumeRun(runId, { resumedBy: "planner" });
+    await sleep(20);
+    assert.equal(engine.getRun(runId).status, "waiting_approval");
+    await sleep(200);
+    const [approval] = approvalManager.list();
+    assert.equal(approval.title, "Release ORD-1");
+    approvalManager.decide(approval.id, { decision: "approved", user: { id: "qa.lead", roles: ["QA"], authMethod: "local" } });
+
+    const run = await engine.waitForRun(runId);
+    assert.equal(run.status, "completed");
+    assert.ok(Date.parse(run.finishedAt) - Date.parse(run.startedAt) > 400);
+    approvalManager.close();
+
+    const slow = createEngine(createA2A({ "equipment.slow": () => sleep(300) }));
+    const timedOut = await slow.waitForRun(slow.startRun("slow").runId);
+    assert.equal(timedOut.status, "failed");
+    assert.equal(timedOut.error, "Workflow timed out after 100ms");
+    assert.deepEqual(timedOut.compensation.map(entry => entry.stepId), ["reserve"]);
+  });
+
+  test("cancels a running run and compensates its completed steps", async () => {
+    const a2a = createA2A({ "equipment.slow": () => sleep(300) });
+    const engine = createEngine(a2a);
+    const { runId } = engine.startRun("slow");
+    // well before the 100 ms workflow timeout
+    await sleep(30);
+    engine.cancelRun(runId, { reason: "wrong batch", cancelledBy: "planner" });
+    const run = await engine.waitForRun(runId);
+
+    assert.equal(run.status, "cancelled");
+    assert.equal(run.error, "Cancelled: wrong batch");
+    assert.equal(run.cancellation.cancelledBy, "planner");
+    assert.deepEqual(stepStatuses(run), { reserve: "compensated", analyse: "failed" });
+    assert.throws(() => engine.cancelRun(runId), { statusCode: 409 });
+  });
+
+  test("resumes an interrupted run after its last completed step and keeps it when pruning", async () => {
+    const stateStore = new StateStore();
+    const first = createA2A({ "planning.reserve": { slot: "S-3" }, "planning.label": () => new Promise(() => {}) });
+    const engine = createEngine(first, { stateStore });
+    const { runId } = engine.startRun("parallel");
+    await sleep(20);
+
+    // restart while "label" is executing
+    const a2a = createA2A();
+    const restarted = createEngine(a2a, { stateStore, options: { maxFinishedRuns: 1 } });
+    assert.equal(restarted.getRun(runId).status, "interrupted");
+    assert.deepEqual(stateStore.getRecoveryReport().workflowRuns.interrupted.map(run => run.runId), [runId]);
+
+    for (let i = 0; i < 2; i++) await restarted.waitForRun(restarted.startRun("retry").runId);
+    assert.equal(restarted.listRuns({ workflowId: "retry" }).length, 1);
+    assert.equal(restarted.getRun(runId).status, "interrupted");
+
+    restarted.resumeRun(runId, { resumedBy: "planner" });
+    // once completed, the oldest finished run is the one pruned
+    const run = restarted.getRun(runId);
+    await restarted.completions.get(runId);
+    assert.equal(run.status, "completed");
+    assert.equal(run.steps.reserve.output.slot, "S-3");
+    assert.equal(restarted.getRun(runId), null);
+    assert.deepEqual(a2a.calls.filter(call => call.key.startsWith("planning.")).map(call => call.key), ["planning.label"]);
+  });
+});